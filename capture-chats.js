@@ -45,10 +45,24 @@ const puppeteer = require('puppeteer');
 const { createInterviewMonitor } = require('./interview-monitor');
 const { typeIntoInterview, showKeyboard } = require('./interview-type');
 const { generateGeminiReply } = require('./gemini');
-const { tryProgress, logPageSnapshot } = require('./interview-click');
+const { resolveProfile } = require('./docker-arbor/src/browser/profiles');
+const { createScreenFlow } = require('./docker-arbor/src/browser/screen-flow');
+const { loadScreens, ScreenId } = require('./docker-arbor/src/browser/screens');
+const { resolveLanguage } = require('./docker-arbor/src/utils/language');
+const { createArtifactCollector } = require('./docker-arbor/src/session/artifacts');
+const { createSessionId } = require('./docker-arbor/src/session/transcript');
 
 const interviewUrl = process.argv[2] || '';
 const manualText = process.argv.slice(3).join(' ') || process.env.ANSWER_TEXT || '';
+// Whole-interview version of ANSWER_TEXT: deterministic answers per question pattern
+const answerScriptPath = process.env.ANSWER_SCRIPT || '';
+const answerScript = answerScriptPath
+  ? require('./docker-arbor/src/llm/answer-script').loadAnswerScript(answerScriptPath)
+  : null;
+
+// Selectors and button texts of the interview platform: a profile name/path, or auto (picked by URL)
+const profile = resolveProfile(process.env.SELECTOR_PROFILE || 'auto', interviewUrl,
+  process.env.PROFILES_DIR ? { profilesDir: process.env.PROFILES_DIR } : {});
 
 const wsEndpoint = process.env.PUPPETEER_WS_ENDPOINT || '';
 const skipNav = process.env.SKIP_NAV === '1';
@@ -61,11 +75,24 @@ const tabTitleFilter = (process.env.TAB_TITLE_FILTER || 'interview')
 const autoGemini = process.env.AUTO_GEMINI === '1';
 const autoSubmit = process.env.AUTO_SUBMIT === '1';
 const autoProgress = process.env.AUTO_PROGRESS !== '0'; // enabled by default
+// Screen flow limits (see docker-arbor/src/browser/screen-flow); FLOW_SCREENS replaces the profile's screens
+const flowScreens = process.env.FLOW_SCREENS ? loadScreens(process.env.FLOW_SCREENS) : profile.screens || undefined;
+const flowScreenTimeoutMs = Number(process.env.FLOW_SCREEN_TIMEOUT_SECONDS || 60) * 1000;
+const flowMaxAttempts = Number(process.env.FLOW_MAX_ATTEMPTS || 8);
 const interviewPassword = process.env.INTERVIEW_PASSWORD || '';
+// Language picked on the language screen and answered in: a name, native name or code
+const interviewLanguage = resolveLanguage(process.env.INTERVIEW_LANGUAGE || 'English');
 const geminiApiKey = process.env.GEMINI_API_KEY || '';
 const geminiModel = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
 const geminiMinIntervalMs = Number(process.env.GEMINI_MIN_INTERVAL_MS || 15000);
-const geminiSystemPrompt = process.env.GEMINI_SYSTEM_PROMPT || 'Reply as the interview candidate. Keep it concise and friendly.';
+// Failure artifacts (screenshot, DOM, console log, HAR) on stalls, page errors and crashes, or on SIGUSR2
+const artifacts = process.env.ARTIFACTS === 'false'
+  ? null
+  : createArtifactCollector({
+    dir: path.join(process.env.LOGS_DIR || path.join(__dirname, 'logs'), process.env.SESSION_ID || createSessionId(), 'artifacts'),
+  });
+const geminiSystemPrompt = `${process.env.GEMINI_SYSTEM_PROMPT || 'Reply as the interview candidate. Keep it concise and friendly.'} ` +
+  `Always reply in ${interviewLanguage.name}.`;
 
 async function getBrowser() {
   if (wsEndpoint) {
@@ -99,10 +126,18 @@ async function pickPage(browser) {
     process.exit(1);
   }
 
+  console.log(`Selector profile: ${profile.id}`);
   const { browser, launched } = await getBrowser();
   const page = await pickPage(browser);
   await page.setViewport({ width: 1920, height: 1080 });
-
+  if (artifacts) {
+    artifacts.attach(page);
+    page.on('pageerror', (err) => artifacts.capture('page_error', { error: err.message }));
+    page.on('error', (err) => artifacts.capture('page_crash', { error: err.message }));
+    process.on('SIGUSR2', () => artifacts.capture('manual', {}, { force: true }));
+    console.log(`Failure artifacts: ${artifacts.getDirectory()} (kill -USR2 ${process.pid} to capture now)`);
+  }
+  
   // Auto-grant browser permissions (camera, microphone, etc.)
   const context = browser.defaultBrowserContext();
   await context.overridePermissions(
@@ -127,7 +162,7 @@ async function pickPage(browser) {
 
   const tryTypePending = async () => {
     if (!pendingDraft) return;
-    const typed = await typeIntoInterview(page, pendingDraft, { onlyIfEmpty: true, submit: autoSubmit });
+    const typed = await typeIntoInterview(page, pendingDraft, { onlyIfEmpty: true, submit: autoSubmit, profile });
     if (typed) {
       if (autoSubmit) {
         console.log('Typed draft and submitted.');
@@ -174,6 +209,7 @@ async function pickPage(browser) {
   };
 
   const monitor = createInterviewMonitor(page, {
+    profile,
     onAgentMessage: async (agentText) => {
       console.log(`Umi: ${agentText}`);
 
@@ -183,6 +219,17 @@ async function pickPage(browser) {
         return;
       }
 
+      // Scripted answer mode (ANSWER_SCRIPT); unmatched questions fall through to Gemini when the script says "llm"
+      if (answerScript) {
+        if (!agentText.includes('?') || agentText === lastAgentAsked || pendingDraft) return;
+        const scripted = answerScript.resolve(agentText);
+        if (scripted) {
+          lastAgentAsked = agentText;
+          await enqueueDraft(scripted.text);
+          return;
+        }
+      }
+
       // Gemini auto-draft mode (types, does not submit)
       console.log(`[debug] autoGemini=${autoGemini}, geminiApiKey=${geminiApiKey ? 'SET' : 'MISSING'}, generating=${generating}`);
       if (!autoGemini) {
@@ -263,75 +310,48 @@ async function pickPage(browser) {
 
   await monitor.start();
 
-  // Auto-progress: use all methods to advance through interview intro (password, language, buttons)
-  let progressInterval;
-  let lastPageState = '';
-  let lastButtonClicked = '';
-  let sameButtonCount = 0;
-  let noProgressCount = 0;
-  let blockedButtons = new Set(); // track buttons that didn't work
-  let lastProgressAction = 0; // timestamp of last successful action
+  // Auto-progress: the screen flow walks the intro screens (password, language, instructions, device
+  // check) defined in docker-arbor/src/browser/screens, and stops with a diagnostic when a screen
+  // does not go away instead of clicking forever
+  let flow = null;
+  let keyboardInterval;
   if (autoProgress) {
-    progressInterval = setInterval(async () => {
-      try {
-        const currentPageState = await page.evaluate(() => document.body?.innerText?.slice(0, 300) || '');
-        
-        // Try to show keyboard icon (in case text input is available but hidden behind keyboard toggle)
-        await showKeyboard(page).catch(() => {});
-        
-        // Try all progress methods (password, language, buttons)
-        const result = await tryProgress(page, { password: interviewPassword, blockedButtons });
-        
-        // If we made any progress (password/language/etc), reset blocked buttons to retry
-        if (result && result.progressed) {
-          const now = Date.now();
-          if (now - lastProgressAction > 3000) {
-            // Reset blockedButtons since we made progress elsewhere (password/language)
-            if (blockedButtons.size > 0) {
-              console.log('[click] Progress made; resetting blocked buttons to retry');
-              blockedButtons.clear();
-            }
-            lastProgressAction = now;
-          }
-        }
-        
-        // If we clicked a button, track it
-        if (result && result.buttonClicked) {
-          if (result.buttonClicked === lastButtonClicked && currentPageState === lastPageState) {
-            sameButtonCount++;
-            if (sameButtonCount >= 3) {
-              console.log(`[click] Button "${result.buttonClicked}" stuck - analyzing why...`);
-              await logPageSnapshot(page, 'button-stuck');
-              console.log(`[click] Blocking button "${result.buttonClicked}" - no page change after ${sameButtonCount} clicks`);
-              blockedButtons.add(result.buttonClicked);
-              sameButtonCount = 0;
-            }
-          } else {
-            lastButtonClicked = result.buttonClicked;
-            sameButtonCount = 0;
-          }
-          noProgressCount = 0; // reset since we did something
-        } else {
-          // No action taken this cycle
-          noProgressCount++;
-          if (noProgressCount === 5) {
-            console.log('[click] No progress for 10s, logging page snapshot...');
-            await logPageSnapshot(page, 'no-progress');
-          }
-        }
-        
-        lastPageState = currentPageState;
-      } catch (e) {
-        // ignore
-      }
-    }, 2000); // check every 2s
+    flow = createScreenFlow({
+      page,
+      screens: flowScreens,
+      selectors: profile.selectors,
+      password: interviewPassword,
+      language: interviewLanguage.name,
+      screenTimeoutMs: flowScreenTimeoutMs,
+      unknownTimeoutMs: flowScreenTimeoutMs,
+      maxAttempts: flowMaxAttempts,
+      logger: console,
+    });
+    flow.run()
+      .then((screen) => {
+        if (screen) console.log(`[flow] Finished on ${screen}`);
+      })
+      .catch(async (err) => {
+        // The monitor keeps running, so the rest of the intro can still be done by hand
+        console.error(`[flow] ${err.message}; continue by hand in the browser`);
+        if (err.diagnostic) console.error('[flow] Diagnostic:', JSON.stringify(err.diagnostic, null, 2));
+        if (artifacts) await artifacts.capture(`flow_${err.code || 'error'}`, { error: err.message, diagnostic: err.diagnostic || null }, { force: true });
+      });
+
+    // Typed answers need the keyboard toggle, which only the live interview screen has
+    // (once the flow has stopped, the screen is no longer tracked)
+    keyboardInterval = setInterval(() => {
+      const { screen, isRunning } = flow.getState();
+      if (screen === ScreenId.LIVE || !isRunning) showKeyboard(page, { profile }).catch(() => {});
+    }, 2000);
   }
 
   // Exit cleanly if the browser disconnects
   browser.on('disconnected', async () => {
     console.log('Browser disconnected; stopping...');
     await monitor.stop();
-    if (progressInterval) clearInterval(progressInterval);
+    if (flow) flow.stop();
+    if (keyboardInterval) clearInterval(keyboardInterval);
     process.exit(0);
   });
   
@@ -343,10 +363,15 @@ async function pickPage(browser) {
 
   process.on('SIGINT', async () => {
     await monitor.stop();
-    if (progressInterval) clearInterval(progressInterval);
+    if (flow) flow.stop();
+    if (keyboardInterval) clearInterval(keyboardInterval);
     if (launched) await browser.close();
     else await browser.disconnect();
     process.exit(0);
   });
-})();
+})().catch(async (err) => {
+  console.error(`Fatal error: ${err?.message || err}`);
+  if (artifacts) await artifacts.capture('fatal', { error: err?.message || String(err), stack: err?.stack }, { force: true });
+  process.exit(1);
+});
 
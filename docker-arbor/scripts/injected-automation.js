@@ -2,15 +2,23 @@
  * Injected Automation Script
  * 
  * This script is injected into the interview page and handles:
- * - Auto-clicking progress buttons (Get Started, Continue, etc.)
- * - Filling password fields
- * - Audio capture from virtual_mic (interviewer audio)
- * - Audio playback to virtual_speaker (TTS response)
+ * - Audio capture from the WebRTC downlink / virtual_mic_2 (interviewer audio), resampled
+ *   and run through the VAD in an AudioWorklet
+ * - Barge-in detection while the candidate's answer plays
  * - Communication with the Node.js host process
  * 
- * Placeholders replaced at runtime:
- * - __PASSWORD__ - Interview password
- * - __GEMINI_API_KEY__ - Gemini API key
+ * Everything else (STT, answers, TTS, end-of-turn detection, cooldowns) runs in Node
+ * (src/llm/conversation.js): speech goes out over window.__arborSendAudio and the answer
+ * is played by Node into PulseAudio. The page never sees an API key. Getting through the
+ * password, language and device screens is the screen flow's job (src/browser/screen-flow.js).
+ * 
+ * Read from window.__ARBOR_CONFIG:
+ * - AUDIO_SAMPLE_RATE - Rate the capture worklet resamples the downlink to (STT input)
+ * - MIC_DEVICE / BROWSER_DEVICE - The session's own PulseAudio microphone and browser sink
+ *   (batch runs, see src/audio/sink-pair.js); the shared virtual_mic / virtual_mic_2 when empty
+ * - VAD - Worklet VAD options, matching the endpointer in Node (see src/audio/endpointer.js)
+ * - BARGE_IN_ENABLED / BARGE_IN_THRESHOLD / BARGE_IN_MIN_SPEECH_MS - Interviewer interruption detection
+ * - PROFILE - Selectors and button texts of the interview platform (see src/browser/profiles.js)
  */
 
 (function() {
@@ -19,64 +27,70 @@
   console.log('[arbor] Injected automation script starting...');
   
   // ============================================================
-  // CONFIGURATION (replaced at runtime by page-controller.js)
+  // CONFIGURATION (window.__ARBOR_CONFIG is set by page-controller.js)
   // ============================================================
   
-  let PASSWORD = '__PASSWORD__';
-  let GEMINI_API_KEY = '__GEMINI_API_KEY__';
-  
   // Timing configuration
-  const AUTO_CLICK_INTERVAL_MS = 2000;
   const AUDIO_CHUNK_DURATION_MS = 2000;
-  const RESPONSE_DELAY_MS = 8000;  // Increased to 8 seconds to wait for complete questions
-  const COOLDOWN_MS = 15000;
+  const ACTIVITY_INTERVAL_MS = 100;  // Voice activity updates for the endpointer in Node between audio chunks
+  const VAD_PREROLL_FRAMES = 40;   // Worklet frames (one per 128-sample render quantum, ~2.7 ms) kept before speech
+  
+  const ARBOR_CONFIG = window.__ARBOR_CONFIG || {};
+  
+  // STT input rate (AUDIO_SAMPLE_RATE): the capture worklet resamples the downlink to it
+  const STT_SAMPLE_RATE = typeof ARBOR_CONFIG.AUDIO_SAMPLE_RATE === 'number' ? ARBOR_CONFIG.AUDIO_SAMPLE_RATE : 16000;
+  const VAD_OPTIONS = ARBOR_CONFIG.VAD || {};
+  
+  // Session audio devices: a batch session records its own microphone and plays into its own sink,
+  // so it must never fall back to the shared container devices other sessions use
+  const MIC_DEVICE = (ARBOR_CONFIG.MIC_DEVICE || '').toLowerCase();
+  const BROWSER_DEVICE = (ARBOR_CONFIG.BROWSER_DEVICE || '').toLowerCase();
+  
+  // Barge-in: interviewer speech on the downlink while we are speaking stops our playback
+  const BARGE_IN_ENABLED = ARBOR_CONFIG.BARGE_IN_ENABLED !== false;
+  const BARGE_IN_THRESHOLD = typeof ARBOR_CONFIG.BARGE_IN_THRESHOLD === 'number' ? ARBOR_CONFIG.BARGE_IN_THRESHOLD : 0.02;  // RMS
+  const BARGE_IN_MIN_SPEECH_MS = typeof ARBOR_CONFIG.BARGE_IN_MIN_SPEECH_MS === 'number' ? ARBOR_CONFIG.BARGE_IN_MIN_SPEECH_MS : 300;
+  const BARGE_IN_RESET_MS = 500;  // Quiet that resets the speech counter (pauses between words are shorter)
+  
+  // Selector profile: which elements are buttons and which of them leave the call
+  const PROFILE = ARBOR_CONFIG.PROFILE || { selectors: {}, text: {} };
+  const BUTTON_SELECTOR = (PROFILE.selectors.buttons || ['button', '[role="button"]', 'a']).join(', ');
+  const END_BUTTON_TEXTS = PROFILE.text.endButtons || [];
   
   // ============================================================
   // STATE
   // ============================================================
   
   let isInitialized = false;
-  let tickCounter = 0;
   
   // Audio state
   let captureContext = null;
+  let sttSampleRate = STT_SAMPLE_RATE;  // Rate of the worklet output (capture rate if the resampler is missing)
   let captureStream = null;
   let captureWorklet = null;
   let pcmBuffer = [];
+  let vadPreroll = [];  // Frames just before the VAD opened a speech segment
   let isCapturing = false;
   let audioMerger = null;  // Channel merger for combining WebRTC downlink + virtual_mic_2
   
-  // Playback state
-  let playbackContext = null;
-  const playbackQueue = [];
-  let isPlayingTTS = false;
-  let playbackBackoffUntil = 0;  // Block new TTS chunks until this timestamp
-  
-  // Conversation state
-  let transcriptBuffer = '';
-  let isWaitingForResponse = false;
-  let responseTimer = null;
-  let cooldownTimer = null;
-  let noAudioTimer = null;  // Timer to check if agent didn't hear anything
-  let lastTranscriptionTime = null;  // Track when we last heard from interviewer
-  let lastQuestion = '';  // Track the last question asked to detect repeats
-  let isInCooldown = false;  // Prevent multiple cooldown calls
-  let hasAskedToRepeat = false;  // Prevent "no audio heard" loop
+  // Voice activity since the last send, for the endpointer in Node
+  let pendingActivity = null;
+  let lastSentAt = 0;
+  let wasSpeaking = false;
   
-  // Audio file tracking
-  let capturedAudioChunks = [];  // Accumulate captured audio chunks
-  let responseAudioChunks = [];  // Accumulate response audio chunks
-  let currentQuestionId = null;  // Track current question for file naming
+  // Playback state (reported by Node through window.__arborOnPlayback)
+  let isSpeaking = false;  // Our answer is audible; capture only listens for barge-in
+  let speakingStartedAt = null;
+  let bargeInSpeechMs = 0;  // Interviewer speech heard during the current playback
+  let bargeInQuietMs = 0;   // Quiet since that speech
   
-  // Gemini WebSockets (separate for STT and TTS)
-  let sttWs = null;       // STT: listens to interviewer audio
-  let sttReady = false;
-  let ttsWs = null;       // TTS: speaks the response
-  let ttsReady = false;
+  // Operator control (window.__arborControl, driven by the control API)
+  let isEnded = false;   // Interview ended by the operator; no more capture
   
-  // Legacy alias
-  let geminiWs = null;
-  let geminiReady = false;
+  // Session recording (interviewer downlink batches for window.__arborRecordAudio)
+  let recordingFrames = [];
+  let recordingSampleCount = 0;
+  let recordingStartedAt = 0;
   
   // ============================================================
   // UTILITY FUNCTIONS
@@ -110,15 +124,21 @@
     }
   }
   
+  // Structured live event for the Node event bus (/events stream), sent over the log bridge
+  function emitEvent(type, data) {
+    if (window.__arborLog) {
+      try {
+        window.__arborLog('event', type, data || {});
+      } catch (e) {
+        // Ignore
+      }
+    }
+  }
+  
   // ============================================================
-  // AUTO-CLICK AUTOMATION
+  // DOM HELPERS
   // ============================================================
   
-  // Track what we've already done to avoid repeating
-  let passwordFilled = false;
-  let languageSelected = false;
-  let lastClickedButton = '';
-  
   function isVisible(el) {
     if (!el) return false;
     const style = window.getComputedStyle(el);
@@ -129,178 +149,44 @@
            rect.width > 0 && rect.height > 0;
   }
   
-  function selectLanguage() {
-    try {
-      // Strategy 1: Native select dropdown
-      const selects = document.querySelectorAll('select');
-      for (let i = 0; i < selects.length; i++) {
-        const sel = selects[i];
-        if (!isVisible(sel)) continue;
-        
-        const label = (sel.getAttribute('aria-label') || sel.getAttribute('name') || sel.getAttribute('id') || '').toLowerCase();
-        const parentText = sel.parentElement ? (sel.parentElement.innerText || '').toLowerCase() : '';
-        
-        if (label.includes('language') || label.includes('lang') || parentText.includes('language') || parentText.includes('preferred')) {
-          const options = Array.from(sel.options);
-          const englishOpt = options.find(function(o) { 
-            return o.text.toLowerCase().includes('english') || o.value.toLowerCase().includes('english'); 
-          });
-          
-          sel.focus();
-          sel.click();
-          
-          if (englishOpt) {
-            sel.value = englishOpt.value;
-            sel.selectedIndex = options.indexOf(englishOpt);
-          } else if (options.length > 0) {
-            sel.selectedIndex = 0;
-          }
-          
-          sel.dispatchEvent(new Event('change', { bubbles: true }));
-          sel.dispatchEvent(new Event('input', { bubbles: true }));
-          sel.blur();
-          
-          log('info', 'Selected language from native dropdown: ' + (englishOpt ? englishOpt.text : 'first option'));
-          return true;
-        }
-      }
-      
-      // Strategy 2: Custom dropdown (click container, wait for options, click English)
-      const dropdownTriggers = document.querySelectorAll('div, button, [role="button"], [role="combobox"], [role="listbox"]');
-      for (let j = 0; j < dropdownTriggers.length; j++) {
-        const trigger = dropdownTriggers[j];
-        if (!isVisible(trigger)) continue;
-        
-        const txt = (trigger.innerText || trigger.textContent || '').trim().toLowerCase();
-        const ariaLabel = (trigger.getAttribute('aria-label') || '').toLowerCase();
-        const parent = trigger.parentElement;
-        const parentTxt = parent ? (parent.innerText || parent.textContent || '').toLowerCase() : '';
-        
-        // Check if this looks like a language selector
-        if ((parentTxt.includes('language') || ariaLabel.includes('language') || txt.includes('select')) && 
-            (txt.includes('english') || txt === '' || txt.includes('choose'))) {
-          trigger.click();
-          log('info', 'Opened language dropdown');
-          
-          // Wait for options to appear, then click English
-          setTimeout(function() {
-            const opts = document.querySelectorAll('li, [role="option"], div[class*="option"], [class*="menu"] div, [class*="dropdown"] div, [class*="item"]');
-            for (let k = 0; k < opts.length; k++) {
-              const opt = opts[k];
-              const optTxt = (opt.innerText || opt.textContent || '').trim().toLowerCase();
-              if (optTxt === 'english' || optTxt === 'en' || optTxt.includes('english')) {
-                if (isVisible(opt)) {
-                  opt.click();
-                  opt.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-                  opt.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
-                  opt.dispatchEvent(new Event('change', { bubbles: true }));
-                  log('info', 'Selected English from custom dropdown');
-                  return;
-                }
-              }
-            }
-          }, 500);
-          
-          return true;
-        }
-      }
-      
-      // Strategy 3: Radio buttons
-      const radios = document.querySelectorAll('input[type="radio"]');
-      for (let m = 0; m < radios.length; m++) {
-        const radio = radios[m];
-        const radioLabel = radio.labels && radio.labels[0] ? radio.labels[0].innerText : (radio.getAttribute('aria-label') || '');
-        if (radioLabel.toLowerCase().includes('english')) {
-          if (!radio.checked) {
-            radio.click();
-            log('info', 'Selected English radio button');
-            return true;
-          }
-        }
-      }
-      
-      return false;
-    } catch (e) {
-      log('error', 'Language selection error:', e.message);
-      return false;
-    }
-  }
-  
-  function runAutoClick() {
-    try {
-      tickCounter++;
-      
-      // Fill password field if present and empty (only once)
-      if (!passwordFilled) {
-        const pwd = document.querySelector('input[type="password"]');
-        if (pwd && !pwd.value && PASSWORD) {
-          pwd.focus();
-          pwd.value = PASSWORD;
-          pwd.dispatchEvent(new Event('input', { bubbles: true }));
-          pwd.dispatchEvent(new Event('change', { bubbles: true }));
-          log('info', 'Filled password field');
-          passwordFilled = true;
-        }
-      }
-      
-      // Select language (only attempt a few times)
-      if (!languageSelected && tickCounter < 30) {
-        if (selectLanguage()) {
-          languageSelected = true;
-        }
-      }
-      
-      // Click progress buttons
-      const buttonTexts = [
-        'let\'s get started',
-        'get started',
-        'start voice interview',
-        'start voice',
-        'start interview',
-        'voice interview',
-        'continue',
-        'proceed',
-        'next',
-        'skip',
-        'begin',
-        'start',
-        'ok',
-        'confirm',
-        'submit'
-      ];
-      
-      const buttons = document.querySelectorAll('button, [role="button"], a');
-      for (let i = 0; i < buttons.length; i++) {
-        const btn = buttons[i];
-        const txt = (btn.innerText || btn.textContent || '').toLowerCase().trim();
-        
-        // Skip if we just clicked this button
-        if (txt === lastClickedButton) continue;
-        
-        if (buttonTexts.some(function(t) { return txt.includes(t); })) {
-          if (isVisible(btn)) {
-            btn.click();
-            lastClickedButton = txt;
-            log('info', 'Clicked button: "' + txt.slice(0, 30) + '"');
-            
-            // Reset after a delay to allow clicking same button again if needed
-            setTimeout(function() { lastClickedButton = ''; }, 3000);
-            break;
-          }
-        }
-      }
-      
-    } catch (e) {
-      log('error', 'Auto-click error:', e.message);
-    }
-  }
-  
   // ============================================================
   // AUDIO CAPTURE (from page's audio/video elements - Umi's voice)
   // ============================================================
   
   let mediaElementMonitorInterval = null;
   
+  // Sends the full interviewer downlink to the Node session recorder in ~250ms batches,
+  // stamped with the capture time of their first sample so the tracks stay aligned
+  function recordDownlink(samples, sampleRate) {
+    if (typeof window.__arborRecordAudio !== 'function') return;
+    
+    if (recordingSampleCount === 0) {
+      recordingStartedAt = Date.now() - Math.round(samples.length / sampleRate * 1000);
+    }
+    recordingFrames.push(samples);
+    recordingSampleCount += samples.length;
+    if (recordingSampleCount < sampleRate / 4) return;
+    
+    const pcm16 = new Int16Array(recordingSampleCount);
+    let offset = 0;
+    for (const frame of recordingFrames) {
+      for (let i = 0; i < frame.length; i++) {
+        const s = Math.max(-1, Math.min(1, frame[i]));
+        pcm16[offset++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+      }
+    }
+    
+    const bytes = new Uint8Array(pcm16.buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + 8192, bytes.length)));
+    }
+    
+    window.__arborRecordAudio('interviewer', btoa(binary), sampleRate, recordingStartedAt).catch(function() {});
+    recordingFrames = [];
+    recordingSampleCount = 0;
+  }
+  
   async function startAudioCapture() {
     if (isCapturing) return;
     
@@ -326,14 +212,16 @@
       // This is a FALLBACK path in case WebRTC capture fails
       // ============================================================
       
-      // Enumerate devices and find virtual_mic_2 for backup
+      // Enumerate devices and find virtual_mic_2 for backup (with a session sink: that sink's monitor)
       const devices = await navigator.mediaDevices.enumerateDevices();
       const virtualMic2 = devices.find(function(d) {
-        return d.kind === 'audioinput' && 
-               (d.label.toLowerCase().includes('virtual_mic_2') || 
-                d.label.toLowerCase().includes('virtual mic 2') ||
-                d.label.toLowerCase().includes('virtual-mic-2') ||
-                d.label.toLowerCase().includes('virtual_mic_2_input'));
+        const label = d.label.toLowerCase();
+        if (d.kind !== 'audioinput') return false;
+        if (BROWSER_DEVICE) return label.includes('monitor of ' + BROWSER_DEVICE);
+        return label.includes('virtual_mic_2') || 
+               label.includes('virtual mic 2') ||
+               label.includes('virtual-mic-2') ||
+               label.includes('virtual_mic_2_input');
       });
       
       if (virtualMic2) {
@@ -363,54 +251,14 @@
           log('warn', '⚠️ Failed to connect virtual_mic_2 (backup):', e.message, '- will rely on WebRTC downlink only');
         }
       } else {
-        log('warn', '⚠️ virtual_mic_2 not found - will rely on WebRTC downlink only');
+        log('warn', '⚠️ ' + (BROWSER_DEVICE ? 'Monitor of ' + BROWSER_DEVICE : 'virtual_mic_2') + ' not found - will rely on WebRTC downlink only');
       }
       
-      // === TTS OUTPUT TO WEBRTC ===
-      // Create an AudioContext for TTS output to WebRTC
-      const ttsOutputContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 24000 });
-      const ttsMediaStreamDestination = ttsOutputContext.createMediaStreamDestination();
-      const ttsOutputStream = ttsMediaStreamDestination.stream;
+      // Peer connection and uplink track seen by the interceptor
       let activePeerConnection = null;
       let originalMicTrack = null;
       
-      log('info', '🔊 TTS output stream created for WebRTC injection');
-      
-      // Function to play TTS audio directly to WebRTC
-      window.__arborPlayTTSToWebRTC = async function(pcmData, sampleRate) {
-        try {
-          // Resume context if suspended
-          if (ttsOutputContext.state === 'suspended') {
-            await ttsOutputContext.resume();
-          }
-          
-          // Convert Int16 PCM to Float32
-          const float32Data = new Float32Array(pcmData.length);
-          for (let i = 0; i < pcmData.length; i++) {
-            float32Data[i] = pcmData[i] / 32768;
-          }
-          
-          // Create audio buffer
-          const audioBuffer = ttsOutputContext.createBuffer(1, float32Data.length, sampleRate);
-          audioBuffer.getChannelData(0).set(float32Data);
-          
-          // Play to the media stream destination
-          const source = ttsOutputContext.createBufferSource();
-          source.buffer = audioBuffer;
-          source.connect(ttsMediaStreamDestination);
-          source.start();
-          
-          // Wait for playback to complete
-          return new Promise(function(resolve) {
-            source.onended = resolve;
-            setTimeout(resolve, (float32Data.length / sampleRate) * 1000 + 50);
-          });
-        } catch (e) {
-          log('error', 'TTS to WebRTC error:', e.message);
-        }
-      };
-      
-      // Intercept RTCPeerConnection to capture WebRTC audio AND inject our TTS
+      // Intercept RTCPeerConnection to capture WebRTC audio and watch the uplink track
       function interceptWebRTC() {
         if (window._arborWebRTCIntercepted) return;
         window._arborWebRTCIntercepted = true;
@@ -419,9 +267,9 @@
         
         window.RTCPeerConnection = function(config) {
           const pc = new OriginalRTCPeerConnection(config);
-          activePeerConnection = pc; // Store reference for TTS injection
+          activePeerConnection = pc;
           
-          log('info', '📡 RTCPeerConnection created - will inject TTS audio');
+          log('info', '📡 RTCPeerConnection created');
           
           pc.addEventListener('track', function(event) {
             if (event.track.kind === 'audio') {
@@ -440,7 +288,7 @@
           
           // Override addTrack to intercept and replace microphone track
           // IMPORTANT: virtual_mic is used for WebRTC UPLINK only (so interview platform hears TTS)
-          // The audio flows: paplay → virtual_speaker → virtual_mic → browser → WebRTC uplink
+          // The audio flows: pacat → virtual_speaker → virtual_mic → browser → WebRTC uplink
           // Input capture uses WebRTC DOWNLINK tracks (separate path, no feedback loop)
           const originalAddTrack = pc.addTrack.bind(pc);
           pc.addTrack = function(track, ...streams) {
@@ -467,17 +315,22 @@
           if (constraints.audio) {
             log('info', '🎙️ getUserMedia called - routing WebRTC UPLINK through virtual_mic (TTS output path)');
             
-            // Find virtual_mic device (monitors virtual_speaker for TTS output)
+            // Find virtual_mic device (monitors virtual_speaker for TTS output), or the session's own
             const devices = await navigator.mediaDevices.enumerateDevices();
             const virtualMic = devices.find(function(d) {
-              return d.kind === 'audioinput' && 
-                     (d.label.toLowerCase().includes('virtual_mic') || 
-                      d.label.toLowerCase().includes('virtual mic') ||
-                      d.label.toLowerCase().includes('virtual-mic'));
+              const label = d.label.toLowerCase();
+              if (d.kind !== 'audioinput') return false;
+              if (MIC_DEVICE) return label === MIC_DEVICE;
+              return label.includes('virtual_mic') || 
+                     label.includes('virtual mic') ||
+                     label.includes('virtual-mic');
             });
             
             if (virtualMic) {
               log('info', '✓ Found virtual_mic for WebRTC UPLINK:', virtualMic.label, virtualMic.deviceId);
+            } else if (MIC_DEVICE) {
+              // The session's microphone is Chromium's default source (PULSE_SOURCE)
+              log('info', '✓ Using default source for WebRTC UPLINK:', MIC_DEVICE);
             } else {
               log('warn', '⚠️ virtual_mic not found! Available devices:');
               devices.filter(function(d) { return d.kind === 'audioinput'; })
@@ -528,17 +381,39 @@
       // Note: We no longer capture from media elements or WebRTC streams
       // All input capture now comes from virtual_mic_2 (browser audio output)
       
+      // STT, VAD and barge-in work on the resampled stream
+      sttSampleRate = window.__arborResamplerScript ? STT_SAMPLE_RATE : captureContext.sampleRate;
+      
       // Calculate samples per chunk
-      const samplesPerChunk = Math.floor(captureContext.sampleRate * AUDIO_CHUNK_DURATION_MS / 1000);
+      const samplesPerChunk = Math.floor(sttSampleRate * AUDIO_CHUNK_DURATION_MS / 1000);
       
-      log('info', 'Capture sample rate:', captureContext.sampleRate);
+      log('info', 'Capture sample rate:', captureContext.sampleRate, '- STT sample rate:', sttSampleRate);
       
-      // Create AudioWorklet processor
+      // Create AudioWorklet processor; on the audio thread it resamples to the STT rate and runs the
+      // VAD (both from src/audio/processor.js, shipped as window.__arborResamplerScript and
+      // window.__arborVadScript), then posts { input, samples, activity } per render quantum
       const workletCode = [
+        window.__arborResamplerScript || '',
+        window.__arborVadScript || '',
         'class PCMCaptureProcessor extends AudioWorkletProcessor {',
+        '  constructor(options) {',
+        '    super();',
+        '    const config = options.processorOptions || {};',
+        '    this.rate = config.targetSampleRate || sampleRate;',
+        '    this.resampler = typeof createResampler === "function" && this.rate !== sampleRate',
+        '      ? createResampler(sampleRate, this.rate)',
+        '      : null;',
+        '    if (!this.resampler) this.rate = sampleRate;',
+        '    this.vad = typeof createVoiceActivityDetector === "function"',
+        '      ? createVoiceActivityDetector(config.vad || {})',
+        '      : null;',
+        '  }',
         '  process(inputs, outputs, parameters) {',
         '    if (inputs[0] && inputs[0][0]) {',
-        '      this.port.postMessage(inputs[0][0]);',
+        '      const input = inputs[0][0];',
+        '      const samples = this.resampler ? this.resampler.process(input) : input;',
+        '      const activity = this.vad ? this.vad.process(samples, this.rate, currentTime * 1000) : null;',
+        '      this.port.postMessage({ input: input, samples: samples, activity: activity });',
         '    }',
         '    return true;',
         '  }',
@@ -550,52 +425,84 @@
       const url = URL.createObjectURL(blob);
       
       await captureContext.audioWorklet.addModule(url);
-      captureWorklet = new AudioWorkletNode(captureContext, 'pcm-capture-processor');
+      captureWorklet = new AudioWorkletNode(captureContext, 'pcm-capture-processor', {
+        processorOptions: {
+          targetSampleRate: sttSampleRate,
+          vad: VAD_OPTIONS
+        }
+      });
       
-      // Handle incoming audio samples from virtual_mic_2 (browser audio output)
-      // IMPORTANT: This captures browser audio output (separate from TTS output path)
-      // - TTS output: virtual_speaker → virtual_mic → WebRTC UPLINK (interview hears TTS)
-      // - Input capture: Browser audio → virtual_speaker_2 → virtual_mic_2 → This capture → STT
+      // Handle incoming audio samples (WebRTC downlink + virtual_mic_2)
+      // IMPORTANT: This captures the interviewer (separate from the TTS output path)
+      // - TTS output: Node → pacat → virtual_speaker → virtual_mic → WebRTC UPLINK (interview hears TTS)
+      // - Input capture: WebRTC downlink / virtual_mic_2 → This capture → Node → STT
       // These are isolated paths, but we gate during TTS as extra safety
       captureWorklet.port.onmessage = function(event) {
-        if (isPlayingTTS || isWaitingForResponse) {
-          // Extra safety: Skip capture during TTS/cooldown (even though paths are isolated)
+        const samples = event.data.samples;
+        const activity = event.data.activity;
+        
+        // The session recording keeps everything, including audio heard while we speak
+        recordDownlink(event.data.input, captureContext.sampleRate);
+        
+        if (isEnded) return;
+        
+        if (isSpeaking) {
+          // Extra safety: nothing goes to STT while our answer plays, unless the interviewer
+          // is talking over us - then stop and listen (these samples are in the barge-in pre-roll)
+          if (detectBargeIn(samples, sttSampleRate)) {
+            triggerBargeIn();
+          }
           return;
         }
         
-        const samples = event.data;
+        // End-of-turn detection in Node sees every frame's voice activity, silence included
+        if (activity) {
+          pendingActivity = pendingActivity
+            ? { speaking: activity.speaking, segments: pendingActivity.segments.concat(activity.segments), time: activity.time }
+            : { speaking: activity.speaking, segments: activity.segments.slice(), time: activity.time };
+        }
         
-        // Check if there's actual audio (not silence)
-        // Lowered threshold from 0.01 to 0.001 to catch quieter audio
+        // Only speech goes to STT: the VAD's verdict (energy above the adaptive noise floor,
+        // speech-like zero-crossing rate, hangover), or any signal when the VAD is unavailable
         let hasAudio = false;
-        let maxAmplitude = 0;
-        for (let i = 0; i < samples.length; i++) {
-          const amp = Math.abs(samples[i]);
-          if (amp > maxAmplitude) maxAmplitude = amp;
-          if (amp > 0.001) {  // Lowered threshold for better sensitivity
-            hasAudio = true;
-            break;
+        if (activity) {
+          hasAudio = activity.speaking;
+        } else {
+          for (let i = 0; i < samples.length; i++) {
+            if (Math.abs(samples[i]) > 0.001) {
+              hasAudio = true;
+              break;
+            }
           }
         }
+        const speechEnded = wasSpeaking && !hasAudio;
+        wasSpeaking = hasAudio;
         
         // Debug: Log occasionally to verify audio is being captured
         if (Math.random() < 0.01) {  // Log ~1% of chunks for debugging
-          log('debug', 'Audio chunk stats - maxAmplitude:', maxAmplitude.toFixed(4), 'hasAudio:', hasAudio, 'samples:', samples.length);
+          log('debug', 'Audio chunk stats - speech:', hasAudio,
+            'noiseFloorDb:', activity ? activity.noiseFloorDb.toFixed(1) : 'n/a', 'samples:', samples.length);
         }
         
-        if (!hasAudio) return; // Skip silent chunks
-        
-        // Convert Float32 to Int16
-        for (let i = 0; i < samples.length; i++) {
-          const s = Math.max(-1, Math.min(1, samples[i]));
-          pcmBuffer.push(s < 0 ? s * 0x8000 : s * 0x7FFF);
+        if (hasAudio) {
+          // Silence is held back briefly: a segment only opens after some speech, so the
+          // frames just before it carry the first syllable
+          vadPreroll.forEach(pushPcm);
+          vadPreroll = [];
+          pushPcm(samples);
+        } else {
+          vadPreroll.push(samples);
+          if (vadPreroll.length > VAD_PREROLL_FRAMES) vadPreroll.shift();
         }
         
-        // Check if we have enough samples for a chunk
+        // Full chunks go out as they fill; when speech stops, what is buffered goes right away
+        // so the last words are transcribed without waiting for a full chunk
         if (pcmBuffer.length >= samplesPerChunk) {
-          const chunk = pcmBuffer.slice(0, samplesPerChunk);
-          pcmBuffer.splice(0, samplesPerChunk);
-          sendAudioToLLM(chunk, captureContext.sampleRate);
+          sendAudio(pcmBuffer.splice(0, samplesPerChunk), sttSampleRate);
+        } else if (speechEnded && pcmBuffer.length > 0) {
+          sendAudio(pcmBuffer.splice(0, pcmBuffer.length), sttSampleRate);
+        } else if (pendingActivity && Date.now() - lastSentAt >= ACTIVITY_INTERVAL_MS) {
+          sendAudio(null, sttSampleRate);
         }
       };
       
@@ -610,6 +517,14 @@
     }
   }
   
+  // Appends Float32 samples to the STT buffer as Int16
+  function pushPcm(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      pcmBuffer.push(s < 0 ? s * 0x8000 : s * 0x7FFF);
+    }
+  }
+  
   function stopAudioCapture() {
     if (!isCapturing) return;
     
@@ -636,765 +551,171 @@
     }
     
     pcmBuffer = [];
+    vadPreroll = [];
     log('info', 'Audio capture stopped');
   }
   
   // ============================================================
-  // AUDIO PLAYBACK (to virtual_speaker)
+  // SENDING AUDIO TO NODE (window.__arborSendAudio → conversation.sendAudio)
   // ============================================================
   
-  // ============================================================
-  // AUDIO PLAYBACK - Play through PulseAudio for REAL audio flow
-  // TTS → PulseAudio Speaker → PulseAudio Mic → Interview
-  // ============================================================
-  
-  function playAudioBase64(base64Data, sampleRate) {
-    sampleRate = sampleRate || 24000;
-    console.log('[arbor] playAudioBase64 called, queue length:', playbackQueue.length, 'isPlaying:', isPlayingTTS);
-
-    // Check if we're in backoff period (after PulseAudio errors)
-    const now = Date.now();
-    if (playbackBackoffUntil > now) {
-      const remainingMs = playbackBackoffUntil - now;
-      console.log('[arbor] In backoff period, rejecting chunk (', remainingMs, 'ms remaining)');
-      return; // Reject chunk during backoff
-    }
-
-    // Accumulate response audio chunks for saving
-    responseAudioChunks.push(base64Data);
-
-    // Queue for sequential playback
-    playbackQueue.push({ data: base64Data, rate: sampleRate });
-
-    // ✅ ATOMIC CHECK: Only start processing if queue was empty BEFORE we added our chunk
-    // This prevents multiple concurrent calls even within the same event loop tick
-    // If queue.length === 1, we're the first chunk - start processing
-    // If queue.length > 1, another chunk is already being processed - let it continue
-    if (playbackQueue.length === 1 && !isPlayingTTS) {
-      isPlayingTTS = true;
-      console.log('[arbor] Starting playNextFromQueue (queue was empty, we are first)...');
-      playNextFromQueue();
-    } else {
-      console.log('[arbor] Chunk queued (processor already running, queue:', playbackQueue.length, ')');
-    }
-  }
-  
-  async function playNextFromQueue() {
-    console.log('[arbor] playNextFromQueue called, queue:', playbackQueue.length);
-    
-    if (playbackQueue.length === 0) {
-      isPlayingTTS = false;
-      
-      // Save response audio file when playback completes
-      if (responseAudioChunks.length > 0 && currentQuestionId && window.__arborSaveAudioFile) {
-        // Combine all response chunks
-        const combinedBase64 = responseAudioChunks.join('');
-        
-        // Save response audio file
-        window.__arborSaveAudioFile(combinedBase64, `response_audio_${currentQuestionId}.pcm`, 24000).catch(e => {
-          log('warn', 'Failed to save response audio:', e.message);
-        });
-        
-        // Clear response chunks
-        responseAudioChunks = [];
-        currentQuestionId = null;
-      }
-      
-      startCooldown();
-      return;
-    }
-    
-    // Remove this line - flag already set in playAudioBase64
-    // isPlayingTTS = true;
-    const item = playbackQueue.shift();
+  // Sends Int16 speech samples (null for voice activity only) with the activity since the last send
+  function sendAudio(pcmData, sampleRate) {
+    if (typeof window.__arborSendAudio !== 'function') return;
     
-    try {
-      // Decode base64 to Int16 PCM for WebRTC injection
-      const binaryString = atob(item.data);
-      const pcmData = new Int16Array(binaryString.length / 2);
-      for (let i = 0; i < pcmData.length; i++) {
-        pcmData[i] = binaryString.charCodeAt(i * 2) | (binaryString.charCodeAt(i * 2 + 1) << 8);
-      }
-      
-      // Check available audio bridges
-      const hasPaplayBridge = typeof window.__arborPlayAudio === 'function';
-      const hasWebRTCBridge = typeof window.__arborPlayTTSToWebRTC === 'function';
-      
-      console.log('[arbor] Audio bridges - paplay:', hasPaplayBridge ? 'YES' : 'NO', 'WebRTC:', hasWebRTCBridge ? 'YES' : 'NO');
-      
-      // ============================================================
-      // PRIMARY: Play via paplay (Real Audio Flow)
-      // TTS → PulseAudio speaker → loopback → virtual mic → browser → Umi
-      // This gives a real customer experience
-      // ============================================================
-      if (hasPaplayBridge) {
-        console.log('[arbor] PRIMARY: Playing via paplay (real audio flow to Umi)');
-        try {
-          await window.__arborPlayAudio(item.data, item.rate);
-          console.log('[arbor] paplay completed');
-        } catch (error) {
-          log('error', 'TTS playback failed:', error.message);
-          log('error', 'Stopping TTS queue - PulseAudio may be down');
-          // Clear the queue to prevent burning through all chunks
-          playbackQueue.length = 0;
-          isPlayingTTS = false;
-          // Notify that audio failed
-          log('warn', '⚠️ TTS audio playback failed. Interview may be stuck. Check PulseAudio status.');
-          throw error; // Re-throw to stop processing
-        }
+    let base64 = '';
+    if (pcmData && pcmData.length > 0) {
+      // Debug: Log occasionally to verify audio is being sent
+      if (Math.random() < 0.05) {  // Log ~5% of chunks for debugging
+        log('debug', 'Sending audio chunk to STT - size:', pcmData.length, 'samples, rate:', sampleRate);
       }
       
-      // ============================================================
-      // SECONDARY/FALLBACK: WebRTC injection (if paplay fails)
-      // Only used as backup - directly injects into WebRTC stream
-      // ============================================================
-       else {
-        console.warn('[arbor] paplay bridge not available! Audio will not reach Umi.');
-        console.warn('[arbor] Make sure __arborPlayAudio is exposed from Node.js');
-
-      }
-    } catch (e) {
-      console.error('[arbor] Playback error:', e.message);
-      // If it's a critical error (PulseAudio down), stop the queue AND enable backoff
-      if (e.message && (e.message.includes('PulseAudio') || e.message.includes('TTS playback failed'))) {
-        playbackQueue.length = 0;
-        isPlayingTTS = false;
-
-        // Enable 5-second backoff to prevent rapid chunk arrivals from causing race condition
-        playbackBackoffUntil = Date.now() + 5000;
-        log('error', 'CRITICAL: TTS playback failed. Stopping queue and entering 5s backoff period.');
-        return; // Don't continue processing
+      const bytes = new Uint8Array(new Int16Array(pcmData).buffer);
+      let binary = '';
+      const chunkSize = 8192;
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i + chunkSize, bytes.length)));
       }
+      base64 = btoa(binary);
     }
     
-    // Continue with next chunk immediately (playback already awaited above)
-    if (isPlayingTTS) {
-      playNextFromQueue();  // No setTimeout - we already awaited paplay completion
-    }
-  }
-  
-  async function playViaBrowser(base64Data, sampleRate) {
-    if (!playbackContext) {
-      playbackContext = new (window.AudioContext || window.webkitAudioContext)();
-      log('info', '🔊 Browser AudioContext created');
-    }
-    
-    // Decode base64 to raw bytes
-    const binary = atob(base64Data);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    
-    // Convert Int16 PCM to Float32
-    const pcm16 = new Int16Array(bytes.buffer);
-    const float32 = new Float32Array(pcm16.length);
-    for (let j = 0; j < pcm16.length; j++) {
-      float32[j] = pcm16[j] / 32768.0;
-    }
-    
-    // Create audio buffer
-    const buffer = playbackContext.createBuffer(1, float32.length, sampleRate);
-    buffer.getChannelData(0).set(float32);
-    
-    return new Promise(function(resolve) {
-      const source = playbackContext.createBufferSource();
-      source.buffer = buffer;
-      
-      const gain = playbackContext.createGain();
-      gain.gain.value = 5.0;  // Boost volume
-      
-      source.connect(gain);
-      gain.connect(playbackContext.destination);
-      
-      source.onended = resolve;
-      source.start(0);
+    window.__arborSendAudio(base64, sampleRate, pendingActivity).catch(function(e) {
+      log('error', 'Send audio error:', e.message);
     });
+    pendingActivity = null;
+    lastSentAt = Date.now();
   }
   
-  // Expose for external calls
-  window.__arborPlayTTS = playAudioBase64;
-  
   // ============================================================
-  // GEMINI LIVE API - STT (Speech-to-Text) CONNECTION
+  // PLAYBACK STATE (the answer is played by Node)
   // ============================================================
   
-  function connectSTT() {
-    log('info', 'Connecting STT WebSocket...');
-    
-    // Get API key from config
-    const apiKey = window.__ARBOR_CONFIG && window.__ARBOR_CONFIG.GEMINI_API_KEY 
-      ? window.__ARBOR_CONFIG.GEMINI_API_KEY 
-      : GEMINI_API_KEY;
-    
-    if (!apiKey || apiKey.length < 10 || !apiKey.startsWith('AIza')) {
-      log('warn', 'No valid Gemini API key provided, STT disabled');
-      return;
-    }
-    
-    GEMINI_API_KEY = apiKey;
-    
-    const url = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=' + encodeURIComponent(apiKey);
-    
-    sttWs = new WebSocket(url);
-    geminiWs = sttWs; // Legacy alias
-    
-    sttWs.onopen = function() {
-      log('info', '[STT] WebSocket connected');
-      
-      // STT setup: TEXT modality + input transcription
-      sttWs.send(JSON.stringify({
-        setup: {
-          model: 'models/gemini-2.0-flash-exp',
-          generation_config: {
-            response_modalities: ['TEXT']
-          },
-          input_audio_transcription: {}
-        }
-      }));
-    };
-    
-    sttWs.onmessage = async function(event) {
-      try {
-        const txt = typeof event.data === 'string' ? event.data : await event.data.text();
-        const data = JSON.parse(txt);
-        
-        if (data.setupComplete) {
-          sttReady = true;
-          geminiReady = true;
-          log('info', '[STT] ✓ Ready to listen');
-          return;
-        }
-        
-        if (data.serverContent) {
-          handleSTTResponse(data.serverContent);
-        }
-      } catch (e) {
-        log('error', '[STT] Parse error:', e.message);
-      }
-    };
-    
-    sttWs.onerror = function(err) {
-      log('error', '[STT] WebSocket error:', err.message || err);
-    };
-    
-    sttWs.onclose = function(ev) {
-      sttReady = false;
-      geminiReady = false;
-      log('info', '[STT] WebSocket closed:', ev.code);
-      setTimeout(connectSTT, 5000);
-    };
-  }
-  
-  // ============================================================
-  // GEMINI LIVE API - TTS (Text-to-Speech) CONNECTION
-  // ============================================================
-  
-  function connectTTS() {
-    log('info', 'Connecting TTS WebSocket...');
-    
-    const apiKey = window.__ARBOR_CONFIG && window.__ARBOR_CONFIG.GEMINI_API_KEY 
-      ? window.__ARBOR_CONFIG.GEMINI_API_KEY 
-      : GEMINI_API_KEY;
-    
-    if (!apiKey || apiKey.length < 10) {
-      log('warn', 'No valid Gemini API key for TTS');
-      return;
-    }
-    
-    const url = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent?key=' + encodeURIComponent(apiKey);
-    
-    ttsWs = new WebSocket(url);
-    
-    ttsWs.onopen = function() {
-      log('info', '[TTS] WebSocket connected');
-      
-      // TTS setup: AUDIO modality with voice config
-      ttsWs.send(JSON.stringify({
-        setup: {
-          model: 'models/gemini-2.0-flash-exp',
-          generation_config: {
-            response_modalities: ['AUDIO'],
-            speech_config: {
-              voice_config: {
-                prebuilt_voice_config: {
-                  voice_name: 'Puck'
-                }
-              }
-            }
-          }
-        }
-      }));
-    };
-    
-    ttsWs.onmessage = async function(event) {
-      try {
-        const txt = typeof event.data === 'string' ? event.data : await event.data.text();
-        const data = JSON.parse(txt);
-        
-        if (data.setupComplete) {
-          ttsReady = true;
-          log('info', '[TTS] ✓ Ready to speak');
-          return;
-        }
-        
-        // Handle audio response
-        if (data.serverContent && data.serverContent.modelTurn) {
-          const parts = data.serverContent.modelTurn.parts || [];
-          for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
-            if (part.inlineData && part.inlineData.mimeType && part.inlineData.mimeType.startsWith('audio/')) {
-              log('info', '[TTS] Playing audio response...');
-              playAudioBase64(part.inlineData.data);
-            }
-          }
-        }
-        
-        // Turn complete
-        if (data.serverContent && data.serverContent.turnComplete) {
-          log('info', '[TTS] Response complete');
-          isPlayingTTS = false;
-          isWaitingForResponse = false;
-        }
-      } catch (e) {
-        log('error', '[TTS] Parse error:', e.message);
+  // Playback state from the PulseAudio sink in Node: 'start' when audio is really playing,
+  // 'end' once all of it was heard, 'error' when pacat failed
+  window.__arborOnPlayback = function(type, data) {
+    data = data || {};
+    
+    if (type === 'start') {
+      if (!isSpeaking) {
+        isSpeaking = true;
+        speakingStartedAt = Date.now();
+        bargeInSpeechMs = 0;
+        bargeInQuietMs = 0;
+        bargeInPreroll = [];
       }
-    };
-    
-    ttsWs.onerror = function(err) {
-      log('error', '[TTS] WebSocket error:', err.message || err);
-    };
-    
-    ttsWs.onclose = function(ev) {
-      ttsReady = false;
-      log('info', '[TTS] WebSocket closed:', ev.code);
-      setTimeout(connectTTS, 5000);
-    };
-  }
-  
-  // Legacy alias for compatibility
-  function connectGemini() {
-    log('info', 'Starting Gemini connections (STT + TTS)...');
-    log('info', 'API key first 10 chars:', GEMINI_API_KEY ? GEMINI_API_KEY.substring(0, 10) : 'checking...');
-    connectSTT();
-    connectTTS();
-  }
-  
-  function processBufferedQuestion() {
-    const question = transcriptBuffer.trim();
-    if (question.length > 0) {
-      log('info', '⏱️ Processing question...');
-      
-      // Save captured audio file before processing
-      if (capturedAudioChunks.length > 0 && window.__arborSaveAudioFile) {
-        const questionId = Date.now();
-        currentQuestionId = questionId;
-        
-        // Combine all captured chunks
-        const totalLength = capturedAudioChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-        const combined = new Uint8Array(totalLength);
-        let offset = 0;
-        for (const chunk of capturedAudioChunks) {
-          combined.set(chunk, offset);
-          offset += chunk.length;
-        }
-        
-        // Convert to base64
-        let binary = '';
-        const chunkSize = 8192;
-        for (let i = 0; i < combined.length; i += chunkSize) {
-          const chunk = combined.subarray(i, Math.min(i + chunkSize, combined.length));
-          binary += String.fromCharCode.apply(null, chunk);
-        }
-        const base64 = btoa(binary);
-        
-        // Get sample rate from capture context or default
-        const sampleRate = (captureContext && captureContext.sampleRate) ? captureContext.sampleRate : 48000;
-        
-        // Save captured audio file
-        window.__arborSaveAudioFile(base64, `captured_audio_${questionId}.pcm`, sampleRate).catch(e => {
-          log('warn', 'Failed to save captured audio:', e.message);
-        });
-        
-        // Save converted audio (same as captured for now)
-        window.__arborSaveAudioFile(base64, `converted_audio_${questionId}.pcm`, sampleRate).catch(e => {
-          log('warn', 'Failed to save converted audio:', e.message);
-        });
-        
-        // Clear captured chunks
-        capturedAudioChunks = [];
+    } else if (type === 'end' || type === 'error') {
+      if (type === 'error') {
+        log('warn', '⚠️ TTS audio playback failed (' + data.reason + '). Check PulseAudio status.');
       }
-      
-      // Check if this is the same question as before
-      if (isSameQuestion(question, lastQuestion)) {
-        log('info', '🔄 Same question detected, asking to repeat...');
-        askToRepeatQuestion();
-      } else {
-        // New question - store it and generate response
-        lastQuestion = question;
-        generateResponse(question);
-      }
-      
-      transcriptBuffer = '';
+      stopSpeaking();
     }
-  }
+  };
   
-  function handleSTTResponse(serverContent) {
-    // Input transcription (interviewer's speech)
-    if (serverContent.inputTranscription) {
-      const text = serverContent.inputTranscription.text || serverContent.inputTranscription.transcript || '';
-      
-      if (text) {
-        log('info', '📝 Interviewer:', text);
-        
-        // Always update transcription time and buffer - keep listening even while responding
-        transcriptBuffer += ' ' + text;
-        lastTranscriptionTime = Date.now();
-        
-        // Cancel "no audio heard" timer since we just heard something
-        if (noAudioTimer) {
-          clearTimeout(noAudioTimer);
-          noAudioTimer = null;
-          log('debug', 'Cancelled "no audio heard" timer - received transcription');
-        }
-        
-        // Reset repeat flag when we hear something (Umi responded!)
-        if (hasAskedToRepeat) {
-          hasAskedToRepeat = false;
-          log('debug', 'Reset repeat flag - received transcription after asking to repeat');
-        }
-        
-        // Only process and respond if we're not currently playing TTS or waiting for response
-        // But keep building the buffer so we don't miss anything
-        if (!isPlayingTTS && !isWaitingForResponse) {
-          // Reset response timer
-          if (responseTimer) clearTimeout(responseTimer);
-          
-        // Wait for silence before responding
-        responseTimer = setTimeout(function() {
-          processBufferedQuestion();
-        }, RESPONSE_DELAY_MS);
-        }
-      }
-    }
+  // Back to listening: what was heard while we spoke is not the next question
+  function stopSpeaking() {
+    isSpeaking = false;
+    speakingStartedAt = null;
+    pcmBuffer = [];
+    vadPreroll = [];
+    pendingActivity = null;
+    wasSpeaking = false;
   }
   
-  // Legacy handler for backwards compatibility
-  function handleGeminiResponse(serverContent) {
-    handleSTTResponse(serverContent);
-    
-    // Audio response (TTS) - handled by TTS WebSocket now
-    if (serverContent.modelTurn) {
-      const parts = serverContent.modelTurn.parts || [];
-      
-      for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        
-        if (part.inlineData && part.inlineData.mimeType && part.inlineData.mimeType.startsWith('audio/')) {
-          playAudioBase64(part.inlineData.data, 24000);
-        }
-        
-        if (part.text) {
-          log('info', '💬 Response:', part.text.slice(0, 100));
-        }
-      }
-    }
-  }
+  // ============================================================
+  // BARGE-IN (interviewer talks over the candidate)
+  // ============================================================
   
-  function sendAudioToLLM(pcmData, sampleRate) {
-    if (!geminiWs || geminiWs.readyState !== WebSocket.OPEN || !geminiReady) {
-      log('debug', 'Cannot send audio - STT not ready (readyState:', geminiWs ? geminiWs.readyState : 'null', 'geminiReady:', geminiReady, ')');
-      return;
-    }
-    
-    try {
-      // Debug: Log occasionally to verify audio is being sent
-      if (Math.random() < 0.05) {  // Log ~5% of chunks for debugging
-        log('debug', 'Sending audio chunk to STT - size:', pcmData.length, 'samples, rate:', sampleRate);
-      }
-      // Convert to Int16Array
-      const pcm16 = new Int16Array(pcmData);
-      const bytes = new Uint8Array(pcm16.buffer);
-      
-      // Accumulate captured audio chunks for saving
-      capturedAudioChunks.push(bytes);
-      
-      // Convert to base64
-      let binary = '';
-      const chunkSize = 8192;
-      for (let i = 0; i < bytes.length; i += chunkSize) {
-        const chunk = bytes.subarray(i, Math.min(i + chunkSize, bytes.length));
-        binary += String.fromCharCode.apply(null, chunk);
-      }
-      const base64 = btoa(binary);
-      
-      // Send to Gemini
-      geminiWs.send(JSON.stringify({
-        realtimeInput: {
-          mediaChunks: [{
-            mimeType: 'audio/pcm;rate=' + sampleRate,
-            data: base64
-          }]
-        }
-      }));
-      
-    } catch (e) {
-      log('error', 'Send audio error:', e.message);
-    }
-  }
+  let bargeInPreroll = [];  // Interviewer speech heard before the barge-in fired, sent to STT after it
   
-  function generateResponse(question) {
-    if (isWaitingForResponse) return;
+  // True once the interviewer has been talking over our playback for BARGE_IN_MIN_SPEECH_MS
+  function detectBargeIn(samples, sampleRate) {
+    if (!BARGE_IN_ENABLED || !isSpeaking || isEnded) return false;
     
-    isWaitingForResponse = true;
-    // Note: Don't set isPlayingTTS here - let playAudioBase64 set it when audio arrives
-    
-    log('info', '🤔 Generating response for:', question.slice(0, 80));
+    let sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sumSquares += samples[i] * samples[i];
+    }
+    const rms = Math.sqrt(sumSquares / samples.length);
+    const chunkMs = samples.length / sampleRate * 1000;
     
-    // Use TTS WebSocket to generate audio response
-    if (ttsWs && ttsWs.readyState === WebSocket.OPEN && ttsReady) {
-      log('info', '💬 Sending to TTS...');
-      ttsWs.send(JSON.stringify({
-        clientContent: {
-          turns: [{
-            role: 'user',
-            parts: [{
-              text: 'You are being interviewed for a job. Respond naturally and concisely (1-2 sentences max) to this question: ' + question
-            }]
-          }],
-          turnComplete: true
-        }
-      }));
+    if (rms >= BARGE_IN_THRESHOLD) {
+      bargeInSpeechMs += chunkMs;
+      bargeInQuietMs = 0;
+      bargeInPreroll.push(new Float32Array(samples));
     } else {
-      log('warn', 'TTS not ready, falling back to STT WebSocket');
-      // Fallback to STT WebSocket (will return text, not audio)
-      if (geminiWs && geminiWs.readyState === WebSocket.OPEN && geminiReady) {
-        geminiWs.send(JSON.stringify({
-          clientContent: {
-            turns: [{
-              role: 'user',
-              parts: [{
-                text: 'You are being interviewed. Respond naturally and concisely (1-2 sentences max) to this question: ' + question
-              }]
-            }],
-            turnComplete: true
-          }
-        }));
-      } else {
-        log('error', 'Neither TTS nor STT WebSocket available');
-        isWaitingForResponse = false;
-        isPlayingTTS = false;
+      bargeInQuietMs += chunkMs;
+      if (bargeInQuietMs >= BARGE_IN_RESET_MS) {
+        bargeInSpeechMs = 0;
+        bargeInPreroll = [];
       }
     }
-  }
-  
-  function startCooldown() {
-    // Prevent multiple cooldown calls
-    if (isInCooldown) {
-      log('debug', 'Cooldown already in progress, skipping...');
-      return;
-    }
-    
-    log('debug', 'Starting cooldown...');
-    isInCooldown = true;
-    
-    if (cooldownTimer) clearTimeout(cooldownTimer);
     
-    cooldownTimer = setTimeout(function() {
-      isPlayingTTS = false;
-      isWaitingForResponse = false;
-      
-      // Check if we have buffered transcriptions that came in during cooldown
-      if (transcriptBuffer.trim().length > 0) {
-        log('info', '📝 Processing buffered transcriptions after cooldown...');
-        // Process the buffered question after a short delay
-        if (responseTimer) clearTimeout(responseTimer);
-        responseTimer = setTimeout(function() {
-          processBufferedQuestion();
-        }, RESPONSE_DELAY_MS);
-      } else {
-        // No buffered transcriptions, clear the buffer and continue
-        transcriptBuffer = '';
-      }
-      
-      isInCooldown = false;
-      hasAskedToRepeat = false;  // Reset repeat flag after cooldown
-      log('info', '✓ Ready for next question');
-      
-      // After cooldown, start monitoring for "no audio heard"
-      // Reset transcription time to now (we're ready to listen)
-      lastTranscriptionTime = Date.now();
-      startNoAudioCheck();
-      
-      // Clear last question after cooldown (new conversation turn)
-      // This allows the same question to be asked again after a response
-      lastQuestion = '';
-    }, COOLDOWN_MS);
+    return bargeInSpeechMs >= BARGE_IN_MIN_SPEECH_MS;
   }
   
-  /**
-   * Start monitoring if agent doesn't hear anything after 15 seconds
-   * If no transcription is received, ask Umi to repeat
-   */
-  function startNoAudioCheck() {
-    // Don't start if we already asked to repeat (prevent loop)
-    if (hasAskedToRepeat) {
-      log('debug', 'Skipping no-audio check - already asked to repeat');
-      return;
-    }
+  // Tells Node to stop our answer and goes back to listening (Node records the answer as cut off)
+  function triggerBargeIn() {
+    log('info', '✋ Interviewer barged in after', Date.now() - speakingStartedAt, 'ms - stopping playback');
+    
+    const preroll = bargeInPreroll;
+    stopSpeaking();
+    bargeInSpeechMs = 0;
+    bargeInQuietMs = 0;
+    bargeInPreroll = [];
     
-    // Clear any existing timer
-    if (noAudioTimer) {
-      clearTimeout(noAudioTimer);
+    if (typeof window.__arborBargeIn === 'function') {
+      window.__arborBargeIn().catch(function() {});
     }
     
-    // Set timer for 15 seconds
-    noAudioTimer = setTimeout(function() {
-      // Check if we've heard anything since the check started
-      const timeSinceLastTranscription = Date.now() - (lastTranscriptionTime || 0);
-      
-      // If no transcription in the last 15 seconds, ask Umi to repeat
-      // Only ask once per conversation turn (hasAskedToRepeat flag prevents loop)
-      if (timeSinceLastTranscription >= 15000 && !isPlayingTTS && !isWaitingForResponse && !hasAskedToRepeat) {
-        log('info', '🔇 No audio heard for 15 seconds, asking Umi to repeat...');
-        askUmiToRepeat();
-      }
-      
-      // Reset timer for next check
-      noAudioTimer = null;
-    }, 15000);
+    // What the interviewer said while the barge-in was being confirmed
+    preroll.forEach(pushPcm);
+    wasSpeaking = true;
   }
   
-  /**
-   * Check if two questions are the same (simple similarity check)
-   * @param {string} question1 - First question
-   * @param {string} question2 - Second question
-   * @returns {boolean} True if questions are similar
-   */
-  function isSameQuestion(question1, question2) {
-    if (!question1 || !question2) return false;
-    if (question1.length < 10 || question2.length < 10) return false;
-    
-    // Normalize: lowercase, remove extra spaces, remove punctuation
-    const normalize = (str) => {
-      // Remove common prefixes like "here's the question one more time", "here's the first question", etc.
-      let normalized = str.toLowerCase();
-      // Remove prefixes - simplified regex to avoid linter issues
-      const prefixPattern1 = /^here'?s?\s+(the\s+)?(question\s+)?(one\s+more\s+time|first\s+question|next\s+question)[\s.]*/i;
-      const prefixPattern2 = /^(let'?s?\s+)?(go\s+back\s+to\s+)?(the\s+)?(question|first\s+question)[\s.]*/i;
-      normalized = normalized.replace(prefixPattern1, '');
-      normalized = normalized.replace(prefixPattern2, '');
-      // Remove punctuation and normalize spaces
-      normalized = normalized.replace(/[^\w\s]/g, ' ');
-      normalized = normalized.replace(/\s+/g, ' ');
-      return normalized.trim();
-    };
-    
-    const q1 = normalize(question1);
-    const q2 = normalize(question2);
-    
-    // Check if they're very similar (80% word overlap or exact match)
-    if (q1 === q2) return true;
-    
-    // Word-based similarity
-    const words1 = q1.split(' ').filter(w => w.length > 2);  // Ignore short words
-    const words2 = q2.split(' ').filter(w => w.length > 2);
-    
-    if (words1.length === 0 || words2.length === 0) return false;
-    
-    const commonWords = words1.filter(w => words2.includes(w));
-    const similarity = commonWords.length / Math.max(words1.length, words2.length);
-    
-    return similarity >= 0.6;  // 60% word overlap = same question (lowered threshold)
-  }
+  // ============================================================
+  // OPERATOR CONTROL (window.__arborControl)
+  // ============================================================
   
   /**
-   * Ask Umi to repeat the question (when question hasn't changed)
+   * Stop listening, then try to leave the call through the page's own button
+   * (the conversation in Node stops speaking)
+   * @returns {{ok: boolean, clicked: string|null}} Result with the clicked button text
    */
-  function askToRepeatQuestion() {
-    if (!ttsWs || ttsWs.readyState !== WebSocket.OPEN || !ttsReady) {
-      log('warn', 'TTS not ready, cannot ask to repeat');
-      return;
-    }
-    
-    if (isPlayingTTS || isWaitingForResponse) {
-      log('debug', 'Skipping repeat request - already speaking or waiting');
-      return;
+  function endInterview() {
+    isEnded = true;
+    
+    stopAudioCapture();
+    
+    const buttons = document.querySelectorAll(BUTTON_SELECTOR);
+    for (let i = 0; i < buttons.length; i++) {
+      const txt = (buttons[i].innerText || buttons[i].textContent || '').toLowerCase().trim();
+      if (END_BUTTON_TEXTS.some(function(t) { return txt.includes(t); }) && isVisible(buttons[i])) {
+        buttons[i].click();
+        log('info', '🛑 Interview ended, clicked: "' + txt.slice(0, 30) + '"');
+        emitEvent('auto_click', { button: txt.slice(0, 30) });
+        return { ok: true, clicked: txt.slice(0, 30) };
+      }
     }
     
-    const repeatMessage = "Can you repeat the question please?";
-    
-    log('info', '🔄 Asking to repeat question:', repeatMessage);
-    
-    isWaitingForResponse = true;
-    
-    // Use TTS WebSocket to speak the request
-    ttsWs.send(JSON.stringify({
-      clientContent: {
-        turns: [{
-          role: 'user',
-          parts: [{
-            text: repeatMessage
-          }]
-        }],
-        turnComplete: true
-      }
-    }));
+    log('info', '🛑 Interview ended');
+    return { ok: true, clicked: null };
   }
   
   /**
-   * Ask Umi to repeat (when no audio heard for 15 seconds)
+   * Entry point for operator commands, called from Node via page.evaluate.
+   * Only 'end' is handled here; pause, resume, say, skip and repeat go to the conversation in Node.
+   * @param {'end'} action - Command
+   * @returns {Object} Result ({ ok: false, error } if the command could not run)
    */
-  function askUmiToRepeat() {
-    if (!ttsWs || ttsWs.readyState !== WebSocket.OPEN || !ttsReady) {
-      log('warn', 'TTS not ready, cannot ask Umi to repeat');
-      return;
-    }
-    
-    // Don't ask if we're already playing TTS or waiting for response
-    if (isPlayingTTS || isWaitingForResponse) {
-      log('debug', 'Skipping repeat request - already speaking or waiting');
-      return;
-    }
-    
-    // Prevent asking multiple times (flag will be reset after cooldown)
-    if (hasAskedToRepeat) {
-      log('debug', 'Already asked to repeat, skipping...');
-      return;
+  window.__arborControl = function(action) {
+    switch (action) {
+      case 'end':
+        return endInterview();
+      
+      default:
+        return { ok: false, error: 'Unknown action: ' + action };
     }
-    
-    const repeatMessage = "Hey Umi, can you come again please? I didn't catch that.";
-    
-    log('info', '🎤 Asking Umi to repeat:', repeatMessage);
-    
-    // Mark that we've asked to repeat (prevents loop)
-    hasAskedToRepeat = true;
-    
-    // Use TTS WebSocket to speak the request
-    ttsWs.send(JSON.stringify({
-      clientContent: {
-        turns: [{
-          role: 'user',
-          parts: [{
-            text: repeatMessage
-          }]
-        }],
-        turnComplete: true
-      }
-    }));
-    
-    // Mark that we're waiting for response (so we don't ask again immediately)
-    isWaitingForResponse = true;
-    
-    // After asking, wait longer before checking again (30 seconds)
-    // This gives Umi time to respond without triggering another loop
-    setTimeout(function() {
-      isWaitingForResponse = false;
-      lastTranscriptionTime = Date.now();
-      // Don't restart no-audio check here - it will restart after cooldown
-      // This prevents the loop
-    }, 5000);
-  }
+  };
   
   // ============================================================
   // INITIALIZATION
@@ -1406,15 +727,8 @@
     
     log('info', '=== Interview Bot Automation ===');
     
-    // Start auto-click automation
-    setInterval(runAutoClick, AUTO_CLICK_INTERVAL_MS);
-    log('info', 'Auto-click automation started');
-    
     // Start audio capture after a delay
-    setTimeout(function() {
-      startAudioCapture();
-      connectGemini();
-    }, 5000);
+    setTimeout(startAudioCapture, 5000);
     
     log('info', '✓ Automation initialized');
   }
@@ -0,0 +1,224 @@
+/**
+ * Endpointer Module
+ * 
+ * @module audio/endpointer
+ * @description Decides when the interviewer has finished their turn, so the candidate can
+ *              answer within a second instead of after a fixed 5-8 second silence timer.
+ *              Combines the VAD on the downlink (createVoiceActivityDetector) with
+ *              transcript cues (a trailing question mark) and the Live API's turn signals.
+ *              Runs in Node (llm/conversation); the page only runs the VAD in its capture
+ *              worklet and forwards the results (processVoiceActivity).
+ * 
+ * @example
+ * const { createEndpointer } = require('./audio/endpointer');
+ * 
+ * const endpointer = createEndpointer({ minSilenceMs: 700, hangoverMs: 300 });
+ * endpointer.processAudio(samples, 16000);
+ * endpointer.addTranscript('What did you work on last?');
+ * 
+ * const reason = endpointer.check();
+ * if (reason) answer(question);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only decides where a turn ends
+ * - Open/Closed: New cues are new inputs to check(), callers stay unchanged
+ * - Dependency Inversion: Fed audio and transcripts by the caller; knows nothing of sockets or pages
+ */
+
+'use strict';
+
+const { createVoiceActivityDetector } = require('./processor');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  MIN_SILENCE_MS: 700,
+  HANGOVER_MS: 300,
+  VAD_THRESHOLD_DB: -50,
+  QUESTION_SILENCE_MS: 250,
+  TRANSCRIPT_SETTLE_MS: 300,
+  MAX_WAIT_MS: 5000,
+  AUDIO_STALE_MS: 1000,
+};
+
+/**
+ * @typedef {Object} EndpointerOptions
+ * @property {number} [minSilenceMs=700] - Silence after the hangover that ends a turn
+ * @property {number} [hangoverMs=300] - How long speech is assumed to continue after the last voiced frame
+ * @property {number} [vadThresholdDb=-50] - Minimum frame level (dBFS) for speech; the VAD also needs it above the noise floor
+ * @property {number} [questionSilenceMs=250] - Silence that ends a turn whose transcript ends with '?'
+ * @property {number} [transcriptSettleMs=300] - Quiet time on the transcript before a turn can end (lets STT catch up)
+ * @property {number} [maxWaitMs=5000] - Ends the turn this long after the last transcript when VAD cannot decide
+ */
+
+/**
+ * @typedef {Object} VoiceActivity
+ * @property {boolean} speaking - Speech within the hangover window
+ * @property {boolean} speechEnded - This frame ended a stretch of speech
+ */
+
+/**
+ * Why a turn ended: 'turn_signal' (Live API), 'question' (trailing '?'),
+ * 'silence' (minimum silence) or 'timeout' (maxWaitMs without a VAD decision)
+ * @typedef {'turn_signal'|'question'|'silence'|'timeout'} EndpointReason
+ */
+
+/**
+ * Creates a new endpointer
+ * 
+ * @param {EndpointerOptions} [options={}] - Endpointer configuration
+ * @returns {{processAudio: Function, processVoiceActivity: Function, addTranscript: Function, markTurnSignal: Function, check: Function, getLastSpeechAt: Function, getVadOptions: Function, reset: Function}} Endpointer
+ * 
+ * @example
+ * const endpointer = createEndpointer({ minSilenceMs: 500 });
+ */
+function createEndpointer(options = {}) {
+  const {
+    minSilenceMs = DEFAULTS.MIN_SILENCE_MS,
+    hangoverMs = DEFAULTS.HANGOVER_MS,
+    vadThresholdDb = DEFAULTS.VAD_THRESHOLD_DB,
+    questionSilenceMs = DEFAULTS.QUESTION_SILENCE_MS,
+    transcriptSettleMs = DEFAULTS.TRANSCRIPT_SETTLE_MS,
+    maxWaitMs = DEFAULTS.MAX_WAIT_MS,
+  } = options;
+  
+  // The VAD's hangover keeps a segment open through short pauses; check() counts silence from its end
+  const vadOptions = { minSpeechDb: vadThresholdDb, hangoverMs };
+  let vad = null;
+  
+  let transcript = '';
+  let lastTranscriptAt = null;
+  let lastVoiceAt = null;
+  let lastAudioAt = null;
+  let turnSignalAt = null;
+  let wasSpeaking = false;
+  
+  /**
+   * Feeds VAD output computed elsewhere (e.g. in the capture worklet)
+   * 
+   * @param {{speaking: boolean, segments: Array<{start: number, end: number}>, time: number}} activity - VAD process() result
+   * @param {number} [now=Date.now()] - When it arrived (epoch ms); VAD times are mapped onto it
+   * @returns {VoiceActivity} Voice activity after this audio
+   */
+  function processVoiceActivity(activity, now = Date.now()) {
+    lastAudioAt = now;
+    
+    if (activity.speaking) {
+      lastVoiceAt = now;
+    } else if (activity.segments.length > 0) {
+      const segment = activity.segments[activity.segments.length - 1];
+      lastVoiceAt = now - (activity.time - segment.end);
+    }
+    
+    const speechEnded = wasSpeaking && !activity.speaking;
+    wasSpeaking = activity.speaking;
+    
+    return { speaking: activity.speaking, speechEnded };
+  }
+  
+  /**
+   * Feeds downlink audio to the endpointer's own VAD
+   * 
+   * @param {Float32Array|Int16Array} samples - Audio frame
+   * @param {number} sampleRate - Frame sample rate (Hz)
+   * @param {number} [now=Date.now()] - Arrival time (epoch ms)
+   * @returns {VoiceActivity} Voice activity after this audio
+   */
+  function processAudio(samples, sampleRate, now = Date.now()) {
+    if (!vad) vad = createVoiceActivityDetector(vadOptions);
+    return processVoiceActivity(vad.process(samples, sampleRate), now);
+  }
+  
+  /**
+   * Adds a transcription fragment of the current turn
+   * 
+   * @param {string} text - Transcribed text
+   * @param {number} [now=Date.now()] - When it arrived (epoch ms)
+   */
+  function addTranscript(text, now = Date.now()) {
+    if (!text || !text.trim()) return;
+    transcript = `${transcript} ${text}`.trim();
+    lastTranscriptAt = now;
+  }
+  
+  /**
+   * Records a turn signal from the Live API (turnComplete, generationComplete,
+   * inputTranscription.finished)
+   * 
+   * @param {number} [now=Date.now()] - When it arrived (epoch ms)
+   */
+  function markTurnSignal(now = Date.now()) {
+    turnSignalAt = now;
+  }
+  
+  /**
+   * Decides whether the current turn is over
+   * 
+   * @param {number} [now=Date.now()] - Current time (epoch ms)
+   * @returns {EndpointReason|null} Why the turn ended, or null while it goes on
+   */
+  function check(now = Date.now()) {
+    if (!transcript || now - lastTranscriptAt < transcriptSettleMs) return null;
+    
+    // Continuous noise above the threshold (or no downlink audio at all) must not stall the turn
+    const sinceTranscript = now - lastTranscriptAt;
+    const hasVoiceActivity = lastVoiceAt !== null && lastAudioAt !== null && now - lastAudioAt < DEFAULTS.AUDIO_STALE_MS;
+    if (!hasVoiceActivity || sinceTranscript >= maxWaitMs) {
+      return sinceTranscript >= maxWaitMs ? 'timeout' : null;
+    }
+    
+    if (wasSpeaking) return null;
+    const silenceMs = now - lastVoiceAt - hangoverMs;
+    if (silenceMs < 0) return null;
+    
+    if (turnSignalAt !== null && turnSignalAt >= lastVoiceAt) return 'turn_signal';
+    if (/\?\s*$/.test(transcript) && silenceMs >= questionSilenceMs) return 'question';
+    if (silenceMs >= minSilenceMs) return 'silence';
+    return null;
+  }
+  
+  /**
+   * Returns when speech was last heard, the end of the question for latency purposes
+   * 
+   * @returns {number|null} Epoch ms, or null if the VAD never heard speech
+   */
+  function getLastSpeechAt() {
+    return lastVoiceAt;
+  }
+  
+  /**
+   * Returns the VAD settings this endpointer expects, for a VAD running elsewhere
+   * 
+   * @returns {Object} createVoiceActivityDetector options
+   */
+  function getVadOptions() {
+    return { ...vadOptions };
+  }
+  
+  /**
+   * Starts a new turn (after the question was taken, skipped or dropped)
+   */
+  function reset() {
+    transcript = '';
+    lastTranscriptAt = null;
+    turnSignalAt = null;
+  }
+  
+  return {
+    processAudio,
+    processVoiceActivity,
+    addTranscript,
+    markTurnSignal,
+    check,
+    getLastSpeechAt,
+    getVadOptions,
+    reset,
+  };
+}
+
+module.exports = {
+  createEndpointer,
+  DEFAULTS,
+};
@@ -6,7 +6,11 @@
 
 const { getAudioCaptureScript, pcmToBase64, base64ToPcm } = require('./capture');
 const { getAudioPlaybackScript } = require('./playback');
+const { createPulseSink } = require('./pulse-sink');
+const { createSinkPair } = require('./sink-pair');
 const processor = require('./processor');
+const { createSessionRecorder, Track } = require('./recorder');
+const { createEndpointer } = require('./endpointer');
 
 module.exports = {
   // Capture
@@ -16,17 +20,32 @@ module.exports = {
   
   // Playback
   getAudioPlaybackScript,
+  createPulseSink,
+  createSinkPair,
   
   // Processor utilities
   resample: processor.resample,
+  createResampler: processor.createResampler,
+  getResamplerScript: processor.getResamplerScript,
   int16ToFloat32: processor.int16ToFloat32,
   float32ToInt16: processor.float32ToInt16,
   calculateRMS: processor.calculateRMS,
   rmsToDb: processor.rmsToDb,
   detectVoiceActivity: processor.detectVoiceActivity,
+  zeroCrossingRate: processor.zeroCrossingRate,
+  createVoiceActivityDetector: processor.createVoiceActivityDetector,
+  detectSpeechSegments: processor.detectSpeechSegments,
+  getVoiceActivityDetectorScript: processor.getVoiceActivityDetectorScript,
   applyGain: processor.applyGain,
   mixAudio: processor.mixAudio,
   encodeBase64: processor.encodeBase64,
   decodeBase64: processor.decodeBase64,
+  
+  // Recorder
+  createSessionRecorder,
+  Track,
+  
+  // Endpointing
+  createEndpointer,
 };
 
@@ -1,12 +1,167 @@
 /**
  * Audio Processor Module
  * 
- * Handles audio format conversion and resampling
+ * Handles audio format conversion, resampling and voice activity detection
  */
 
+/**
+ * Default settings of the polyphase resampler (createResampler)
+ * @constant {Object}
+ */
+const RESAMPLER_DEFAULTS = {
+  ZERO_CROSSINGS: 16,
+  CUTOFF: 0.95,
+  KAISER_BETA: 8,
+  MAX_PHASES: 1024,
+};
+
+/**
+ * Streaming polyphase resampler
+ * Windowed-sinc (Kaiser) low-pass filter at the lower of the two Nyquist frequencies,
+ * evaluated only at the output instants: the rate ratio is reduced to up/down and one
+ * filter is precomputed per phase. Keeps the filter history between calls, so audio can be
+ * fed in arbitrary chunks (e.g. 128-sample render quanta) without edge artifacts; output lags
+ * the input by half the filter length until flush().
+ * 
+ * Written without module references so getResamplerScript() can ship it to the capture worklet.
+ * 
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @param {object} [options]
+ * @param {number} [options.zeroCrossings=16] - Sinc lobes on each side of the centre tap (quality vs. cost)
+ * @param {number} [options.cutoff=0.95] - Passband edge as a fraction of the lower Nyquist frequency
+ * @param {number} [options.kaiserBeta=8] - Kaiser window shape (8 gives about 80 dB stopband attenuation)
+ * @returns {{process: Function, flush: Function, reset: Function, fromRate: number, toRate: number}}
+ * 
+ * @example
+ * const resampler = createResampler(48000, 16000);
+ * const out = resampler.process(renderQuantum);
+ */
+function createResampler(fromRate, toRate, options = {}) {
+  const {
+    zeroCrossings = RESAMPLER_DEFAULTS.ZERO_CROSSINGS,
+    cutoff = RESAMPLER_DEFAULTS.CUTOFF,
+    kaiserBeta = RESAMPLER_DEFAULTS.KAISER_BETA,
+  } = options;
+  
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const divisor = gcd(Math.round(fromRate), Math.round(toRate));
+  const up = Math.round(toRate) / divisor;
+  const down = Math.round(fromRate) / divisor;
+  
+  // Filter bandwidth relative to the input Nyquist frequency; downsampling narrows it (anti-aliasing)
+  const bandwidth = cutoff * Math.min(1, up / down);
+  const halfLength = Math.ceil(zeroCrossings / bandwidth);
+  const taps = 2 * halfLength;
+  
+  const besselI0 = (x) => {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; k < 50 && term > sum * 1e-12; k++) {
+      term *= (x / (2 * k)) * (x / (2 * k));
+      sum += term;
+    }
+    return sum;
+  };
+  const windowNorm = besselI0(kaiserBeta);
+  
+  // One filter per phase (output instant between two input samples); very large ratios share
+  // a quantized phase table
+  const phaseCount = Math.min(up, RESAMPLER_DEFAULTS.MAX_PHASES);
+  const filters = [];
+  for (let p = 0; p < phaseCount; p++) {
+    const fraction = p / phaseCount;
+    const filter = new Float32Array(taps);
+    let gain = 0;
+    for (let k = 0; k < taps; k++) {
+      const x = k - halfLength + 1 - fraction;
+      const ratio = x / halfLength;
+      const window = Math.abs(ratio) < 1 ? besselI0(kaiserBeta * Math.sqrt(1 - ratio * ratio)) / windowNorm : 0;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * bandwidth * x) / (Math.PI * bandwidth * x);
+      filter[k] = bandwidth * sinc * window;
+      gain += filter[k];
+    }
+    for (let k = 0; k < taps; k++) filter[k] /= gain;
+    filters.push(filter);
+  }
+  
+  let history;
+  let position;
+  let phase;
+  
+  /**
+   * Clears the filter history
+   */
+  function reset() {
+    history = new Float32Array(halfLength - 1);
+    position = halfLength - 1;
+    phase = 0;
+  }
+  
+  /**
+   * Resamples the next chunk of the stream
+   * 
+   * @param {Float32Array|Int16Array} samples - Input chunk
+   * @returns {Float32Array} Output samples available so far
+   */
+  function process(samples) {
+    const input = new Float32Array(history.length + samples.length);
+    input.set(history);
+    if (samples instanceof Float32Array) {
+      input.set(samples, history.length);
+    } else {
+      for (let i = 0; i < samples.length; i++) input[history.length + i] = samples[i] / 32768.0;
+    }
+    
+    const output = new Float32Array(Math.ceil(input.length * up / down) + 1);
+    let count = 0;
+    
+    while (position + halfLength < input.length) {
+      const filter = filters[up === phaseCount ? phase : Math.floor(phase * phaseCount / up)];
+      const first = position - halfLength + 1;
+      let sum = 0;
+      for (let k = 0; k < taps; k++) {
+        sum += input[first + k] * filter[k];
+      }
+      output[count++] = sum;
+      
+      phase += down;
+      position += Math.floor(phase / up);
+      phase %= up;
+    }
+    
+    const keepFrom = Math.min(position - halfLength + 1, input.length);
+    history = input.slice(keepFrom);
+    position -= keepFrom;
+    
+    return output.subarray(0, count);
+  }
+  
+  /**
+   * Returns the samples still held back by the filter and starts a new stream
+   * 
+   * @returns {Float32Array} Remaining output samples
+   */
+  function flush() {
+    const output = process(new Float32Array(halfLength));
+    reset();
+    return output;
+  }
+  
+  reset();
+  
+  return {
+    process,
+    flush,
+    reset,
+    fromRate,
+    toRate,
+  };
+}
+
 /**
  * Resample audio data from one sample rate to another
- * Uses linear interpolation for simplicity
+ * Band-limited (windowed-sinc polyphase, see createResampler), so downsampling does not alias
  * 
  * @param {Float32Array|Int16Array} samples - Input audio samples
  * @param {number} fromRate - Source sample rate
@@ -18,26 +173,35 @@ function resample(samples, fromRate, toRate) {
     return samples instanceof Float32Array ? samples : int16ToFloat32(samples);
   }
   
-  const ratio = fromRate / toRate;
-  const newLength = Math.round(samples.length / ratio);
-  const output = new Float32Array(newLength);
+  const resampler = createResampler(fromRate, toRate);
+  const head = resampler.process(samples);
+  const tail = resampler.flush();
   
-  // Convert to Float32 if needed
-  const input = samples instanceof Float32Array ? samples : int16ToFloat32(samples);
-  
-  for (let i = 0; i < newLength; i++) {
-    const srcIndex = i * ratio;
-    const srcIndexFloor = Math.floor(srcIndex);
-    const srcIndexCeil = Math.min(srcIndexFloor + 1, input.length - 1);
-    const fraction = srcIndex - srcIndexFloor;
-    
-    // Linear interpolation
-    output[i] = input[srcIndexFloor] * (1 - fraction) + input[srcIndexCeil] * fraction;
+  const output = new Float32Array(Math.round(samples.length * toRate / fromRate));
+  output.set(head.subarray(0, output.length));
+  if (head.length < output.length) {
+    output.set(tail.subarray(0, output.length - head.length), head.length);
   }
   
   return output;
 }
 
+/**
+ * Returns the source of createResampler, to define it in another scope
+ * (the capture AudioWorklet, where `require` is unavailable)
+ * 
+ * @returns {string} Script declaring RESAMPLER_DEFAULTS and createResampler
+ * 
+ * @example
+ * const workletCode = getResamplerScript() + '\nclass PCMCaptureProcessor ...';
+ */
+function getResamplerScript() {
+  return [
+    `const RESAMPLER_DEFAULTS = ${JSON.stringify(RESAMPLER_DEFAULTS)};`,
+    createResampler.toString(),
+  ].join('\n');
+}
+
 /**
  * Convert Int16 PCM to Float32
  * @param {Int16Array} int16Data
@@ -89,7 +253,8 @@ function rmsToDb(rms) {
 
 /**
  * Simple Voice Activity Detection (VAD)
- * Returns true if audio chunk appears to contain speech
+ * Returns true if audio chunk appears to contain speech (fixed threshold; see
+ * createVoiceActivityDetector for streams)
  * 
  * @param {Float32Array|Int16Array} samples
  * @param {object} options
@@ -109,6 +274,244 @@ function detectVoiceActivity(samples, options = {}) {
   return db > threshold;
 }
 
+/**
+ * Default settings of the frame-based VAD (createVoiceActivityDetector)
+ * @constant {Object}
+ */
+const VAD_DEFAULTS = {
+  FRAME_MS: 20,
+  MIN_SPEECH_DB: -50,
+  SNR_DB: 9,
+  MIN_ZCR_HZ: 150,
+  MAX_ZCR_HZ: 6000,
+  HANGOVER_MS: 200,
+  MIN_SPEECH_MS: 60,
+  NOISE_FLOOR_DB: -70,
+  NOISE_RISE: 0.05,
+  NOISE_RISE_IN_SPEECH: 0.005,
+  NOISE_FALL: 0.5,
+};
+
+/**
+ * Zero-crossing rate of a frame, in crossings per second
+ * (mains hum crosses too rarely, hiss and codec noise too often to be speech)
+ * 
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number} Crossings per second
+ */
+function zeroCrossingRate(samples, sampleRate) {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) crossings++;
+  }
+  return samples.length > 1 ? crossings * sampleRate / (samples.length - 1) : 0;
+}
+
+/**
+ * Frame-based Voice Activity Detector
+ * Classifies fixed-length frames by energy above an adaptive noise floor and by
+ * zero-crossing rate, then smooths them into speech segments: a segment opens after
+ * minSpeechMs of speech frames and closes hangoverMs after the last one.
+ * 
+ * Written without module references (other than the helpers above) so
+ * getVoiceActivityDetectorScript() can ship it to the page and the capture worklet.
+ * 
+ * @param {object} options
+ * @param {number} [options.frameMs=20] - Analysis frame length
+ * @param {number} [options.minSpeechDb=-50] - Frames quieter than this are never speech (dBFS)
+ * @param {number} [options.snrDb=9] - How far above the noise floor a speech frame must be
+ * @param {number} [options.minZcrHz=150] - Lowest zero-crossing rate for speech
+ * @param {number} [options.maxZcrHz=6000] - Highest zero-crossing rate for speech
+ * @param {number} [options.hangoverMs=200] - Silence after speech before a segment closes
+ * @param {number} [options.minSpeechMs=60] - Speech needed before a segment opens
+ * @returns {{process: Function, flush: Function, getNoiseFloorDb: Function, isSpeaking: Function, reset: Function}}
+ * 
+ * @example
+ * const vad = createVoiceActivityDetector({ hangoverMs: 300 });
+ * const { speaking, segments } = vad.process(samples, 16000, Date.now());
+ * segments.forEach(segment => console.log(segment.start, segment.end));
+ */
+function createVoiceActivityDetector(options = {}) {
+  const {
+    frameMs = VAD_DEFAULTS.FRAME_MS,
+    minSpeechDb = VAD_DEFAULTS.MIN_SPEECH_DB,
+    snrDb = VAD_DEFAULTS.SNR_DB,
+    minZcrHz = VAD_DEFAULTS.MIN_ZCR_HZ,
+    maxZcrHz = VAD_DEFAULTS.MAX_ZCR_HZ,
+    hangoverMs = VAD_DEFAULTS.HANGOVER_MS,
+    minSpeechMs = VAD_DEFAULTS.MIN_SPEECH_MS,
+  } = options;
+  
+  let pending = new Float32Array(0);
+  let pendingRate = 0;
+  let clockMs = 0;                  // Time of the first pending sample
+  let noiseFloorDb = VAD_DEFAULTS.NOISE_FLOOR_DB;
+  let candidateStart = null;        // First frame of speech not yet long enough to open a segment
+  let candidateMs = 0;
+  let segmentStart = null;          // Open segment
+  let lastSpeechEnd = null;
+  
+  /**
+   * Classifies one frame and updates the noise floor
+   * @private
+   */
+  function isSpeechFrame(frame, sampleRate) {
+    const energyDb = rmsToDb(calculateRMS(frame));
+    const zcr = zeroCrossingRate(frame, sampleRate);
+    const speech = energyDb > minSpeechDb &&
+      energyDb > noiseFloorDb + snrDb &&
+      zcr >= minZcrHz && zcr <= maxZcrHz;
+    
+    // The floor drops quickly to quieter frames and creeps up otherwise - slower during
+    // speech, so steady noise that was mistaken for speech is absorbed within seconds
+    if (energyDb < noiseFloorDb) {
+      noiseFloorDb += (energyDb - noiseFloorDb) * VAD_DEFAULTS.NOISE_FALL;
+    } else {
+      noiseFloorDb += (energyDb - noiseFloorDb) * (speech ? VAD_DEFAULTS.NOISE_RISE_IN_SPEECH : VAD_DEFAULTS.NOISE_RISE);
+    }
+    
+    return speech;
+  }
+  
+  /**
+   * Feeds audio to the detector
+   * 
+   * @param {Float32Array|Int16Array} samples - Audio (any length)
+   * @param {number} sampleRate - Sample rate (Hz)
+   * @param {number} [timestamp] - Time of the first sample in ms (defaults to the running sample clock)
+   * @returns {{speaking: boolean, segments: Array<{start: number, end: number}>, time: number, noiseFloorDb: number}}
+   *          Segments closed by this audio, and the time at the end of it
+   */
+  function process(samples, sampleRate, timestamp) {
+    const input = samples instanceof Float32Array ? samples : int16ToFloat32(samples);
+    
+    if (sampleRate !== pendingRate) {
+      pending = new Float32Array(0);
+      pendingRate = sampleRate;
+    }
+    if (typeof timestamp === 'number') {
+      clockMs = timestamp - pending.length / sampleRate * 1000;
+    }
+    
+    const buffer = new Float32Array(pending.length + input.length);
+    buffer.set(pending);
+    buffer.set(input, pending.length);
+    
+    const frameSize = Math.max(1, Math.round(sampleRate * frameMs / 1000));
+    const frameDurationMs = frameSize / sampleRate * 1000;
+    const segments = [];
+    let offset = 0;
+    
+    for (; offset + frameSize <= buffer.length; offset += frameSize) {
+      const frameStart = clockMs + offset / sampleRate * 1000;
+      const frameEnd = frameStart + frameDurationMs;
+      
+      if (isSpeechFrame(buffer.subarray(offset, offset + frameSize), sampleRate)) {
+        lastSpeechEnd = frameEnd;
+        if (segmentStart === null) {
+          if (candidateStart === null) candidateStart = frameStart;
+          candidateMs += frameDurationMs;
+          if (candidateMs >= minSpeechMs) {
+            segmentStart = candidateStart;
+            candidateStart = null;
+            candidateMs = 0;
+          }
+        }
+      } else if (segmentStart !== null) {
+        if (frameEnd - lastSpeechEnd >= hangoverMs) {
+          segments.push({ start: segmentStart, end: lastSpeechEnd });
+          segmentStart = null;
+        }
+      } else {
+        candidateStart = null;
+        candidateMs = 0;
+      }
+    }
+    
+    clockMs += offset / sampleRate * 1000;
+    pending = buffer.slice(offset);
+    
+    return {
+      speaking: segmentStart !== null,
+      segments,
+      time: clockMs + pending.length / sampleRate * 1000,
+      noiseFloorDb,
+    };
+  }
+  
+  /**
+   * Closes the open segment, if any (end of stream)
+   * 
+   * @returns {Array<{start: number, end: number}>} The closed segment, or nothing
+   */
+  function flush() {
+    if (segmentStart === null) return [];
+    const segment = { start: segmentStart, end: lastSpeechEnd };
+    segmentStart = null;
+    return [segment];
+  }
+  
+  /**
+   * Starts over (new stream); the noise floor is kept unless resetNoiseFloor is set
+   * 
+   * @param {boolean} [resetNoiseFloor=false]
+   */
+  function reset(resetNoiseFloor = false) {
+    pending = new Float32Array(0);
+    clockMs = 0;
+    candidateStart = null;
+    candidateMs = 0;
+    segmentStart = null;
+    lastSpeechEnd = null;
+    if (resetNoiseFloor) noiseFloorDb = VAD_DEFAULTS.NOISE_FLOOR_DB;
+  }
+  
+  return {
+    process,
+    flush,
+    getNoiseFloorDb: () => noiseFloorDb,
+    isSpeaking: () => segmentStart !== null,
+    reset,
+  };
+}
+
+/**
+ * Finds the speech segments in a complete recording
+ * 
+ * @param {Float32Array|Int16Array} samples
+ * @param {number} sampleRate
+ * @param {object} [options] - createVoiceActivityDetector options
+ * @returns {Array<{start: number, end: number}>} Segments in ms from the start of the recording
+ * 
+ * @example
+ * const segments = detectSpeechSegments(decodeBase64(base64Audio), 16000);
+ */
+function detectSpeechSegments(samples, sampleRate, options = {}) {
+  const vad = createVoiceActivityDetector(options);
+  return vad.process(samples, sampleRate, 0).segments.concat(vad.flush());
+}
+
+/**
+ * Returns the source of createVoiceActivityDetector and its helpers, to define it in
+ * another scope (the page, or the capture AudioWorklet where `require` is unavailable)
+ * 
+ * @returns {string} Script declaring VAD_DEFAULTS, the helpers and createVoiceActivityDetector
+ * 
+ * @example
+ * const workletCode = getVoiceActivityDetectorScript() + '\nclass PCMCaptureProcessor ...';
+ */
+function getVoiceActivityDetectorScript() {
+  return [
+    `const VAD_DEFAULTS = ${JSON.stringify(VAD_DEFAULTS)};`,
+    int16ToFloat32.toString(),
+    calculateRMS.toString(),
+    rmsToDb.toString(),
+    zeroCrossingRate.toString(),
+    createVoiceActivityDetector.toString(),
+  ].join('\n');
+}
+
 /**
  * Apply gain to audio samples
  * @param {Float32Array} samples
@@ -179,11 +582,19 @@ function decodeBase64(base64) {
 
 module.exports = {
   resample,
+  createResampler,
+  getResamplerScript,
+  RESAMPLER_DEFAULTS,
   int16ToFloat32,
   float32ToInt16,
   calculateRMS,
   rmsToDb,
   detectVoiceActivity,
+  zeroCrossingRate,
+  createVoiceActivityDetector,
+  detectSpeechSegments,
+  getVoiceActivityDetectorScript,
+  VAD_DEFAULTS,
   applyGain,
   mixAudio,
   encodeBase64,
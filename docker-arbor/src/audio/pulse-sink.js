@@ -0,0 +1,379 @@
+/**
+ * PulseAudio Sink Module
+ * 
+ * @module audio/pulse-sink
+ * @description Plays TTS audio through one long-lived `pacat` process instead of a temp file
+ *              and a new `paplay` per chunk. Chunks go into a jitter buffer that is written to
+ *              pacat at playback speed (a small lead ahead of the playhead), so consecutive
+ *              chunks play back to back without gaps or clicks, the sink knows when playback
+ *              really starts and ends, and flush() can drop what has not been heard yet.
+ * 
+ * @example
+ * const { createPulseSink } = require('./audio/pulse-sink');
+ * 
+ * const sink = createPulseSink({
+ *   onStart: () => console.log('playing'),
+ *   onEnd: ({ durationMs }) => console.log('done after', durationMs),
+ * });
+ * sink.write(Buffer.from(base64Chunk, 'base64'), 24000);
+ * sink.flush(); // barge-in
+ * sink.close();
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only feeds PCM to PulseAudio and reports playback state
+ * - Open/Closed: Device, buffering and the player command are options
+ * - Dependency Inversion: Callers get start/end/error callbacks; knows nothing of pages or Gemini
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+const { createResampler, float32ToInt16 } = require('./processor');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  DEVICE: 'virtual_speaker',
+  SAMPLE_RATE: 24000,
+  PREBUFFER_MS: 120,
+  LEAD_MS: 200,
+  IDLE_MS: 300,
+  LATENCY_MS: 60,
+  TICK_MS: 20,
+  MAX_CONSECUTIVE_FAILURES: 3,
+};
+
+/**
+ * @typedef {Object} PulseSinkOptions
+ * @property {string} [device='virtual_speaker'] - PulseAudio sink to play to
+ * @property {number} [sampleRate=24000] - Stream rate; chunks at other rates are resampled to it
+ * @property {number} [prebufferMs=120] - Audio buffered before playback starts (absorbs network jitter)
+ * @property {number} [leadMs=200] - How far ahead of the playhead audio is written to pacat
+ * @property {number} [idleMs=300] - How long the buffer must stay empty before playback counts as ended
+ * @property {number} [latencyMs=60] - PulseAudio stream latency (pacat --latency-msec)
+ * @property {string} [command='pacat'] - Player executable (reads raw s16le mono on stdin)
+ * @property {Function} [onStart] - Called when audio starts playing
+ * @property {Function} [onEnd] - Called with ({durationMs}) once everything written has played
+ * @property {Function} [onWrite] - Called with (pcm, sampleRate, playAt) as audio is handed to pacat
+ * @property {Function} [onError] - Called with (reason, consecutiveFailures) when pacat fails
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Creates a persistent PulseAudio playback sink
+ * 
+ * @param {PulseSinkOptions} [options={}] - Sink configuration
+ * @returns {{write: Function, flush: Function, close: Function, isPlaying: Function, getBufferedMs: Function}} Sink
+ * 
+ * @example
+ * const sink = createPulseSink({ device: 'virtual_speaker', prebufferMs: 200 });
+ */
+function createPulseSink(options = {}) {
+  const {
+    device = DEFAULTS.DEVICE,
+    sampleRate = DEFAULTS.SAMPLE_RATE,
+    prebufferMs = DEFAULTS.PREBUFFER_MS,
+    leadMs = DEFAULTS.LEAD_MS,
+    idleMs = DEFAULTS.IDLE_MS,
+    latencyMs = DEFAULTS.LATENCY_MS,
+    command = 'pacat',
+    logger = console,
+  } = options;
+  
+  const bytesPerMs = sampleRate * 2 / 1000;
+  
+  /** @type {import('child_process').ChildProcess|null} */
+  let player = null;
+  
+  /**
+   * Jitter buffer: PCM not yet written to pacat
+   * @type {Buffer[]}
+   */
+  let queue = [];
+  let queuedBytes = 0;
+  
+  /** @type {Map<number, Object>} Resamplers for chunks that are not at the stream rate */
+  const resamplers = new Map();
+  
+  let playing = false;
+  let startedAt = 0;      // Wall clock of the playhead's origin (moves forward after an underrun)
+  let playbackStart = 0;  // When the current stretch of playback started
+  let writtenMs = 0;      // Audio handed to pacat since startedAt
+  let firstQueuedAt = null;
+  let consecutiveFailures = 0;
+  let closed = false;
+  
+  /** @type {NodeJS.Timeout|null} */
+  let timer = null;
+  
+  // ============================================================
+  // PLAYER PROCESS
+  // ============================================================
+  
+  /**
+   * Reports a pacat failure and drops the audio it was playing
+   * 
+   * @private
+   * @param {string} reason - Failure reason (spawn_error, exit_code, write_error)
+   * @param {string} message - Details for the log
+   */
+  function fail(reason, message) {
+    consecutiveFailures++;
+    logger.error(`[pulse-sink] ${message}`);
+    
+    player = null;
+    queue = [];
+    queuedBytes = 0;
+    firstQueuedAt = null;
+    playing = false;
+    stopTimer();
+    
+    if (typeof options.onError === 'function') {
+      options.onError(reason, consecutiveFailures);
+    }
+  }
+  
+  /**
+   * Returns the running pacat process, starting it if needed
+   * 
+   * @private
+   * @returns {import('child_process').ChildProcess} Player process
+   */
+  function ensurePlayer() {
+    if (player) return player;
+    
+    const child = spawn(command, [
+      '--playback',
+      `--device=${device}`,
+      '--raw',
+      '--format=s16le',
+      '--channels=1',
+      `--rate=${sampleRate}`,
+      `--latency-msec=${latencyMs}`,
+      '--client-name=arbor',
+      '--stream-name=tts',
+    ], {
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: {
+        ...process.env,
+        PULSE_SERVER: process.env.PULSE_SERVER || 'unix:/run/pulse/native',
+        XDG_RUNTIME_DIR: process.env.XDG_RUNTIME_DIR || '/run/pulse',
+      },
+    });
+    
+    let stderrOutput = '';
+    child.stderr.on('data', (data) => {
+      stderrOutput += data.toString();
+    });
+    
+    child.stdin.on('error', (error) => {
+      if (player === child) fail('write_error', `pacat write error: ${error.message}`);
+    });
+    
+    child.on('error', (error) => {
+      if (player === child) fail('spawn_error', `pacat spawn error: ${error.message}`);
+    });
+    
+    child.on('close', (code) => {
+      if (player !== child) return;
+      if (!isPlaying()) {
+        // Exited between answers (e.g. PulseAudio restarted): nothing was lost, start a new one next time
+        player = null;
+        return;
+      }
+      fail('exit_code', `pacat exited with code ${code}${stderrOutput ? ': ' + stderrOutput.trim() : ''}`);
+    });
+    
+    logger.debug(`[pulse-sink] pacat started (device: ${device}, rate: ${sampleRate})`);
+    player = child;
+    return child;
+  }
+  
+  /**
+   * Stops pacat; audio it already buffered is dropped with it
+   * 
+   * @private
+   */
+  function killPlayer() {
+    if (!player) return;
+    const child = player;
+    player = null;
+    child.stdin.destroy();
+    child.kill();
+  }
+  
+  // ============================================================
+  // PACING
+  // ============================================================
+  
+  /**
+   * Starts pacing the jitter buffer
+   * 
+   * @private
+   */
+  function startTimer() {
+    if (!timer) timer = setInterval(tick, DEFAULTS.TICK_MS);
+  }
+  
+  /**
+   * Stops pacing (nothing left to play)
+   * 
+   * @private
+   */
+  function stopTimer() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+  
+  /**
+   * Writes buffered audio up to leadMs ahead of the playhead, starts playback once enough is
+   * buffered and ends it when everything written has played
+   * 
+   * @private
+   */
+  function tick() {
+    const now = Date.now();
+    
+    if (!playing) {
+      if (queuedBytes === 0) {
+        stopTimer();
+        return;
+      }
+      if (queuedBytes / bytesPerMs < prebufferMs && now - firstQueuedAt < prebufferMs) return;
+      
+      playing = true;
+      startedAt = now;
+      playbackStart = now;
+      writtenMs = 0;
+      if (typeof options.onStart === 'function') options.onStart();
+    }
+    
+    // The buffer ran dry and pacat underran: new audio plays from now
+    if (now - startedAt > writtenMs && queuedBytes > 0) {
+      startedAt = now - writtenMs;
+    }
+    
+    const child = ensurePlayer();
+    while (queuedBytes > 0 && writtenMs - (now - startedAt) < leadMs) {
+      const chunk = queue.shift();
+      queuedBytes -= chunk.length;
+      
+      if (typeof options.onWrite === 'function') {
+        options.onWrite(chunk, sampleRate, startedAt + writtenMs + latencyMs);
+      }
+      child.stdin.write(chunk);
+      writtenMs += chunk.length / bytesPerMs;
+    }
+    
+    // Everything written has been heard and nothing new arrived for idleMs
+    if (queuedBytes === 0 && now - startedAt >= writtenMs + latencyMs + idleMs) {
+      playing = false;
+      firstQueuedAt = null;
+      consecutiveFailures = 0;
+      stopTimer();
+      if (typeof options.onEnd === 'function') {
+        options.onEnd({ durationMs: Math.round(startedAt + writtenMs + latencyMs - playbackStart) });
+      }
+    }
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Queues audio for playback
+   * 
+   * @param {Buffer} pcm - Mono 16-bit little-endian PCM
+   * @param {number} [inputRate=sampleRate] - Sample rate of the chunk
+   * @throws {Error} If pacat keeps failing (PulseAudio is probably down) or the sink is closed
+   */
+  function write(pcm, inputRate = sampleRate) {
+    if (closed) {
+      throw new Error('TTS playback failed: sink is closed');
+    }
+    if (consecutiveFailures >= DEFAULTS.MAX_CONSECUTIVE_FAILURES) {
+      throw new Error('TTS playback failed: PulseAudio unavailable');
+    }
+    if (!pcm || pcm.length < 2) return;
+    
+    let chunk = pcm.length % 2 === 0 ? pcm : pcm.subarray(0, pcm.length - 1);
+    if (inputRate !== sampleRate) {
+      if (!resamplers.has(inputRate)) resamplers.set(inputRate, createResampler(inputRate, sampleRate));
+      const int16 = new Int16Array(chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length));
+      const resampled = float32ToInt16(resamplers.get(inputRate).process(int16));
+      chunk = Buffer.from(resampled.buffer);
+    }
+    
+    queue.push(chunk);
+    queuedBytes += chunk.length;
+    if (firstQueuedAt === null) firstQueuedAt = Date.now();
+    
+    ensurePlayer();
+    startTimer();
+  }
+  
+  /**
+   * Drops everything not heard yet (barge-in). pacat is restarted on the next write,
+   * so its own buffer is dropped too. onEnd is not called.
+   * 
+   * @returns {boolean} True if audio was playing or queued
+   */
+  function flush() {
+    const hadAudio = playing || queuedBytes > 0;
+    
+    queue = [];
+    queuedBytes = 0;
+    firstQueuedAt = null;
+    playing = false;
+    resamplers.forEach(resampler => resampler.reset());
+    stopTimer();
+    if (hadAudio) killPlayer();
+    
+    return hadAudio;
+  }
+  
+  /**
+   * Stops playback and pacat for good
+   */
+  function close() {
+    flush();
+    killPlayer();
+    closed = true;
+  }
+  
+  /**
+   * Returns whether audio is playing (or buffered to play)
+   * 
+   * @returns {boolean} True while playing
+   */
+  function isPlaying() {
+    return playing || queuedBytes > 0;
+  }
+  
+  /**
+   * Returns how much audio waits in the jitter buffer
+   * 
+   * @returns {number} Buffered milliseconds
+   */
+  function getBufferedMs() {
+    return queuedBytes / bytesPerMs;
+  }
+  
+  return {
+    write,
+    flush,
+    close,
+    isPlaying,
+    getBufferedMs,
+  };
+}
+
+module.exports = {
+  createPulseSink,
+  DEFAULTS,
+};
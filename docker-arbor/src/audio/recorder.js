@@ -0,0 +1,580 @@
+/**
+ * Session Recorder Module
+ * 
+ * @module audio/recorder
+ * @description Records the full-duplex interview audio: the interviewer downlink and the
+ *              candidate TTS uplink as separate tracks on a shared timeline, plus a stereo
+ *              mix (interviewer left, candidate right).
+ * 
+ * Chunks are placed by their capture time relative to the session start, and gaps are
+ * filled with silence, so every track starts at the session start and the transcript's
+ * subtitle cues line up with all of them. While recording, samples are streamed to raw
+ * files; stop() turns them into WAV files (and FLAC, when requested and `flac` is installed).
+ * 
+ * Layout:
+ *   <recordingsDir>/<sessionId>/interviewer.wav
+ *   <recordingsDir>/<sessionId>/candidate.wav
+ *   <recordingsDir>/<sessionId>/mix.wav           - stereo, L = interviewer, R = candidate
+ *   <recordingsDir>/<sessionId>/recording.json    - sample rate, duration and files
+ * 
+ * @example
+ * const { createSessionRecorder } = require('./audio/recorder');
+ * 
+ * const recorder = createSessionRecorder({ sessionId, recordingsDir: '/app/recordings', formats: ['wav', 'flac'] });
+ * recorder.writeBase64('candidate', ttsChunk, 24000);
+ * await recorder.stop();
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only aligns, stores and encodes session audio
+ * - Open/Closed: Output formats are options; encoding reuses wav-encoder
+ * - Dependency Inversion: Audio arrives through write(); callers decide where it is tapped
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createWAVHeader, interleaveStereo } = require('./wav-encoder');
+const { createResampler, float32ToInt16 } = require('./processor');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  RECORDINGS_DIR: path.join(__dirname, '..', '..', 'recordings'),
+  SAMPLE_RATE: 24000,
+  FORMATS: ['wav'],
+  COPY_BLOCK_BYTES: 64 * 1024,
+  FLAC_TIMEOUT_MS: 120000,
+};
+
+/**
+ * Recorded tracks
+ * @readonly
+ * @enum {string}
+ */
+const Track = {
+  /** Interviewer audio (WebRTC downlink) */
+  INTERVIEWER: 'interviewer',
+  /** Candidate audio (TTS uplink) */
+  CANDIDATE: 'candidate',
+};
+
+/**
+ * Output formats
+ * @constant {string[]}
+ */
+const FORMATS = ['wav', 'flac'];
+
+/**
+ * @typedef {Object} RecorderOptions
+ * @property {string} sessionId - Session identifier (recording folder name)
+ * @property {string} [recordingsDir] - Root directory for session recordings
+ * @property {number} [startedAt=Date.now()] - Session start (time zero of every track)
+ * @property {number} [sampleRate=24000] - Output sample rate; input is resampled to it
+ * @property {string[]} [formats=['wav']] - Output formats ('wav', 'flac')
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} RecordingManifest
+ * @property {string} sessionId - Session identifier
+ * @property {string} startedAt - ISO timestamp of time zero
+ * @property {number} sampleRate - Sample rate of all files
+ * @property {number} durationMs - Length of every track
+ * @property {Object.<string, {files: string[], channels: number}>} tracks - Files per track
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Encodes a WAV file as FLAC with the `flac` command-line tool
+ * 
+ * @private
+ * @param {string} wavPath - Source WAV file
+ * @param {string} flacPath - Destination FLAC file
+ * @returns {Promise<void>} Resolves when encoded
+ */
+function encodeFLAC(wavPath, flacPath) {
+  return new Promise((resolve, reject) => {
+    const flac = spawn('flac', ['--silent', '--force', '-o', flacPath, wavPath]);
+    let stderr = '';
+    
+    const timer = setTimeout(() => {
+      flac.kill();
+      reject(new Error('flac timed out'));
+    }, DEFAULTS.FLAC_TIMEOUT_MS);
+    
+    flac.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    flac.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error('flac is not installed') : error);
+    });
+    
+    flac.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`flac exited with code ${code}${stderr ? ': ' + stderr.trim() : ''}`));
+      }
+    });
+  });
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Creates a new session recorder
+ * 
+ * @param {RecorderOptions} options - Recorder configuration
+ * @returns {{write: Function, writeBase64: Function, stop: Function, getDirectory: Function, getStats: Function}}
+ * @throws {Error} If sessionId is missing or an unknown format is requested
+ * 
+ * @example
+ * const recorder = createSessionRecorder({ sessionId: transcript.sessionId, startedAt: transcript.startedAt });
+ */
+function createSessionRecorder(options = {}) {
+  const {
+    sessionId,
+    recordingsDir = DEFAULTS.RECORDINGS_DIR,
+    startedAt = Date.now(),
+    sampleRate = DEFAULTS.SAMPLE_RATE,
+    formats = DEFAULTS.FORMATS,
+    logger = console,
+  } = options;
+  
+  if (!sessionId) {
+    throw new Error('Session recorder requires a sessionId');
+  }
+  
+  const unknown = formats.filter(format => !FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown recording format(s): ${unknown.join(', ')} (available: ${FORMATS.join(', ')})`);
+  }
+  
+  const sessionDir = path.join(recordingsDir, sessionId);
+  
+  /**
+   * Open tracks: raw sample file and how many samples it holds
+   * @type {Map<string, {fd: number, rawPath: string, samples: number}>}
+   */
+  const tracks = new Map();
+  
+  /** @type {boolean} */
+  let isStopped = false;
+  
+  /** @type {Promise<RecordingManifest|null>|null} */
+  let stopPromise = null;
+  
+  // ============================================================
+  // TRACK STORAGE
+  // ============================================================
+  
+  /**
+   * Returns a track, opening its raw file on first use
+   * 
+   * @private
+   * @param {string} name - Track name
+   * @returns {{fd: number, rawPath: string, samples: number}} Track
+   */
+  function openTrack(name) {
+    if (!tracks.has(name)) {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const rawPath = path.join(sessionDir, `${name}.raw`);
+      tracks.set(name, { fd: fs.openSync(rawPath, 'w'), rawPath, samples: 0 });
+    }
+    return tracks.get(name);
+  }
+  
+  /**
+   * Appends samples to a track
+   * 
+   * @private
+   * @param {Object} track - Track
+   * @param {Int16Array} samples - Samples at the output rate
+   */
+  function writeSamples(track, samples) {
+    if (samples.length === 0) return;
+    fs.writeSync(track.fd, Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+    track.samples += samples.length;
+  }
+  
+  /**
+   * Appends silence to a track
+   * 
+   * @private
+   * @param {Object} track - Track
+   * @param {number} samples - Number of silent samples
+   */
+  function writeSilence(track, samples) {
+    const block = Buffer.alloc(Math.min(samples * 2, DEFAULTS.COPY_BLOCK_BYTES));
+    let remaining = samples * 2;
+    
+    while (remaining > 0) {
+      const length = Math.min(remaining, block.length);
+      fs.writeSync(track.fd, block, 0, length);
+      remaining -= length;
+    }
+    
+    track.samples += samples;
+  }
+  
+  /**
+   * Copies a raw track into an open output file, padding it with silence to totalBytes
+   * 
+   * @private
+   * @param {string} rawPath - Raw track file
+   * @param {number} outFd - Output file descriptor
+   * @param {number} totalBytes - Bytes to write
+   */
+  function copyPadded(rawPath, outFd, totalBytes) {
+    const inFd = fs.openSync(rawPath, 'r');
+    const block = Buffer.alloc(DEFAULTS.COPY_BLOCK_BYTES);
+    let written = 0;
+    
+    try {
+      while (written < totalBytes) {
+        const read = fs.readSync(inFd, block, 0, Math.min(block.length, totalBytes - written), null);
+        if (read === 0) {
+          block.fill(0);
+          fs.writeSync(outFd, block, 0, Math.min(block.length, totalBytes - written));
+          written += Math.min(block.length, totalBytes - written);
+        } else {
+          fs.writeSync(outFd, block, 0, read);
+          written += read;
+        }
+      }
+    } finally {
+      fs.closeSync(inFd);
+    }
+  }
+  
+  /**
+   * Writes the stereo mix from the two raw tracks
+   * 
+   * @private
+   * @param {string} leftPath - Raw interviewer track
+   * @param {string} rightPath - Raw candidate track
+   * @param {string} outPath - Output WAV file
+   * @param {number} totalSamples - Samples per channel
+   */
+  function writeStereoMix(leftPath, rightPath, outPath, totalSamples) {
+    const leftFd = fs.openSync(leftPath, 'r');
+    const rightFd = fs.openSync(rightPath, 'r');
+    const outFd = fs.openSync(outPath, 'w');
+    const left = Buffer.alloc(DEFAULTS.COPY_BLOCK_BYTES);
+    const right = Buffer.alloc(DEFAULTS.COPY_BLOCK_BYTES);
+    let remaining = totalSamples * 2;
+    
+    try {
+      fs.writeSync(outFd, createWAVHeader(totalSamples * 4, sampleRate, 2));
+      
+      while (remaining > 0) {
+        const length = Math.min(remaining, DEFAULTS.COPY_BLOCK_BYTES);
+        left.fill(0);
+        right.fill(0);
+        fs.readSync(leftFd, left, 0, length, null);
+        fs.readSync(rightFd, right, 0, length, null);
+        fs.writeSync(outFd, interleaveStereo(left.subarray(0, length), right.subarray(0, length)));
+        remaining -= length;
+      }
+    } finally {
+      fs.closeSync(leftFd);
+      fs.closeSync(rightFd);
+      fs.closeSync(outFd);
+    }
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Writes audio to a track at the position given by its capture time.
+   * A chunk that arrives after a gap is preceded by silence; one that arrives early
+   * (clock jitter) is appended directly.
+   * 
+   * @param {string} trackName - Track (see Track)
+   * @param {Int16Array|Buffer} pcm - Mono 16-bit PCM (Buffer = little-endian bytes)
+   * @param {number} inputRate - Sample rate of the chunk
+   * @param {number} [capturedAt=Date.now()] - When the first sample was captured or played
+   * 
+   * @example
+   * recorder.write(Track.INTERVIEWER, samples, 48000, chunkStartTime);
+   */
+  function write(trackName, pcm, inputRate, capturedAt = Date.now()) {
+    if (isStopped || !pcm || pcm.length === 0) return;
+    
+    if (!Object.values(Track).includes(trackName)) {
+      logger.warn(`[recorder] Unknown track: ${trackName}`);
+      return;
+    }
+    
+    try {
+      const int16 = Buffer.isBuffer(pcm)
+        ? new Int16Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + (pcm.length & ~1)))
+        : pcm;
+      const track = openTrack(trackName);
+      
+      // One resampler per track keeps the filter state across chunks (no clicks at chunk edges)
+      if (track.resampler && track.resampler.fromRate !== inputRate) {
+        writeSamples(track, float32ToInt16(track.resampler.flush()));
+        track.resampler = null;
+      }
+      if (!track.resampler && inputRate !== sampleRate) {
+        track.resampler = createResampler(inputRate, sampleRate);
+      }
+      
+      const position = Math.round(((capturedAt - startedAt) * sampleRate) / 1000);
+      if (position > track.samples) {
+        if (track.resampler) writeSamples(track, float32ToInt16(track.resampler.flush()));
+        if (position > track.samples) writeSilence(track, position - track.samples);
+      }
+      
+      writeSamples(track, inputRate === sampleRate ? int16 : float32ToInt16(track.resampler.process(int16)));
+    } catch (error) {
+      logger.error('[recorder] Write error:', error.message);
+    }
+  }
+  
+  /**
+   * Writes base64-encoded PCM to a track (the format the page bridges use)
+   * 
+   * @param {string} trackName - Track (see Track)
+   * @param {string} base64Audio - Base64 mono 16-bit little-endian PCM
+   * @param {number} inputRate - Sample rate of the chunk
+   * @param {number} [capturedAt=Date.now()] - When the first sample was captured or played
+   */
+  function writeBase64(trackName, base64Audio, inputRate, capturedAt = Date.now()) {
+    write(trackName, Buffer.from(base64Audio || '', 'base64'), inputRate, capturedAt);
+  }
+  
+  /**
+   * Stops recording and writes the output files.
+   * The WAV files and manifest are written synchronously before the first await, so calling
+   * stop() from an exit handler still leaves complete WAVs; FLAC encoding needs the promise.
+   * 
+   * @async
+   * @returns {Promise<RecordingManifest|null>} Manifest, or null if nothing was recorded
+   */
+  function stop() {
+    if (!stopPromise) {
+      isStopped = true;
+      stopPromise = finalize();
+    }
+    return stopPromise;
+  }
+  
+  /**
+   * Writes WAV files, the manifest and optional FLAC copies
+   * 
+   * @private
+   * @async
+   * @returns {Promise<RecordingManifest|null>} Manifest
+   */
+  async function finalize() {
+    if (tracks.size === 0) {
+      logger.info('[recorder] Nothing recorded');
+      return null;
+    }
+    
+    let manifest;
+    
+    try {
+      // Every track gets the same length so they stay aligned in any editor
+      Object.values(Track).forEach(openTrack);
+      tracks.forEach((track) => {
+        if (track.resampler) writeSamples(track, float32ToInt16(track.resampler.flush()));
+      });
+      const totalSamples = Math.max(...[...tracks.values()].map(track => track.samples));
+      tracks.forEach(track => fs.closeSync(track.fd));
+      
+      const wavFiles = [];
+      for (const [name, track] of tracks) {
+        const wavPath = path.join(sessionDir, `${name}.wav`);
+        const outFd = fs.openSync(wavPath, 'w');
+        try {
+          fs.writeSync(outFd, createWAVHeader(totalSamples * 2, sampleRate, 1));
+          copyPadded(track.rawPath, outFd, totalSamples * 2);
+        } finally {
+          fs.closeSync(outFd);
+        }
+        wavFiles.push(wavPath);
+      }
+      
+      const mixPath = path.join(sessionDir, 'mix.wav');
+      writeStereoMix(tracks.get(Track.INTERVIEWER).rawPath, tracks.get(Track.CANDIDATE).rawPath, mixPath, totalSamples);
+      wavFiles.push(mixPath);
+      
+      tracks.forEach(track => fs.unlinkSync(track.rawPath));
+      
+      manifest = {
+        sessionId,
+        startedAt: new Date(startedAt).toISOString(),
+        sampleRate,
+        durationMs: Math.round((totalSamples / sampleRate) * 1000),
+        tracks: {
+          [Track.INTERVIEWER]: { files: [`${Track.INTERVIEWER}.wav`], channels: 1 },
+          [Track.CANDIDATE]: { files: [`${Track.CANDIDATE}.wav`], channels: 1 },
+          mix: { files: ['mix.wav'], channels: 2, layout: 'left = interviewer, right = candidate' },
+        },
+      };
+      writeManifest(manifest);
+      logger.info(`[recorder] Saved ${(manifest.durationMs / 1000).toFixed(1)}s recording to ${sessionDir}`);
+      
+      if (formats.includes('flac')) {
+        await encodeAll(manifest, wavFiles);
+      }
+    } catch (error) {
+      logger.error('[recorder] Finalize error:', error.message);
+      return null;
+    }
+    
+    return manifest;
+  }
+  
+  /**
+   * Encodes the WAV files as FLAC, dropping the WAVs unless 'wav' is also requested.
+   * When `flac` is unavailable the WAVs are kept.
+   * 
+   * @private
+   * @async
+   * @param {RecordingManifest} manifest - Manifest to update
+   * @param {string[]} wavFiles - WAV files to encode
+   */
+  async function encodeAll(manifest, wavFiles) {
+    const keepWav = formats.includes('wav');
+    
+    try {
+      for (const wavPath of wavFiles) {
+        await encodeFLAC(wavPath, wavPath.replace(/\.wav$/, '.flac'));
+      }
+    } catch (error) {
+      logger.warn(`[recorder] FLAC encoding skipped (${error.message}), keeping WAV files`);
+      return;
+    }
+    
+    for (const entry of Object.values(manifest.tracks)) {
+      const flacFile = entry.files[0].replace(/\.wav$/, '.flac');
+      entry.files = keepWav ? [...entry.files, flacFile] : [flacFile];
+    }
+    
+    if (!keepWav) {
+      wavFiles.forEach(wavPath => fs.unlinkSync(wavPath));
+    }
+    
+    writeManifest(manifest);
+    logger.info('[recorder] FLAC encoding complete');
+  }
+  
+  /**
+   * Writes recording.json
+   * 
+   * @private
+   * @param {RecordingManifest} manifest - Manifest
+   */
+  function writeManifest(manifest) {
+    fs.writeFileSync(path.join(sessionDir, 'recording.json'), JSON.stringify(manifest, null, 2));
+  }
+  
+  /**
+   * Reads part of a raw track, with silence where the track has no samples
+   * 
+   * @private
+   * @param {Object|undefined} track - Track
+   * @param {number} start - First sample
+   * @param {number} count - Number of samples
+   * @returns {Buffer} Int16 little-endian samples
+   */
+  function readRange(track, start, count) {
+    const buffer = Buffer.alloc(count * 2);
+    const available = track ? Math.min(count, track.samples - start) : 0;
+    if (available <= 0) return buffer;
+    
+    const fd = fs.openSync(track.rawPath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, available * 2, start * 2);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return buffer;
+  }
+  
+  /**
+   * Writes the most recent audio as a stereo WAV (L = interviewer, R = candidate) while
+   * recording continues, e.g. for failure artifacts
+   * 
+   * @param {string} outPath - Output WAV file
+   * @param {number} durationMs - How much audio to keep, counted back from the latest sample
+   * @returns {{durationMs: number}|null} Length written, or null if nothing was recorded or the recorder has stopped
+   * 
+   * @example
+   * recorder.writeTail('/app/logs/abc/artifacts/audio-tail.wav', 30000);
+   */
+  function writeTail(outPath, durationMs) {
+    if (isStopped || tracks.size === 0) return null;
+    
+    try {
+      const totalSamples = Math.max(...[...tracks.values()].map(track => track.samples));
+      const count = Math.min(totalSamples, Math.round((durationMs * sampleRate) / 1000));
+      const start = totalSamples - count;
+      const left = readRange(tracks.get(Track.INTERVIEWER), start, count);
+      const right = readRange(tracks.get(Track.CANDIDATE), start, count);
+      
+      fs.mkdirSync(path.dirname(outPath), { recursive: true });
+      fs.writeFileSync(outPath, Buffer.concat([createWAVHeader(count * 4, sampleRate, 2), interleaveStereo(left, right)]));
+      return { durationMs: Math.round((count / sampleRate) * 1000) };
+    } catch (error) {
+      logger.error('[recorder] Tail write error:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Returns the recording directory
+   * 
+   * @returns {string} Absolute path
+   */
+  function getDirectory() {
+    return sessionDir;
+  }
+  
+  /**
+   * Returns recorded length per track
+   * 
+   * @returns {Object.<string, number>} Milliseconds recorded per track
+   */
+  function getStats() {
+    const stats = {};
+    tracks.forEach((track, name) => {
+      stats[name] = Math.round((track.samples / sampleRate) * 1000);
+    });
+    return stats;
+  }
+  
+  return {
+    write,
+    writeBase64,
+    stop,
+    writeTail,
+    getDirectory,
+    getStats,
+  };
+}
+
+module.exports = {
+  createSessionRecorder,
+  Track,
+  FORMATS,
+  DEFAULTS,
+};
@@ -0,0 +1,176 @@
+/**
+ * PulseAudio Sink Pair Module
+ * 
+ * @module audio/sink-pair
+ * @description Creates the virtual audio devices of one session at runtime, so several
+ *              sessions can share a PulseAudio daemon without hearing each other. The
+ *              container's default devices (docker-entrypoint.sh) are one such pair:
+ *              virtual_speaker/virtual_mic for TTS and virtual_speaker_2 for browser audio.
+ * 
+ * Devices per pair (<name> e.g. "arbor_s0"):
+ *   <name>_speaker       - null sink TTS is played into (TTS_SINK)
+ *   <name>_mic           - remap of <name>_speaker.monitor, the browser's microphone (PULSE_SOURCE)
+ *   <name>_browser       - null sink the browser plays the interviewer into (PULSE_SINK)
+ * 
+ * @example
+ * const { createSinkPair } = require('./audio/sink-pair');
+ * 
+ * const pair = createSinkPair({ name: 'arbor_s0' });
+ * await pair.load();
+ * spawn('node', ['src/index.js'], { env: { ...process.env, ...pair.getEnv() } });
+ * // ...
+ * await pair.unload();
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only loads and unloads one session's PulseAudio modules
+ * - Open/Closed: Device names and the pactl command are options
+ * - Dependency Inversion: Callers pass the devices on through environment variables
+ */
+
+'use strict';
+
+const { runProcess } = require('../providers/base');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  COMMAND: 'pactl',
+  TIMEOUT_MS: 10000,
+};
+
+/**
+ * @typedef {Object} SinkPairOptions
+ * @property {string} name - Device name prefix (letters, digits and "_")
+ * @property {string} [command='pactl'] - pactl executable
+ * @property {number} [timeoutMs=10000] - Longest wait for one pactl call
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} SinkPairDevices
+ * @property {string} speaker - Null sink TTS plays into
+ * @property {string} mic - Source the browser records as its microphone
+ * @property {string} browser - Null sink the browser plays into
+ */
+
+/**
+ * Creates the PulseAudio devices of one session
+ * 
+ * @param {SinkPairOptions} options - Pair configuration
+ * @returns {{load: Function, unload: Function, getEnv: Function, devices: SinkPairDevices}} Sink pair
+ * @throws {Error} If the name is not a valid device name
+ * 
+ * @example
+ * const pair = createSinkPair({ name: `arbor_s${slot}`, logger });
+ */
+function createSinkPair(options = {}) {
+  const {
+    name,
+    command = DEFAULTS.COMMAND,
+    timeoutMs = DEFAULTS.TIMEOUT_MS,
+    logger = console,
+  } = options;
+  
+  if (!/^[A-Za-z0-9_]+$/.test(name || '')) {
+    throw new Error(`Sink pair name "${name}" may only contain letters, digits and "_"`);
+  }
+  
+  /** @type {SinkPairDevices} */
+  const devices = {
+    speaker: `${name}_speaker`,
+    mic: `${name}_mic`,
+    browser: `${name}_browser`,
+  };
+  
+  /**
+   * Indexes of the loaded modules, in load order
+   * @type {string[]}
+   */
+  let modules = [];
+  
+  /**
+   * Loads one PulseAudio module
+   * 
+   * @private
+   * @async
+   * @param {string} module - Module name
+   * @param {string[]} args - Module arguments
+   * @returns {Promise<void>}
+   */
+  async function loadModule(module, args) {
+    const output = await runProcess(command, ['load-module', module, ...args], { timeoutMs });
+    modules.push(output.trim());
+  }
+  
+  /**
+   * Creates the devices. A failure unloads whatever was already loaded.
+   * 
+   * @async
+   * @returns {Promise<SinkPairDevices>} Device names
+   * @throws {Error} If PulseAudio refuses a module (or pactl is missing)
+   */
+  async function load() {
+    if (modules.length > 0) {
+      return devices;
+    }
+    
+    try {
+      await loadModule('module-null-sink', [`sink_name=${devices.speaker}`, `sink_properties=device.description=${devices.speaker}`]);
+      await loadModule('module-remap-source', [`master=${devices.speaker}.monitor`, `source_name=${devices.mic}`, `source_properties=device.description=${devices.mic}`]);
+      await loadModule('module-null-sink', [`sink_name=${devices.browser}`, `sink_properties=device.description=${devices.browser}`]);
+    } catch (error) {
+      await unload();
+      throw new Error(`Could not create audio devices ${name}: ${error.message}`);
+    }
+    
+    logger.debug(`[sink-pair] Loaded ${devices.speaker}, ${devices.mic}, ${devices.browser}`);
+    return devices;
+  }
+  
+  /**
+   * Removes the devices (the remap source before the sink it monitors). Never throws.
+   * 
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function unload() {
+    const loaded = modules.reverse();
+    modules = [];
+    
+    for (const index of loaded) {
+      try {
+        await runProcess(command, ['unload-module', index], { timeoutMs });
+      } catch (error) {
+        logger.warn(`[sink-pair] Could not unload module ${index} of ${name}: ${error.message}`);
+      }
+    }
+  }
+  
+  /**
+   * Returns the environment that routes a session through these devices: PULSE_SINK and
+   * PULSE_SOURCE are the browser's default devices, TTS_SINK is where answers are played
+   * 
+   * @returns {Object.<string, string>} Environment variables
+   */
+  function getEnv() {
+    return {
+      TTS_SINK: devices.speaker,
+      PULSE_SOURCE: devices.mic,
+      PULSE_SINK: devices.browser,
+    };
+  }
+  
+  return {
+    load,
+    unload,
+    getEnv,
+    devices,
+  };
+}
+
+module.exports = {
+  createSinkPair,
+  DEFAULTS,
+};
@@ -0,0 +1,81 @@
+/**
+ * WAV Encoder Module
+ * 
+ * Shared WAV encoder: produces Buffers and supports Int16 input and multiple
+ * channels. The root wav-encoder.js wraps encodeWAV to return Blobs.
+ */
+
+/**
+ * Build a 44-byte RIFF/WAVE header for 16-bit PCM
+ * @param {number} dataBytes - Size of the PCM payload in bytes
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {number} [channels=1] - Number of interleaved channels
+ * @returns {Buffer}
+ */
+function createWAVHeader(dataBytes, sampleRate, channels = 1) {
+  const header = Buffer.alloc(44);
+  const blockAlign = channels * 2;
+
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM format
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28); // byte rate
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+
+  return header;
+}
+
+/**
+ * Encode PCM samples as a WAV file
+ * @param {Int16Array|Float32Array} samples - Interleaved samples (Float32 is clamped to [-1, 1])
+ * @param {number} [sampleRate=16000] - Sample rate in Hz
+ * @param {number} [channels=1] - Number of interleaved channels
+ * @returns {Buffer}
+ */
+function encodeWAV(samples, sampleRate = 16000, channels = 1) {
+  const pcm = Buffer.alloc(samples.length * 2);
+
+  for (let i = 0; i < samples.length; i++) {
+    if (samples instanceof Float32Array) {
+      const s = Math.max(-1, Math.min(1, samples[i]));
+      pcm.writeInt16LE(s < 0 ? s * 0x8000 : s * 0x7FFF, i * 2);
+    } else {
+      pcm.writeInt16LE(samples[i], i * 2);
+    }
+  }
+
+  return Buffer.concat([createWAVHeader(pcm.length, sampleRate, channels), pcm]);
+}
+
+/**
+ * Interleave two mono 16-bit PCM buffers into one stereo buffer
+ * @param {Buffer} left - Left channel (Int16 little-endian)
+ * @param {Buffer} right - Right channel (Int16 little-endian); the shorter side is padded with silence
+ * @returns {Buffer} Interleaved stereo PCM
+ */
+function interleaveStereo(left, right) {
+  const frames = Math.max(left.length, right.length) >> 1;
+  const stereo = Buffer.alloc(frames * 4);
+
+  for (let i = 0; i < frames; i++) {
+    const offset = i * 2;
+    stereo.writeInt16LE(offset + 1 < left.length ? left.readInt16LE(offset) : 0, i * 4);
+    stereo.writeInt16LE(offset + 1 < right.length ? right.readInt16LE(offset) : 0, i * 4 + 2);
+  }
+
+  return stereo;
+}
+
+module.exports = {
+  createWAVHeader,
+  encodeWAV,
+  interleaveStereo,
+};
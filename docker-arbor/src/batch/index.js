@@ -0,0 +1,28 @@
+/**
+ * Batch Module Index
+ * 
+ * @module batch
+ * @description Re-exports the batch runner, its job loader and report for convenient importing.
+ * 
+ * @example
+ * const { loadJobs, createBatchRunner } = require('./batch');
+ */
+
+'use strict';
+
+const jobs = require('./jobs');
+const runner = require('./runner');
+const report = require('./report');
+
+module.exports = {
+  // From jobs
+  loadJobs: jobs.loadJobs,
+  
+  // From runner
+  createBatchRunner: runner.createBatchRunner,
+  
+  // From report
+  buildReport: report.buildReport,
+  writeReport: report.writeReport,
+  JobStatus: report.JobStatus,
+};
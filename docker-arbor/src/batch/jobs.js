@@ -0,0 +1,276 @@
+/**
+ * Batch Jobs Module
+ * 
+ * @module batch/jobs
+ * @description Loads the interviews of a batch run from a CSV or JSON file. Each job is one
+ *              interview: its URL, password, persona and language. Jobs are checked up front
+ *              (URL, persona, language, unique ids), so a typo fails the batch before any
+ *              browser starts instead of failing one session after another.
+ * 
+ * CSV format (header row required, quoted fields may contain commas):
+ *   id,url,password,persona,language
+ *   acme-1,https://app.example.com/interview/abc,s3cret,senior-backend,English
+ *   acme-2,https://app.example.com/interview/def,,junior-nervous,es
+ * 
+ * JSON format (an array, or { "jobs": [...] }):
+ *   [{ "id": "acme-1", "url": "https://...", "password": "s3cret", "persona": "senior-backend",
+ *      "env": { "ANSWER_SCRIPT": "answer-scripts/baseline.json" } }]
+ * 
+ * Only url is required. id defaults to job-<n>; persona, language and profile default to the
+ * batch's PERSONA, INTERVIEW_LANGUAGE and SELECTOR_PROFILE. Extra settings per job go in "env"
+ * (JSON) or in UPPER_CASE columns (CSV), and are passed to the session as environment variables.
+ * 
+ * @example
+ * const { loadJobs } = require('./batch/jobs');
+ * 
+ * const jobs = loadJobs('batch/interviews.csv');
+ * // [{ id: 'acme-1', url: 'https://...', password: 's3cret', persona: 'senior-backend', ... }]
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only reads and checks the job list
+ * - Open/Closed: Per-job settings are environment variables, not new fields
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadPersona } = require('../llm/persona');
+const { resolveLanguage } = require('../utils/language');
+
+/**
+ * Job fields read from a CSV column or JSON property of the same name
+ * @constant {string[]}
+ */
+const JOB_FIELDS = ['id', 'url', 'password', 'persona', 'language', 'profile'];
+
+/**
+ * @typedef {Object} BatchJob
+ * @property {string} id - Job identifier (used in session ids and the report)
+ * @property {string} url - Interview URL
+ * @property {string} password - Interview password ('' when none)
+ * @property {string} persona - Persona name or path ('' = the batch's PERSONA)
+ * @property {string} language - Interview language ('' = the batch's INTERVIEW_LANGUAGE)
+ * @property {string} profile - Selector profile ('' = the batch's SELECTOR_PROFILE)
+ * @property {Object.<string, string>} env - Extra environment variables for the session
+ */
+
+/**
+ * @typedef {Object} LoadJobsOptions
+ * @property {string} [personasDir] - Directory searched for persona names (default: the bundled personas/)
+ */
+
+// ============================================================
+// PARSING
+// ============================================================
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields, "" for a quote, CRLF or LF)
+ * 
+ * @private
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows, without empty lines
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  row.push(field);
+  rows.push(row);
+  
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parses CSV text into raw job objects keyed by the header row
+ * 
+ * @private
+ * @param {string} text - CSV text
+ * @returns {Object[]} Raw jobs (UPPER_CASE columns collected under env)
+ * @throws {Error} If the header has no url column
+ */
+function parseCsv(text) {
+  const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim());
+  
+  if (!columns.includes('url')) {
+    throw new Error('CSV header must include a "url" column');
+  }
+  
+  return rows.map((fields) => {
+    const raw = { env: {} };
+    columns.forEach((column, index) => {
+      const value = (fields[index] || '').trim();
+      if (/^[A-Z][A-Z0-9_]*$/.test(column)) {
+        if (value) raw.env[column] = value;
+      } else {
+        raw[column] = value;
+      }
+    });
+    return raw;
+  });
+}
+
+/**
+ * Parses JSON text into raw job objects
+ * 
+ * @private
+ * @param {string} text - JSON text
+ * @returns {Object[]} Raw jobs
+ * @throws {Error} If the JSON is not an array of jobs or { jobs: [...] }
+ */
+function parseJson(text) {
+  const data = JSON.parse(text);
+  const jobs = Array.isArray(data) ? data : data && data.jobs;
+  
+  if (!Array.isArray(jobs)) {
+    throw new Error('JSON must be an array of jobs or { "jobs": [...] }');
+  }
+  
+  return jobs;
+}
+
+// ============================================================
+// NORMALIZATION
+// ============================================================
+
+/**
+ * Checks a raw job and fills in the optional fields
+ * 
+ * @private
+ * @param {Object} raw - Job as read from the file
+ * @param {number} index - Position in the file (0-based)
+ * @returns {BatchJob} Job
+ * @throws {Error} If the job has no valid URL or a bad id or env
+ */
+function normalizeJob(raw, index) {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Job ${index + 1} is not an object`);
+  }
+  
+  const job = { env: {} };
+  for (const field of JOB_FIELDS) {
+    job[field] = raw[field] === undefined || raw[field] === null ? '' : String(raw[field]).trim();
+  }
+  job.id = job.id || `job-${index + 1}`;
+  
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(job.id)) {
+    throw new Error(`Job ${index + 1}: id "${job.id}" may only contain letters, digits, ".", "_" and "-"`);
+  }
+  if (!/^https?:\/\//.test(job.url)) {
+    throw new Error(`Job "${job.id}": url must be an http(s) URL`);
+  }
+  
+  if (raw.env !== undefined) {
+    if (!raw.env || typeof raw.env !== 'object' || Array.isArray(raw.env)) {
+      throw new Error(`Job "${job.id}": env must be an object of environment variables`);
+    }
+    for (const [name, value] of Object.entries(raw.env)) {
+      job.env[name] = String(value);
+    }
+  }
+  
+  return job;
+}
+
+/**
+ * Checks that persona and language of each job can be loaded
+ * 
+ * @private
+ * @param {BatchJob[]} jobs - Jobs
+ * @param {LoadJobsOptions} options - Load options
+ * @throws {Error} If a persona or language is unknown
+ */
+function checkJobs(jobs, options) {
+  const personaOptions = options.personasDir ? { personasDir: options.personasDir } : {};
+  
+  for (const job of jobs) {
+    try {
+      if (job.persona) loadPersona(job.persona, personaOptions);
+      if (job.language) resolveLanguage(job.language);
+    } catch (error) {
+      throw new Error(`Job "${job.id}": ${error.message}`);
+    }
+  }
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Loads the jobs of a batch from a .csv or .json file
+ * 
+ * @param {string} filePath - Path to the jobs file
+ * @param {LoadJobsOptions} [options={}] - Load options
+ * @returns {BatchJob[]} Jobs, in file order
+ * @throws {Error} If the file cannot be read or parsed, is empty, or a job is invalid
+ * 
+ * @example
+ * const jobs = loadJobs('/app/batch/interviews.json', { personasDir: '/app/personas' });
+ */
+function loadJobs(filePath, options = {}) {
+  let raw;
+  
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    raw = path.extname(filePath).toLowerCase() === '.json' ? parseJson(text) : parseCsv(text);
+  } catch (error) {
+    throw new Error(`Could not load batch jobs ${filePath}: ${error.message}`);
+  }
+  
+  if (raw.length === 0) {
+    throw new Error(`Batch jobs file ${filePath} has no jobs`);
+  }
+  
+  const jobs = raw.map(normalizeJob);
+  
+  const seen = new Set();
+  for (const job of jobs) {
+    if (seen.has(job.id)) {
+      throw new Error(`Job id "${job.id}" is used twice`);
+    }
+    seen.add(job.id);
+  }
+  
+  checkJobs(jobs, options);
+  return jobs;
+}
+
+module.exports = {
+  loadJobs,
+  JOB_FIELDS,
+};
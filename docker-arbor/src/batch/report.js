@@ -0,0 +1,247 @@
+/**
+ * Batch Report Module
+ * 
+ * @module batch/report
+ * @description Summarizes a batch run: per interview its final status, every attempt with
+ *              its session id, exit code, end reason, length, turns and estimated cost, and
+ *              totals for the batch. Written as report.json (for tooling) and report.md
+ *              (for reading) into the batch directory.
+ * 
+ * Layout:
+ *   <logsDir>/batch-<batchId>/report.json
+ *   <logsDir>/batch-<batchId>/report.md
+ *   <logsDir>/batch-<batchId>/<jobId>-a<attempt>.log   - output of each session (written by the runner)
+ * 
+ * @example
+ * const { buildReport, writeReport } = require('./batch/report');
+ * 
+ * const report = buildReport(results, { batchId, startedAt, settings });
+ * writeReport(report, batchDir);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only summarizes and writes results
+ * - Dependency Inversion: Works on plain result objects, not on processes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Report format version
+ * @constant {number}
+ */
+const REPORT_VERSION = 1;
+
+/**
+ * Final status of a job or attempt
+ * @readonly
+ * @enum {string}
+ */
+const JobStatus = {
+  COMPLETED: 'completed',   // The interview reached its completion screen
+  ENDED: 'ended',           // Ended through the control API
+  TIMEOUT: 'timeout',       // Still running after TIMEOUT_SECONDS (not retried)
+  FAILED: 'failed',         // The session exited with an error (retried)
+  CANCELLED: 'cancelled',   // The batch was stopped before the job finished
+};
+
+/**
+ * Statuses that count as a successful interview
+ * @constant {string[]}
+ */
+const SUCCESS_STATUSES = [JobStatus.COMPLETED, JobStatus.ENDED];
+
+/**
+ * @typedef {Object} AttemptResult
+ * @property {number} attempt - Attempt number (1-based)
+ * @property {string} sessionId - Session id (transcript in <logsDir>/<sessionId>/)
+ * @property {JobStatus} status - How the attempt ended
+ * @property {number|null} exitCode - Exit code of the session process
+ * @property {string|null} signal - Signal that ended the process, if any
+ * @property {string|null} endReason - endReason of the session transcript
+ * @property {string} startedAt - ISO timestamp of the start
+ * @property {number} durationMs - Wall-clock length of the attempt
+ * @property {number} turns - Transcript turns
+ * @property {number} costUsd - Estimated Gemini cost
+ * @property {string|null} error - Why the attempt failed
+ * @property {string} logFile - Output of the session process
+ * @property {string|null} artifactsDir - Failure artifacts, when captured
+ */
+
+/**
+ * @typedef {Object} JobResult
+ * @property {string} id - Job id
+ * @property {string} url - Interview URL
+ * @property {string} persona - Persona ('' = batch default)
+ * @property {string} language - Interview language ('' = batch default)
+ * @property {JobStatus} status - Status of the last attempt (cancelled if it never ran)
+ * @property {AttemptResult[]} attempts - Attempts, in order
+ */
+
+/**
+ * @typedef {Object} BatchReport
+ * @property {number} version - Report format version
+ * @property {string} batchId - Batch identifier
+ * @property {string} startedAt - ISO timestamp of the batch start
+ * @property {string} endedAt - ISO timestamp of the batch end
+ * @property {number} durationMs - Batch length
+ * @property {Object} settings - Concurrency, retries and jobs file of the run
+ * @property {{jobs: number, succeeded: number, timedOut: number, failed: number, cancelled: number, attempts: number, retried: number, costUsd: number}} totals - Batch totals
+ * @property {JobResult[]} jobs - Per-job results, in file order
+ */
+
+/**
+ * Formats a duration as h:mm:ss or mm:ss
+ * 
+ * @private
+ * @param {number} ms - Duration
+ * @returns {string} Clock string
+ */
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const seconds = String(total % 60).padStart(2, '0');
+  
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ * 
+ * @private
+ * @param {*} value - Cell value
+ * @returns {string} Escaped text
+ */
+function cell(value) {
+  return String(value === null || value === undefined || value === '' ? '-' : value)
+    .replace(/\|/g, '\\|')
+    .replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * Builds the batch report from the job results
+ * 
+ * @param {JobResult[]} results - Per-job results, in file order
+ * @param {Object} meta - Run details
+ * @param {string} meta.batchId - Batch identifier
+ * @param {number} meta.startedAt - Batch start (epoch ms)
+ * @param {number} [meta.endedAt=Date.now()] - Batch end (epoch ms)
+ * @param {Object} [meta.settings={}] - Concurrency, retries and jobs file
+ * @returns {BatchReport} Report
+ */
+function buildReport(results, meta) {
+  const endedAt = meta.endedAt || Date.now();
+  const attempts = results.reduce((sum, job) => sum + job.attempts.length, 0);
+  const costUsd = results.reduce((sum, job) => sum + job.attempts.reduce((jobSum, attempt) => jobSum + attempt.costUsd, 0), 0);
+  const count = status => results.filter(job => job.status === status).length;
+  
+  return {
+    version: REPORT_VERSION,
+    batchId: meta.batchId,
+    startedAt: new Date(meta.startedAt).toISOString(),
+    endedAt: new Date(endedAt).toISOString(),
+    durationMs: endedAt - meta.startedAt,
+    settings: { ...(meta.settings || {}) },
+    totals: {
+      jobs: results.length,
+      succeeded: results.filter(job => SUCCESS_STATUSES.includes(job.status)).length,
+      timedOut: count(JobStatus.TIMEOUT),
+      failed: count(JobStatus.FAILED),
+      cancelled: count(JobStatus.CANCELLED),
+      attempts,
+      retried: results.filter(job => job.attempts.length > 1).length,
+      costUsd: Math.round(costUsd * 1e6) / 1e6,
+    },
+    jobs: results,
+  };
+}
+
+/**
+ * Renders the report as Markdown: totals, a table of jobs, and the errors of failed attempts
+ * 
+ * @param {BatchReport} report - Batch report
+ * @returns {string} Markdown document
+ */
+function toMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    `# Batch report: ${report.batchId}`,
+    '',
+    `- **Started:** ${report.startedAt}`,
+    `- **Ended:** ${report.endedAt} (${formatClock(report.durationMs)})`,
+  ];
+  
+  for (const [key, value] of Object.entries(report.settings)) {
+    if (value !== '' && value !== null && value !== undefined) lines.push(`- **${key}:** ${value}`);
+  }
+  
+  lines.push(
+    `- **Jobs:** ${totals.jobs} (${totals.succeeded} succeeded, ${totals.timedOut} timed out, ${totals.failed} failed, ${totals.cancelled} cancelled)`,
+    `- **Attempts:** ${totals.attempts} (${totals.retried} jobs retried)`,
+    `- **Estimated cost:** ~$${totals.costUsd.toFixed(4)}`,
+    '',
+    '| Job | Status | Attempts | Session | Duration | Turns | Cost | Persona | Language |',
+    '|-----|--------|----------|---------|----------|-------|------|---------|----------|',
+  );
+  
+  for (const job of report.jobs) {
+    const last = job.attempts[job.attempts.length - 1];
+    lines.push(`| ${[
+      job.id,
+      job.status,
+      job.attempts.length,
+      last ? last.sessionId : '',
+      last ? formatClock(last.durationMs) : '',
+      last ? last.turns : '',
+      last ? `$${last.costUsd.toFixed(4)}` : '',
+      job.persona,
+      job.language,
+    ].map(cell).join(' | ')} |`);
+  }
+  
+  const failures = report.jobs.flatMap(job => job.attempts
+    .filter(attempt => attempt.error)
+    .map(attempt => ({ job, attempt })));
+  
+  if (failures.length > 0) {
+    lines.push('', '## Errors', '');
+    for (const { job, attempt } of failures) {
+      lines.push(`- **${job.id}** attempt ${attempt.attempt} (${attempt.status}): ${cell(attempt.error)}`);
+      lines.push(`  - Log: \`${path.basename(attempt.logFile)}\`${attempt.artifactsDir ? `, artifacts: \`${attempt.artifactsDir}\`` : ''}`);
+    }
+  }
+  
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Writes report.json and report.md into a directory
+ * 
+ * @param {BatchReport} report - Batch report
+ * @param {string} dir - Batch directory
+ * @returns {string[]} Written file paths
+ * @throws {Error} If the files cannot be written
+ */
+function writeReport(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  
+  const jsonPath = path.join(dir, 'report.json');
+  const markdownPath = path.join(dir, 'report.md');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, toMarkdown(report));
+  
+  return [jsonPath, markdownPath];
+}
+
+module.exports = {
+  buildReport,
+  toMarkdown,
+  writeReport,
+  JobStatus,
+  SUCCESS_STATUSES,
+  REPORT_VERSION,
+};
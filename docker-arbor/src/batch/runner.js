@@ -0,0 +1,569 @@
+/**
+ * Batch Runner Module
+ * 
+ * @module batch/runner
+ * @description Runs many interviews from one jobs file (see batch/jobs). Every attempt is its
+ *              own `node src/index.js` process with its own Chromium (so its own browser
+ *              profile and context), health port and session id, and, unless audio isolation
+ *              is off, its own PulseAudio sink pair (see audio/sink-pair), so concurrent
+ *              sessions never hear each other's answers. Jobs wait in a queue until one of the
+ *              `concurrency` slots is free; a failed session goes to the back of the queue and
+ *              is tried again after retryDelayMs, up to `retries` more times. When the queue is
+ *              empty the report is written (see batch/report).
+ * 
+ * Slot n uses health port basePort + n and the devices arbor_s<n>_speaker, arbor_s<n>_mic and
+ * arbor_s<n>_browser; the devices exist only while an attempt runs in the slot.
+ * 
+ * @example
+ * const { createBatchRunner } = require('./batch/runner');
+ * 
+ * const runner = createBatchRunner({ jobs: loadJobs('interviews.csv'), concurrency: 3, retries: 1 });
+ * const report = await runner.run();
+ * console.log(report.totals);
+ * 
+ * // Standalone: node src/batch/runner.js interviews.csv (settings from BATCH_* variables)
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only schedules sessions and collects their results
+ * - Open/Closed: A session is configured through environment variables, not runner code
+ * - Dependency Inversion: Sessions are separate processes; the runner only reads what they write
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createSinkPair } = require('../audio/sink-pair');
+const { createSessionId } = require('../session/transcript');
+const { buildReport, writeReport, JobStatus, SUCCESS_STATUSES } = require('./report');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  CONCURRENCY: 2,
+  RETRIES: 1,
+  RETRY_DELAY_MS: 30000,
+  BASE_PORT: 3001,
+  TIMEOUT_SECONDS: 1800,
+  EXIT_GRACE_MS: 120000,
+  KILL_AFTER_MS: 10000,
+  IDLE_WAIT_MS: 60000,
+  LOG_TAIL_BYTES: 16384,
+};
+
+/**
+ * @typedef {Object} BatchRunnerOptions
+ * @property {import('./jobs').BatchJob[]} jobs - Interviews to run
+ * @property {number} [concurrency=2] - Sessions run at the same time
+ * @property {number} [retries=1] - Extra attempts for a failed session
+ * @property {number} [retryDelayMs=30000] - Wait before a failed session is tried again
+ * @property {number} [basePort=3001] - Health port of slot 0 (slot n uses basePort + n)
+ * @property {boolean} [isolateAudio=true] - Give every session its own PulseAudio sink pair
+ * @property {string} logsDir - Session transcripts root (the batch directory is created in it)
+ * @property {number} [timeoutSeconds=1800] - TIMEOUT_SECONDS of the sessions (a session still running well after it is killed)
+ * @property {string} [batchId] - Batch identifier (generated when omitted)
+ * @property {Object.<string, string>} [env=process.env] - Environment shared by all sessions
+ * @property {string} [entry] - Session entry point (default: src/index.js)
+ * @property {Object} [settings] - Extra details recorded in the report (e.g. the jobs file)
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Creates a batch runner
+ * 
+ * @param {BatchRunnerOptions} options - Runner configuration
+ * @returns {{run: Function, stop: Function, getDirectory: Function, batchId: string}} Batch runner
+ * @throws {Error} If there are no jobs or no logsDir
+ * 
+ * @example
+ * const runner = createBatchRunner({ jobs, logsDir: '/app/logs', concurrency: 4 });
+ * process.on('SIGTERM', () => runner.stop());
+ */
+function createBatchRunner(options = {}) {
+  const {
+    jobs = [],
+    concurrency = DEFAULTS.CONCURRENCY,
+    retries = DEFAULTS.RETRIES,
+    retryDelayMs = DEFAULTS.RETRY_DELAY_MS,
+    basePort = DEFAULTS.BASE_PORT,
+    isolateAudio = true,
+    logsDir,
+    timeoutSeconds = DEFAULTS.TIMEOUT_SECONDS,
+    batchId = createSessionId(),
+    env = process.env,
+    entry = path.join(__dirname, '..', 'index.js'),
+    settings = {},
+    logger = console,
+  } = options;
+  
+  if (jobs.length === 0) {
+    throw new Error('Batch runner requires at least one job');
+  }
+  if (!logsDir) {
+    throw new Error('Batch runner requires a logsDir');
+  }
+  
+  const batchDir = path.join(logsDir, `batch-${batchId}`);
+  
+  /**
+   * Results per job, in file order
+   * @type {import('./report').JobResult[]}
+   */
+  const results = jobs.map(job => ({
+    id: job.id,
+    url: job.url,
+    persona: job.persona,
+    language: job.language,
+    status: JobStatus.CANCELLED,
+    attempts: [],
+  }));
+  
+  /**
+   * Attempts waiting for a slot
+   * @type {Array<{index: number, attempt: number, notBefore: number}>}
+   */
+  const queue = jobs.map((job, index) => ({ index, attempt: 1, notBefore: 0 }));
+  
+  /**
+   * Session processes by slot
+   * @type {Map<number, import('child_process').ChildProcess>}
+   */
+  const running = new Map();
+  
+  /** @type {Set<Function>} Workers waiting for a slot, the queue or a retry */
+  const waiters = new Set();
+  
+  let active = 0;
+  let stopping = false;
+  let startedAt = 0;
+  
+  // ============================================================
+  // SCHEDULING
+  // ============================================================
+  
+  /**
+   * Waits until something changes (an attempt ended, stop) or timeoutMs passes
+   * 
+   * @private
+   * @param {number} timeoutMs - Longest wait
+   * @returns {Promise<void>}
+   */
+  function waitForChange(timeoutMs) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        waiters.delete(done);
+        resolve();
+      };
+      const timer = setTimeout(done, timeoutMs);
+      waiters.add(done);
+    });
+  }
+  
+  /**
+   * Wakes all waiting workers
+   * 
+   * @private
+   */
+  function wake() {
+    [...waiters].forEach(done => done());
+  }
+  
+  /**
+   * Runs queued attempts in one slot until the queue is empty and nothing can be requeued
+   * 
+   * @private
+   * @async
+   * @param {number} slot - Slot number
+   * @returns {Promise<void>}
+   */
+  async function worker(slot) {
+    while (!stopping) {
+      const now = Date.now();
+      const position = queue.findIndex(item => item.notBefore <= now);
+      
+      if (position === -1) {
+        // Done once nothing is queued and no running attempt can fail into the queue
+        if (queue.length === 0 && active === 0) return;
+        const nextRetry = Math.min(...queue.map(item => item.notBefore));
+        await waitForChange(queue.length > 0 ? Math.max(nextRetry - now, 10) : DEFAULTS.IDLE_WAIT_MS);
+        continue;
+      }
+      
+      const [item] = queue.splice(position, 1);
+      active++;
+      try {
+        await runAttempt(slot, item);
+      } finally {
+        active--;
+        wake();
+      }
+    }
+  }
+  
+  // ============================================================
+  // SESSIONS
+  // ============================================================
+  
+  /**
+   * Builds the environment of one session
+   * 
+   * @private
+   * @param {import('./jobs').BatchJob} job - Job
+   * @param {string} sessionId - Session id of the attempt
+   * @param {number} slot - Slot number
+   * @param {Object|null} pair - Sink pair of the slot (null without audio isolation)
+   * @returns {Object.<string, string>} Environment variables
+   */
+  function buildEnv(job, sessionId, slot, pair) {
+    return {
+      ...env,
+      INTERVIEW_URL: job.url,
+      INTERVIEW_PASSWORD: job.password,
+      ...(job.persona ? { PERSONA: job.persona } : {}),
+      ...(job.language ? { INTERVIEW_LANGUAGE: job.language } : {}),
+      ...(job.profile ? { SELECTOR_PROFILE: job.profile } : {}),
+      ...job.env,
+      // Set by the runner whatever the job says: where results go and what stays apart
+      SESSION_ID: sessionId,
+      LOGS_DIR: logsDir,
+      HEALTH_PORT: String(basePort + slot),
+      ...(pair ? pair.getEnv() : {}),
+    };
+  }
+  
+  /**
+   * Starts a session process and waits for it to exit. A session that outlives its own
+   * TIMEOUT_SECONDS by more than EXIT_GRACE_MS is stopped.
+   * 
+   * @private
+   * @param {Object.<string, string>} sessionEnv - Session environment
+   * @param {string} logFile - File the session's output goes to
+   * @param {number} slot - Slot number
+   * @returns {Promise<{code: number|null, signal: string|null, hung: boolean}>} How the process ended
+   */
+  function runSession(sessionEnv, logFile, slot) {
+    return new Promise((resolve, reject) => {
+      const output = fs.openSync(logFile, 'a');
+      let child;
+      
+      try {
+        child = spawn(process.execPath, [entry], { env: sessionEnv, stdio: ['ignore', output, output] });
+      } finally {
+        fs.closeSync(output);
+      }
+      running.set(slot, child);
+      
+      const sessionTimeout = parseInt(sessionEnv.TIMEOUT_SECONDS, 10) || timeoutSeconds;
+      let hung = false;
+      const guard = setTimeout(() => {
+        hung = true;
+        terminate(child);
+      }, sessionTimeout * 1000 + DEFAULTS.EXIT_GRACE_MS);
+      
+      child.once('error', (error) => {
+        clearTimeout(guard);
+        running.delete(slot);
+        reject(new Error(`Session could not start: ${error.message}`));
+      });
+      
+      child.once('exit', (code, signal) => {
+        clearTimeout(guard);
+        running.delete(slot);
+        resolve({ code, signal, hung });
+      });
+    });
+  }
+  
+  /**
+   * Asks a session to stop (it saves its transcript on SIGTERM) and kills it if it does not
+   * 
+   * @private
+   * @param {import('child_process').ChildProcess} child - Session process
+   */
+  function terminate(child) {
+    if (child.exitCode !== null || child.signalCode !== null) return;
+    child.kill('SIGTERM');
+    setTimeout(() => {
+      if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+    }, DEFAULTS.KILL_AFTER_MS).unref();
+  }
+  
+  /**
+   * Reads what the session wrote: its transcript and whether it captured artifacts
+   * 
+   * @private
+   * @param {string} sessionId - Session id
+   * @returns {{endReason: string|null, turns: number, costUsd: number, artifactsDir: string|null}} Session outcome
+   */
+  function readSession(sessionId) {
+    const sessionDir = path.join(logsDir, sessionId);
+    const artifactsDir = path.join(sessionDir, 'artifacts');
+    const outcome = {
+      endReason: null,
+      turns: 0,
+      costUsd: 0,
+      artifactsDir: fs.existsSync(artifactsDir) ? artifactsDir : null,
+    };
+    
+    try {
+      const transcript = JSON.parse(fs.readFileSync(path.join(sessionDir, 'transcript.json'), 'utf8'));
+      outcome.endReason = transcript.endReason || null;
+      outcome.turns = transcript.turns.length;
+      outcome.costUsd = transcript.usage ? transcript.usage.costUsd || 0 : 0;
+    } catch (error) {
+      // No JSON transcript (not started far enough, or TRANSCRIPT_FORMATS without json)
+    }
+    
+    return outcome;
+  }
+  
+  /**
+   * Finds the last error the session logged
+   * 
+   * @private
+   * @param {string} logFile - Session output
+   * @returns {string|null} Error line
+   */
+  function readLastError(logFile) {
+    try {
+      const size = fs.statSync(logFile).size;
+      const length = Math.min(size, DEFAULTS.LOG_TAIL_BYTES);
+      const buffer = Buffer.alloc(length);
+      const fd = fs.openSync(logFile, 'r');
+      fs.readSync(fd, buffer, 0, length, size - length);
+      fs.closeSync(fd);
+      
+      const lines = buffer.toString('utf8')
+        .replace(/\x1b\[[0-9;]*m/g, '')
+        .split('\n')
+        .filter(line => line.includes('[ERROR]'));
+      if (lines.length === 0) return null;
+      // Without the timestamp, level and logger prefix
+      return lines[lines.length - 1].replace(/^.*?\[ERROR\]\s*(\[\w+\]\s*)?/, '').trim().slice(0, 500);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Works out how an attempt ended
+   * 
+   * @private
+   * @param {{code: number|null, signal: string|null, hung: boolean}} exit - Process exit
+   * @param {string|null} endReason - endReason of the transcript
+   * @returns {JobStatus} Status
+   */
+  function toStatus(exit, endReason) {
+    if (stopping && (exit.code !== 0 || exit.signal || endReason === 'signal')) {
+      return JobStatus.CANCELLED;
+    }
+    if (exit.hung || exit.code !== 0 || endReason === 'error' || endReason === 'signal') {
+      return JobStatus.FAILED;
+    }
+    if (endReason === 'timeout') return JobStatus.TIMEOUT;
+    return endReason === 'ended' ? JobStatus.ENDED : JobStatus.COMPLETED;
+  }
+  
+  /**
+   * Runs one attempt of a job in a slot and records the result; a failed attempt is
+   * queued again while retries are left
+   * 
+   * @private
+   * @async
+   * @param {number} slot - Slot number
+   * @param {{index: number, attempt: number}} item - Queued attempt
+   * @returns {Promise<void>}
+   */
+  async function runAttempt(slot, item) {
+    const job = jobs[item.index];
+    const result = results[item.index];
+    const sessionId = `${batchId}-${job.id}-a${item.attempt}`;
+    const logFile = path.join(batchDir, `${job.id}-a${item.attempt}.log`);
+    const attemptStartedAt = Date.now();
+    const pair = isolateAudio ? createSinkPair({ name: `arbor_s${slot}`, logger }) : null;
+    
+    logger.info(`[batch] ▶ ${job.id} attempt ${item.attempt}/${retries + 1} in slot ${slot} (session ${sessionId})`);
+    
+    /** @type {import('./report').AttemptResult} */
+    const attempt = {
+      attempt: item.attempt,
+      sessionId,
+      status: JobStatus.FAILED,
+      exitCode: null,
+      signal: null,
+      endReason: null,
+      startedAt: new Date(attemptStartedAt).toISOString(),
+      durationMs: 0,
+      turns: 0,
+      costUsd: 0,
+      error: null,
+      logFile,
+      artifactsDir: null,
+    };
+    
+    try {
+      if (pair) await pair.load();
+      if (stopping) {
+        throw new Error('Batch stopped before the session started');
+      }
+      const exit = await runSession(buildEnv(job, sessionId, slot, pair), logFile, slot);
+      const outcome = readSession(sessionId);
+      
+      Object.assign(attempt, {
+        status: toStatus(exit, outcome.endReason),
+        exitCode: exit.code,
+        signal: exit.signal,
+        endReason: outcome.endReason,
+        turns: outcome.turns,
+        costUsd: outcome.costUsd,
+        artifactsDir: outcome.artifactsDir,
+      });
+      
+      if (exit.hung) {
+        attempt.error = `Session still running ${DEFAULTS.EXIT_GRACE_MS / 1000}s after its timeout; stopped`;
+      } else if (attempt.status === JobStatus.FAILED) {
+        attempt.error = readLastError(logFile) || `Session exited with ${exit.signal || `code ${exit.code}`}`;
+      }
+    } catch (error) {
+      attempt.status = stopping ? JobStatus.CANCELLED : JobStatus.FAILED;
+      attempt.error = error.message;
+    } finally {
+      if (pair) await pair.unload();
+    }
+    
+    attempt.durationMs = Date.now() - attemptStartedAt;
+    result.attempts.push(attempt);
+    result.status = attempt.status;
+    
+    if (attempt.status === JobStatus.FAILED && item.attempt <= retries && !stopping) {
+      queue.push({ index: item.index, attempt: item.attempt + 1, notBefore: Date.now() + retryDelayMs });
+      logger.warn(`[batch] ✗ ${job.id} attempt ${item.attempt} failed (${attempt.error}); retrying in ${Math.round(retryDelayMs / 1000)}s`);
+    } else if (SUCCESS_STATUSES.includes(attempt.status)) {
+      logger.info(`[batch] ✓ ${job.id} ${attempt.status} (${attempt.turns} turns)`);
+    } else {
+      logger.warn(`[batch] ✗ ${job.id} ${attempt.status}${attempt.error ? `: ${attempt.error}` : ''}`);
+    }
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Runs all jobs and writes the report
+   * 
+   * @async
+   * @returns {Promise<import('./report').BatchReport>} Batch report
+   * @throws {Error} If called twice or the batch directory cannot be created
+   */
+  async function run() {
+    if (startedAt) {
+      throw new Error('Batch runner has already run');
+    }
+    
+    startedAt = Date.now();
+    fs.mkdirSync(batchDir, { recursive: true });
+    logger.info(`[batch] ${jobs.length} jobs, ${concurrency} at a time, ${retries} retries (batch ${batchId})`);
+    
+    const slots = Math.min(concurrency, jobs.length);
+    await Promise.all(Array.from({ length: slots }, (unused, slot) => worker(slot)));
+    
+    const report = buildReport(results, {
+      batchId,
+      startedAt,
+      settings: { ...settings, concurrency, retries, isolateAudio },
+    });
+    
+    try {
+      writeReport(report, batchDir);
+      logger.info(`[batch] Report: ${path.join(batchDir, 'report.md')}`);
+    } catch (error) {
+      logger.error(`[batch] Could not write the report: ${error.message}`);
+    }
+    
+    const { totals } = report;
+    logger.info(`[batch] Done: ${totals.succeeded}/${totals.jobs} succeeded, ${totals.timedOut} timed out, ${totals.failed} failed, ${totals.cancelled} cancelled`);
+    return report;
+  }
+  
+  /**
+   * Stops the batch: queued jobs are not started and running sessions are asked to stop
+   * (they save their transcripts). run() then resolves with the report.
+   */
+  function stop() {
+    if (stopping) return;
+    stopping = true;
+    logger.warn(`[batch] Stopping: ${running.size} running, ${queue.length} queued`);
+    running.forEach(child => terminate(child));
+    wake();
+  }
+  
+  /**
+   * Returns the batch directory (report and session output)
+   * 
+   * @returns {string} Batch directory
+   */
+  function getDirectory() {
+    return batchDir;
+  }
+  
+  return {
+    run,
+    stop,
+    getDirectory,
+    batchId,
+  };
+}
+
+// ============================================================
+// STANDALONE ENTRY POINT
+// ============================================================
+
+if (require.main === module) {
+  const { config, validateBatchConfig } = require('../config');
+  const { createLogger } = require('../utils/logger');
+  const { loadJobs } = require('./jobs');
+  const logger = createLogger({ level: config.logLevel, prefix: '[Batch]', timestamps: true });
+  const batch = { ...config.batch, file: process.argv[2] || config.batch.file };
+  
+  let runner;
+  try {
+    validateBatchConfig({ ...config, batch });
+    runner = createBatchRunner({
+      jobs: loadJobs(batch.file, config.persona.dir ? { personasDir: config.persona.dir } : {}),
+      concurrency: batch.concurrency,
+      retries: batch.retries,
+      retryDelayMs: batch.retryDelayMs,
+      basePort: batch.basePort,
+      isolateAudio: batch.isolateAudio,
+      logsDir: config.session.logsDir,
+      timeoutSeconds: config.interview.timeoutSeconds,
+      settings: { file: batch.file },
+      logger,
+    });
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+  
+  process.on('SIGINT', () => runner.stop());
+  process.on('SIGTERM', () => runner.stop());
+  
+  runner.run()
+    .then((report) => {
+      process.exit(report.totals.succeeded === report.totals.jobs ? 0 : 1);
+    })
+    .catch((error) => {
+      logger.error('Batch failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  createBatchRunner,
+  DEFAULTS,
+};
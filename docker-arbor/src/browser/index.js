@@ -3,7 +3,9 @@
  * 
  * @module browser
  * @description Re-exports all browser-related modules for convenient importing.
- *              Provides unified access to browser launching, page control, and automation.
+ *              Provides unified access to browser launching, page control, and automation
+ *              (including the screen flow that gets through the pre-interview screens and
+ *              the selector profiles of each interview platform version).
  * 
  * @example
  * const { launchBrowser, navigateToInterview, injectAutomation } = require('./browser');
@@ -17,6 +19,9 @@
 
 const puppeteerLauncher = require('./puppeteer-launcher');
 const pageController = require('./page-controller');
+const screens = require('./screens');
+const screenFlow = require('./screen-flow');
+const profiles = require('./profiles');
 
 module.exports = {
   // From puppeteer-launcher
@@ -28,4 +33,21 @@ module.exports = {
   navigateToInterview: pageController.navigateToInterview,
   setupAudioDevices: pageController.setupAudioDevices,
   injectAutomation: pageController.injectAutomation,
+  sendPageControl: pageController.sendPageControl,
+  
+  // From screens
+  ScreenId: screens.ScreenId,
+  DEFAULT_SCREENS: screens.DEFAULT_SCREENS,
+  loadScreens: screens.loadScreens,
+  
+  // From screen-flow
+  createScreenFlow: screenFlow.createScreenFlow,
+  FlowError: screenFlow.FlowError,
+  FlowErrorCode: screenFlow.FlowErrorCode,
+  
+  // From profiles
+  loadProfile: profiles.loadProfile,
+  listProfiles: profiles.listProfiles,
+  detectProfile: profiles.detectProfile,
+  resolveProfile: profiles.resolveProfile,
 };
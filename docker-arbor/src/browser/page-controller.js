@@ -10,7 +10,8 @@
  * 
  * await setupAudioDevices(page, interviewUrl);
  * await navigateToInterview(page, interviewUrl);
- * await injectAutomation(page, { password, geminiApiKey });
+ * await injectAutomation(page, { conversation });
+ * await sendPageControl(page, 'end');
  * 
  * SOLID Principles Applied:
  * - Single Responsibility: Each function handles one specific task
@@ -22,6 +23,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { createEndpointer } = require('../audio/endpointer');
+const { getVoiceActivityDetectorScript, getResamplerScript } = require('../audio/processor');
+const { createPulseSink } = require('../audio/pulse-sink');
+const { loadProfile } = require('./profiles');
 
 // ============================================================
 // NAVIGATION
@@ -37,6 +42,7 @@ const path = require('path');
  * @param {Object} [options={}] - Navigation options
  * @param {Object} [options.logger=console] - Logger instance
  * @param {number} [options.timeout=60000] - Navigation timeout in ms
+ * @param {Function} [options.onPageError] - Called with (kind, error) for uncaught page errors ('pageerror') and crashes ('crash')
  * @returns {Promise<void>}
  * @throws {Error} If navigation fails or times out
  * 
@@ -47,6 +53,7 @@ async function navigateToInterview(page, url, options = {}) {
   const {
     logger = console,
     timeout = 60000,
+    onPageError = null,
   } = options;
   
   logger.info('[page] Navigating to:', url);
@@ -55,7 +62,7 @@ async function navigateToInterview(page, url, options = {}) {
   setupConsoleForwarding(page, logger);
   
   // Set up error handling
-  setupErrorHandling(page, logger);
+  setupErrorHandling(page, logger, onPageError);
   
   // Navigate with timeout
   await page.goto(url, {
@@ -98,10 +105,21 @@ function setupConsoleForwarding(page, logger) {
  * @private
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {Object} logger - Logger instance
+ * @param {Function|null} onPageError - Called with (kind, error) for page errors and crashes
  */
-function setupErrorHandling(page, logger) {
+function setupErrorHandling(page, logger, onPageError) {
+  const report = (kind, error) => {
+    if (typeof onPageError === 'function') onPageError(kind, error);
+  };
+  
   page.on('pageerror', (error) => {
     console.error('[page-error]', error.message);
+    report('pageerror', error);
+  });
+  
+  page.on('error', (error) => {
+    console.error('[page-crash]', error.message);
+    report('crash', error);
   });
   
   page.on('requestfailed', (request) => {
@@ -158,9 +176,16 @@ async function setupAudioDevices(page, url, options = {}) {
 
 /**
  * @typedef {Object} InjectOptions
- * @property {string} [password=''] - Interview password
- * @property {string} [geminiApiKey=''] - Gemini API key for in-page LLM
- * @property {Object} [conversation] - Conversation manager instance
+ * @property {Object} [conversation] - Conversation manager; receives the interviewer audio and plays its answers here
+ * @property {Object} [recorder] - Session recorder; receives the interviewer downlink and the TTS uplink
+ * @property {Function} [onEvent] - Called with (type, data) for live events from the page (see services/event-bus)
+ * @property {{enabled: boolean, threshold: number, minSpeechMs: number}} [bargeIn] - Stop playback when the interviewer talks over the candidate
+ * @property {import('../audio/endpointer').EndpointerOptions} [endpointing] - End-of-turn detection settings (the page runs the matching VAD)
+ * @property {number} [sampleRate=16000] - Rate the interviewer audio is resampled to before STT
+ * @property {string} [ttsDevice='virtual_speaker'] - PulseAudio sink the answers are played into
+ * @property {string} [micDevice] - PulseAudio source the page records as its microphone (the session's own; shared virtual_mic if unset)
+ * @property {string} [browserDevice] - PulseAudio sink the browser plays into (the session's own; shared virtual_speaker_2 if unset)
+ * @property {import('./profiles').SelectorProfile} [profile] - Selector profile the page script uses (defaults to arbor-v2)
  * @property {Object} [logger=console] - Logger instance
  */
 
@@ -176,15 +201,18 @@ async function setupAudioDevices(page, url, options = {}) {
  * 
  * @example
  * await injectAutomation(page, {
- *   password: 'secret123',
- *   geminiApiKey: 'AIza...',
  *   conversation: myConversation,
+ *   onEvent: events.emit,
  * });
  */
 async function injectAutomation(page, options = {}) {
   const {
-    password = '',
-    geminiApiKey = '',
+    bargeIn = {},
+    endpointing = {},
+    sampleRate = 16000,
+    micDevice = '',
+    browserDevice = '',
+    profile = loadProfile(),
     logger = console,
   } = options;
   
@@ -198,9 +226,25 @@ async function injectAutomation(page, options = {}) {
   
   logger.info('[inject] ✓ Node.js bridge functions exposed');
   
+  // Resampler and VAD sources the automation script loads into the capture worklet
+  await page.evaluate((resampler, vad) => {
+    window.__arborResamplerScript = resampler;
+    window.__arborVadScript = vad;
+  }, getResamplerScript(), getVoiceActivityDetectorScript());
+  
   // Load and inject the automation script
-  const scriptContent = loadAutomationScript(logger);
-  await executeAutomationScript(page, scriptContent, password, geminiApiKey);
+  const scriptContent = loadAutomationScript();
+  await executeAutomationScript(page, scriptContent, {
+    BARGE_IN_ENABLED: bargeIn.enabled !== false,
+    BARGE_IN_THRESHOLD: bargeIn.threshold,
+    BARGE_IN_MIN_SPEECH_MS: bargeIn.minSpeechMs,
+    // The worklet VAD runs with the settings the endpointer in Node expects
+    VAD: createEndpointer(endpointing).getVadOptions(),
+    AUDIO_SAMPLE_RATE: sampleRate,
+    MIC_DEVICE: micDevice,
+    BROWSER_DEVICE: browserDevice,
+    PROFILE: { id: profile.id, selectors: profile.selectors, text: profile.text },
+  });
   
   logger.info('[inject] ✓ Automation script injected');
 }
@@ -217,350 +261,159 @@ async function injectAutomation(page, options = {}) {
 async function exposeBridgeFunctions(page, options) {
   const { logger = console } = options;
   
-  // Logging bridge
+  // Logging bridge (level 'event' carries a structured live event: type, data)
   await page.exposeFunction('__arborLog', (level, ...args) => {
+    if (level === 'event') {
+      if (typeof options.onEvent === 'function') {
+        options.onEvent(args[0], args[1] || {});
+      }
+      return;
+    }
+    
     const logFn = logger[level] || logger.info || console.log;
     logFn('[page]', ...args);
   });
   
-  // Audio send bridge
-  await page.exposeFunction('__arborSendAudio', async (base64Audio, sampleRate) => {
+  // Audio send bridge: interviewer speech ('' when only voice activity changed) and VAD results
+  await page.exposeFunction('__arborSendAudio', async (base64Audio, sampleRate, activity) => {
     if (options.conversation) {
-      await options.conversation.sendAudio(base64Audio, sampleRate);
+      await options.conversation.sendAudio(base64Audio, sampleRate, activity || null);
     }
   });
   
-  // Audio file save bridge
-  await page.exposeFunction('__arborSaveAudioFile', createAudioFileSaver(logger));
+  // Barge-in bridge: the page heard the interviewer talk over the answer
+  await page.exposeFunction('__arborBargeIn', () => {
+    return options.conversation ? options.conversation.bargeIn() : false;
+  });
   
-  // TTS playback bridge (via PulseAudio)
-  await page.exposeFunction('__arborPlayAudio', createTTSPlaybackHandler(logger));
-}
-
-/**
- * Creates the audio file saver function
- * Saves audio files to a runtime directory for debugging
- * 
- * @private
- * @param {Object} logger - Logger instance
- * @returns {Function} Audio file saver function
- */
-function createAudioFileSaver(logger) {
-  return async (base64Audio, filename, sampleRate) => {
-    const fsMod = require('fs');
-    const pathMod = require('path');
-    const os = require('os');
-    
-    try {
-      // Create runtime directory
-      const runtimeDir = pathMod.join(os.tmpdir(), 'arbor-audio-runtime');
-      if (!fsMod.existsSync(runtimeDir)) {
-        fsMod.mkdirSync(runtimeDir, { recursive: true });
+  // TTS playback: one long-lived pacat stream fed by a jitter buffer. The conversation plays
+  // its answers into it; the page learns about real playback through
+  // window.__arborOnPlayback(type, data) so it can listen for barge-in
+  const notifyPage = (type, data = {}) => {
+    if (page.isClosed()) return;
+    page.evaluate((playbackType, playbackData) => {
+      if (typeof window.__arborOnPlayback === 'function') {
+        window.__arborOnPlayback(playbackType, playbackData);
       }
-      
-      // Decode and save
-      const buffer = Buffer.from(base64Audio, 'base64');
-      const filePath = pathMod.join(runtimeDir, filename);
-      fsMod.writeFileSync(filePath, buffer);
-      
-      logger.info(`[audio-file] Saved: ${filename} (${buffer.length} bytes, ${sampleRate || 'unknown'}Hz)`);
-      return filePath;
-    } catch (error) {
-      logger.error('[audio-file] Save error:', error.message);
-      return null;
-    }
+    }, type, data).catch(() => {});
   };
-}
-
-/**
- * Creates the TTS playback handler function
- * Plays audio through PulseAudio using paplay
- * 
- * @private
- * @param {Object} logger - Logger instance
- * @returns {Function} TTS playback handler function
- */
-function createTTSPlaybackHandler(logger) {
-  let consecutiveFailures = 0;
-  const MAX_CONSECUTIVE_FAILURES = 3;
-  const MAX_RETRIES = 2;
   
-  return async (base64Audio, sampleRate) => {
-    const { spawn } = require('child_process');
-    const fsMod = require('fs');
-    const os = require('os');
-    const pathMod = require('path');
-    
-    // Check if PulseAudio is available before attempting playback
-    const checkPulseAudio = () => {
-      try {
-        const { execSync } = require('child_process');
-        execSync('pactl info >/dev/null 2>&1', { timeout: 1000 });
-        return true;
-      } catch {
-        return false;
+  const sink = createPulseSink({
+    device: options.ttsDevice || undefined,
+    logger,
+    onStart: () => {
+      if (options.conversation) options.conversation.markPlaybackStarted();
+      notifyPage('start');
+    },
+    onEnd: ({ durationMs }) => {
+      if (options.conversation) options.conversation.markPlaybackComplete(durationMs);
+      notifyPage('end', { durationMs });
+    },
+    // Recorded as it is handed to PulseAudio, so the candidate track follows what the interviewer heard
+    onWrite: (pcm, sampleRate, playAt) => {
+      if (options.recorder) {
+        options.recorder.write('candidate', pcm, sampleRate, playAt);
       }
-    };
-    
-    // If too many consecutive failures, stop processing queue
-    if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-      logger.error('[audio] Too many consecutive playback failures. Stopping TTS queue to prevent audio burn-through.');
-      logger.error('[audio] PulseAudio may be down. Check container logs for PulseAudio status.');
-      throw new Error('TTS playback failed: PulseAudio unavailable');
-    }
-    
-    return new Promise((resolve, reject) => {
-      const playWithRetry = (retryCount = 0) => {
-        try {
-          // Verify PulseAudio is available
-          if (!checkPulseAudio()) {
-            const error = new Error('PulseAudio daemon is not running');
-            logger.error('[audio]', error.message);
-            consecutiveFailures++;
-            reject(error);
-            return;
-          }
-          
-          // Decode base64 to raw PCM
-          const buffer = Buffer.from(base64Audio, 'base64');
-          
-          // Create temp file
-          const tmpFile = pathMod.join(os.tmpdir(), `tts_${Date.now()}_${retryCount}.raw`);
-          fsMod.writeFileSync(tmpFile, buffer);
-          
-          logger.debug('[audio] Playing TTS via paplay:', tmpFile, 'rate:', sampleRate, retryCount > 0 ? `(retry ${retryCount})` : '');
-          
-          // Play through PulseAudio
-          const paplay = spawn('paplay', [
-            '--device=virtual_speaker',
-            '--raw',
-            '--format=s16le',
-            '--channels=1',
-            `--rate=${sampleRate || 24000}`,
-            tmpFile,
-          ], {
-            env: {
-              ...process.env,
-              PULSE_SERVER: process.env.PULSE_SERVER || 'unix:/run/pulse/native',
-              XDG_RUNTIME_DIR: process.env.XDG_RUNTIME_DIR || '/run/pulse',
-            },
-          });
-          
-          let stderrOutput = '';
-          paplay.stderr.on('data', (data) => {
-            stderrOutput += data.toString();
-          });
-          
-          paplay.on('close', (code) => {
-            cleanupTempFile(tmpFile);
-            if (code !== 0) {
-              consecutiveFailures++;
-              const errorMsg = `paplay exited with code ${code}${stderrOutput ? ': ' + stderrOutput.trim() : ''}`;
-              logger.error('[audio]', errorMsg);
-              
-              // Retry if we haven't exceeded max retries
-              if (retryCount < MAX_RETRIES && code === 1) {
-                logger.warn('[audio] Retrying playback in 500ms...');
-                setTimeout(() => playWithRetry(retryCount + 1), 500);
-                return;
-              }
-              
-              // If too many failures, reject to stop queue
-              if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-                logger.error('[audio] CRITICAL: TTS playback failing repeatedly. PulseAudio may be down.');
-                reject(new Error(`TTS playback failed after ${retryCount + 1} attempts: ${errorMsg}`));
-              } else {
-                resolve(); // Continue queue but log error
-              }
-            } else {
-              // Success - reset failure counter
-              consecutiveFailures = 0;
-              resolve();
-            }
-          });
-          
-          paplay.on('error', (err) => {
-            cleanupTempFile(tmpFile);
-            consecutiveFailures++;
-            logger.error('[audio] paplay spawn error:', err.message);
-            
-            // Retry if we haven't exceeded max retries
-            if (retryCount < MAX_RETRIES) {
-              logger.warn('[audio] Retrying playback in 500ms...');
-              setTimeout(() => playWithRetry(retryCount + 1), 500);
-              return;
-            }
-            
-            if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-              reject(new Error(`TTS playback failed: ${err.message}`));
-            } else {
-              resolve();
-            }
-          });
-          
-          // Timeout safety
-          setTimeout(() => {
-            if (!paplay.killed) {
-              paplay.kill();
-              cleanupTempFile(tmpFile);
-              consecutiveFailures++;
-              logger.error('[audio] paplay timeout after 10 seconds');
-              if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-                reject(new Error('TTS playback timeout'));
-              } else {
-                resolve();
-              }
-            }
-          }, 10000);
-          
-        } catch (error) {
-          consecutiveFailures++;
-          logger.error('[audio] Playback error:', error.message);
-          if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-            reject(error);
-          } else {
-            resolve();
-          }
-        }
-      };
-      
-      playWithRetry();
+    },
+    onError: (reason, consecutiveFailures) => {
+      if (options.conversation) options.conversation.markPlaybackFailed(reason);
+      if (typeof options.onEvent === 'function') {
+        options.onEvent('playback_error', { reason, consecutiveFailures });
+      }
+      notifyPage('error', { reason, consecutiveFailures });
+    },
+  });
+  page.once('close', () => sink.close());
+  
+  if (options.conversation) {
+    options.conversation.attachPlayback({
+      play: (base64Audio, sampleRate) => sink.write(Buffer.from(base64Audio, 'base64'), sampleRate || 24000),
+      // Barge-in: drops the audio that has not been heard yet
+      stop: () => sink.flush(),
     });
-  };
+  }
+  
+  // Session recording bridge (interviewer downlink, before any TTS/silence gating)
+  if (options.recorder) {
+    await page.exposeFunction('__arborRecordAudio', (track, base64Audio, sampleRate, capturedAt) => {
+      options.recorder.writeBase64(track, base64Audio, sampleRate, capturedAt);
+    });
+  }
 }
 
+// ============================================================
+// OPERATOR CONTROL
+// ============================================================
+
 /**
- * Safely removes a temporary file
+ * @typedef {Object} PageControlResult
+ * @property {boolean} ok - Whether the command ran
+ * @property {string} [error] - Why it did not run
+ */
+
+/**
+ * Sends an operator command to the injected automation (window.__arborControl).
+ * The page only handles 'end' (stop capturing and leave the call); everything else
+ * is up to the conversation in Node.
  * 
- * @private
- * @param {string} filePath - Path to file to remove
+ * @async
+ * @param {import('puppeteer').Page} page - Puppeteer page instance
+ * @param {'end'} action - Command
+ * @param {Object} [payload={}] - Command arguments
+ * @returns {Promise<PageControlResult>} Result reported by the page
+ * 
+ * @example
+ * const result = await sendPageControl(page, 'end');
+ * if (!result.ok) console.warn(result.error);
  */
-function cleanupTempFile(filePath) {
-  try {
-    require('fs').unlinkSync(filePath);
-  } catch (error) {
-    // Ignore cleanup errors
+async function sendPageControl(page, action, payload = {}) {
+  if (!page || page.isClosed()) {
+    return { ok: false, error: 'Interview page is not open' };
   }
+  
+  return page.evaluate((pageAction, pagePayload) => {
+    if (typeof window.__arborControl !== 'function') {
+      return { ok: false, error: 'Automation script does not support control commands' };
+    }
+    return window.__arborControl(pageAction, pagePayload);
+  }, action, payload);
 }
 
 /**
- * Loads the automation script from file or returns inline fallback
+ * Loads the automation script (capture, VAD and barge-in run in the page, so there is
+ * no useful fallback without it)
  * 
  * @private
- * @param {Object} logger - Logger instance
  * @returns {string} Script content
+ * @throws {Error} If the script cannot be read
  */
-function loadAutomationScript(logger) {
+function loadAutomationScript() {
   const scriptPath = path.join(__dirname, '..', '..', 'scripts', 'injected-automation.js');
   
   try {
     return fs.readFileSync(scriptPath, 'utf8');
   } catch (error) {
-    logger.warn('[inject] Could not read external script, using inline version');
-    return getInlineAutomationScript();
+    throw new Error(`Could not read the automation script ${scriptPath}: ${error.message}`);
   }
 }
 
 /**
  * Executes the automation script in the page context
- * Replaces placeholders with actual values
  * 
  * @private
  * @async
  * @param {import('puppeteer').Page} page - Puppeteer page instance
  * @param {string} script - Script content
- * @param {string} password - Interview password
- * @param {string} apiKey - Gemini API key
+ * @param {Object} pageConfig - Values exposed to the script as window.__ARBOR_CONFIG
  */
-async function executeAutomationScript(page, script, password, apiKey) {
-  await page.evaluate((scriptContent, pwd, key) => {
+async function executeAutomationScript(page, script, pageConfig) {
+  await page.evaluate((scriptContent, cfg) => {
     // Set global config
-    window.__ARBOR_CONFIG = {
-      PASSWORD: pwd || '',
-      GEMINI_API_KEY: key || '',
-    };
-    
-    // Replace variable assignments
-    let finalScript = scriptContent
-      .replace(/var PASSWORD = ['"]__PASSWORD__['"];/g, 
-               `var PASSWORD = window.__ARBOR_CONFIG.PASSWORD;`)
-      .replace(/var GEMINI_API_KEY = ['"]__GEMINI_API_KEY__['"];/g, 
-               `var GEMINI_API_KEY = window.__ARBOR_CONFIG.GEMINI_API_KEY;`);
-    
-    // Fallback placeholder replacement
-    finalScript = finalScript
-      .replace(/__PASSWORD__/g, (pwd || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'"))
-      .replace(/__GEMINI_API_KEY__/g, (key || '').replace(/\\/g, '\\\\').replace(/'/g, "\\'"));
-    
-    // Debug logging
-    console.log('[inject] API key length:', key ? key.length : 0);
-    console.log('[inject] GEMINI_API_KEY in script:', 
-                finalScript.includes('window.__ARBOR_CONFIG.GEMINI_API_KEY') ? 'YES' : 'NO');
-    console.log('[inject] Still has placeholder:', 
-                finalScript.includes('__GEMINI_API_KEY__') ? 'YES' : 'NO');
+    window.__ARBOR_CONFIG = cfg;
     
     // Execute the script
-    eval(finalScript);
-  }, script, password, apiKey);
-}
-
-// ============================================================
-// INLINE FALLBACK SCRIPT
-// ============================================================
-
-/**
- * Returns the inline automation script as a fallback
- * Used when the external script file cannot be loaded
- * 
- * @private
- * @returns {string} Inline automation script
- */
-function getInlineAutomationScript() {
-  return `
-(function() {
-  console.log('[arbor] Inline automation script starting...');
-  
-  var PASSWORD = '__PASSWORD__';
-  var GEMINI_API_KEY = '__GEMINI_API_KEY__';
-  
-  // ============================================================
-  // AUTO-CLICK AUTOMATION
-  // ============================================================
-  
-  setInterval(function() {
-    try {
-      // Fill password field
-      var pwd = document.querySelector('input[type="password"]');
-      if (pwd && !pwd.value && PASSWORD) {
-        pwd.focus();
-        pwd.value = PASSWORD;
-        pwd.dispatchEvent(new Event('input', { bubbles: true }));
-        console.log('[arbor] Filled password');
-      }
-      
-      // Click progress buttons
-      var btns = document.querySelectorAll('button, [role="button"]');
-      for (var i = 0; i < btns.length; i++) {
-        var btn = btns[i];
-        var txt = (btn.innerText || '').toLowerCase();
-        if (txt.includes('get started') || txt.includes('start voice') || 
-            txt.includes('skip') || txt.includes('continue')) {
-          var style = window.getComputedStyle(btn);
-          if (style.display !== 'none' && style.visibility !== 'hidden') {
-            btn.click();
-            console.log('[arbor] Clicked: ' + txt.slice(0, 30));
-            break;
-          }
-        }
-      }
-    } catch (e) {
-      console.error('[arbor] Auto-click error:', e);
-    }
-  }, 2000);
-  
-  console.log('[arbor] ✓ Automation script initialized');
-})();
-`;
+    eval(scriptContent);
+  }, script, pageConfig);
 }
 
 // ============================================================
@@ -571,4 +424,5 @@ module.exports = {
   navigateToInterview,
   setupAudioDevices,
   injectAutomation,
+  sendPageControl,
 };
@@ -0,0 +1,347 @@
+/**
+ * Selector Profiles Module
+ * 
+ * @module browser/profiles
+ * @description Loads selector profiles: the CSS selectors, button texts and screen
+ *              definitions one version of an interview platform needs. Everything that
+ *              drives the page reads them from the profile (the screen flow, the injected
+ *              automation, and the puppeteer and Electron bots in the repository root),
+ *              so a UI change is a profile edit instead of a hunt through the code.
+ * 
+ * Profiles live as JSON files in `profiles/`, named after the platform version
+ * (`arbor-v2.json`). SELECTOR_PROFILE picks one by name or path; `auto` (the default)
+ * uses the first profile whose `match` patterns match the interview URL, and `arbor-v2`
+ * if none does.
+ * 
+ * Profile format:
+ * {
+ *   "description": "Arbor candidate flow, 2025 redesign",
+ *   "extends": "arbor-v2",                       - start from another profile (optional)
+ *   "match": ["findarbor\\.com/v3/"],             - URL patterns (regular expressions, case-insensitive)
+ *   "selectors": { "password": ["input[type=\"password\"]"], ... },
+ *   "text": { "progressButtons": ["get started", "continue"], ... },
+ *   "screens": [ ... ]                            - screen flow definitions (see browser/screens)
+ * }
+ * 
+ * With `extends`, only what changed needs to be listed: `selectors` and `text` are merged
+ * key by key, `match` and `screens` replace the parent's.
+ * 
+ * @example
+ * const { resolveProfile } = require('./browser/profiles');
+ * 
+ * const profile = resolveProfile('auto', 'https://interview.findarbor.com/session/abc');
+ * await page.$$(profile.selectors.password.join(', '));
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only loads, merges and picks profiles
+ * - Open/Closed: New platform versions are new JSON files, no code changes
+ * - Dependency Inversion: Consumers receive plain selector and text lists
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeScreens } = require('./screens');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  PROFILE: 'auto',
+  FALLBACK_PROFILE: 'arbor-v2',
+  PROFILES_DIR: path.join(__dirname, '..', '..', 'profiles'),
+};
+
+/**
+ * Selector lists every profile must have (after `extends` is applied)
+ * @constant {string[]}
+ */
+const SELECTOR_KEYS = [
+  'buttons',
+  'password',
+  'languageSelect',
+  'languageTrigger',
+  'languageOption',
+  'responseInput',
+  'submit',
+  'agentText',
+  'liveRegions',
+];
+
+/**
+ * Text lists every profile must have (after `extends` is applied)
+ * @constant {string[]}
+ */
+const TEXT_KEYS = [
+  'progressButtons',
+  'confirmButtons',
+  'submitButtons',
+  'excludeButtons',
+  'endButtons',
+  'keyboardToggle',
+  'ignore',
+];
+
+/**
+ * @typedef {Object} ProfileSelectors
+ * @property {string[]} buttons - Clickable elements
+ * @property {string[]} password - Password field on the password gate
+ * @property {string[]} languageSelect - Native language `<select>`
+ * @property {string[]} languageTrigger - Element that opens a custom language dropdown
+ * @property {string[]} languageOption - Options of a custom language dropdown
+ * @property {string[]} responseInput - Typed-answer input, most specific first
+ * @property {string[]} submit - Buttons that send a typed answer
+ * @property {string[]} agentText - Elements holding the interviewer's text
+ * @property {string[]} liveRegions - Regions the interviewer's text is announced in
+ */
+
+/**
+ * @typedef {Object} ProfileText
+ * @property {string[]} progressButtons - Buttons that move the intro forward, most preferred first
+ * @property {string[]} confirmButtons - Buttons that confirm a choice (language, password)
+ * @property {string[]} submitButtons - Buttons that send a typed answer
+ * @property {string[]} excludeButtons - Buttons never clicked as a submit button
+ * @property {string[]} endButtons - Buttons that leave the call
+ * @property {string[]} keyboardToggle - aria-label/title words of the keyboard toggle
+ * @property {string[]} ignore - Page text that is never the interviewer speaking
+ */
+
+/**
+ * @typedef {Object} SelectorProfile
+ * @property {string} id - Profile identifier (file name without extension)
+ * @property {string} description - What the profile covers
+ * @property {string[]} match - URL patterns the profile is picked for in `auto` mode
+ * @property {ProfileSelectors} selectors - CSS selectors
+ * @property {ProfileText} text - Lower-case texts matched against the page
+ * @property {Object[]|null} screens - Normalized screen definitions (null = the built-in screens)
+ */
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Resolves a profile name or path to a JSON file path. Names missing from profilesDir
+ * are looked up in the bundled profiles, so custom profiles can extend them.
+ * 
+ * @private
+ * @param {string} nameOrPath - Profile name (e.g. "arbor-v2") or file path
+ * @param {string} profilesDir - Directory containing profile files
+ * @returns {string} Absolute file path
+ */
+function resolveProfilePath(nameOrPath, profilesDir) {
+  if (nameOrPath.endsWith('.json') || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+  
+  const filePath = path.join(profilesDir, `${nameOrPath}.json`);
+  const bundledPath = path.join(DEFAULTS.PROFILES_DIR, `${nameOrPath}.json`);
+  return !fs.existsSync(filePath) && fs.existsSync(bundledPath) ? bundledPath : filePath;
+}
+
+/**
+ * Reads a profile file and, through `extends`, its parents, into one raw profile
+ * 
+ * @private
+ * @param {string} nameOrPath - Profile name or path
+ * @param {string} profilesDir - Directory containing profile files
+ * @param {string[]} chain - Profiles already being loaded (cycle guard)
+ * @returns {{id: string, raw: Object}} Profile id and merged raw profile
+ * @throws {Error} If a file is missing, not valid JSON, or `extends` loops
+ */
+function readProfile(nameOrPath, profilesDir, chain) {
+  const filePath = resolveProfilePath(nameOrPath, profilesDir);
+  const id = path.basename(filePath, '.json');
+  
+  if (chain.includes(filePath)) {
+    throw new Error(`Profile '${id}' extends itself (${[...chain, filePath].map(file => path.basename(file, '.json')).join(' → ')})`);
+  }
+  
+  if (!fs.existsSync(filePath)) {
+    const available = listProfiles(profilesDir);
+    throw new Error(`Profile '${nameOrPath}' not found at ${filePath}` +
+      (available.length ? ` (available: ${available.join(', ')})` : ''));
+  }
+  
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Profile '${id}' is not valid JSON: ${error.message}`);
+  }
+  
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Profile '${id}' must be a JSON object`);
+  }
+  
+  if (!raw.extends) {
+    return { id, raw };
+  }
+  
+  const parent = readProfile(raw.extends, profilesDir, [...chain, filePath]).raw;
+  return {
+    id,
+    raw: {
+      ...parent,
+      ...raw,
+      selectors: { ...parent.selectors, ...raw.selectors },
+      text: { ...parent.text, ...raw.text },
+    },
+  };
+}
+
+/**
+ * Validates a merged raw profile and lower-cases its texts
+ * 
+ * @param {Object} raw - Parsed profile JSON (with `extends` already applied)
+ * @param {string} [id='custom'] - Profile identifier
+ * @returns {SelectorProfile} Normalized profile
+ * @throws {Error} If lists are missing or not string arrays, a pattern is not a valid regex, or the screens are invalid
+ */
+function normalizeProfile(raw, id = 'custom') {
+  const errors = [];
+  const isStringList = list => Array.isArray(list) && list.length > 0 && list.every(item => typeof item === 'string' && item);
+  
+  const selectors = raw.selectors || {};
+  const text = raw.text || {};
+  
+  SELECTOR_KEYS.filter(key => !isStringList(selectors[key]))
+    .forEach(key => errors.push(`selectors.${key} must be a non-empty list of selectors`));
+  TEXT_KEYS.filter(key => !isStringList(text[key]))
+    .forEach(key => errors.push(`text.${key} must be a non-empty list of texts`));
+  
+  const match = raw.match || [];
+  if (!Array.isArray(match)) {
+    errors.push('match must be a list of URL patterns');
+  } else {
+    match.forEach((pattern) => {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`match pattern ${JSON.stringify(pattern)} is not a valid regular expression`);
+      }
+    });
+  }
+  
+  let screens = null;
+  if (raw.screens) {
+    try {
+      screens = normalizeScreens(raw.screens);
+    } catch (error) {
+      errors.push(`screens: ${error.message}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid profile '${id}':\n  - ${errors.join('\n  - ')}` +
+      (raw.extends ? '' : '\n  (a profile that only changes a few lists can "extends" another)'));
+  }
+  
+  const lowerCased = {};
+  for (const key of Object.keys(text)) {
+    lowerCased[key] = Array.isArray(text[key]) ? text[key].map(item => String(item).toLowerCase()) : text[key];
+  }
+  
+  return {
+    id,
+    description: raw.description || '',
+    match: Array.isArray(match) ? match : [],
+    selectors: { ...selectors },
+    text: lowerCased,
+    screens,
+  };
+}
+
+/**
+ * Loads a profile from disk, applying `extends`
+ * 
+ * @param {string} [nameOrPath='arbor-v2'] - Profile name in profilesDir, or a path to a JSON file
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.profilesDir] - Directory containing profile files (and the profiles named in `extends`)
+ * @returns {SelectorProfile} Loaded profile
+ * @throws {Error} If the file is missing, not valid JSON, or fails validation
+ * 
+ * @example
+ * const profile = loadProfile('arbor-v2');
+ * const custom = loadProfile('/data/profiles/arbor-v3.json');
+ */
+function loadProfile(nameOrPath = DEFAULTS.FALLBACK_PROFILE, options = {}) {
+  const { profilesDir = DEFAULTS.PROFILES_DIR } = options;
+  const { id, raw } = readProfile(nameOrPath, profilesDir, []);
+  return normalizeProfile(raw, id);
+}
+
+/**
+ * Lists the profile names available in a directory
+ * 
+ * @param {string} [profilesDir] - Directory containing profile files
+ * @returns {string[]} Profile names (file names without .json)
+ */
+function listProfiles(profilesDir = DEFAULTS.PROFILES_DIR) {
+  if (!fs.existsSync(profilesDir)) return [];
+  
+  return fs.readdirSync(profilesDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// ============================================================
+// SELECTION
+// ============================================================
+
+/**
+ * Finds the profile for an interview URL (the first, by name, whose `match` patterns match)
+ * 
+ * @param {string} url - Interview URL
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.profilesDir] - Directory containing profile files
+ * @returns {SelectorProfile|null} Matching profile, or null
+ * 
+ * @example
+ * const profile = detectProfile('https://interview.findarbor.com/session/abc'); // arbor-v2
+ */
+function detectProfile(url, options = {}) {
+  const { profilesDir = DEFAULTS.PROFILES_DIR } = options;
+  if (!url) return null;
+  
+  for (const name of listProfiles(profilesDir)) {
+    const profile = loadProfile(name, { profilesDir });
+    if (profile.match.some(pattern => new RegExp(pattern, 'i').test(url))) {
+      return profile;
+    }
+  }
+  return null;
+}
+
+/**
+ * Picks the profile for a run: a name or path as given, or for `auto` the one matching
+ * the URL, falling back to arbor-v2
+ * 
+ * @param {string} [nameOrPath='auto'] - Profile name, path, or 'auto'
+ * @param {string} [url=''] - Interview URL (for 'auto')
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.profilesDir] - Directory containing profile files
+ * @returns {SelectorProfile} Selected profile
+ * @throws {Error} If the profile cannot be loaded
+ * 
+ * @example
+ * const profile = resolveProfile(process.env.SELECTOR_PROFILE, process.env.INTERVIEW_URL);
+ */
+function resolveProfile(nameOrPath = DEFAULTS.PROFILE, url = '', options = {}) {
+  if (nameOrPath && nameOrPath !== 'auto') {
+    return loadProfile(nameOrPath, options);
+  }
+  return detectProfile(url, options) || loadProfile(DEFAULTS.FALLBACK_PROFILE, options);
+}
+
+module.exports = {
+  loadProfile,
+  listProfiles,
+  detectProfile,
+  resolveProfile,
+  normalizeProfile,
+  DEFAULTS,
+};
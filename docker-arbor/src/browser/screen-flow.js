@@ -0,0 +1,695 @@
+/**
+ * Screen Flow Module
+ * 
+ * @module browser/screen-flow
+ * @description Walks the interview page through its screens (see browser/screens) up to
+ *              the live interview: on every tick it works out which screen is showing,
+ *              checks the change against the allowed transitions, and runs the screen's
+ *              action (fill the password, pick the language, click the preferred button).
+ *              A screen that does not go away, an unexpected screen change or a page no
+ *              screen matches ends the flow with a FlowError carrying a diagnostic of the
+ *              page (visible buttons, alerts, text), instead of clicking forever.
+ * 
+ * @example
+ * const { createScreenFlow } = require('./browser/screen-flow');
+ * 
+ * const flow = createScreenFlow({ page, password: 'secret', onEvent: events.emit });
+ * try {
+ *   await flow.run(); // resolves once the completion screen shows
+ * } catch (error) {
+ *   logger.error(error.message, error.diagnostic);
+ * }
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only decides which screen is showing and acts on it
+ * - Open/Closed: Screens are data (browser/screens); the engine does not change for new ones
+ * - Dependency Inversion: The page, screens, selectors, logger and event callback are injected
+ */
+
+'use strict';
+
+const { DEFAULT_SCREENS, normalizeScreens } = require('./screens');
+const { loadProfile } = require('./profiles');
+const { EventType } = require('../services/event-bus');
+const { resolveLanguage } = require('../utils/language');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  TICK_MS: 2000,
+  SCREEN_TIMEOUT_MS: 60000,
+  UNKNOWN_TIMEOUT_MS: 60000,
+  MAX_ATTEMPTS: 8,
+  CLICK_RETRIES: 2,
+  LANGUAGE: 'English',
+  HISTORY_SIZE: 20,
+};
+
+/**
+ * Why a flow failed
+ * @readonly
+ * @enum {string}
+ */
+const FlowErrorCode = {
+  /** A screen is still showing after its timeout or attempts */
+  STUCK: 'stuck',
+  /** The page went to a screen the current one does not lead to */
+  UNEXPECTED_SCREEN: 'unexpected_screen',
+  /** No screen definition matched the page for too long */
+  UNKNOWN_SCREEN: 'unknown_screen',
+  /** The screen needs a value that was not configured (e.g. the password) */
+  MISSING_INPUT: 'missing_input',
+};
+
+/**
+ * @typedef {Object} PageDiagnostic
+ * @property {string} url - Page URL
+ * @property {string} title - Page title
+ * @property {Array<{text: string, disabled: boolean}>} buttons - Visible buttons
+ * @property {Array<{tag: string, type: string, name: string, filled: boolean}>} inputs - Visible form fields
+ * @property {string[]} alerts - Visible error and alert messages
+ * @property {string} text - Start of the visible page text
+ */
+
+/**
+ * @typedef {Object} FlowDiagnostic
+ * @property {string} code - Failure code (see FlowErrorCode)
+ * @property {string|null} screen - Screen the flow was on
+ * @property {string|null} detected - Screen detected when the flow failed
+ * @property {number} onScreenMs - Time spent on the screen
+ * @property {number} attempts - Actions run on the screen
+ * @property {Object.<string, number>} clicks - Buttons clicked on the screen and how often
+ * @property {Array<{screen: string, at: string}>} history - Screens visited, oldest first
+ * @property {PageDiagnostic|null} page - What the page showed
+ */
+
+/**
+ * Error ending a screen flow, with a diagnostic of where it got stuck
+ */
+class FlowError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {FlowDiagnostic} diagnostic - Where and why the flow failed
+   */
+  constructor(message, diagnostic) {
+    super(message);
+    this.name = 'FlowError';
+    this.code = diagnostic.code;
+    this.diagnostic = diagnostic;
+  }
+}
+
+/**
+ * @typedef {Object} ScreenFlowOptions
+ * @property {import('puppeteer').Page} page - Interview page
+ * @property {import('./screens').ScreenDefinition[]} [screens] - Screen definitions (defaults to DEFAULT_SCREENS)
+ * @property {import('./profiles').ProfileSelectors} [selectors] - Buttons, password field and language controls (defaults to the arbor-v2 profile's)
+ * @property {string} [password=''] - Interview password for the password screen
+ * @property {string} [language='English'] - Language chosen on the language screen: a name, native name or code
+ *           (see utils/language); any other value is matched against the options as written
+ * @property {number} [tickMs=2000] - Time between checks of the page
+ * @property {number} [screenTimeoutMs=60000] - Longest time on a screen that is not passive
+ * @property {number} [unknownTimeoutMs=60000] - Longest time no screen may match
+ * @property {number} [maxAttempts=8] - Most actions on a screen without leaving it
+ * @property {number} [clickRetries=2] - Clicks on the same button before the next choice is tried
+ * @property {Object} [logger=console] - Logger instance
+ * @property {Function} [onEvent] - Called with (type, data) for screen changes, clicks and failures (see services/event-bus)
+ */
+
+// ============================================================
+// IN-PAGE FUNCTIONS
+// ============================================================
+// Run through page.evaluate, so they must not use anything outside their own body.
+
+/**
+ * Lists the screens whose detectors match the page, in definition order
+ * 
+ * @private
+ * @param {Array<{id: string, detect: Object}>} detectors - Screen ids and detectors
+ * @param {string} buttonSelector - Clickable elements (for button detectors)
+ * @returns {string[]} Matching screen ids
+ */
+function matchScreens(detectors, buttonSelector) {
+  function isVisible(el) {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      parseFloat(style.opacity || '1') > 0 &&
+      rect.width > 0 && rect.height > 0;
+  }
+  
+  const pageText = (document.body ? document.body.innerText || '' : '').toLowerCase();
+  const buttonTexts = Array.from(document.querySelectorAll(buttonSelector))
+    .filter(isVisible)
+    .map(el => (el.innerText || el.textContent || '').trim().toLowerCase())
+    .filter(Boolean);
+  
+  return detectors
+    .filter(({ detect }) => {
+      const bySelector = detect.selectors.some((selector) => {
+        try {
+          return Array.from(document.querySelectorAll(selector)).some(isVisible);
+        } catch (e) {
+          return false;
+        }
+      });
+      return bySelector ||
+        detect.text.some(phrase => pageText.includes(phrase)) ||
+        detect.buttons.some(phrase => buttonTexts.some(text => text.includes(phrase)));
+    })
+    .map(({ id }) => id);
+}
+
+/**
+ * Runs a screen action: fills the password, chooses the language, clicks a button
+ * 
+ * @private
+ * @async
+ * @param {import('./screens').ScreenAction} action - Screen action
+ * @param {{password: string, languages: string[], exclude: string[], selectors: Object}} input - Values (languages: lowercase
+ *        labels the language may be listed under), buttons to skip and profile selectors
+ * @returns {Promise<{filled: boolean, selected: string|null, clicked: string|null, missing: string|null}>} What was done
+ */
+async function performAction(action, input) {
+  const result = { filled: false, selected: null, clicked: null, missing: null };
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  
+  function isVisible(el) {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      parseFloat(style.opacity || '1') > 0 &&
+      rect.width > 0 && rect.height > 0;
+  }
+  
+  function textOf(el) {
+    return (el.innerText || el.textContent || '').trim().toLowerCase();
+  }
+  
+  // Sets a value the way typing would, so framework-controlled inputs see it
+  function setValue(el, value) {
+    const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value');
+    if (setter && setter.set) setter.set.call(el, value);
+    else el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  
+  const query = selectors => Array.from(document.querySelectorAll(selectors.join(', ')));
+  
+  if (action.fill === 'password') {
+    const field = query(input.selectors.password).find(isVisible);
+    
+    if (field && !field.value) {
+      if (!input.password) {
+        result.missing = 'password';
+        return result;
+      }
+      field.focus();
+      setValue(field, input.password);
+      result.filled = true;
+    }
+  }
+  
+  if (action.select === 'language') {
+    // Short labels (codes such as 'hi') must match exactly, or 'chinese' would match 'hi'
+    const matches = text => input.languages.some(label => text === label || (label.length > 3 && text.includes(label)));
+    
+    // Native <select>
+    const select = query(input.selectors.languageSelect).find(el => el.tagName === 'SELECT' && isVisible(el));
+    if (select) {
+      const current = select.options[select.selectedIndex];
+      if (!current || !current.value || !matches(current.text.trim().toLowerCase())) {
+        const option = Array.from(select.options).find(opt => opt.value && matches(opt.text.trim().toLowerCase()));
+        if (option) {
+          select.focus();
+          setValue(select, option.value);
+          select.blur();
+          result.selected = option.text.trim();
+        }
+      }
+    }
+    
+    // Radio group
+    if (!result.selected) {
+      const radio = Array.from(document.querySelectorAll('input[type="radio"]')).find((el) => {
+        const label = el.labels && el.labels[0] ? el.labels[0].innerText : (el.getAttribute('aria-label') || el.value || '');
+        return matches(label.trim().toLowerCase());
+      });
+      if (radio && !radio.checked) {
+        radio.click();
+        result.selected = radio.labels && radio.labels[0] ? radio.labels[0].innerText.trim() : radio.value;
+      }
+    }
+    
+    // Custom dropdown: open it, then click the option
+    if (!result.selected && !select) {
+      const trigger = query(input.selectors.languageTrigger).find(isVisible);
+      if (trigger && !matches(textOf(trigger))) {
+        trigger.click();
+        await wait(300);
+        const option = query(input.selectors.languageOption).find(el => isVisible(el) && matches(textOf(el)));
+        if (option) {
+          option.click();
+          result.selected = option.innerText.trim();
+          await wait(100);
+        }
+      }
+    }
+  }
+  
+  // Most preferred phrase first; buttons that already failed to move the page are skipped
+  const buttons = query(input.selectors.buttons)
+    .filter(el => isVisible(el) && !el.disabled && el.getAttribute('aria-disabled') !== 'true');
+  for (const phrase of action.click || []) {
+    const button = buttons.find(el => textOf(el).includes(phrase) && !input.exclude.includes(textOf(el).slice(0, 40)));
+    if (button) {
+      result.clicked = textOf(button).slice(0, 40);
+      button.click();
+      break;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Describes what the page shows, for the failure diagnostic
+ * 
+ * @private
+ * @returns {PageDiagnostic} Page description
+ */
+function describePage() {
+  function isVisible(el) {
+    const style = window.getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    return style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+  }
+  
+  return {
+    url: window.location.href,
+    title: document.title,
+    buttons: Array.from(document.querySelectorAll('button, [role="button"], a'))
+      .filter(isVisible)
+      .map(el => ({
+        text: (el.innerText || el.textContent || el.getAttribute('aria-label') || '').trim().slice(0, 60),
+        disabled: Boolean(el.disabled) || el.getAttribute('aria-disabled') === 'true',
+      }))
+      .filter(button => button.text)
+      .slice(0, 20),
+    inputs: Array.from(document.querySelectorAll('input, select, textarea'))
+      .filter(isVisible)
+      .map(el => ({ tag: el.tagName.toLowerCase(), type: el.type || '', name: el.name || el.id || '', filled: Boolean(el.value) }))
+      .slice(0, 10),
+    alerts: Array.from(document.querySelectorAll('[role="alert"], .error, [class*="error"]'))
+      .filter(isVisible)
+      .map(el => (el.innerText || el.textContent || '').trim())
+      .filter(Boolean)
+      .slice(0, 5),
+    text: (document.body ? document.body.innerText || '' : '').replace(/\s+/g, ' ').trim().slice(0, 500),
+  };
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Lists the labels a language may appear under in a language control
+ * 
+ * @private
+ * @param {string} language - Name, native name or code
+ * @returns {string[]} Lowercase labels, or the value itself when it is not a known language
+ */
+function languageLabels(language) {
+  try {
+    return resolveLanguage(language).labels;
+  } catch (error) {
+    return [String(language).trim().toLowerCase()];
+  }
+}
+
+/**
+ * Creates a screen flow for an interview page
+ * 
+ * @param {ScreenFlowOptions} options - Flow configuration
+ * @returns {{run: Function, stop: Function, getState: Function}} Screen flow
+ * @throws {Error} If the page is missing or the screen definitions are invalid
+ * 
+ * @example
+ * const flow = createScreenFlow({ page, password, screens: loadScreens('screens.json') });
+ * flow.run().then(screen => logger.info(`Flow finished on ${screen}`));
+ */
+function createScreenFlow(options = {}) {
+  const {
+    page,
+    password = '',
+    language = DEFAULTS.LANGUAGE,
+    tickMs = DEFAULTS.TICK_MS,
+    screenTimeoutMs = DEFAULTS.SCREEN_TIMEOUT_MS,
+    unknownTimeoutMs = DEFAULTS.UNKNOWN_TIMEOUT_MS,
+    maxAttempts = DEFAULTS.MAX_ATTEMPTS,
+    clickRetries = DEFAULTS.CLICK_RETRIES,
+    selectors = loadProfile().selectors,
+    logger = console,
+    onEvent = null,
+  } = options;
+  
+  if (!page) {
+    throw new Error('Screen flow needs a page');
+  }
+  
+  const screens = normalizeScreens(options.screens || DEFAULT_SCREENS);
+  const languages = languageLabels(language);
+  const screensById = new Map(screens.map(screen => [screen.id, screen]));
+  const detectors = screens.map(({ id, detect }) => ({ id, detect }));
+  const buttonSelector = selectors.buttons.join(', ');
+  
+  // ============================================================
+  // STATE
+  // ============================================================
+  
+  /**
+   * Screen the flow is on (null before the first match)
+   * @type {Object|null}
+   */
+  let current = null;
+  
+  /**
+   * When the current screen was entered
+   * @type {number}
+   */
+  let enteredAt = Date.now();
+  
+  /**
+   * Actions run on the current screen
+   * @type {number}
+   */
+  let attempts = 0;
+  
+  /**
+   * Buttons clicked on the current screen, by text
+   * @type {Map<string, number>}
+   */
+  let clicks = new Map();
+  
+  /**
+   * Since when no screen has matched (null while one does)
+   * @type {number|null}
+   */
+  let unknownSince = null;
+  
+  /**
+   * Disallowed screen seen on the previous tick; it fails the flow if it is still there
+   * @type {string|null}
+   */
+  let unexpected = null;
+  
+  /**
+   * Screens visited, oldest first
+   * @type {Array<{screen: string, at: string}>}
+   */
+  const history = [];
+  
+  /** @type {NodeJS.Timeout|null} */
+  let timer = null;
+  
+  /** @type {boolean} */
+  let isRunning = false;
+  
+  /**
+   * Settles the promise returned by run()
+   * @type {{resolve: Function, reject: Function}|null}
+   */
+  let settle = null;
+  
+  // ============================================================
+  // HELPERS
+  // ============================================================
+  
+  /**
+   * Forwards a live event to the onEvent callback
+   * 
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   */
+  function emitEvent(type, data) {
+    if (typeof onEvent === 'function') {
+      onEvent(type, data);
+    }
+  }
+  
+  /**
+   * Moves the flow to a screen
+   * 
+   * @private
+   * @param {Object} screen - Screen definition
+   */
+  function enterScreen(screen) {
+    const previous = current ? current.id : null;
+    current = screen;
+    enteredAt = Date.now();
+    attempts = 0;
+    clicks = new Map();
+    unexpected = null;
+    
+    history.push({ screen: screen.id, at: new Date(enteredAt).toISOString() });
+    if (history.length > DEFAULTS.HISTORY_SIZE) history.shift();
+    
+    logger.info(`[flow] Screen: ${previous ? `${previous} → ` : ''}${screen.id}`);
+    emitEvent(EventType.SCREEN, { screen: screen.id, previous });
+  }
+  
+  /**
+   * Stops the flow and rejects run() with a diagnostic of the page
+   * 
+   * @private
+   * @async
+   * @param {string} code - Failure code (see FlowErrorCode)
+   * @param {string} message - What went wrong
+   * @param {string|null} [detected=null] - Screen detected at the time
+   */
+  async function fail(code, message, detected = null) {
+    let pageDiagnostic = null;
+    try {
+      pageDiagnostic = await page.evaluate(describePage);
+    } catch (error) {
+      logger.debug('[flow] Could not describe the page:', error.message);
+    }
+    
+    const diagnostic = {
+      code,
+      screen: current ? current.id : null,
+      detected,
+      onScreenMs: Date.now() - enteredAt,
+      attempts,
+      clicks: Object.fromEntries(clicks),
+      history: [...history],
+      page: pageDiagnostic,
+    };
+    
+    logger.error(`[flow] ✗ ${message}`);
+    emitEvent(EventType.FLOW_ERROR, { code, screen: diagnostic.screen, message });
+    finish(null, new FlowError(message, diagnostic));
+  }
+  
+  /**
+   * Stops ticking and settles run()
+   * 
+   * @private
+   * @param {string|null} screenId - Screen the flow ended on
+   * @param {Error} [error] - Failure, if any
+   */
+  function finish(screenId, error) {
+    isRunning = false;
+    clearTimeout(timer);
+    timer = null;
+    
+    if (!settle) return;
+    const { resolve, reject } = settle;
+    settle = null;
+    if (error) reject(error);
+    else resolve(screenId);
+  }
+  
+  // ============================================================
+  // TICK
+  // ============================================================
+  
+  /**
+   * Checks the page once and acts on the screen it shows
+   * 
+   * @private
+   * @async
+   */
+  async function tick() {
+    if (page.isClosed()) {
+      logger.info('[flow] Page closed');
+      finish(current ? current.id : null);
+      return;
+    }
+    
+    let matches;
+    try {
+      matches = await page.evaluate(matchScreens, detectors, buttonSelector);
+    } catch (error) {
+      // Navigation in progress (execution context destroyed); look again next tick
+      logger.debug('[flow] Page not inspectable:', error.message);
+      return;
+    }
+    
+    const detected = matches.length > 0 ? screensById.get(matches[0]) : null;
+    
+    // Nothing matches: wait it out while on a passive screen, otherwise for unknownTimeoutMs
+    if (!detected) {
+      unknownSince = unknownSince || Date.now();
+      if (!(current && current.passive) && Date.now() - unknownSince >= unknownTimeoutMs) {
+        await fail(FlowErrorCode.UNKNOWN_SCREEN,
+          `No known screen for ${Math.round((Date.now() - unknownSince) / 1000)}s (after ${current ? current.id : 'start'})`);
+      }
+      return;
+    }
+    unknownSince = null;
+    
+    if (!current || (detected.id !== current.id && current.next.includes(detected.id))) {
+      enterScreen(detected);
+    } else if (detected.id !== current.id) {
+      // Seen twice in a row before failing, so a screen caught mid-transition is not fatal
+      if (unexpected !== detected.id) {
+        unexpected = detected.id;
+        logger.warn(`[flow] Unexpected screen ${detected.id} after ${current.id}`);
+        return;
+      }
+      await fail(FlowErrorCode.UNEXPECTED_SCREEN,
+        `Unexpected screen change ${current.id} → ${detected.id} (allowed: ${current.next.join(', ') || 'none'})`, detected.id);
+      return;
+    } else {
+      unexpected = null;
+    }
+    
+    if (current.terminal) {
+      logger.info(`[flow] ✓ Reached ${current.id}`);
+      finish(current.id);
+      return;
+    }
+    
+    if (current.passive || !current.action) {
+      return;
+    }
+    
+    const onScreenMs = Date.now() - enteredAt;
+    const limit = current.maxAttempts || maxAttempts;
+    const timeout = current.timeoutMs || screenTimeoutMs;
+    if (attempts >= limit || onScreenMs >= timeout) {
+      const tried = [...clicks].map(([text, count]) => `"${text}" x${count}`).join(', ') || 'nothing to click';
+      await fail(FlowErrorCode.STUCK,
+        `Stuck on screen ${current.id} for ${Math.round(onScreenMs / 1000)}s after ${attempts} attempts (clicked: ${tried})`, current.id);
+      return;
+    }
+    
+    const exclude = [...clicks].filter(([, count]) => count >= clickRetries).map(([text]) => text);
+    let result;
+    try {
+      result = await page.evaluate(performAction, current.action, { password, languages, exclude, selectors });
+    } catch (error) {
+      logger.debug('[flow] Action interrupted:', error.message);
+      return;
+    }
+    attempts++;
+    
+    if (result.missing) {
+      await fail(FlowErrorCode.MISSING_INPUT, `Screen ${current.id} needs a ${result.missing}, but none is configured`, current.id);
+      return;
+    }
+    if (result.filled) {
+      logger.info('[flow] Filled password field');
+    }
+    if (result.selected) {
+      logger.info(`[flow] Selected language: ${result.selected}`);
+    }
+    if (result.clicked) {
+      clicks.set(result.clicked, (clicks.get(result.clicked) || 0) + 1);
+      logger.info(`[flow] Clicked "${result.clicked}" on ${current.id}`);
+      emitEvent(EventType.AUTO_CLICK, { button: result.clicked, screen: current.id });
+    }
+  }
+  
+  /**
+   * Runs a tick and schedules the next one
+   * 
+   * @private
+   */
+  function loop() {
+    tick()
+      .catch(error => logger.warn('[flow] Tick error:', error.message))
+      .finally(() => {
+        if (isRunning) timer = setTimeout(loop, tickMs);
+      });
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Starts walking the page through its screens
+   * 
+   * @returns {Promise<string|null>} Terminal screen reached (null if stopped or the page closed)
+   * @throws {FlowError} If the flow gets stuck, sees an unexpected screen or a page it does not know
+   */
+  function run() {
+    if (isRunning) {
+      return Promise.reject(new Error('Screen flow is already running'));
+    }
+    
+    isRunning = true;
+    logger.info(`[flow] Started (${screens.map(screen => screen.id).join(', ')})`);
+    return new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+      loop();
+    });
+  }
+  
+  /**
+   * Stops the flow; run() resolves with the current screen
+   */
+  function stop() {
+    if (isRunning) {
+      logger.info('[flow] Stopped');
+    }
+    finish(current ? current.id : null);
+  }
+  
+  /**
+   * Returns where the flow is
+   * 
+   * @returns {{screen: string|null, onScreenMs: number, attempts: number, isRunning: boolean, history: Array<{screen: string, at: string}>}} Flow state
+   */
+  function getState() {
+    return {
+      screen: current ? current.id : null,
+      onScreenMs: Date.now() - enteredAt,
+      attempts,
+      isRunning,
+      history: [...history],
+    };
+  }
+  
+  return {
+    run,
+    stop,
+    getState,
+  };
+}
+
+module.exports = {
+  createScreenFlow,
+  FlowError,
+  FlowErrorCode,
+  DEFAULTS,
+};
@@ -0,0 +1,239 @@
+/**
+ * Interview Screens Module
+ * 
+ * @module browser/screens
+ * @description Declarative definitions of the candidate flow screens (password gate,
+ *              language select, instructions, device check, live interview, completion)
+ *              for the screen flow engine (browser/screen-flow). Each screen says how to
+ *              recognise it, what to do on it and which screens may follow it. Definitions
+ *              are plain data, so a site with different wording can be handled with a
+ *              FLOW_SCREENS JSON file instead of code changes.
+ * 
+ * Screen definition:
+ * {
+ *   "id": "device_check",
+ *   "detect": {                                    - any one of these identifies the screen
+ *     "selectors": ["#device-meter"],              - a visible element matches a CSS selector
+ *     "text": ["check your microphone"],           - the visible page text contains a phrase
+ *     "buttons": ["start voice interview"]         - a visible button's text contains a phrase
+ *   },
+ *   "action": {                                    - run on every tick while on the screen
+ *     "fill": "password",                          - type INTERVIEW_PASSWORD into the password field
+ *     "select": "language",                        - choose the interview language
+ *     "click": ["start voice interview", "skip"]   - click the first matching button, in this order
+ *   },
+ *   "next": ["live"],                              - screens allowed to follow this one
+ *   "passive": false,                              - no action and no stuck detection (live interview)
+ *   "terminal": false,                             - the flow is over once this screen shows
+ *   "timeoutMs": 60000,                            - fail if the screen is still showing after this long
+ *   "maxAttempts": 8                               - fail after this many actions without leaving
+ * }
+ * 
+ * Screens are matched in order and the first match wins, so more specific screens
+ * (completion, live interview) come first.
+ * 
+ * @example
+ * const { DEFAULT_SCREENS, loadScreens } = require('./browser/screens');
+ * 
+ * const screens = process.env.FLOW_SCREENS ? loadScreens(process.env.FLOW_SCREENS) : DEFAULT_SCREENS;
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only describes the screens; the engine runs them
+ * - Open/Closed: New screens or wording are new definitions, not engine changes
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Screen identifiers of the default flow
+ * @readonly
+ * @enum {string}
+ */
+const ScreenId = {
+  PASSWORD: 'password',
+  LANGUAGE: 'language',
+  INSTRUCTIONS: 'instructions',
+  DEVICE_CHECK: 'device_check',
+  LIVE: 'live',
+  COMPLETE: 'complete',
+};
+
+/**
+ * @typedef {Object} ScreenDetector
+ * @property {string[]} [selectors] - CSS selectors; a visible match identifies the screen
+ * @property {string[]} [text] - Phrases (case-insensitive) in the visible page text
+ * @property {string[]} [buttons] - Phrases (case-insensitive) in the text of a visible button
+ */
+
+/**
+ * @typedef {Object} ScreenAction
+ * @property {'password'} [fill] - Fill the password field (once, if empty)
+ * @property {'language'} [select] - Choose the interview language (once)
+ * @property {string[]} [click] - Button phrases, most preferred first
+ */
+
+/**
+ * @typedef {Object} ScreenDefinition
+ * @property {string} id - Screen identifier
+ * @property {ScreenDetector} detect - How to recognise the screen
+ * @property {ScreenAction} [action] - What to do while it shows
+ * @property {string[]} [next=[]] - Screens allowed to follow it
+ * @property {boolean} [passive=false] - Wait without acting or timing out (e.g. the live interview)
+ * @property {boolean} [terminal=false] - Reaching it ends the flow
+ * @property {number} [timeoutMs] - Longest time on the screen (defaults to the engine's screenTimeoutMs)
+ * @property {number} [maxAttempts] - Most actions without leaving (defaults to the engine's maxAttempts)
+ */
+
+/**
+ * The Arbor/Umi candidate flow (and the mock interview site, see mock/interview-site)
+ * @constant {ScreenDefinition[]}
+ */
+const DEFAULT_SCREENS = [
+  {
+    id: ScreenId.COMPLETE,
+    detect: {
+      text: ['interview is complete', 'you can close this window', 'thank you for completing', 'thanks for completing'],
+    },
+    terminal: true,
+  },
+  {
+    id: ScreenId.LIVE,
+    detect: {
+      buttons: ['exit interview', 'end interview', 'leave interview', 'end call', 'hang up'],
+      selectors: ['[aria-live]', 'textarea[placeholder*="response" i]'],
+    },
+    next: [ScreenId.COMPLETE],
+    passive: true,
+  },
+  {
+    id: ScreenId.PASSWORD,
+    detect: {
+      selectors: ['input[type="password"]', 'input[name*="password" i]', 'input[aria-label*="password" i]'],
+    },
+    action: {
+      fill: 'password',
+      click: ['continue', 'submit', 'next', 'enter', 'start'],
+    },
+    next: [ScreenId.LANGUAGE, ScreenId.INSTRUCTIONS, ScreenId.DEVICE_CHECK, ScreenId.LIVE],
+  },
+  {
+    id: ScreenId.LANGUAGE,
+    detect: {
+      selectors: ['select[name*="lang" i]', 'select[aria-label*="language" i]', '[role="combobox"][aria-label*="language" i]'],
+      text: ['preferred language', 'choose your language', 'select your language', 'select a language'],
+    },
+    action: {
+      select: 'language',
+      click: ['continue', 'next', 'confirm', 'ok', 'submit'],
+    },
+    next: [ScreenId.INSTRUCTIONS, ScreenId.DEVICE_CHECK, ScreenId.LIVE],
+  },
+  {
+    id: ScreenId.DEVICE_CHECK,
+    detect: {
+      text: ['check your microphone', 'test your microphone', 'microphone check', 'check your audio', 'device check'],
+      buttons: ['start voice interview'],
+    },
+    action: {
+      click: ['start voice interview', 'start interview', 'start voice', 'continue', 'skip'],
+    },
+    next: [ScreenId.LIVE],
+  },
+  {
+    id: ScreenId.INSTRUCTIONS,
+    detect: {
+      text: ['how this works', 'before you begin', 'instructions'],
+      buttons: ['let\'s get started', 'get started', 'begin interview'],
+    },
+    action: {
+      click: ['let\'s get started', 'get started', 'begin', 'continue', 'next', 'start'],
+    },
+    next: [ScreenId.LANGUAGE, ScreenId.DEVICE_CHECK, ScreenId.LIVE],
+  },
+];
+
+/**
+ * Checks screen definitions and fills in the optional fields
+ * 
+ * @param {ScreenDefinition[]} screens - Screen definitions
+ * @returns {ScreenDefinition[]} Normalized definitions
+ * @throws {Error} If a screen has no id or detector, an id is repeated or a transition names an unknown screen
+ * 
+ * @example
+ * const screens = normalizeScreens([...DEFAULT_SCREENS, myExtraScreen]);
+ */
+function normalizeScreens(screens) {
+  if (!Array.isArray(screens) || screens.length === 0) {
+    throw new Error('Screen flow needs at least one screen');
+  }
+  
+  const ids = new Set();
+  const normalized = screens.map((screen, index) => {
+    if (!screen || typeof screen.id !== 'string' || !screen.id) {
+      throw new Error(`Screen ${index} has no id`);
+    }
+    if (ids.has(screen.id)) {
+      throw new Error(`Screen "${screen.id}" is defined twice`);
+    }
+    const detect = screen.detect || {};
+    if (!['selectors', 'text', 'buttons'].some(key => Array.isArray(detect[key]) && detect[key].length > 0)) {
+      throw new Error(`Screen "${screen.id}" needs detect.selectors, detect.text or detect.buttons`);
+    }
+    ids.add(screen.id);
+    
+    return {
+      ...screen,
+      detect: {
+        selectors: detect.selectors || [],
+        text: (detect.text || []).map(phrase => phrase.toLowerCase()),
+        buttons: (detect.buttons || []).map(phrase => phrase.toLowerCase()),
+      },
+      action: screen.action
+        ? { ...screen.action, click: (screen.action.click || []).map(phrase => phrase.toLowerCase()) }
+        : null,
+      next: screen.next || [],
+      passive: Boolean(screen.passive),
+      terminal: Boolean(screen.terminal),
+    };
+  });
+  
+  for (const screen of normalized) {
+    const unknown = screen.next.filter(id => !ids.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Screen "${screen.id}" lists unknown next screen(s): ${unknown.join(', ')}`);
+    }
+  }
+  
+  return normalized;
+}
+
+/**
+ * Loads screen definitions from a JSON file (an array of screens, see the module description)
+ * 
+ * @param {string} filePath - Path to the JSON file
+ * @returns {ScreenDefinition[]} Normalized definitions
+ * @throws {Error} If the file cannot be read, parsed or validated
+ * 
+ * @example
+ * const screens = loadScreens('/app/config/screens.json');
+ */
+function loadScreens(filePath) {
+  let raw;
+  
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load screens ${filePath}: ${error.message}`);
+  }
+  
+  return normalizeScreens(raw);
+}
+
+module.exports = {
+  ScreenId,
+  DEFAULT_SCREENS,
+  normalizeScreens,
+  loadScreens,
+};
@@ -18,10 +18,27 @@
 
 'use strict';
 
+const path = require('path');
+const { resolveLanguage } = require('../utils/language');
+const { isLocalEndpoint } = require('../utils/endpoint');
+
+/**
+ * Google's Gemini Live endpoint, used unless GEMINI_WS_URL overrides it
+ * @constant {string}
+ */
+const GEMINI_WS_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContent';
+
+/**
+ * Provider names accepted for STT_PROVIDER, LLM_PROVIDER and TTS_PROVIDER
+ * @constant {string[]}
+ */
+const PROVIDER_NAMES = ['gemini', 'local'];
+
 /**
  * @typedef {Object} InterviewConfig
  * @property {string} url - The interview URL to automate
  * @property {string} password - Optional password for the interview
+ * @property {string} language - Interview language: name, native name or code (see utils/language)
  * @property {number} timeoutSeconds - Maximum duration before auto-shutdown
  */
 
@@ -30,22 +47,129 @@
  * @property {string} apiKey - Gemini API key for LLM access
  * @property {string} model - Gemini model to use
  * @property {string} voiceName - Voice for TTS output
+ * @property {string} wsUrl - BidiGenerateContent WebSocket endpoint
+ * @property {string} priceTable - Path to a JSON token price table for cost estimates (empty = built-in prices)
+ */
+
+/**
+ * @typedef {Object} ProvidersConfig
+ * @property {string} stt - Speech-to-text provider (gemini|local)
+ * @property {string} llm - Reply generation provider (gemini|local)
+ * @property {string} tts - Text-to-speech provider (gemini|local)
+ */
+
+/**
+ * @typedef {Object} LocalProvidersConfig
+ * @property {string} whisperCommand - whisper.cpp CLI executable (local STT)
+ * @property {string} whisperModel - Path to the ggml Whisper model (local STT)
+ * @property {string} whisperLanguage - Spoken language passed to whisper.cpp (empty = the interview language)
+ * @property {string} llmCommand - Shell command that reads a prompt on stdin and prints the reply (local LLM)
+ * @property {number} llmTimeoutMs - How long a local reply may take
+ * @property {string} piperCommand - Piper executable (local TTS)
+ * @property {string} piperModel - Path to the Piper voice .onnx file (local TTS)
+ * @property {number} piperSampleRate - Sample rate of the Piper voice (Hz)
+ */
+
+/**
+ * @typedef {Object} PersonaConfig
+ * @property {string} name - Persona name in personas/ or path to a persona JSON file
+ * @property {string} dir - Directory searched for persona names (empty uses the bundled personas/)
+ */
+
+/**
+ * @typedef {Object} ConversationConfig
+ * @property {number} historyTokenBudget - Approximate tokens of earlier turns sent with each question
+ * @property {string} answerScript - Path to an answer script for deterministic replies (empty = LLM answers)
+ */
+
+/**
+ * @typedef {Object} ProfileConfig
+ * @property {string} name - Selector profile name in profiles/, path to a profile JSON file, or 'auto' (picked by URL)
+ * @property {string} dir - Directory searched for profile names (empty uses the bundled profiles/)
+ */
+
+/**
+ * @typedef {Object} FlowConfig
+ * @property {string} screensFile - JSON file with screen definitions (empty = the selector profile's screens)
+ * @property {number} screenTimeoutMs - Longest time on a pre-interview screen before the run fails
+ * @property {number} maxAttempts - Most actions on a screen without leaving it before the run fails
+ */
+
+/**
+ * @typedef {Object} BargeInConfig
+ * @property {boolean} enabled - Stop playback when the interviewer talks over the candidate
+ * @property {number} threshold - RMS level (0-1) of the downlink that counts as interviewer speech
+ * @property {number} minSpeechMs - Sustained speech needed before playback is cut
+ */
+
+/**
+ * @typedef {Object} EndpointingConfig
+ * @property {number} minSilenceMs - Silence (after the hangover) that ends the interviewer's turn
+ * @property {number} hangoverMs - How long speech is assumed to continue after the last voiced frame
+ * @property {number} vadThresholdDb - Minimum downlink level (dBFS) for speech; it must also clear the adaptive noise floor
+ */
+
+/**
+ * @typedef {Object} SessionConfig
+ * @property {string} id - Session identifier (empty = generated per run)
+ * @property {string} logsDir - Root directory for session transcripts (the mounted /app/logs volume)
+ * @property {string[]} transcriptFormats - Transcript files written per session (json, md, srt, vtt)
+ */
+
+/**
+ * @typedef {Object} ArtifactsConfig
+ * @property {boolean} enabled - Capture screenshot, DOM, console log, HAR and audio when a run fails
+ * @property {number} audioSeconds - Seconds of recent session audio kept per capture
+ */
+
+/**
+ * @typedef {Object} RecordingConfig
+ * @property {boolean} enabled - Record interviewer/candidate tracks and a stereo mix
+ * @property {string} dir - Root directory for session recordings (the mounted /app/recordings volume)
+ * @property {number} sampleRate - Sample rate of the recorded files (Hz)
+ * @property {string[]} formats - Output formats (wav, flac)
  */
 
 /**
  * @typedef {Object} AudioConfig
- * @property {number} sampleRate - Input audio sample rate (Hz)
+ * @property {number} sampleRate - STT input sample rate; interviewer audio is resampled to it (Hz)
  * @property {number} ttsSampleRate - TTS output sample rate (Hz)
  * @property {number} chunkDurationMs - Audio chunk duration for streaming
+ * @property {string} ttsSink - PulseAudio sink TTS is played into (its monitor is the browser's microphone)
+ * @property {string} micSource - Session's own microphone source (PULSE_SOURCE, set by the batch runner); '' for the shared virtual_mic
+ * @property {string} browserSink - Session's own sink the browser plays into (PULSE_SINK, set by the batch runner); '' for the shared virtual_speaker_2
+ */
+
+/**
+ * @typedef {Object} BatchConfig
+ * @property {string} file - CSV or JSON file of interviews (see batch/jobs)
+ * @property {number} concurrency - Sessions run at the same time
+ * @property {number} retries - Extra attempts for a failed session
+ * @property {number} retryDelayMs - Wait before a failed session is tried again
+ * @property {number} basePort - Health port of the first concurrent session (the next ones count up)
+ * @property {boolean} isolateAudio - Give every session its own PulseAudio sink pair
  */
 
 /**
  * @typedef {Object} AppConfig
  * @property {InterviewConfig} interview - Interview-related settings
  * @property {GeminiConfig} gemini - Gemini API settings
+ * @property {ProvidersConfig} providers - Which provider serves STT, reply generation and TTS
+ * @property {LocalProvidersConfig} local - Settings of the local (offline) providers
+ * @property {PersonaConfig} persona - Candidate persona selection
+ * @property {ConversationConfig} conversation - Conversation memory settings
+ * @property {ProfileConfig} profile - Selector profile of the interview platform
+ * @property {FlowConfig} flow - Screen flow through the pre-interview screens
+ * @property {BargeInConfig} bargeIn - Interruption handling during playback
+ * @property {EndpointingConfig} endpointing - End-of-turn detection
+ * @property {SessionConfig} session - Session transcript settings
+ * @property {ArtifactsConfig} artifacts - Failure artifact settings
+ * @property {RecordingConfig} recording - Session recording settings
  * @property {AudioConfig} audio - Audio processing settings
+ * @property {BatchConfig} batch - Batch runner settings (src/batch/runner.js)
  * @property {string} logLevel - Logging verbosity (debug|info|warn|error)
  * @property {number} healthPort - Health check server port
+ * @property {string} controlToken - Bearer token for the control API (empty disables it)
  */
 
 /**
@@ -74,6 +198,30 @@ function parseIntEnv(value, defaultValue) {
   return isNaN(parsed) ? defaultValue : parsed;
 }
 
+/**
+ * Parses a float from environment variable with fallback
+ * @private
+ * @param {string} value - Environment variable value
+ * @param {number} defaultValue - Default if parsing fails
+ * @returns {number} Parsed number or default
+ */
+function parseFloatEnv(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Parses a comma-separated list from environment variable with fallback
+ * @private
+ * @param {string} value - Environment variable value
+ * @param {string[]} defaultValue - Default if empty
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseListEnv(value, defaultValue) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : defaultValue;
+}
+
 /**
  * Builds the application configuration from environment variables
  * @returns {AppConfig} Complete application configuration
@@ -87,6 +235,7 @@ function buildConfig() {
     interview: {
       url: process.env.INTERVIEW_URL || '',
       password: process.env.INTERVIEW_PASSWORD || '',
+      language: process.env.INTERVIEW_LANGUAGE || 'English',
       timeoutSeconds: parseIntEnv(process.env.TIMEOUT_SECONDS, 1800),
     },
     
@@ -98,6 +247,120 @@ function buildConfig() {
       apiKey: process.env.GEMINI_API_KEY || '',
       model: process.env.GEMINI_MODEL || 'models/gemini-2.0-flash-live-001',
       voiceName: process.env.GEMINI_VOICE || 'Puck',
+      wsUrl: process.env.GEMINI_WS_URL || GEMINI_WS_URL,
+      priceTable: process.env.GEMINI_PRICE_TABLE || '',
+    },
+    
+    /**
+     * Provider selection per role (PROVIDER sets all three at once)
+     * @type {ProvidersConfig}
+     */
+    providers: {
+      stt: process.env.STT_PROVIDER || process.env.PROVIDER || 'gemini',
+      llm: process.env.LLM_PROVIDER || process.env.PROVIDER || 'gemini',
+      tts: process.env.TTS_PROVIDER || process.env.PROVIDER || 'gemini',
+    },
+    
+    /**
+     * Local (offline) provider configuration
+     * @type {LocalProvidersConfig}
+     */
+    local: {
+      whisperCommand: process.env.WHISPER_COMMAND || 'whisper-cli',
+      whisperModel: process.env.WHISPER_MODEL || '',
+      whisperLanguage: process.env.WHISPER_LANGUAGE || '',
+      llmCommand: process.env.LOCAL_LLM_COMMAND || '',
+      llmTimeoutMs: parseIntEnv(process.env.LOCAL_LLM_TIMEOUT_MS, 60000),
+      piperCommand: process.env.PIPER_COMMAND || 'piper',
+      piperModel: process.env.PIPER_MODEL || '',
+      piperSampleRate: parseIntEnv(process.env.PIPER_SAMPLE_RATE, 22050),
+    },
+    
+    /**
+     * Candidate persona configuration
+     * @type {PersonaConfig}
+     */
+    persona: {
+      name: process.env.PERSONA || 'default',
+      dir: process.env.PERSONAS_DIR || '',
+    },
+    
+    /**
+     * Conversation memory configuration
+     * @type {ConversationConfig}
+     */
+    conversation: {
+      historyTokenBudget: parseIntEnv(process.env.HISTORY_TOKEN_BUDGET, 2000),
+      answerScript: process.env.ANSWER_SCRIPT || '',
+    },
+    
+    /**
+     * Selector profile configuration
+     * @type {ProfileConfig}
+     */
+    profile: {
+      name: process.env.SELECTOR_PROFILE || 'auto',
+      dir: process.env.PROFILES_DIR || '',
+    },
+    
+    /**
+     * Screen flow configuration
+     * @type {FlowConfig}
+     */
+    flow: {
+      screensFile: process.env.FLOW_SCREENS || '',
+      screenTimeoutMs: parseIntEnv(process.env.FLOW_SCREEN_TIMEOUT_SECONDS, 60) * 1000,
+      maxAttempts: parseIntEnv(process.env.FLOW_MAX_ATTEMPTS, 8),
+    },
+    
+    /**
+     * Barge-in (interviewer interrupting the candidate) configuration
+     * @type {BargeInConfig}
+     */
+    bargeIn: {
+      enabled: process.env.BARGE_IN !== 'false',
+      threshold: parseFloatEnv(process.env.BARGE_IN_THRESHOLD, 0.02),
+      minSpeechMs: parseIntEnv(process.env.BARGE_IN_MIN_SPEECH_MS, 300),
+    },
+    
+    /**
+     * End-of-turn detection configuration
+     * @type {EndpointingConfig}
+     */
+    endpointing: {
+      minSilenceMs: parseIntEnv(process.env.ENDPOINT_MIN_SILENCE_MS, 700),
+      hangoverMs: parseIntEnv(process.env.ENDPOINT_HANGOVER_MS, 300),
+      vadThresholdDb: parseFloatEnv(process.env.ENDPOINT_VAD_THRESHOLD_DB, -50),
+    },
+    
+    /**
+     * Session transcript configuration
+     * @type {SessionConfig}
+     */
+    session: {
+      id: process.env.SESSION_ID || '',
+      logsDir: process.env.LOGS_DIR || path.join(__dirname, '..', '..', 'logs'),
+      transcriptFormats: parseListEnv(process.env.TRANSCRIPT_FORMATS, ['json', 'md', 'srt', 'vtt']),
+    },
+    
+    /**
+     * Failure artifacts (written to <logsDir>/<sessionId>/artifacts)
+     * @type {ArtifactsConfig}
+     */
+    artifacts: {
+      enabled: process.env.ARTIFACTS !== 'false',
+      audioSeconds: parseIntEnv(process.env.ARTIFACT_AUDIO_SECONDS, 30),
+    },
+    
+    /**
+     * Session recording configuration
+     * @type {RecordingConfig}
+     */
+    recording: {
+      enabled: process.env.RECORDING !== 'false',
+      dir: process.env.RECORDINGS_DIR || path.join(__dirname, '..', '..', 'recordings'),
+      sampleRate: parseIntEnv(process.env.RECORDING_SAMPLE_RATE, 24000),
+      formats: parseListEnv(process.env.RECORDING_FORMATS, ['wav']),
     },
     
     /**
@@ -108,6 +371,22 @@ function buildConfig() {
       sampleRate: parseIntEnv(process.env.AUDIO_SAMPLE_RATE, 16000),
       ttsSampleRate: parseIntEnv(process.env.TTS_SAMPLE_RATE, 24000),
       chunkDurationMs: parseIntEnv(process.env.AUDIO_CHUNK_DURATION_MS, 100),
+      ttsSink: process.env.TTS_SINK || 'virtual_speaker',
+      micSource: process.env.PULSE_SOURCE || '',
+      browserSink: process.env.PULSE_SINK || '',
+    },
+    
+    /**
+     * Batch runner configuration (many interviews, see src/batch)
+     * @type {BatchConfig}
+     */
+    batch: {
+      file: process.env.BATCH_FILE || '',
+      concurrency: parseIntEnv(process.env.BATCH_CONCURRENCY, 2),
+      retries: parseIntEnv(process.env.BATCH_RETRIES, 1),
+      retryDelayMs: parseIntEnv(process.env.BATCH_RETRY_DELAY_SECONDS, 30) * 1000,
+      basePort: parseIntEnv(process.env.BATCH_HEALTH_PORT_BASE, 3001),
+      isolateAudio: process.env.BATCH_AUDIO_ISOLATION !== 'false',
     },
     
     /**
@@ -115,6 +394,7 @@ function buildConfig() {
      */
     logLevel: process.env.LOG_LEVEL || 'info',
     healthPort: parseIntEnv(process.env.HEALTH_PORT, 3000),
+    controlToken: process.env.CONTROL_TOKEN || '',
     
     /**
      * PulseAudio configuration
@@ -127,25 +407,114 @@ function buildConfig() {
 }
 
 /**
- * Validates the configuration for required values
- * @param {AppConfig} config - Configuration to validate
- * @throws {Error} If configuration is invalid
+ * Collects what is wrong with the configuration of a session
+ * @private
+ * @param {AppConfig} config - Configuration to check
+ * @param {boolean} requireUrl - Whether INTERVIEW_URL must be set (batch jobs bring their own)
+ * @returns {string[]} Problems found
  */
-function validateConfig(config) {
+function collectConfigErrors(config, requireUrl) {
   const errors = [];
   
-  if (!config.interview.url) {
+  if (requireUrl && !config.interview.url) {
     errors.push('INTERVIEW_URL is required');
   }
   
-  if (!config.gemini.apiKey) {
+  try {
+    resolveLanguage(config.interview.language);
+  } catch (error) {
+    errors.push(`INTERVIEW_LANGUAGE: ${error.message}`);
+  }
+  
+  const providerNames = Object.values(config.providers);
+  for (const [role, name] of Object.entries(config.providers)) {
+    if (!PROVIDER_NAMES.includes(name)) {
+      errors.push(`${role.toUpperCase()}_PROVIDER must be one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+  }
+  
+  // The local mock server needs no key
+  if (providerNames.includes('gemini') && !config.gemini.apiKey && !isLocalEndpoint(config.gemini.wsUrl)) {
     errors.push('GEMINI_API_KEY is required');
   }
   
+  if (config.providers.stt === 'local' && !config.local.whisperModel) {
+    errors.push('WHISPER_MODEL is required for the local STT provider');
+  }
+  
+  if (config.providers.llm === 'local' && !config.local.llmCommand) {
+    errors.push('LOCAL_LLM_COMMAND is required for the local LLM provider');
+  }
+  
+  if (config.providers.tts === 'local' && !config.local.piperModel) {
+    errors.push('PIPER_MODEL is required for the local TTS provider');
+  }
+  
+  if (!/^wss?:\/\//.test(config.gemini.wsUrl)) {
+    errors.push('GEMINI_WS_URL must be a ws:// or wss:// URL');
+  }
+  
+  if (config.conversation.historyTokenBudget < 200) {
+    errors.push('HISTORY_TOKEN_BUDGET must be at least 200');
+  }
+  
+  if (config.flow.maxAttempts < 1) {
+    errors.push('FLOW_MAX_ATTEMPTS must be at least 1');
+  }
+  
+  if (config.artifacts.audioSeconds < 0) {
+    errors.push('ARTIFACT_AUDIO_SECONDS must not be negative');
+  }
+  
   if (config.interview.timeoutSeconds < 60) {
     errors.push('TIMEOUT_SECONDS must be at least 60');
   }
   
+  return errors;
+}
+
+/**
+ * Validates the configuration for required values
+ * @param {AppConfig} config - Configuration to validate
+ * @throws {Error} If configuration is invalid
+ */
+function validateConfig(config) {
+  const errors = collectConfigErrors(config, true);
+  
+  if (errors.length > 0) {
+    throw new Error(`Configuration validation failed:\n  - ${errors.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Validates the configuration of a batch run: the batch settings, and the session settings
+ * every job shares (each job brings its own INTERVIEW_URL)
+ * @param {AppConfig} config - Configuration to validate
+ * @throws {Error} If configuration is invalid
+ */
+function validateBatchConfig(config) {
+  const errors = collectConfigErrors(config, false);
+  
+  if (!config.batch.file) {
+    errors.push('BATCH_FILE (or the jobs file argument) is required');
+  }
+  
+  if (config.batch.concurrency < 1) {
+    errors.push('BATCH_CONCURRENCY must be at least 1');
+  }
+  
+  if (config.batch.retries < 0) {
+    errors.push('BATCH_RETRIES must not be negative');
+  }
+  
+  if (config.batch.retryDelayMs < 0) {
+    errors.push('BATCH_RETRY_DELAY_SECONDS must not be negative');
+  }
+  
+  if (config.batch.basePort < 1 || config.batch.basePort + config.batch.concurrency > 65536) {
+    errors.push('BATCH_HEALTH_PORT_BASE must leave a port for every concurrent session');
+  }
+  
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n  - ${errors.join('\n  - ')}`);
   }
@@ -162,7 +531,21 @@ function createConfig() {
   Object.freeze(config);
   Object.freeze(config.interview);
   Object.freeze(config.gemini);
+  Object.freeze(config.providers);
+  Object.freeze(config.local);
+  Object.freeze(config.persona);
+  Object.freeze(config.conversation);
+  Object.freeze(config.profile);
+  Object.freeze(config.flow);
+  Object.freeze(config.session);
+  Object.freeze(config.session.transcriptFormats);
+  Object.freeze(config.bargeIn);
+  Object.freeze(config.endpointing);
+  Object.freeze(config.artifacts);
+  Object.freeze(config.recording);
+  Object.freeze(config.recording.formats);
   Object.freeze(config.audio);
+  Object.freeze(config.batch);
   Object.freeze(config.pulseAudio);
   
   return config;
@@ -174,15 +557,42 @@ const config = createConfig();
 module.exports = {
   config,
   validateConfig,
+  validateBatchConfig,
   buildConfig,
+  GEMINI_WS_URL,
+  PROVIDER_NAMES,
   
   // Export types for documentation
   /** @type {InterviewConfig} */
   InterviewConfig: null,
   /** @type {GeminiConfig} */
   GeminiConfig: null,
+  /** @type {ProvidersConfig} */
+  ProvidersConfig: null,
+  /** @type {LocalProvidersConfig} */
+  LocalProvidersConfig: null,
+  /** @type {PersonaConfig} */
+  PersonaConfig: null,
+  /** @type {ConversationConfig} */
+  ConversationConfig: null,
+  /** @type {ProfileConfig} */
+  ProfileConfig: null,
+  /** @type {FlowConfig} */
+  FlowConfig: null,
+  /** @type {BargeInConfig} */
+  BargeInConfig: null,
+  /** @type {EndpointingConfig} */
+  EndpointingConfig: null,
+  /** @type {SessionConfig} */
+  SessionConfig: null,
+  /** @type {ArtifactsConfig} */
+  ArtifactsConfig: null,
+  /** @type {RecordingConfig} */
+  RecordingConfig: null,
   /** @type {AudioConfig} */
   AudioConfig: null,
+  /** @type {BatchConfig} */
+  BatchConfig: null,
   /** @type {AppConfig} */
   AppConfig: null,
 };
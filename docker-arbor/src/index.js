@@ -23,7 +23,7 @@
  * │              ┌───────────┴───────────┐                      │
  * │              │                       │                      │
  * │        ┌─────┴─────┐          ┌──────┴──────┐               │
- * │        │ LLM Client│          │ Conversation │               │
+ * │        │ Providers │          │ Conversation │               │
  * │        └───────────┘          └─────────────┘               │
  * └─────────────────────────────────────────────────────────────┘
  * 
@@ -38,7 +38,20 @@
  * // The application starts automatically via main()
  * // Environment variables configure behavior:
  * // - INTERVIEW_URL: Target interview URL (required)
- * // - GEMINI_API_KEY: API key for LLM (required)
+ * // - GEMINI_API_KEY: API key for LLM (required while a role uses Gemini, unless GEMINI_WS_URL is local)
+ * // - GEMINI_WS_URL: Gemini Live endpoint override (e.g. the local mock server)
+ * // - PROVIDER / STT_PROVIDER / LLM_PROVIDER / TTS_PROVIDER: gemini or local (whisper.cpp, LOCAL_LLM_COMMAND, Piper)
+ * // - PERSONA: Candidate persona name (personas/*.json) or file path
+ * // - INTERVIEW_LANGUAGE: Language picked on the site, spoken and answered in (default: English)
+ * // - SELECTOR_PROFILE: Selectors and button texts of the interview platform (profiles/*.json, path or auto)
+ * // - HISTORY_TOKEN_BUDGET: Tokens of earlier turns sent with each question
+ * // - ANSWER_SCRIPT: Answer script for deterministic replies (regression runs)
+ * // - LOGS_DIR: Where session transcripts are written (default: logs/, /app/logs in Docker)
+ * // - RECORDING / RECORDINGS_DIR: Session audio recording (default: on, recordings/)
+ * // - ARTIFACTS: Screenshot, DOM, console log, HAR and audio on failures (default: on, <session>/artifacts)
+ * // - CONTROL_TOKEN: Enables the control API (POST /control/*) and the /events stream
+ * // - TTS_SINK: PulseAudio sink the answers are played into (set per session by the batch runner)
+ * // - PULSE_SOURCE / PULSE_SINK: The browser's microphone and speaker (set per session by the batch runner)
  * // - TIMEOUT_SECONDS: Auto-shutdown timeout
  * // - LOG_LEVEL: Logging verbosity (debug|info|warn|error)
  */
@@ -51,11 +64,24 @@
 
 const { config, validateConfig } = require('./config');
 const { createLogger } = require('./utils/logger');
-const { createHealthServer } = require('./services/health-server');
+const { resolveLanguage } = require('./utils/language');
+const { createHealthServer, ControlError } = require('./services/health-server');
+const { createEventBus, EventType } = require('./services/event-bus');
+const { createSessionMetrics } = require('./services/session-metrics');
 const { launchBrowser, closeBrowser } = require('./browser/puppeteer-launcher');
-const { navigateToInterview, injectAutomation, setupAudioDevices } = require('./browser/page-controller');
-const { createLLMClient } = require('./llm/client');
+const { navigateToInterview, injectAutomation, setupAudioDevices, sendPageControl } = require('./browser/page-controller');
+const { createScreenFlow } = require('./browser/screen-flow');
+const { loadScreens } = require('./browser/screens');
+const { resolveProfile } = require('./browser/profiles');
+const { createProviderFromConfig } = require('./providers/stack');
 const { createConversation } = require('./llm/conversation');
+const { loadPersona, buildSystemInstruction } = require('./llm/persona');
+const { loadAnswerScript } = require('./llm/answer-script');
+const { loadPriceTable } = require('./llm/usage');
+const path = require('path');
+const { createSessionTranscript } = require('./session/transcript');
+const { createArtifactCollector } = require('./session/artifacts');
+const { createSessionRecorder } = require('./audio/recorder');
 
 // ============================================================
 // APPLICATION STATE
@@ -65,10 +91,21 @@ const { createConversation } = require('./llm/conversation');
  * @typedef {Object} AppState
  * @property {Object|null} browser - Puppeteer browser instance
  * @property {Object|null} page - Puppeteer page instance
- * @property {Object|null} llmClient - LLM client instance
+ * @property {Object|null} flow - Screen flow through the pre-interview screens
+ * @property {Object|null} provider - STT/LLM/TTS provider stack used by the conversation
  * @property {Object|null} conversation - Conversation manager instance
+ * @property {Object|null} persona - Loaded candidate persona
+ * @property {Object|null} language - Interview language (see utils/language)
+ * @property {Object|null} profile - Selector profile of the interview platform
+ * @property {Object|null} answerScript - Loaded answer script (scripted answer mode)
+ * @property {Object|null} transcript - Session transcript writer
+ * @property {Object|null} recorder - Session audio recorder (null when RECORDING=false)
+ * @property {Object|null} artifacts - Failure artifact collector (null when ARTIFACTS=false)
+ * @property {Object|null} events - Live event bus streamed on /events
  * @property {Object|null} healthServer - Health server instance
  * @property {NodeJS.Timeout|null} timeoutId - Timeout timer ID
+ * @property {Function|null} finishInterview - Resolves waitForCompletion (used by the end control)
+ * @property {string|null} endReason - Set when the interview was ended by an operator
  * @property {boolean} isShuttingDown - Whether shutdown is in progress
  */
 
@@ -79,10 +116,21 @@ const { createConversation } = require('./llm/conversation');
 const state = {
   browser: null,
   page: null,
-  llmClient: null,
+  flow: null,
+  provider: null,
   conversation: null,
+  persona: null,
+  language: null,
+  profile: null,
+  answerScript: null,
+  transcript: null,
+  recorder: null,
+  artifacts: null,
+  events: null,
   healthServer: null,
   timeoutId: null,
+  finishInterview: null,
+  endReason: null,
   isShuttingDown: false,
 };
 
@@ -120,12 +168,134 @@ async function initializeHealthServer(logger) {
       version: require('../package.json').version,
       interview: config.interview.url ? 'configured' : 'not configured',
     },
+    control: {
+      token: config.controlToken,
+      handlers: createControlHandlers(logger),
+    },
+    events: state.events,
+    metrics: createSessionMetrics({
+      events: state.events,
+      startedAt: state.transcript.startedAt,
+      sessionId: state.transcript.sessionId,
+      persona: state.persona ? state.persona.id : '',
+    }),
+    usage: () => (state.conversation ? state.conversation.getStats().usage : null),
   });
   
   await healthServer.start();
   return healthServer;
 }
 
+/**
+ * Sends a control command to the page, failing the request if the page refuses it
+ * 
+ * @private
+ * @async
+ * @param {string} action - Page control action
+ * @param {Object} [payload] - Action arguments
+ * @returns {Promise<Object>} Page result (without the ok flag)
+ * @throws {ControlError} If the interview is not running or the page refused the command
+ */
+async function controlPage(action, payload) {
+  if (!state.page || !state.conversation) {
+    throw new ControlError('Interview is not running yet');
+  }
+  
+  const { ok, error, ...result } = await sendPageControl(state.page, action, payload);
+  if (!ok) {
+    throw new ControlError(error || `Page refused ${action}`);
+  }
+  
+  state.events.emit(EventType.CONTROL, { action, ...payload });
+  return result;
+}
+
+/**
+ * Runs a control command on the conversation, failing the request if it refuses it
+ * 
+ * @private
+ * @param {string} action - Control action
+ * @param {function(Object): Object} run - Runs the command; may return { ok: false, error }
+ * @param {Object} [payload={}] - Action arguments (recorded with the control event)
+ * @returns {Object} Command result (without the ok flag)
+ * @throws {ControlError} If the interview is not running, has ended or the command was refused
+ */
+function controlConversation(action, run, payload = {}) {
+  if (!state.page || !state.conversation) {
+    throw new ControlError('Interview is not running yet');
+  }
+  if (state.conversation.getStats().isEnded) {
+    throw new ControlError('Interview already ended');
+  }
+  
+  const { ok = true, error, ...result } = run(state.conversation) || {};
+  if (!ok) {
+    throw new ControlError(error || `Conversation refused ${action}`);
+  }
+  
+  state.events.emit(EventType.CONTROL, { action, ...payload });
+  return result;
+}
+
+/**
+ * Creates the control API handlers served by the health server.
+ * Commands go to the conversation, which runs listening and speaking; ending the
+ * interview also leaves the call through the page. Artifacts capture a snapshot of the
+ * page for diagnosis.
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object.<string, function(Object): Promise<Object>>} Handlers keyed by action
+ */
+function createControlHandlers(logger) {
+  return {
+    pause: async () => controlConversation('pause', (conversation) => {
+      conversation.pause();
+      return { paused: true };
+    }),
+    
+    resume: async () => controlConversation('resume', (conversation) => {
+      conversation.resume();
+      return { paused: false };
+    }),
+    
+    say: async ({ text } = {}) => {
+      if (typeof text !== 'string' || !text.trim()) {
+        throw new ControlError('Body must include "text"', 400);
+      }
+      return { text, ...controlConversation('say', conversation => conversation.say(text), { text }) };
+    },
+    
+    skip: async () => controlConversation('skip', conversation => ({ dropped: conversation.skipQuestion() })),
+    
+    repeat: async () => controlConversation('repeat', conversation => conversation.askToRepeat(true)),
+    
+    artifacts: async ({ reason = 'manual' } = {}) => {
+      if (!state.artifacts) {
+        throw new ControlError('Artifacts are disabled (ARTIFACTS=false)');
+      }
+      const capture = await state.artifacts.capture(String(reason), { requestedBy: 'control' }, { force: true });
+      if (!capture) {
+        throw new ControlError('Artifact capture failed', 500);
+      }
+      state.events.emit(EventType.CONTROL, { action: 'artifacts', reason });
+      return { dir: capture.dir, files: capture.files, errors: capture.errors };
+    },
+    
+    end: async () => {
+      const result = await controlPage('end');
+      state.conversation.end();
+      if (state.flow) state.flow.stop();
+      logger.info('Interview ended by operator');
+      state.endReason = 'ended';
+      if (state.finishInterview) {
+        state.finishInterview();
+      }
+      return result;
+    },
+  };
+}
+
 /**
  * Launches the browser and creates a new page
  * 
@@ -142,18 +312,237 @@ async function initializeBrowser(logger) {
 }
 
 /**
- * Creates the LLM client instance
+ * Loads the candidate persona selected in config
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Persona
+ * @throws {Error} If the persona cannot be loaded
+ */
+function initializePersona(logger) {
+  const persona = loadPersona(config.persona.name, config.persona.dir ? { personasDir: config.persona.dir } : {});
+  logger.info(`Persona: ${persona.name} (${persona.id}) for ${persona.targetRole}`);
+  return persona;
+}
+
+/**
+ * Loads the selector profile selected in config (for 'auto', the one matching the interview URL)
  * 
  * @private
  * @param {Object} logger - Logger instance
- * @returns {Object} LLM client instance
+ * @returns {Object} Selector profile
+ * @throws {Error} If the profile cannot be loaded
  */
-function initializeLLMClient(logger) {
-  logger.info('Creating LLM client...');
-  return createLLMClient({
-    apiKey: config.gemini.apiKey,
-    model: config.gemini.model,
-    voiceName: config.gemini.voiceName,
+function initializeProfile(logger) {
+  const profile = resolveProfile(config.profile.name, config.interview.url,
+    config.profile.dir ? { profilesDir: config.profile.dir } : {});
+  logger.info(`Selector profile: ${profile.id}${config.profile.name === 'auto' ? ' (auto)' : ''}`);
+  return profile;
+}
+
+/**
+ * Loads the answer script if ANSWER_SCRIPT is set
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object|null} Answer script, or null when answers are generated
+ * @throws {Error} If the script cannot be loaded
+ */
+function initializeAnswerScript(logger) {
+  if (!config.conversation.answerScript) {
+    return null;
+  }
+  
+  const answerScript = loadAnswerScript(config.conversation.answerScript, { logger });
+  logger.info(`Answer script: ${answerScript.name} (scripted answer mode)`);
+  return answerScript;
+}
+
+/**
+ * Loads the token price table if GEMINI_PRICE_TABLE is set
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object|undefined} Price table, or undefined for the built-in prices
+ * @throws {Error} If the table cannot be loaded
+ */
+function initializePriceTable(logger) {
+  if (!config.gemini.priceTable) {
+    return undefined;
+  }
+  
+  const prices = loadPriceTable(config.gemini.priceTable);
+  logger.info(`Price table: ${config.gemini.priceTable}`);
+  return prices;
+}
+
+/**
+ * Creates the session transcript, written to <logsDir>/<sessionId>/
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Session transcript
+ * @throws {Error} If TRANSCRIPT_FORMATS names an unknown format
+ */
+function initializeTranscript(logger) {
+  const transcript = createSessionTranscript({
+    sessionId: config.session.id || undefined,
+    logsDir: config.session.logsDir,
+    formats: config.session.transcriptFormats,
+    metadata: {
+      interviewUrl: config.interview.url,
+      persona: state.persona ? state.persona.id : '',
+      language: state.language ? state.language.code : '',
+      profile: state.profile ? state.profile.id : '',
+      answerScript: state.answerScript ? state.answerScript.name : '',
+      model: config.gemini.model,
+      providers: `stt=${config.providers.stt}, llm=${config.providers.llm}, tts=${config.providers.tts}`,
+      recording: config.recording.enabled ? config.recording.dir : '',
+    },
+    logger,
+  });
+  
+  logger.info(`Session: ${transcript.sessionId} (transcript in ${transcript.getDirectory()})`);
+  return transcript;
+}
+
+/**
+ * Creates the session recorder, sharing the transcript's session id and time zero
+ * so the subtitle exports line up with the recorded tracks
+ * 
+ * @private
+ * @param {Object} transcript - Session transcript
+ * @param {Object} logger - Logger instance
+ * @returns {Object|null} Session recorder, or null when RECORDING=false
+ * @throws {Error} If RECORDING_FORMATS names an unknown format
+ */
+function initializeRecorder(transcript, logger) {
+  if (!config.recording.enabled) {
+    return null;
+  }
+  
+  const recorder = createSessionRecorder({
+    sessionId: transcript.sessionId,
+    startedAt: transcript.startedAt,
+    recordingsDir: config.recording.dir,
+    sampleRate: config.recording.sampleRate,
+    formats: config.recording.formats,
+    logger,
+  });
+  
+  logger.info(`Recording: ${config.recording.formats.join(', ')} to ${recorder.getDirectory()}`);
+  return recorder;
+}
+
+/**
+ * Creates the failure artifact collector, writing next to the session transcript
+ * 
+ * @private
+ * @param {Object} logger - Logger instance
+ * @returns {Object|null} Artifact collector, or null when ARTIFACTS=false
+ */
+function initializeArtifacts(logger) {
+  if (!config.artifacts.enabled) {
+    return null;
+  }
+  
+  const artifacts = createArtifactCollector({
+    dir: path.join(state.transcript.getDirectory(), 'artifacts'),
+    recorder: state.recorder,
+    audioTailMs: config.artifacts.audioSeconds * 1000,
+    logger,
+    onEvent: state.events.emit,
+  });
+  
+  logger.info(`Artifacts: on failure to ${artifacts.getDirectory()}`);
+  return artifacts;
+}
+
+/**
+ * Captures failure artifacts, if enabled
+ * 
+ * @private
+ * @async
+ * @param {string} reason - Why (flow_<code>, page_error, page_crash, fatal, manual)
+ * @param {Object} [details={}] - Extra information for info.json
+ * @param {Object} [options={}] - Capture options (force: ignore the per-reason interval)
+ * @returns {Promise<Object|null>} Capture, or null when disabled or skipped
+ */
+function captureArtifacts(reason, details = {}, options = {}) {
+  return state.artifacts ? state.artifacts.capture(reason, details, options) : Promise.resolve(null);
+}
+
+/**
+ * Writes the session transcript from the current conversation history
+ * 
+ * @private
+ * @param {string} [endReason] - Set once the session is over (completed, timeout, signal, error)
+ */
+function saveTranscript(endReason) {
+  if (!state.transcript || !state.conversation) {
+    return;
+  }
+  
+  const usage = state.conversation.getStats().usage;
+  state.transcript.save(
+    state.conversation.getHistory(),
+    endReason ? { endedAt: Date.now(), endReason, usage } : { usage }
+  );
+}
+
+/**
+ * Stops the session recorder. WAV files are written synchronously, so this is safe
+ * right before process.exit(); the returned promise covers optional FLAC encoding.
+ * 
+ * @private
+ * @returns {Promise<Object|null>} Recording manifest
+ */
+function stopRecorder() {
+  return state.recorder ? state.recorder.stop() : Promise.resolve(null);
+}
+
+/**
+ * Creates the screen flow that gets the page through the password, language,
+ * instructions and device screens, and notices the completion screen
+ * 
+ * @private
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Screen flow
+ * @throws {Error} If FLOW_SCREENS cannot be loaded
+ */
+function initializeFlow(page, logger) {
+  if (config.flow.screensFile) {
+    logger.info(`Screens: ${config.flow.screensFile}`);
+  }
+  
+  return createScreenFlow({
+    page,
+    // FLOW_SCREENS overrides the profile's screens
+    screens: config.flow.screensFile ? loadScreens(config.flow.screensFile) : state.profile.screens || undefined,
+    selectors: state.profile.selectors,
+    password: config.interview.password,
+    language: state.language.name,
+    screenTimeoutMs: config.flow.screenTimeoutMs,
+    unknownTimeoutMs: config.flow.screenTimeoutMs,
+    maxAttempts: config.flow.maxAttempts,
+    logger,
+    onEvent: state.events.emit,
+  });
+}
+
+/**
+ * Creates the STT/LLM/TTS provider stack selected in config
+ * 
+ * @private
+ * @param {Object} persona - Candidate persona
+ * @param {Object} logger - Logger instance
+ * @returns {Object} Provider stack
+ */
+function initializeProvider(persona, logger) {
+  logger.info(`Providers: stt=${config.providers.stt}, llm=${config.providers.llm}, tts=${config.providers.tts}`);
+  return createProviderFromConfig(config, {
+    systemInstruction: buildSystemInstruction(persona, { language: state.language.name }),
     logger,
   });
 }
@@ -162,16 +551,25 @@ function initializeLLMClient(logger) {
  * Creates the conversation manager instance
  * 
  * @private
- * @param {Object} llmClient - LLM client instance
+ * @param {Object} provider - Provider stack
+ * @param {Object} persona - Candidate persona
  * @param {Object} logger - Logger instance
  * @returns {Object} Conversation manager instance
  */
-function initializeConversation(llmClient, logger) {
+function initializeConversation(provider, persona, logger) {
   return createConversation({
-    llmClient,
+    provider,
+    persona,
+    language: state.language.name,
     logger,
-    responseDelayMs: 5000,
+    historyTokenBudget: config.conversation.historyTokenBudget,
+    answerScript: state.answerScript,
+    prices: initializePriceTable(logger),
+    endpointing: config.endpointing,
     cooldownMs: 15000,
+    saveAudioFile: state.transcript.saveAudioFile,
+    onTurn: () => saveTranscript(),
+    onEvent: state.events.emit,
   });
 }
 
@@ -201,8 +599,19 @@ async function main() {
     // Validate configuration
     validateConfig(config);
     
-    // Initialize health server
+    // Load candidate persona (fail fast on a bad PERSONA)
+    state.persona = initializePersona(logger);
+    state.language = resolveLanguage(config.interview.language);
+    logger.info(`Interview language: ${state.language.name} (${state.language.code})`);
+    state.profile = initializeProfile(logger);
+    state.answerScript = initializeAnswerScript(logger);
+    state.transcript = initializeTranscript(logger);
+    state.recorder = initializeRecorder(state.transcript, logger);
+    
+    // Initialize health server (with the live event stream)
+    state.events = createEventBus({ logger });
     state.healthServer = await initializeHealthServer(logger);
+    state.artifacts = initializeArtifacts(logger);
     
     // Set up auto-shutdown timeout
     setupTimeout(logger);
@@ -211,6 +620,9 @@ async function main() {
     const { browser, page } = await initializeBrowser(logger);
     state.browser = browser;
     state.page = page;
+    if (state.artifacts) {
+      state.artifacts.attach(page);
+    }
     
     // Set up audio devices
     logger.info('Setting up audio devices...');
@@ -218,20 +630,33 @@ async function main() {
     
     // Navigate to interview
     logger.info(`Navigating to interview: ${config.interview.url}`);
-    await navigateToInterview(page, config.interview.url, { logger });
+    await navigateToInterview(page, config.interview.url, {
+      logger,
+      onPageError: (kind, error) => {
+        captureArtifacts(kind === 'crash' ? 'page_crash' : 'page_error', { error: error.message });
+      },
+    });
     
-    // Initialize LLM client (experimental, not actively used in current flow)
-    state.llmClient = initializeLLMClient(logger);
+    // Initialize providers; the conversation runs STT, answers and TTS through them
+    state.provider = initializeProvider(state.persona, logger);
     
-    // Initialize conversation manager
-    state.conversation = initializeConversation(state.llmClient, logger);
+    // Initialize conversation manager (connects the providers)
+    state.conversation = initializeConversation(state.provider, state.persona, logger);
+    await state.conversation.init();
     
-    // Inject automation script
+    // Inject automation script (captures the interviewer, plays the conversation's answers)
     logger.info('Injecting automation script...');
     await injectAutomation(page, {
-      password: config.interview.password,
-      geminiApiKey: config.gemini.apiKey,
+      bargeIn: config.bargeIn,
+      endpointing: config.endpointing,
+      sampleRate: config.audio.sampleRate,
+      ttsDevice: config.audio.ttsSink,
+      micDevice: config.audio.micSource,
+      browserDevice: config.audio.browserSink,
       conversation: state.conversation,
+      recorder: state.recorder,
+      profile: state.profile,
+      onEvent: state.events.emit,
       logger,
     });
     
@@ -241,13 +666,25 @@ async function main() {
     logger.info('   ✓ Interview bot is running');
     logger.info('═══════════════════════════════════════════');
     
-    // Wait for completion
-    await waitForCompletion(logger);
+    // Walk the page to the live interview; wait until it completes, fails or is ended
+    state.flow = initializeFlow(page, logger);
+    await Promise.race([waitForCompletion(logger), state.flow.run()]);
+    saveTranscript(state.endReason || 'completed');
     
   } catch (error) {
     logger.error('Fatal error:', error.message);
+    if (error.diagnostic) {
+      logger.error('Screen flow diagnostic:', JSON.stringify(error.diagnostic, null, 2));
+    }
     logger.debug(error.stack);
     process.exitCode = 1;
+    saveTranscript('error');
+    // A screen flow failure is a stuck or unexpected page; anything else is fatal
+    await captureArtifacts(error.diagnostic ? `flow_${error.code}` : 'fatal', {
+      error: error.message,
+      stack: error.stack,
+      diagnostic: error.diagnostic || null,
+    }, { force: true });
   } finally {
     await cleanup(logger);
   }
@@ -262,6 +699,8 @@ async function main() {
 function setupTimeout(logger) {
   state.timeoutId = setTimeout(() => {
     logger.warn(`Interview timeout reached (${config.interview.timeoutSeconds}s), shutting down...`);
+    saveTranscript('timeout');
+    stopRecorder();
     process.exit(0);
   }, config.interview.timeoutSeconds * 1000);
 }
@@ -276,6 +715,9 @@ function setupTimeout(logger) {
  */
 async function waitForCompletion(logger) {
   return new Promise((resolve) => {
+    // Handle the end control command
+    state.finishInterview = resolve;
+    
     // Handle page close
     if (state.page) {
       state.page.on('close', () => {
@@ -319,20 +761,26 @@ async function cleanup(logger = console) {
     state.healthServer.setReady(false);
   }
   
+  // Stop the screen flow
+  if (state.flow) {
+    state.flow.stop();
+    state.flow = null;
+  }
+  
   // Clear timeout
   if (state.timeoutId) {
     clearTimeout(state.timeoutId);
     state.timeoutId = null;
   }
   
-  // Close LLM client
-  if (state.llmClient) {
+  // Close providers
+  if (state.provider) {
     try {
-      state.llmClient.close();
+      state.provider.close();
     } catch (error) {
-      logger.debug('Error closing LLM client:', error.message);
+      logger.debug('Error closing providers:', error.message);
     }
-    state.llmClient = null;
+    state.provider = null;
   }
   
   // Close browser
@@ -346,6 +794,9 @@ async function cleanup(logger = console) {
     state.page = null;
   }
   
+  // Finish the recording (after the browser, so no more audio arrives)
+  await stopRecorder();
+  
   // Stop health server
   if (state.healthServer) {
     await state.healthServer.stop();
@@ -364,6 +815,8 @@ async function cleanup(logger = console) {
  */
 process.on('SIGTERM', () => {
   console.log('[INFO] Received SIGTERM, shutting down...');
+  saveTranscript('signal');
+  stopRecorder();
   process.exit(0);
 });
 
@@ -372,6 +825,8 @@ process.on('SIGTERM', () => {
  */
 process.on('SIGINT', () => {
   console.log('[INFO] Received SIGINT, shutting down...');
+  saveTranscript('signal');
+  stopRecorder();
   process.exit(0);
 });
 
@@ -381,6 +836,8 @@ process.on('SIGINT', () => {
 process.on('uncaughtException', (error) => {
   console.error('[ERROR] Uncaught exception:', error.message);
   console.error(error.stack);
+  saveTranscript('error');
+  stopRecorder();
   process.exit(1);
 });
 
@@ -0,0 +1,375 @@
+/**
+ * Answer Script Module
+ * 
+ * @module llm/answer-script
+ * @description Deterministic candidate answers for regression testing the interviewer.
+ *              An answer script maps question regexes or intents to fixed answers,
+ *              "say I don't know" rules and fallbacks, so the same interview always
+ *              gets the same replies. Scripted answers are still spoken through TTS.
+ * 
+ * Script format (JSON):
+ * {
+ *   "name": "baseline",
+ *   "onNoMatch": "fallback",               // fallback | dontKnow | llm
+ *   "intentThreshold": 0.5,                // share of an example's words found in the question
+ *   "dontKnowAnswer": "I'm not sure, I haven't worked with that.",
+ *   "intents": { "salary": ["what are your salary expectations", "expected compensation"] },
+ *   "rules": [
+ *     { "id": "intro", "match": "about yourself", "answer": "I'm Alex, a backend engineer..." },
+ *     { "id": "salary", "intent": "salary", "answers": ["First time...", "Asked again..."] },
+ *     { "id": "rust", "match": "\\brust\\b", "dontKnow": true }
+ *   ],
+ *   "fallbacks": ["Could you rephrase that?", "I'd need a moment to think about that."]
+ * }
+ * 
+ * Regex rules are checked first, in order, and the first match wins. Otherwise the rule whose
+ * intent best matches the question wins (ties go to the earlier rule). A rule with `answers`
+ * cycles through them each time it matches.
+ * 
+ * @example
+ * const { loadAnswerScript } = require('./llm/answer-script');
+ * 
+ * const script = loadAnswerScript('answer-scripts/baseline.json');
+ * const answer = script.resolve('Can you tell me about yourself?');
+ * // { text: "I'm Alex, ...", ruleId: 'intro', kind: 'rule' }
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only maps questions to scripted answers
+ * - Open/Closed: New behaviour is new rules in a script file, no code changes
+ * - Dependency Inversion: Callers decide how the answer is spoken
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  ON_NO_MATCH: 'fallback',
+  INTENT_THRESHOLD: 0.5,
+  DONT_KNOW_ANSWER: "I'm sorry, I don't really know the answer to that.",
+};
+
+/**
+ * What to do when no rule matches
+ * @readonly
+ * @enum {string}
+ */
+const NoMatchMode = {
+  /** Cycle through script.fallbacks (dontKnowAnswer if there are none) */
+  FALLBACK: 'fallback',
+  /** Always answer with dontKnowAnswer */
+  DONT_KNOW: 'dontKnow',
+  /** Return null so the caller lets the LLM answer */
+  LLM: 'llm',
+};
+
+/**
+ * Words ignored when comparing a question to intent examples
+ * @constant {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the', 'to', 'was',
+  'what', 'would', 'you', 'your',
+]);
+
+/**
+ * @typedef {Object} AnswerRule
+ * @property {string} [id] - Rule identifier (for logs and stats)
+ * @property {string} [match] - Case-insensitive regex tested against the question
+ * @property {string} [intent] - Intent name from script.intents
+ * @property {string} [answer] - Fixed answer
+ * @property {string[]} [answers] - Answers used in turn on each match
+ * @property {boolean} [dontKnow] - Answer with script.dontKnowAnswer
+ */
+
+/**
+ * @typedef {Object} ScriptedAnswer
+ * @property {string} text - Text to speak
+ * @property {string|null} ruleId - Matching rule id (null for fallbacks)
+ * @property {'rule'|'dontKnow'|'fallback'} kind - Why this answer was chosen
+ */
+
+// ============================================================
+// MATCHING HELPERS
+// ============================================================
+
+/**
+ * Splits text into lowercase content words, with a plural "s" stripped
+ * so "teammates" matches "teammate"
+ * 
+ * @private
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Content words
+ */
+function contentWords(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Scores how well a question matches an intent: the best share of any example's
+ * content words that appear in the question (0-1)
+ * 
+ * @private
+ * @param {Set<string>} questionWords - Content words of the question
+ * @param {string[][]} examples - Tokenized intent examples
+ * @returns {number} Match score
+ */
+function scoreIntent(questionWords, examples) {
+  let best = 0;
+  
+  for (const example of examples) {
+    if (example.length === 0) continue;
+    const hits = example.filter(word => questionWords.has(word)).length;
+    best = Math.max(best, hits / example.length);
+  }
+  
+  return best;
+}
+
+// ============================================================
+// LOADING & VALIDATION
+// ============================================================
+
+/**
+ * Validates a raw script and compiles its regexes and intents
+ * 
+ * @private
+ * @param {Object} raw - Parsed script JSON
+ * @param {string} name - Script name for error messages
+ * @returns {Object} Compiled script
+ * @throws {Error} If the script is invalid
+ */
+function compileScript(raw, name) {
+  const errors = [];
+  const intents = raw.intents || {};
+  const onNoMatch = raw.onNoMatch || DEFAULTS.ON_NO_MATCH;
+  
+  if (!Array.isArray(raw.rules)) {
+    throw new Error(`Answer script '${name}' must have a "rules" array`);
+  }
+  
+  if (!Object.values(NoMatchMode).includes(onNoMatch)) {
+    errors.push(`onNoMatch must be one of: ${Object.values(NoMatchMode).join(', ')}`);
+  }
+  
+  const rules = raw.rules.map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+    let regex = null;
+    
+    if (!rule.match && !rule.intent) {
+      errors.push(`${id}: needs "match" or "intent"`);
+    }
+    
+    if (rule.match) {
+      try {
+        regex = new RegExp(rule.match, 'i');
+      } catch (error) {
+        errors.push(`${id}: invalid regex (${error.message})`);
+      }
+    }
+    
+    if (rule.intent && !Array.isArray(intents[rule.intent])) {
+      errors.push(`${id}: unknown intent '${rule.intent}'`);
+    }
+    
+    const answers = rule.answers || (rule.answer ? [rule.answer] : []);
+    if (!rule.dontKnow && answers.length === 0) {
+      errors.push(`${id}: needs "answer", "answers" or "dontKnow"`);
+    }
+    
+    return {
+      id,
+      regex,
+      intent: rule.intent || null,
+      answers,
+      dontKnow: Boolean(rule.dontKnow),
+    };
+  });
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid answer script '${name}':\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  const intentExamples = {};
+  for (const [intent, examples] of Object.entries(intents)) {
+    intentExamples[intent] = examples.map(contentWords);
+  }
+  
+  return {
+    name: raw.name || name,
+    rules,
+    intentExamples,
+    intentThreshold: raw.intentThreshold || DEFAULTS.INTENT_THRESHOLD,
+    onNoMatch,
+    dontKnowAnswer: raw.dontKnowAnswer || DEFAULTS.DONT_KNOW_ANSWER,
+    fallbacks: raw.fallbacks || [],
+  };
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Creates an answer script from a parsed script object
+ * 
+ * @param {Object} raw - Script object (see module docs for the format)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.name='inline'] - Script name for logs and errors
+ * @param {Object} [options.logger=console] - Logger instance
+ * @returns {{name: string, resolve: Function, getStats: Function, reset: Function}}
+ * @throws {Error} If the script is invalid
+ */
+function createAnswerScript(raw, options = {}) {
+  const { name = 'inline', logger = console } = options;
+  const script = compileScript(raw, name);
+  
+  /**
+   * How many times each rule has matched (drives `answers` cycling)
+   * @type {Map<string, number>}
+   */
+  const ruleUses = new Map();
+  
+  /** @type {number} */
+  let fallbackIndex = 0;
+  
+  const stats = {
+    resolved: 0,
+    byRule: 0,
+    dontKnow: 0,
+    fallback: 0,
+    passedToLLM: 0,
+  };
+  
+  /**
+   * Finds the first rule matching a question
+   * 
+   * @private
+   * @param {string} question - Interviewer's question
+   * @returns {Object|null} Matching compiled rule
+   */
+  function findRule(question) {
+    const regexRule = script.rules.find(rule => rule.regex && rule.regex.test(question));
+    if (regexRule) {
+      return regexRule;
+    }
+    
+    const questionWords = new Set(contentWords(question));
+    let bestRule = null;
+    let bestScore = script.intentThreshold;
+    
+    for (const rule of script.rules) {
+      if (!rule.intent) continue;
+      const score = scoreIntent(questionWords, script.intentExamples[rule.intent]);
+      if (score > bestScore || (score === bestScore && !bestRule)) {
+        bestRule = rule;
+        bestScore = score;
+      }
+    }
+    
+    return bestRule;
+  }
+  
+  /**
+   * Picks the scripted answer for a question
+   * 
+   * @param {string} question - Interviewer's question
+   * @returns {ScriptedAnswer|null} Answer to speak, or null to let the LLM answer (onNoMatch: llm)
+   * 
+   * @example
+   * const answer = script.resolve(question);
+   * if (answer) llmClient.speak(answer.text);
+   */
+  function resolve(question) {
+    const rule = findRule(question || '');
+    let answer;
+    
+    if (rule && rule.dontKnow) {
+      answer = { text: script.dontKnowAnswer, ruleId: rule.id, kind: 'dontKnow' };
+      stats.dontKnow++;
+    } else if (rule) {
+      const uses = ruleUses.get(rule.id) || 0;
+      ruleUses.set(rule.id, uses + 1);
+      answer = { text: rule.answers[uses % rule.answers.length], ruleId: rule.id, kind: 'rule' };
+      stats.byRule++;
+    } else if (script.onNoMatch === NoMatchMode.LLM) {
+      stats.passedToLLM++;
+      logger.debug(`[answer-script] No rule for "${(question || '').slice(0, 60)}", passing to LLM`);
+      return null;
+    } else if (script.onNoMatch === NoMatchMode.FALLBACK && script.fallbacks.length > 0) {
+      answer = { text: script.fallbacks[fallbackIndex % script.fallbacks.length], ruleId: null, kind: 'fallback' };
+      fallbackIndex++;
+      stats.fallback++;
+    } else {
+      answer = { text: script.dontKnowAnswer, ruleId: null, kind: 'dontKnow' };
+      stats.dontKnow++;
+    }
+    
+    stats.resolved++;
+    logger.info(`[answer-script] ${answer.kind}${answer.ruleId ? ` (${answer.ruleId})` : ''}: ${answer.text.slice(0, 60)}`);
+    return answer;
+  }
+  
+  /**
+   * Returns answer statistics
+   * 
+   * @returns {Object} Counts by answer kind
+   */
+  function getStats() {
+    return { ...stats };
+  }
+  
+  /**
+   * Restarts answer cycling (e.g. for a new interview)
+   */
+  function reset() {
+    ruleUses.clear();
+    fallbackIndex = 0;
+  }
+  
+  return {
+    name: script.name,
+    resolve,
+    getStats,
+    reset,
+  };
+}
+
+/**
+ * Loads an answer script from a JSON file
+ * 
+ * @param {string} filePath - Path to the script file
+ * @param {Object} [options={}] - Options passed to createAnswerScript
+ * @returns {ReturnType<typeof createAnswerScript>} Answer script
+ * @throws {Error} If the file cannot be read, parsed or validated
+ * 
+ * @example
+ * const script = loadAnswerScript(process.env.ANSWER_SCRIPT);
+ */
+function loadAnswerScript(filePath, options = {}) {
+  const name = path.basename(filePath, path.extname(filePath));
+  let raw;
+  
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load answer script ${filePath}: ${error.message}`);
+  }
+  
+  return createAnswerScript(raw, { name, ...options });
+}
+
+module.exports = {
+  createAnswerScript,
+  loadAnswerScript,
+  NoMatchMode,
+  DEFAULTS,
+};
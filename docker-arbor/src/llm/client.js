@@ -4,7 +4,10 @@
  * @module llm/client
  * @description Handles WebSocket connection to Gemini Live API for real-time
  *              speech-to-speech conversation. Implements a robust connection
- *              management system with automatic reconnection.
+ *              management system with automatic reconnection: exponential backoff
+ *              with jitter, session resumption handles (the server keeps the context
+ *              across reconnects and session limits), goAway notices, and buffering of
+ *              the audio sent while the connection is down.
  * 
  * @example
  * const { createLLMClient } = require('./llm/client');
@@ -17,20 +20,23 @@
  * 
  * client.on('transcription', (text, type) => console.log('Heard:', text));
  * client.on('audio', (base64Audio, sampleRate) => playAudio(base64Audio));
- * 
+ * client.on('usageMetadata', usage => recordUsage(usage));
+ *  
  * await client.connect();
  * client.sendAudio(base64PCM, 16000);
  * 
  * SOLID Principles Applied:
  * - Single Responsibility: Only handles LLM WebSocket communication
- * - Open/Closed: Event handlers allow extension without modification
- * - Interface Segregation: Clean public API (connect, send*, close, on)
+ * - Open/Closed: Any number of listeners per event allow extension without modification
+ * - Interface Segregation: Clean public API (connect, send*, close, on/off/once)
  * - Dependency Inversion: Logger injected as dependency
  */
 
 'use strict';
 
 const WebSocket = require('ws');
+const { SPEAK_PROMPT, createProviderEvents } = require('../providers/base');
+const { isLocalEndpoint } = require('../utils/endpoint');
 
 /**
  * Gemini WebSocket API endpoint for bidirectional streaming
@@ -46,18 +52,29 @@ const DEFAULTS = {
   MODEL: 'models/gemini-2.0-flash-live-001',
   VOICE_NAME: 'Puck',
   MAX_RECONNECT_ATTEMPTS: 5,
-  RECONNECT_DELAY_MS: 3000,
+  RECONNECT_DELAY_MS: 1000,
+  MAX_RECONNECT_DELAY_MS: 30000,
+  MAX_BUFFERED_AUDIO_MS: 10000,
   TTS_SAMPLE_RATE: 24000,
 };
 
 /**
  * @typedef {Object} LLMClientOptions
- * @property {string} apiKey - Required. Gemini API key
+ * @property {string} [apiKey] - Gemini API key (required unless wsUrl is a local or mock endpoint)
  * @property {string} [model='models/gemini-2.0-flash-live-001'] - Gemini model identifier
  * @property {string} [voiceName='Puck'] - Voice for TTS responses
+ * @property {string} [languageCode] - BCP-47 code of the spoken replies, e.g. 'es-ES' (the model's default when empty)
+ * @property {string} [wsUrl] - BidiGenerateContent endpoint (defaults to Google's; point at the mock server for offline runs)
+ * @property {string} [systemInstruction] - System instruction sent with every session setup (e.g. the candidate persona)
+ * @property {string[]} [responseModalities=['AUDIO']] - Reply modality: ['AUDIO'] to speak, ['TEXT'] for a listening-only session
+ * @property {boolean} [inputTranscription=true] - Transcribe the audio sent with sendAudio
+ * @property {boolean} [outputTranscription=true] - Transcribe the model's spoken replies
+ * @property {boolean} [sessionResumption=true] - Ask for resumption handles and resume the session on reconnect
  * @property {Object} [logger=console] - Logger instance for output
- * @property {number} [maxReconnectAttempts=5] - Maximum reconnection attempts
- * @property {number} [reconnectDelayMs=3000] - Delay between reconnection attempts
+ * @property {number} [maxReconnectAttempts=5] - Reconnection attempts before giving up (reset once connected)
+ * @property {number} [reconnectDelayMs=1000] - Base delay of the exponential reconnect backoff
+ * @property {number} [maxReconnectDelayMs=30000] - Cap of the reconnect backoff
+ * @property {number} [maxBufferedAudioMs=10000] - Audio kept while reconnecting (oldest is dropped)
  */
 
 /**
@@ -65,9 +82,12 @@ const DEFAULTS = {
  * @property {Function} connect - Establish WebSocket connection
  * @property {Function} sendAudio - Send audio data for transcription
  * @property {Function} sendText - Send text message to LLM
+ * @property {Function} sendTurns - Send history turns plus a prompt to LLM
  * @property {Function} speak - Request TTS for given text
  * @property {Function} close - Close the connection
- * @property {Function} on - Register event handler
+ * @property {Function} on - Register an event handler (any number per event)
+ * @property {Function} off - Remove an event handler
+ * @property {Function} once - Register an event handler for the next event only
  * @property {Function} isReady - Check if client is ready
  */
 
@@ -87,14 +107,37 @@ const EventType = {
   ERROR: 'error',
   /** Fired when connection is ready */
   READY: 'ready',
+  /** Fired when the server marks the end of the user's turn (inputTranscription.finished) */
+  TURN_END: 'turnEnd',
+  /** Fired when the model has finished its reply (serverContent.turnComplete) */
+  TURN_COMPLETE: 'turnComplete',
+  /** Fired when a dropped connection is back ({resumed}: whether the server kept the session) */
+  RECONNECTED: 'reconnected',
+  /** Fired when the server stopped the reply because of new user input (serverContent.interrupted) */
+  INTERRUPTED: 'interrupted',
+  /** Fired with the token counts the server reports (usageMetadata) */
+  USAGE_METADATA: 'usageMetadata',
+  /** Fired when the model asks for function calls (toolCall: {functionCalls}) */
+  TOOL_CALL: 'toolCall',
+  /** Fired when the socket closes ({code, reason, reconnecting}) */
+  CLOSE: 'close',
+  /** Fired when a reconnect is scheduled ({attempt, delayMs}) */
+  RECONNECTING: 'reconnecting',
 };
 
+/**
+ * Event names accepted by on/off/once
+ * @private
+ * @type {Set<string>}
+ */
+const EVENT_NAMES = new Set(Object.values(EventType));
+
 /**
  * Creates a new LLM client instance
  * 
  * @param {LLMClientOptions} options - Client configuration
  * @returns {LLMClient} LLM client instance
- * @throws {Error} If apiKey is not provided
+ * @throws {Error} If apiKey is not provided for a remote endpoint
  * 
  * @example
  * const client = createLLMClient({
@@ -111,13 +154,22 @@ function createLLMClient(options = {}) {
     apiKey,
     model = DEFAULTS.MODEL,
     voiceName = DEFAULTS.VOICE_NAME,
+    languageCode = '',
+    wsUrl = GEMINI_WS_URL,
+    systemInstruction = '',
+    responseModalities = ['AUDIO'],
+    inputTranscription = true,
+    outputTranscription = true,
+    sessionResumption = true,
     logger = console,
     maxReconnectAttempts = DEFAULTS.MAX_RECONNECT_ATTEMPTS,
     reconnectDelayMs = DEFAULTS.RECONNECT_DELAY_MS,
+    maxReconnectDelayMs = DEFAULTS.MAX_RECONNECT_DELAY_MS,
+    maxBufferedAudioMs = DEFAULTS.MAX_BUFFERED_AUDIO_MS,
   } = options;
   
   // Validate required options
-  if (!apiKey) {
+  if (!apiKey && !isLocalEndpoint(wsUrl)) {
     throw new Error('LLMClient: apiKey is required');
   }
   
@@ -133,39 +185,64 @@ function createLLMClient(options = {}) {
   /** @type {number} */
   let reconnectAttempts = 0;
   
+  /**
+   * Closed on purpose (close()); no reconnects after it
+   * @type {boolean}
+   */
+  let isClosed = false;
+  
+  /**
+   * A session was set up before, so the next setupComplete is a reconnect
+   * @type {boolean}
+   */
+  let hasConnected = false;
+  
+  /** @type {NodeJS.Timeout|null} */
+  let reconnectTimer = null;
+  
+  /**
+   * Latest resumable session handle from sessionResumptionUpdate
+   * @type {string|null}
+   */
+  let resumptionHandle = null;
+  
+  /**
+   * Whether the current socket's setup asked to resume a session (until setupComplete)
+   * @type {boolean}
+   */
+  let isResuming = false;
+  
+  /**
+   * A reply is being generated (sendTurns/speak until turnComplete)
+   * @type {boolean}
+   */
+  let isGenerating = false;
+  
+  /**
+   * The server announced it will end the session; reconnect once the reply is over
+   * @type {boolean}
+   */
+  let goAwayPending = false;
+  
+  /**
+   * Audio sent while reconnecting, flushed once the session is back
+   * @type {Array<{data: string, sampleRate: number, durationMs: number}>}
+   */
+  const pendingAudio = [];
+  
+  /** @type {number} */
+  let pendingAudioMs = 0;
+  
   // ============================================================
   // EVENT HANDLERS
   // ============================================================
   
   /**
-   * Event handler storage
-   * @private
-   * @type {Object.<string, Function|null>}
-   */
-  const handlers = {
-    [EventType.TRANSCRIPTION]: null,
-    [EventType.AUDIO]: null,
-    [EventType.TEXT]: null,
-    [EventType.ERROR]: null,
-    [EventType.READY]: null,
-  };
-  
-  /**
-   * Safely invokes an event handler if registered
+   * Event listeners; a failing listener is logged and never affects the others
    * @private
-   * @param {string} eventType - Event type from EventType enum
-   * @param {...any} args - Arguments to pass to handler
-   */
-  function emit(eventType, ...args) {
-    const handler = handlers[eventType];
-    if (typeof handler === 'function') {
-      try {
-        handler(...args);
-      } catch (error) {
-        logger.error(`[llm] Event handler error for '${eventType}':`, error.message);
-      }
-    }
-  }
+   */
+  const events = createProviderEvents({ tag: 'llm', logger });
+  const emit = events.emit;
   
   // ============================================================
   // CONNECTION MANAGEMENT
@@ -183,6 +260,8 @@ function createLLMClient(options = {}) {
    * console.log('Connected and ready');
    */
   async function connect() {
+    isClosed = false;
+    
     // Prevent duplicate connections
     if (ws && ws.readyState === WebSocket.OPEN) {
       logger.debug('[llm] Already connected');
@@ -194,19 +273,21 @@ function createLLMClient(options = {}) {
       return;
     }
     
-    isConnecting = true;
+    // The key joins any query the endpoint already has (proxy or mock parameters)
+    const url = new URL(wsUrl);
+    if (apiKey) url.searchParams.set('key', apiKey);
     
-    const url = `${GEMINI_WS_URL}?key=${encodeURIComponent(apiKey)}`;
+    isConnecting = true;
     
     return new Promise((resolve, reject) => {
-      logger.info('[llm] Connecting to Gemini...');
+      logger.info(`[llm] Connecting to Gemini${wsUrl === GEMINI_WS_URL ? '' : ` (${wsUrl})`}...`);
       
-      ws = new WebSocket(url);
+      ws = new WebSocket(url.toString());
       
       ws.on('open', handleOpen);
       ws.on('message', (data) => handleMessage(data, resolve));
       ws.on('error', (error) => handleError(error, reject));
-      ws.on('close', handleClose);
+      ws.on('close', (code, reason) => handleClose(code, reason, reject));
     });
   }
   
@@ -228,22 +309,48 @@ function createLLMClient(options = {}) {
       setup: {
         model: model,
         generation_config: {
-          response_modalities: ['AUDIO', 'TEXT'],
-          speech_config: {
-            voice_config: {
-              prebuilt_voice_config: {
-                voice_name: voiceName,
-              },
-            },
-          },
+          response_modalities: responseModalities,
         },
-        // Enable input audio transcription for STT
-        input_audio_transcription: {},
       },
     };
     
+    if (responseModalities.includes('AUDIO')) {
+      setupMessage.setup.generation_config.speech_config = {
+        voice_config: {
+          prebuilt_voice_config: {
+            voice_name: voiceName,
+          },
+        },
+      };
+      if (languageCode) {
+        setupMessage.setup.generation_config.speech_config.language_code = languageCode;
+      }
+    }
+    
+    // Input transcription is the STT; output transcription keeps spoken answers in history
+    if (inputTranscription) {
+      setupMessage.setup.input_audio_transcription = {};
+    }
+    if (outputTranscription) {
+      setupMessage.setup.output_audio_transcription = {};
+    }
+    
+    // Applies to every turn of the session, including after reconnects
+    if (systemInstruction) {
+      setupMessage.setup.system_instruction = {
+        parts: [{ text: systemInstruction }],
+      };
+    }
+    
+    // Ask for resumption handles; with one, the server restores the session's context
+    isResuming = false;
+    if (sessionResumption) {
+      setupMessage.setup.session_resumption = resumptionHandle ? { handle: resumptionHandle } : {};
+      isResuming = Boolean(resumptionHandle);
+    }
+    
     ws.send(JSON.stringify(setupMessage));
-    logger.debug('[llm] Setup message sent');
+    logger.debug(`[llm] Setup message sent${isResuming ? ' (resuming session)' : ''}`);
   }
   
   /**
@@ -267,20 +374,87 @@ function createLLMClient(options = {}) {
    * @private
    * @param {number} code - Close code
    * @param {Buffer} reason - Close reason
+   * @param {Function} [reject] - Promise reject function for connection
    */
-  function handleClose(code, reason) {
+  function handleClose(code, reason, reject) {
+    // Only a session that was set up once reconnects; a failed first connect() is the caller's to handle
+    const reconnecting = !isClosed && hasConnected;
+    
     logger.info('[llm] WebSocket closed:', code, reason?.toString());
+    emit(EventType.CLOSE, { code, reason: reason ? reason.toString() : '', reconnecting });
+    
+    // Closed before setupComplete (e.g. a refused key): fail the pending connect()
+    if (isConnecting && reject) {
+      reject(new Error(`Gemini closed the connection before setup (${code}${reason && reason.length ? `: ${reason}` : ''})`));
+    }
+    
+    // Closed before setupComplete while resuming: the handle was refused, start afresh next time
+    if (!isReady && isResuming) {
+      logger.warn('[llm] Session could not be resumed, starting a new one');
+      resumptionHandle = null;
+    }
+    
     isReady = false;
     isConnecting = false;
+    isGenerating = false;
+    goAwayPending = false;
     
-    // Attempt reconnection if not intentionally closed
-    if (reconnectAttempts < maxReconnectAttempts) {
-      reconnectAttempts++;
-      logger.info(`[llm] Reconnecting (attempt ${reconnectAttempts}/${maxReconnectAttempts})...`);
-      setTimeout(connect, reconnectDelayMs);
+    if (reconnecting) {
+      scheduleReconnect();
     }
   }
   
+  /**
+   * Schedules the next reconnect attempt with exponential backoff and jitter
+   * @private
+   */
+  function scheduleReconnect() {
+    if (reconnectTimer) return;
+    
+    if (reconnectAttempts >= maxReconnectAttempts) {
+      logger.error(`[llm] Giving up after ${reconnectAttempts} reconnect attempts`);
+      emit(EventType.ERROR, new Error('Gemini connection lost'));
+      return;
+    }
+    
+    // Half the exponential delay is fixed, the other half random, so clients don't retry in lockstep
+    const backoffMs = Math.min(maxReconnectDelayMs, reconnectDelayMs * 2 ** reconnectAttempts);
+    const delayMs = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+    reconnectAttempts++;
+    
+    logger.info(`[llm] Reconnecting in ${delayMs}ms (attempt ${reconnectAttempts})...`);
+    emit(EventType.RECONNECTING, { attempt: reconnectAttempts, delayMs });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      // A failed attempt closes the socket, which schedules the next one
+      connect().catch(error => logger.debug('[llm] Reconnect attempt failed:', error.message));
+    }, delayMs);
+  }
+  
+  /**
+   * Replaces the current socket right away (goAway): the old one is dropped without
+   * waiting for the server to close it
+   * @private
+   */
+  function reconnectNow() {
+    const oldSocket = ws;
+    ws = null;
+    isReady = false;
+    isGenerating = false;
+    goAwayPending = false;
+    
+    if (oldSocket) {
+      oldSocket.removeAllListeners();
+      oldSocket.on('error', () => {});
+      oldSocket.close();
+      emit(EventType.CLOSE, { code: 1000, reason: 'goAway', reconnecting: true });
+    }
+    
+    logger.info(`[llm] Reconnecting before the session ends${resumptionHandle ? ' (resuming)' : ''}...`);
+    emit(EventType.RECONNECTING, { attempt: 0, delayMs: 0 });
+    connect().catch(() => scheduleReconnect());
+  }
+  
   // ============================================================
   // MESSAGE HANDLING
   // ============================================================
@@ -301,11 +475,35 @@ function createLLMClient(options = {}) {
         return;
       }
       
+      // Token counts, usually with the last message of a reply; emitted before its
+      // turnComplete so listeners can count them toward that reply
+      if (message.usageMetadata) {
+        emit(EventType.USAGE_METADATA, message.usageMetadata);
+      }
+      
       // Handle server content
       if (message.serverContent) {
         handleServerContent(message.serverContent);
       }
       
+      // Keep the latest handle the session can be resumed from
+      if (message.sessionResumptionUpdate) {
+        const { newHandle, resumable } = message.sessionResumptionUpdate;
+        if (resumable && newHandle) {
+          resumptionHandle = newHandle;
+        }
+      }
+      
+      // Function calls the model wants run; nothing is declared yet, so only listeners see them
+      if (message.toolCall) {
+        logger.debug('[llm] Tool call:', (message.toolCall.functionCalls || []).map(call => call.name).join(', '));
+        emit(EventType.TOOL_CALL, message.toolCall);
+      }
+      
+      if (message.goAway) {
+        handleGoAway(message.goAway);
+      }
+    
     } catch (error) {
       logger.error('[llm] Failed to parse message:', error.message);
     }
@@ -317,15 +515,42 @@ function createLLMClient(options = {}) {
    * @param {Function} [resolve] - Promise resolve function
    */
   function handleSetupComplete(resolve) {
+    const isReconnect = hasConnected;
     isReady = true;
-    logger.info('[llm] ✓ Setup complete, ready for conversation');
+    hasConnected = true;
+    reconnectAttempts = 0;
+    logger.info(`[llm] ✓ Setup complete, ${isReconnect ? `reconnected${isResuming ? ' (session resumed)' : ''}` : 'ready for conversation'}`);
     emit(EventType.READY);
     
     if (isConnecting && resolve) {
       isConnecting = false;
-      reconnectAttempts = 0;
       resolve();
     }
+    
+    const resumed = isResuming;
+    isResuming = false;
+    
+    flushPendingAudio();
+    if (isReconnect) {
+      emit(EventType.RECONNECTED, { resumed });
+    }
+  }
+  
+  /**
+   * Handles goAway: the server will close the session soon. Reconnects right away,
+   * or after the reply being generated so it is not cut off.
+   * @private
+   * @param {{timeLeft?: string}} goAway - goAway payload
+   */
+  function handleGoAway(goAway) {
+    logger.info(`[llm] Server is ending the session (time left: ${goAway.timeLeft || 'unknown'})`);
+    if (isClosed) return;
+    
+    if (isGenerating) {
+      goAwayPending = true;
+    } else {
+      reconnectNow();
+    }
   }
   
   /**
@@ -341,6 +566,9 @@ function createLLMClient(options = {}) {
       if (text) {
         emit(EventType.TRANSCRIPTION, text, 'input');
       }
+      if (serverContent.inputTranscription.finished) {
+        emit(EventType.TURN_END);
+      }
     }
     
     // Model response (turn)
@@ -348,6 +576,12 @@ function createLLMClient(options = {}) {
       handleModelTurn(serverContent.modelTurn);
     }
     
+    // The reply was cut off by new input; what follows belongs to the next turn
+    if (serverContent.interrupted) {
+      logger.debug('[llm] Reply interrupted');
+      emit(EventType.INTERRUPTED);
+    }
+    
     // Output transcription (what the model said)
     if (serverContent.outputTranscription) {
       const text = serverContent.outputTranscription.text || 
@@ -356,6 +590,15 @@ function createLLMClient(options = {}) {
         emit(EventType.TRANSCRIPTION, text, 'output');
       }
     }
+    
+    if (serverContent.turnComplete) {
+      isGenerating = false;
+      emit(EventType.TURN_COMPLETE);
+      
+      if (goAwayPending) {
+        reconnectNow();
+      }
+    }
   }
   
   /**
@@ -384,11 +627,12 @@ function createLLMClient(options = {}) {
   // ============================================================
   
   /**
-   * Sends audio data to the LLM for transcription and processing
+   * Sends audio data to the LLM for transcription and processing.
+   * While reconnecting, the audio is buffered and sent once the session is back.
    * 
    * @param {string} base64Audio - Base64 encoded PCM audio data
    * @param {number} [sampleRate=16000] - Audio sample rate in Hz
-   * @returns {boolean} True if sent successfully, false otherwise
+   * @returns {boolean} True if sent (or buffered), false otherwise
    * 
    * @example
    * const success = client.sendAudio(base64PCM, 16000);
@@ -398,10 +642,25 @@ function createLLMClient(options = {}) {
    */
   function sendAudio(base64Audio, sampleRate = 16000) {
     if (!ws || ws.readyState !== WebSocket.OPEN || !isReady) {
+      if (hasConnected && !isClosed) {
+        bufferAudio(base64Audio, sampleRate);
+        return true;
+      }
       logger.debug('[llm] Not ready to send audio');
       return false;
     }
     
+    sendAudioMessage(base64Audio, sampleRate);
+    return true;
+  }
+  
+  /**
+   * Sends one realtimeInput audio chunk
+   * @private
+   * @param {string} base64Audio - Base64 encoded PCM audio data
+   * @param {number} sampleRate - Audio sample rate in Hz
+   */
+  function sendAudioMessage(base64Audio, sampleRate) {
     const message = {
       realtimeInput: {
         mediaChunks: [{
@@ -412,7 +671,37 @@ function createLLMClient(options = {}) {
     };
     
     ws.send(JSON.stringify(message));
-    return true;
+  }
+  
+  /**
+   * Keeps audio sent while reconnecting, dropping the oldest beyond maxBufferedAudioMs
+   * @private
+   * @param {string} base64Audio - Base64 encoded PCM audio data
+   * @param {number} sampleRate - Audio sample rate in Hz
+   */
+  function bufferAudio(base64Audio, sampleRate) {
+    // 16-bit mono: 2 bytes per sample, 3 bytes per 4 base64 characters
+    const durationMs = (base64Audio.length * 3 / 4 / 2) / sampleRate * 1000;
+    pendingAudio.push({ data: base64Audio, sampleRate, durationMs });
+    pendingAudioMs += durationMs;
+    
+    while (pendingAudioMs > maxBufferedAudioMs && pendingAudio.length > 1) {
+      pendingAudioMs -= pendingAudio.shift().durationMs;
+    }
+  }
+  
+  /**
+   * Sends the audio buffered while reconnecting
+   * @private
+   */
+  function flushPendingAudio() {
+    if (pendingAudio.length === 0) return;
+    
+    logger.info(`[llm] Sending ${Math.round(pendingAudioMs)}ms of audio buffered while reconnecting`);
+    for (const chunk of pendingAudio.splice(0)) {
+      sendAudioMessage(chunk.data, chunk.sampleRate);
+    }
+    pendingAudioMs = 0;
   }
   
   /**
@@ -425,6 +714,27 @@ function createLLMClient(options = {}) {
    * client.sendText('What is the weather like?');
    */
   function sendText(text) {
+    return sendTurns([{
+      role: 'user',
+      parts: [{ text }],
+    }]);
+  }
+  
+  /**
+   * Sends a sequence of conversation turns (history + prompt) to the LLM.
+   * The model replies to the last turn with the earlier ones as context.
+   * 
+   * @param {Array<{role: 'user'|'model', parts: Array<{text: string}>}>} turns - Turns, oldest first
+   * @returns {boolean} True if sent successfully, false otherwise
+   * 
+   * @example
+   * client.sendTurns([
+   *   { role: 'user', parts: [{ text: 'Tell me about yourself.' }] },
+   *   { role: 'model', parts: [{ text: 'I am a backend engineer...' }] },
+   *   { role: 'user', parts: [{ text: 'Why are you leaving?' }] },
+   * ]);
+   */
+  function sendTurns(turns) {
     if (!ws || ws.readyState !== WebSocket.OPEN || !isReady) {
       logger.debug('[llm] Not ready to send text');
       return false;
@@ -432,15 +742,13 @@ function createLLMClient(options = {}) {
     
     const message = {
       clientContent: {
-        turns: [{
-          role: 'user',
-          parts: [{ text }],
-        }],
+        turns,
         turnComplete: true,
       },
     };
     
     ws.send(JSON.stringify(message));
+    isGenerating = true;
     return true;
   }
   
@@ -463,13 +771,14 @@ function createLLMClient(options = {}) {
       clientContent: {
         turns: [{
           role: 'user',
-          parts: [{ text: `Please say the following out loud: ${text}` }],
+          parts: [{ text: `${SPEAK_PROMPT}${text}` }],
         }],
         turnComplete: true,
       },
     };
     
     ws.send(JSON.stringify(message));
+    isGenerating = true;
     return true;
   }
   
@@ -487,7 +796,13 @@ function createLLMClient(options = {}) {
    */
   function close() {
     // Prevent reconnection attempts
-    reconnectAttempts = maxReconnectAttempts;
+    isClosed = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    pendingAudio.length = 0;
+    pendingAudioMs = 0;
     
     if (ws) {
       ws.close();
@@ -500,9 +815,10 @@ function createLLMClient(options = {}) {
   }
   
   /**
-   * Registers an event handler for the specified event type
+   * Registers an event handler for the specified event type.
+   * Every handler registered for an event is called, in registration order.
    * 
-   * @param {string} event - Event type (transcription|audio|text|error|ready)
+   * @param {string} event - Event type (see EventType)
    * @param {Function} handler - Event handler function
    * 
    * @example
@@ -522,13 +838,51 @@ function createLLMClient(options = {}) {
    * });
    */
   function on(event, handler) {
-    if (event in handlers) {
-      handlers[event] = handler;
-    } else {
-      logger.warn(`[llm] Unknown event type: ${event}`);
+    if (isKnownEvent(event)) {
+      events.on(event, handler);
+    }
+  }
+  
+  /**
+   * Removes an event handler registered with on or once
+   * 
+   * @param {string} event - Event type (see EventType)
+   * @param {Function} handler - The registered handler
+   * 
+   * @example
+   * client.off('audio', recorder.write);
+   */
+  function off(event, handler) {
+    events.off(event, handler);
+  }
+  
+  /**
+   * Registers an event handler that is removed after it has run once
+   * 
+   * @param {string} event - Event type (see EventType)
+   * @param {Function} handler - Event handler function
+   * 
+   * @example
+   * client.once('turnComplete', () => console.log('First reply done'));
+   */
+  function once(event, handler) {
+    if (isKnownEvent(event)) {
+      events.once(event, handler);
     }
   }
   
+  /**
+   * Checks an event name, warning about unknown ones
+   * @private
+   * @param {string} event - Event type
+   * @returns {boolean} True if the client emits it
+   */
+  function isKnownEvent(event) {
+    if (EVENT_NAMES.has(event)) return true;
+    logger.warn(`[llm] Unknown event type: ${event}`);
+    return false;
+  }
+  
   /**
    * Checks if the client is ready to send/receive data
    * 
@@ -551,9 +905,12 @@ function createLLMClient(options = {}) {
     connect,
     sendAudio,
     sendText,
+    sendTurns,
     speak,
     close,
     on,
+    off,
+    once,
     isReady: isClientReady,
   };
 }
@@ -562,4 +919,5 @@ module.exports = {
   createLLMClient,
   EventType,
   DEFAULTS,
+  GEMINI_WS_URL,
 };
@@ -2,45 +2,134 @@
  * Conversation Manager Module
  * 
  * @module llm/conversation
- * @description Manages the conversation state between the interview page and the LLM.
- *              Handles turn-taking, audio routing, and response timing.
+ * @description Runs the interview conversation: takes the interviewer's audio from the page,
+ *              decides when each question is over (audio/endpointer), asks the provider for
+ *              an answer and plays it back, then waits out the cooldown. Also handles
+ *              repeated questions, long silences ("can you come again?"), barge-in and the
+ *              operator controls, saves the per-turn audio files and counts the tokens
+ *              hosted models report (llm/usage).
+ *              The page only captures and plays audio; every STT/LLM/TTS call goes through
+ *              the provider here.
  * 
  * @example
  * const { createConversation } = require('./llm/conversation');
  * 
  * const conversation = createConversation({
- *   llmClient,
+ *   provider,
  *   logger,
- *   responseDelayMs: 5000,
+ *   endpointing: { minSilenceMs: 700, hangoverMs: 300 },
  *   cooldownMs: 15000,
  * });
  * 
  * await conversation.init();
- * conversation.sendAudio(base64Audio, 16000);
+ * conversation.attachPlayback({ play: (audio, rate) => sink.write(audio, rate), stop: () => sink.flush() });
+ * conversation.sendAudio(base64Audio, 16000, activity);
  * 
  * SOLID Principles Applied:
  * - Single Responsibility: Only manages conversation state and flow
  * - Open/Closed: Event handlers allow extension without modification
- * - Dependency Inversion: LLM client is injected as dependency
+ * - Dependency Inversion: The STT/LLM/TTS provider (providers/stack) and playback are injected
  */
 
 'use strict';
 
+const { buildTurnPrompt } = require('./persona');
+const { createConversationMemory } = require('./memory');
+const { createUsageTracker } = require('./usage');
+const { EventType } = require('../services/event-bus');
+const { createEndpointer } = require('../audio/endpointer');
+const { decodeBase64 } = require('../audio/processor');
+
+/**
+ * How often the endpointer is asked whether the interviewer has finished
+ * @constant {number}
+ */
+const ENDPOINT_CHECK_MS = 100;
+
+/**
+ * How long new answer audio is dropped after playback failed
+ * @constant {number}
+ */
+const PLAYBACK_BACKOFF_MS = 5000;
+
+/**
+ * Sample rate assumed for answer audio when the provider does not give one
+ * @constant {number}
+ */
+const TTS_SAMPLE_RATE = 24000;
+
+/**
+ * Spoken when the interviewer asks the question that was just answered
+ * @constant {string}
+ */
+const REPEAT_QUESTION_TEXT = 'Can you repeat the question please?';
+
+/**
+ * Spoken when nothing was heard for noAudioTimeoutMs after an answer
+ * @constant {string}
+ */
+const NO_AUDIO_REPEAT_TEXT = "Hey Umi, can you come again please? I didn't catch that.";
+
+/**
+ * Prepended to the next prompt after the interviewer cut the candidate off (barge-in)
+ * @constant {string}
+ */
+const INTERRUPTED_NOTE = 'The interviewer interrupted your previous answer before you finished. ' +
+  'Do not repeat or finish that answer unless they ask you to; respond to what they just said.';
+
 /**
  * @typedef {Object} ConversationOptions
- * @property {Object} llmClient - LLM client instance (required)
+ * @property {import('../providers/base').Provider} provider - Provider serving stt, llm and tts (required, see providers/stack)
  * @property {Object} [logger=console] - Logger instance
- * @property {number} [responseDelayMs=5000] - Delay before generating response (silence detection)
+ * @property {number} [responseDelayMs=5000] - Fallback wait after the last transcription when the endpointer cannot decide
+ * @property {import('../audio/endpointer').EndpointerOptions} [endpointing] - End-of-turn detection settings
+ * @property {Object} [endpointer] - End-of-turn detector (defaults to createEndpointer)
  * @property {number} [cooldownMs=15000] - Cooldown after TTS playback finishes
+ * @property {number} [noAudioTimeoutMs=15000] - Silence after the cooldown before asking the interviewer to repeat
+ * @property {import('./persona').Persona} [persona] - Candidate persona to answer as
+ * @property {string} [language] - Language to answer in (e.g. 'Spanish'; unstated when empty)
+ * @property {number} [historyTokenBudget=2000] - Token budget for history sent with each question
+ * @property {Object} [memory] - Conversation memory (defaults to createConversationMemory)
+ * @property {Object} [answerScript] - Answer script consulted before the LLM (see llm/answer-script)
+ * @property {Object} [prices] - Token price table for cost estimates (see llm/usage loadPriceTable)
+ * @property {Object} [usage] - Usage tracker (defaults to createUsageTracker)
+ * @property {Function} [saveAudioFile] - Saves per-turn audio: (filename, pcmBuffer, {sampleRate}) => path|null
  * @property {Function} [onAudioResponse] - Callback for audio responses
  * @property {Function} [onTextResponse] - Callback for text responses
+ * @property {Function} [onTurn] - Callback when a turn is added to the history (e.g. to persist the transcript)
+ * @property {Function} [onEvent] - Callback with (type, data) for live events (see services/event-bus)
+ */
+
+/**
+ * @typedef {Object} Playback
+ * @property {function(string, number): void} play - Queues base64 PCM answer audio at a sample rate
+ * @property {function(): void} stop - Drops everything not heard yet (barge-in)
  */
 
 /**
  * @typedef {Object} ConversationTurn
  * @property {'interviewer'|'candidate'} role - Who spoke this turn
  * @property {string} text - The spoken text
- * @property {number} timestamp - Unix timestamp when the turn occurred
+ * @property {number} timestamp - Unix timestamp when the turn started
+ * @property {number|null} endedAt - Unix timestamp when the turn ended, when known
+ * @property {string|null} audioFile - Saved audio file for this turn, when known
+ * @property {boolean} interrupted - Candidate answer cut off by the interviewer (barge-in)
+ * @property {import('./usage').TokenUsage} [usage] - Tokens reported since the previous answer (candidate turns)
+ */
+
+/**
+ * @typedef {Object} TurnDetails
+ * @property {number} [startedAt] - When the turn started (defaults to now)
+ * @property {number} [endedAt] - When the turn ended
+ * @property {string} [audioFile] - Saved audio file for this turn
+ * @property {boolean} [interrupted] - The interviewer talked over this answer and it was stopped
+ * @property {import('./usage').TokenUsage|null} [usage] - Tokens spent on this turn
+ */
+
+/**
+ * @typedef {Object} ControlResult
+ * @property {boolean} ok - Whether the command ran
+ * @property {string} [error] - Why it did not run
  */
 
 /**
@@ -49,20 +138,87 @@
  * @property {number} historyLength - Number of stored history entries
  * @property {boolean} isWaitingForResponse - Whether waiting for LLM response
  * @property {boolean} isTTSPlaying - Whether TTS is currently playing
+ * @property {boolean} isInCooldown - Whether the post-answer cooldown is running
+ * @property {boolean} isPaused - Whether listening is paused (control API)
+ * @property {boolean} isEnded - Whether the interview was ended (control API)
  * @property {number} duration - Total conversation duration in ms
+ * @property {import('./memory').MemoryStats} memory - Context window statistics
+ * @property {Object} usage - Session token totals and estimated cost (see llm/usage getTotals)
  */
 
 /**
  * @typedef {Object} Conversation
  * @property {Function} init - Initialize the conversation
- * @property {Function} sendAudio - Send audio to LLM
+ * @property {Function} attachPlayback - Set where answer audio is played
+ * @property {Function} sendAudio - Send interviewer audio and voice activity
+ * @property {Function} markPlaybackStarted - Signal answer audio is audible
  * @property {Function} markPlaybackComplete - Signal TTS playback is done
+ * @property {Function} markPlaybackFailed - Signal TTS playback failed
+ * @property {Function} bargeIn - Stop the answer because the interviewer talks over it
  * @property {Function} interrupt - Interrupt current turn
+ * @property {Function} pause - Stop listening to the interviewer
+ * @property {Function} resume - Start listening again
+ * @property {Function} skipQuestion - Drop the buffered question without answering
+ * @property {Function} say - Speak arbitrary text as the candidate
+ * @property {Function} askToRepeat - Ask the interviewer to repeat
+ * @property {Function} end - Stop listening and speaking for good
  * @property {Function} getHistory - Get conversation history
  * @property {Function} getStats - Get conversation statistics
  * @property {Function} destroy - Clean up resources
  */
 
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Normalizes a question for comparison: lowercase, no lead-in ("here's the question
+ * one more time"), no punctuation, single spaces
+ * 
+ * @private
+ * @param {string} question - Question text
+ * @returns {string} Normalized question
+ */
+function normalizeQuestion(question) {
+  return question.toLowerCase()
+    .replace(/^here'?s?\s+(the\s+)?(question\s+)?(one\s+more\s+time|first\s+question|next\s+question)[\s.]*/i, '')
+    .replace(/^(let'?s?\s+)?(go\s+back\s+to\s+)?(the\s+)?(question|first\s+question)[\s.]*/i, '')
+    .replace(/[^\w\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether two questions are the same (the interviewer asked again): equal after
+ * normalizing, or at least 60% of their longer words in common
+ * 
+ * @param {string} question1 - First question
+ * @param {string} question2 - Second question
+ * @returns {boolean} True if the questions are the same
+ * 
+ * @example
+ * isSameQuestion("Here's the question one more time. Why this role?", 'Why this role?'); // true
+ */
+function isSameQuestion(question1, question2) {
+  if (!question1 || !question2) return false;
+  if (question1.length < 10 || question2.length < 10) return false;
+  
+  const q1 = normalizeQuestion(question1);
+  const q2 = normalizeQuestion(question2);
+  if (q1 === q2) return true;
+  
+  const words1 = q1.split(' ').filter(word => word.length > 2);
+  const words2 = q2.split(' ').filter(word => word.length > 2);
+  if (words1.length === 0 || words2.length === 0) return false;
+  
+  const common = words1.filter(word => words2.includes(word));
+  return common.length / Math.max(words1.length, words2.length) >= 0.6;
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
 /**
  * Creates a new conversation manager instance
  * 
@@ -71,8 +227,8 @@
  * 
  * @example
  * const conversation = createConversation({
- *   llmClient: myLLMClient,
- *   responseDelayMs: 3000,
+ *   provider: createProviderFromConfig(config),
+ *   endpointing: { minSilenceMs: 500 },
  * });
  */
 function createConversation(options = {}) {
@@ -81,12 +237,35 @@ function createConversation(options = {}) {
   // ============================================================
   
   const {
-    llmClient,
+    provider,
     logger = console,
     responseDelayMs = 5000,
     cooldownMs = 15000,
+    noAudioTimeoutMs = 15000,
+    persona = null,
+    language = '',
+    historyTokenBudget = 2000,
+    answerScript = null,
   } = options;
   
+  /**
+   * Decides which earlier turns are sent with each question
+   * @type {Object}
+   */
+  const memory = options.memory || createConversationMemory({ tokenBudget: historyTokenBudget, logger });
+  
+  /**
+   * Decides when the interviewer has finished a question
+   * @type {Object}
+   */
+  const endpointer = options.endpointer || createEndpointer({ maxWaitMs: responseDelayMs, ...options.endpointing });
+  
+  /**
+   * Counts the tokens the provider reports and prices them
+   * @type {Object}
+   */
+  const usage = options.usage || createUsageTracker({ prices: options.prices, logger });
+  
   // ============================================================
   // STATE
   // ============================================================
@@ -103,6 +282,31 @@ function createConversation(options = {}) {
    */
   let transcriptBuffer = '';
   
+  /**
+   * When the first and latest fragments of the buffered question were heard
+   * @type {{startedAt: number|null, endedAt: number|null}}
+   */
+  const questionTiming = { startedAt: null, endedAt: null };
+  
+  /**
+   * Last question answered, to notice the interviewer asking it again (cleared after the cooldown)
+   * @type {string}
+   */
+  let lastQuestion = '';
+  
+  /**
+   * Answer being spoken, recorded into history when it is over. The text comes from the
+   * TTS output transcription (transcribe) or is known up front (scripted answers, say)
+   * @type {{text: string, replyText: string, transcribe: boolean, startedAt: number|null, audioMs: number, audioFile: string|null, interrupted: boolean}|null}
+   */
+  let pendingAnswer = null;
+  
+  /**
+   * Sends the request of the answer being waited for again (after it was lost in a reconnect)
+   * @type {Function|null}
+   */
+  let pendingRequest = null;
+  
   /**
    * Flag indicating we're waiting for LLM response
    * @type {boolean}
@@ -115,6 +319,96 @@ function createConversation(options = {}) {
    */
   let isTTSPlaying = false;
   
+  /**
+   * Flag indicating the post-answer cooldown is running
+   * @type {boolean}
+   */
+  let isInCooldown = false;
+  
+  /**
+   * Flag indicating listening is paused by an operator
+   * @type {boolean}
+   */
+  let isPaused = false;
+  
+  /**
+   * Flag indicating the interview was ended by an operator; nothing is heard or said after it
+   * @type {boolean}
+   */
+  let isEnded = false;
+  
+  /**
+   * Whether we asked the interviewer to repeat since we last heard them (prevents a loop)
+   * @type {boolean}
+   */
+  let hasAskedToRepeat = false;
+  
+  /**
+   * When the interviewer was last heard (or listening started again)
+   * @type {number}
+   */
+  let lastHeardAt = Date.now();
+  
+  /**
+   * When audio for the current answer started arriving (null before the first chunk)
+   * @type {number|null}
+   */
+  let answerAudioStartedAt = null;
+  
+  /**
+   * Whether tts_start was emitted for the current answer (playback may restart after running dry)
+   * @type {boolean}
+   */
+  let ttsStartReported = false;
+  
+  /**
+   * Playback ran out of audio while the answer was still streaming
+   * @type {boolean}
+   */
+  let playbackDrained = false;
+  
+  /**
+   * Barge-in: drop the rest of the interrupted answer until its turnComplete
+   * @type {boolean}
+   */
+  let discardUntilTurnComplete = false;
+  
+  /**
+   * New answer audio is dropped until this timestamp (after a playback failure)
+   * @type {number}
+   */
+  let playbackBackoffUntil = 0;
+  
+  /**
+   * Where answer audio is played (see attachPlayback)
+   * @type {Playback|null}
+   */
+  let playback = null;
+  
+  /**
+   * Interviewer audio sent to STT for the buffered question, and its sample rate
+   * @type {{chunks: Buffer[], sampleRate: number|null}}
+   */
+  const capturedAudio = { chunks: [], sampleRate: null };
+  
+  /**
+   * Answer audio received for the current answer, and its sample rate
+   * @type {{chunks: Buffer[], sampleRate: number}}
+   */
+  const responseAudio = { chunks: [], sampleRate: TTS_SAMPLE_RATE };
+  
+  /**
+   * Names the audio files of the current question and its answer
+   * @type {number|null}
+   */
+  let currentQuestionId = null;
+  
+  /**
+   * Why the endpointer ended the current turn
+   * @type {import('../audio/endpointer').EndpointReason|null}
+   */
+  let endOfTurnReason = null;
+  
   /**
    * Timer for response generation delay
    * @type {NodeJS.Timeout|null}
@@ -127,6 +421,12 @@ function createConversation(options = {}) {
    */
   let cooldownTimer = null;
   
+  /**
+   * Timer for the "nothing heard" check after the cooldown
+   * @type {NodeJS.Timeout|null}
+   */
+  let noAudioTimer = null;
+  
   /**
    * Total conversation turns completed
    * @type {number}
@@ -144,33 +444,41 @@ function createConversation(options = {}) {
   // ============================================================
   
   /**
-   * Initializes the conversation by connecting to LLM and setting up handlers
+   * Initializes the conversation by connecting the provider and setting up handlers
    * 
    * @async
    * @returns {Promise<void>}
-   * @throws {Error} If LLM client is not provided
+   * @throws {Error} If no provider is given
    * 
    * @example
    * await conversation.init();
    * console.log('Conversation ready');
    */
   async function init() {
-    if (!llmClient) {
-      logger.error('[conversation] No LLM client provided');
-      throw new Error('LLM client is required for conversation');
-    }
-    
-    // Register LLM event handlers
-    llmClient.on('transcription', handleTranscription);
-    llmClient.on('audio', handleAudioResponse);
-    llmClient.on('text', handleTextResponse);
-    llmClient.on('error', handleError);
-    llmClient.on('ready', () => {
-      logger.info('[conversation] LLM client ready');
+    if (!provider) {
+      logger.error('[conversation] No provider given');
+      throw new Error('Provider is required for conversation');
+    }
+    
+    // Register provider event handlers
+    provider.on('transcription', handleTranscription);
+    provider.on('audio', handleAudioResponse);
+    provider.on('text', handleTextResponse);
+    provider.on('turnComplete', handleTurnComplete);
+    provider.on('error', handleError);
+    provider.on('turnEnd', () => endpointer.markTurnSignal());
+    provider.on('reconnected', handleReconnected);
+    provider.on('usage', handleUsage);
+    provider.on('connected', ({ roles }) => emitEvent(EventType.WS_CONNECTED, { socket: getSocketName(roles) }));
+    provider.on('disconnected', ({ roles, code, reconnecting }) => {
+      emitEvent(EventType.WS_CLOSED, { socket: getSocketName(roles), code, reconnecting });
+    });
+    provider.on('ready', () => {
+      logger.info('[conversation] Provider ready');
     });
     
-    // Connect to LLM
-    await llmClient.connect();
+    // Connect the STT/LLM/TTS backends
+    await provider.connect();
     
     logger.info('[conversation] ✓ Conversation initialized');
   }
@@ -180,27 +488,43 @@ function createConversation(options = {}) {
   // ============================================================
   
   /**
-   * Processes incoming audio from the interview page
-   * Forwards audio to LLM for transcription unless blocked by TTS/cooldown
+   * Processes incoming audio from the interview page.
+   * Voice activity always reaches the endpointer; speech is forwarded to the STT provider.
+   * Both are skipped while we speak (prevents echo) or are paused.
    * 
    * @async
-   * @param {string} base64Audio - Base64 encoded PCM audio data
+   * @param {string} base64Audio - Base64 encoded PCM audio data ('' for a voice activity update only)
    * @param {number} sampleRate - Audio sample rate in Hz
+   * @param {{speaking: boolean, segments: Array<{start: number, end: number}>, time: number}} [activity] - VAD result from the page (the endpointer runs its own VAD without it)
    * @returns {Promise<void>}
    * 
    * @example
-   * await conversation.sendAudio(audioData, 16000);
+   * await conversation.sendAudio(audioData, 16000, activity);
    */
-  async function sendAudio(base64Audio, sampleRate) {
-    // Skip if we're in TTS playback or cooldown (prevents echo)
+  async function sendAudio(base64Audio, sampleRate, activity) {
+    if (isEnded || isPaused) return;
+    
+    // Skip if we're speaking or about to (prevents echo)
     if (isTTSPlaying || isWaitingForResponse) {
-      logger.debug('[conversation] Skipping audio (TTS/cooldown active)');
+      logger.debug('[conversation] Skipping audio (TTS active)');
       return;
     }
     
-    // Forward to LLM for transcription
-    if (llmClient && llmClient.isReady()) {
-      llmClient.sendAudio(base64Audio, sampleRate);
+    if (activity) {
+      endpointer.processVoiceActivity(activity);
+    } else if (base64Audio) {
+      endpointer.processAudio(decodeBase64(base64Audio), sampleRate);
+    }
+    
+    if (!base64Audio) return;
+    
+    // Kept for captured_audio_<id>.pcm
+    capturedAudio.chunks.push(Buffer.from(base64Audio, 'base64'));
+    capturedAudio.sampleRate = sampleRate;
+    
+    // Forward to the STT provider (it buffers the audio while reconnecting)
+    if (provider) {
+      provider.transcribe(base64Audio, sampleRate);
     }
   }
   
@@ -209,8 +533,8 @@ function createConversation(options = {}) {
   // ============================================================
   
   /**
-   * Handles transcription events from the LLM
-   * Accumulates text and triggers response generation after silence
+   * Handles transcription events from the provider
+   * Accumulates text and triggers response generation at the end of the turn
    * 
    * @private
    * @param {string} text - Transcribed text
@@ -219,36 +543,109 @@ function createConversation(options = {}) {
   function handleTranscription(text, type) {
     if (!text || !text.trim()) return;
     
-    // Skip our own output transcription (model's speech)
+    // Our own output transcription (what we said) is the text of the answer
     if (type === 'output') {
-      logger.debug('[conversation] Output transcription:', text.slice(0, 50));
+      if (pendingAnswer && pendingAnswer.transcribe) {
+        pendingAnswer.text += text;
+      }
       return;
     }
     
-    // Skip if TTS is playing (avoid echo from speaker)
-    if (isTTSPlaying || isWaitingForResponse) {
-      logger.debug('[conversation] Skipping transcription (TTS/cooldown):', text.slice(0, 30));
+    if (isPaused || isEnded) {
+      logger.debug('[conversation] Paused - ignoring interviewer:', text.slice(0, 30));
       return;
     }
     
     logger.info('[conversation] 📝 Interviewer:', text);
     
-    // Accumulate transcript
+    // Keep building the question even while we respond, so nothing is missed
+    if (!transcriptBuffer.trim()) {
+      questionTiming.startedAt = Date.now();
+    }
     transcriptBuffer += ' ' + text;
+    questionTiming.endedAt = Date.now();
+    lastHeardAt = Date.now();
+    endpointer.addTranscript(text);
+    emitEvent(EventType.TRANSCRIPTION, { text });
+    
+    // The interviewer is there: no "come again?" and we may ask again later
+    clearNoAudioTimer();
+    hasAskedToRepeat = false;
     
-    // Reset response timer (extend silence wait)
+    if (!isTTSPlaying && !isWaitingForResponse) {
+      scheduleEndOfTurn();
+    }
+  }
+  
+  /**
+   * Polls the endpointer until the interviewer's turn is over, then takes the question
+   * 
+   * @private
+   */
+  function scheduleEndOfTurn() {
     clearResponseTimer();
     
-    // Start timer to process after silence
-    responseTimer = setTimeout(() => {
-      const question = transcriptBuffer.trim();
-      
-      if (question.length > 0) {
-        logger.info('[conversation] ⏱️ Processing question:', question.slice(0, 80));
-        generateResponse(question);
-        transcriptBuffer = '';
+    const checkEndOfTurn = () => {
+      const reason = endpointer.check();
+      if (!reason) {
+        responseTimer = setTimeout(checkEndOfTurn, ENDPOINT_CHECK_MS);
+        return;
       }
-    }, responseDelayMs);
+      
+      responseTimer = null;
+      endOfTurnReason = reason;
+      logger.info(`[conversation] 🔚 End of turn (${reason})`);
+      processBufferedQuestion();
+    };
+    
+    responseTimer = setTimeout(checkEndOfTurn, ENDPOINT_CHECK_MS);
+  }
+  
+  /**
+   * Takes the buffered question: saves its audio, then answers it or, when it is the
+   * question we just answered, asks the interviewer to repeat
+   * 
+   * @private
+   */
+  function processBufferedQuestion() {
+    if (isPaused || isEnded) return;
+    
+    const question = transcriptBuffer.trim();
+    if (!question) return;
+    
+    logger.info('[conversation] ⏱️ Processing question:', question.slice(0, 80));
+    
+    let audioFile = null;
+    if (capturedAudio.chunks.length > 0) {
+      currentQuestionId = Date.now();
+      audioFile = saveAudio(`captured_audio_${currentQuestionId}.pcm`, capturedAudio.chunks, capturedAudio.sampleRate);
+      capturedAudio.chunks = [];
+    }
+    
+    // The VAD knows when the interviewer stopped talking better than the (lagging) transcription
+    const lastSpeechAt = endpointer.getLastSpeechAt();
+    if (lastSpeechAt && lastSpeechAt <= questionTiming.endedAt) {
+      questionTiming.endedAt = lastSpeechAt;
+    }
+    
+    const repeated = isSameQuestion(question, lastQuestion);
+    emitEvent(EventType.QUESTION, {
+      text: question,
+      repeated,
+      endedAt: questionTiming.endedAt,
+      endpoint: endOfTurnReason || 'timer',
+    });
+    endOfTurnReason = null;
+    
+    if (repeated) {
+      logger.info('[conversation] 🔄 Same question detected, asking to repeat...');
+      askToRepeatQuestion();
+    } else {
+      lastQuestion = question;
+      generateResponse(question, { ...questionTiming, audioFile });
+    }
+    
+    clearQuestion();
   }
   
   // ============================================================
@@ -259,34 +656,86 @@ function createConversation(options = {}) {
    * Generates and speaks a response to the interviewer's question
    * 
    * @private
-   * @async
    * @param {string} question - The question to respond to
+   * @param {TurnDetails} [details={}] - When the question was asked, and its audio
    */
-  async function generateResponse(question) {
+  function generateResponse(question, details = {}) {
     if (isWaitingForResponse) {
       logger.debug('[conversation] Already waiting for response');
       return;
     }
     
-    isWaitingForResponse = true;
-    isTTSPlaying = true;
+    // An answer cut off before its turnComplete is recorded before the next question
+    finishAnswer();
     
-    // Add interviewer turn to history
-    addToHistory('interviewer', question);
+    // Scripted answers (regression runs) are spoken verbatim instead of generated;
+    // otherwise earlier turns + prompt, built before this question joins the history
+    const scripted = getScriptedAnswer(question);
+    const turns = scripted ? null : buildTurns(question);
+    addToHistory('interviewer', question, details);
     
-    try {
-      // Create response prompt
-      const responsePrompt = createResponsePrompt(question);
-      
-      if (llmClient && llmClient.isReady()) {
-        llmClient.sendText(responsePrompt);
-        totalTurns++;
-      }
-      
-    } catch (error) {
-      logger.error('[conversation] Failed to generate response:', error.message);
-      resetState();
+    if (!provider || !provider.isReady()) {
+      logger.error('[conversation] Provider not ready, cannot answer');
+      return;
+    }
+    
+    isWaitingForResponse = true;
+    pendingAnswer = {
+      text: scripted ? scripted.text : '',
+      replyText: '',
+      transcribe: !scripted,
+      startedAt: null,
+      audioMs: 0,
+      audioFile: currentQuestionId ? `response_audio_${currentQuestionId}.pcm` : null,
+      interrupted: false,
+    };
+    
+    if (scripted) {
+      logger.info(`[conversation] 📜 Scripted answer (${scripted.ruleId || scripted.kind}):`, scripted.text.slice(0, 80));
+      pendingRequest = () => provider.synthesize(scripted.text);
+    } else {
+      logger.info('[conversation] 🤔 Generating response for:', question.slice(0, 80));
+      pendingRequest = () => provider.generateReply(turns);
     }
+    pendingRequest();
+    totalTurns++;
+  }
+  
+  /**
+   * Speaks text verbatim through the TTS provider
+   * 
+   * @private
+   * @param {string} text - Text to speak
+   * @param {boolean} record - Keep it in the history as a candidate turn
+   */
+  function speak(text, record) {
+    finishAnswer();
+    isWaitingForResponse = true;
+    pendingAnswer = record
+      ? { text, replyText: '', transcribe: false, startedAt: null, audioMs: 0, audioFile: null, interrupted: false }
+      : null;
+    pendingRequest = () => provider.synthesize(text);
+    pendingRequest();
+  }
+  
+  /**
+   * Asks the interviewer to repeat a question we already answered
+   * 
+   * @private
+   */
+  function askToRepeatQuestion() {
+    if (!provider || !provider.isReady()) {
+      logger.warn('[conversation] TTS not ready, cannot ask to repeat');
+      return;
+    }
+    if (isTTSPlaying || isWaitingForResponse) {
+      logger.debug('[conversation] Skipping repeat request - already speaking or waiting');
+      return;
+    }
+    
+    logger.info('[conversation] 🔄 Asking to repeat question:', REPEAT_QUESTION_TEXT);
+    emitEvent(EventType.REPEAT_REQUEST, { reason: 'same_question' });
+    speak(REPEAT_QUESTION_TEXT, false);
   }
   
   /**
@@ -297,7 +746,40 @@ function createConversation(options = {}) {
    * @returns {string} Formatted prompt
    */
   function createResponsePrompt(question) {
-    return `Based on the interviewer's question: "${question}", please provide a concise and natural interview response.`;
+    if (persona) {
+      return buildTurnPrompt(persona, question, { language });
+    }
+    return `Based on the interviewer's question: "${question}", please provide a concise and natural interview response` +
+      `${language ? ` in ${language}` : ''}.`;
+  }
+  
+  /**
+   * Builds the turns to send for a question: summarized older turns,
+   * recent turns verbatim, then the response prompt
+   * 
+   * @private
+   * @param {string} question - Interviewer's question (not yet in history)
+   * @returns {Array<{role: string, parts: Array<{text: string}>}>} clientContent turns
+   */
+  function buildTurns(question) {
+    const last = history[history.length - 1];
+    const prompt = createResponsePrompt(question);
+    
+    // Barge-in: tell the model its last answer was cut off so it does not pick it back up
+    return memory.buildTurns(history, last && last.role === 'candidate' && last.interrupted
+      ? `${INTERRUPTED_NOTE}\n\n${prompt}`
+      : prompt);
+  }
+  
+  /**
+   * Looks up the scripted answer for a question
+   * 
+   * @private
+   * @param {string} question - Interviewer's question
+   * @returns {import('./answer-script').ScriptedAnswer|null} Answer to speak, or null to generate one
+   */
+  function getScriptedAnswer(question) {
+    return answerScript ? answerScript.resolve(question) : null;
   }
   
   // ============================================================
@@ -305,14 +787,50 @@ function createConversation(options = {}) {
   // ============================================================
   
   /**
-   * Handles audio response from the LLM (TTS output)
+   * Handles audio response from the TTS provider
    * 
    * @private
    * @param {string} base64Audio - Base64 encoded audio data
    * @param {number} sampleRate - Audio sample rate in Hz
    */
-  function handleAudioResponse(base64Audio, sampleRate) {
-    logger.debug('[conversation] 🔊 Received audio response');
+  function handleAudioResponse(base64Audio, sampleRate = TTS_SAMPLE_RATE) {
+    // Rest of an answer the interviewer interrupted
+    if (discardUntilTurnComplete) return;
+    
+    const now = Date.now();
+    if (playbackBackoffUntil > now) {
+      logger.debug(`[conversation] In playback backoff, dropping audio (${playbackBackoffUntil - now}ms remaining)`);
+      return;
+    }
+    
+    const pcm = Buffer.from(base64Audio, 'base64');
+    responseAudio.chunks.push(pcm);
+    responseAudio.sampleRate = sampleRate;
+    
+    // Answer timing for the transcript: starts with the first chunk, lasts as long as the audio
+    if (pendingAnswer) {
+      if (!pendingAnswer.startedAt) pendingAnswer.startedAt = now;
+      pendingAnswer.audioMs += pcm.length / 2 / sampleRate * 1000;
+    }
+    
+    if (!answerAudioStartedAt) {
+      answerAudioStartedAt = now;
+      ttsStartReported = false;
+      
+      // Without playback feedback, the audio starts when it arrives
+      if (!playback) markPlaybackStarted();
+    }
+    isTTSPlaying = true;
+    playbackDrained = false;
+    
+    if (playback) {
+      try {
+        playback.play(base64Audio, sampleRate);
+      } catch (error) {
+        markPlaybackFailed(error.message);
+        return;
+      }
+    }
     
     // Forward to registered callback
     if (typeof options.onAudioResponse === 'function') {
@@ -321,7 +839,7 @@ function createConversation(options = {}) {
   }
   
   /**
-   * Handles text response from the LLM
+   * Handles answer text from the LLM provider (used when the answer has no output transcription)
    * 
    * @private
    * @param {string} text - Response text
@@ -329,24 +847,188 @@ function createConversation(options = {}) {
   function handleTextResponse(text) {
     if (!text) return;
     
-    logger.info('[conversation] 💬 Response:', text.slice(0, 100));
+    logger.debug('[conversation] 💬 Response text:', text.slice(0, 100));
+    if (pendingAnswer) {
+      pendingAnswer.replyText += text;
+    }
+  }
+  
+  /**
+   * Handles the end of a reply or synthesis. Playback may still be going on;
+   * the cooldown starts when it is over.
+   * 
+   * @private
+   */
+  function handleTurnComplete() {
+    // The interrupted answer is over; whatever was asked after it keeps going
+    if (discardUntilTurnComplete) {
+      discardUntilTurnComplete = false;
+      return;
+    }
     
-    // Add candidate turn to history
-    addToHistory('candidate', text);
+    logger.info('[conversation] Response complete');
+    finishAnswer();
+    isWaitingForResponse = false;
     
-    // Start cooldown after response
-    startCooldown();
+    if (!answerAudioStartedAt) {
+      isTTSPlaying = false;
+    } else if (playbackDrained) {
+      finishPlayback();
+    }
   }
   
   /**
-   * Handles LLM errors
+   * Handles a provider connection coming back. Replies carry the history window every
+   * time, so a new session needs nothing re-primed except the request that was in
+   * flight on the old one.
    * 
    * @private
+   * @param {{roles: string[], resumed: boolean}} info - Roles whose connection is back
+   */
+  function handleReconnected({ roles = [], resumed = false } = {}) {
+    logger.info(`[conversation] Provider reconnected (${roles.join('/')}${resumed ? ', session resumed' : ''})`);
+    if (!roles.some(role => role !== 'stt')) return;
+    
+    // Nor will the turnComplete of an answer cut off by a barge-in
+    discardUntilTurnComplete = false;
+    if (!isWaitingForResponse) return;
+    
+    if (answerAudioStartedAt) {
+      // Part of the answer was already heard; the rest (and its turnComplete) is gone
+      logger.warn('[conversation] Answer cut off by the reconnect');
+      handleTurnComplete();
+    } else if (pendingRequest) {
+      logger.warn('[conversation] Answer lost in the reconnect - asking again');
+      pendingRequest();
+    }
+  }
+  
+  /**
+   * Names a backend connection after the roles it serves, for ws_connected / ws_closed
+   * 
+   * @private
+   * @param {string[]} roles - Provider roles
+   * @returns {'stt'|'tts'|'llm'} Socket name
+   */
+  function getSocketName(roles = []) {
+    if (roles.includes('stt')) return 'stt';
+    return roles.includes('tts') ? 'tts' : 'llm';
+  }
+  
+  /**
+   * Handles provider errors
+   *   
+   * @private
    * @param {Error} error - The error object
    */
   function handleError(error) {
-    logger.error('[conversation] LLM error:', error.message);
-    resetState();
+    logger.error('[conversation] Provider error:', error.message);
+  }
+  
+  /**
+   * Counts a usage report from the provider
+   * 
+   * @private
+   * @param {{roles: string[], model: string, usage: Object}} report - Reported usage
+   */
+  function handleUsage({ roles, model, usage: metadata }) {
+    const counted = usage.record(metadata, { model });
+    if (!counted) return;
+    
+    emitEvent(EventType.USAGE, {
+      socket: getSocketName(roles),
+      model,
+      promptTokens: counted.promptTokens,
+      responseTokens: counted.responseTokens,
+      audioTokens: counted.audioTokens,
+      totalTokens: counted.totalTokens,
+      costUsd: counted.costUsd,
+    });
+  }
+  
+  /**
+   * Records the answer that just finished; its end is estimated from the audio length
+   * because playback runs in real time while chunks arrive faster
+   * 
+   * @private
+   */
+  function finishAnswer() {
+    if (!pendingAnswer) return;
+    const answer = pendingAnswer;
+    pendingAnswer = null;
+    
+    const text = (answer.text || answer.replyText).replace(/\s+/g, ' ').trim();
+    const startedAt = answer.startedAt || Date.now();
+    const durationMs = Math.round(answer.audioMs);
+    
+    logger.info('[conversation] 💬 Response:', text.slice(0, 100));
+    emitEvent(EventType.RESPONSE, { text, durationMs, interrupted: answer.interrupted });
+    
+    if (text) {
+      addToHistory('candidate', text, {
+        startedAt,
+        endedAt: startedAt + durationMs,
+        audioFile: answer.startedAt ? answer.audioFile : null,
+        interrupted: answer.interrupted,
+        usage: usage.takeTurn(),
+      });
+    }
+    
+    if (typeof options.onTextResponse === 'function') {
+      options.onTextResponse(text);
+    }
+  }
+  
+  // ============================================================
+  // PLAYBACK
+  // ============================================================
+  
+  /**
+   * Playback is over: events, response audio and the cooldown
+   * 
+   * @private
+   * @param {number} [durationMs] - How long it played, when the player knows
+   */
+  function finishPlayback(durationMs) {
+    isTTSPlaying = false;
+    playbackDrained = false;
+    
+    if (answerAudioStartedAt) {
+      emitEvent(EventType.TTS_END, {
+        durationMs: typeof durationMs === 'number' ? durationMs : Date.now() - answerAudioStartedAt,
+      });
+      answerAudioStartedAt = null;
+    }
+    
+    saveResponseAudio();
+    startCooldown();
+  }
+  
+  /**
+   * Saves the answer audio as response_audio_<id>.pcm, next to the question's captured audio
+   * 
+   * @private
+   */
+  function saveResponseAudio() {
+    if (responseAudio.chunks.length > 0 && currentQuestionId) {
+      saveAudio(`response_audio_${currentQuestionId}.pcm`, responseAudio.chunks, responseAudio.sampleRate);
+      currentQuestionId = null;
+    }
+    responseAudio.chunks = [];
+  }
+  
+  /**
+   * Hands audio to the saveAudioFile option
+   * 
+   * @private
+   * @param {string} filename - File name
+   * @param {Buffer[]} chunks - Raw PCM chunks
+   * @param {number|null} sampleRate - Sample rate of the PCM
+   * @returns {string|null} File name, or null when it was not saved
+   */
+  function saveAudio(filename, chunks, sampleRate) {
+    if (typeof options.saveAudioFile !== 'function') return null;
+    return options.saveAudioFile(filename, Buffer.concat(chunks), { sampleRate }) ? filename : null;
   }
   
   // ============================================================
@@ -354,22 +1036,65 @@ function createConversation(options = {}) {
   // ============================================================
   
   /**
-   * Starts the cooldown period after TTS finishes
-   * During cooldown, incoming audio is ignored to prevent echo
+   * Starts the cooldown after TTS finishes. The interviewer is heard during it; when it
+   * ends, a question buffered meanwhile is taken and the "nothing heard" check starts.
    * 
    * @private
    */
   function startCooldown() {
-    logger.debug('[conversation] Starting cooldown...');
+    if (isInCooldown) {
+      logger.debug('[conversation] Cooldown already in progress, skipping...');
+      return;
+    }
     
+    logger.debug('[conversation] Starting cooldown...');
+    isInCooldown = true;
     clearCooldownTimer();
+    emitEvent(EventType.COOLDOWN_START, { durationMs: cooldownMs });
     
     cooldownTimer = setTimeout(() => {
-      resetState();
+      cooldownTimer = null;
+      isInCooldown = false;
+      
+      if (transcriptBuffer.trim()) {
+        logger.info('[conversation] 📝 Processing buffered transcriptions after cooldown...');
+        scheduleEndOfTurn();
+      }
+      
+      hasAskedToRepeat = false;
       logger.info('[conversation] ✓ Cooldown complete, ready for next question');
+      emitEvent(EventType.COOLDOWN_END);
+      
+      lastHeardAt = Date.now();
+      startNoAudioCheck();
+      
+      // The same question may be asked again after this turn
+      lastQuestion = '';
     }, cooldownMs);
   }
   
+  /**
+   * Asks the interviewer to repeat if nothing is heard for noAudioTimeoutMs
+   * (once, until they are heard again)
+   * 
+   * @private
+   */
+  function startNoAudioCheck() {
+    if (hasAskedToRepeat) {
+      logger.debug('[conversation] Skipping no-audio check - already asked to repeat');
+      return;
+    }
+    
+    clearNoAudioTimer();
+    noAudioTimer = setTimeout(() => {
+      noAudioTimer = null;
+      if (Date.now() - lastHeardAt >= noAudioTimeoutMs && !isTTSPlaying && !isWaitingForResponse && !isPaused && !isEnded) {
+        logger.info(`[conversation] 🔇 No audio heard for ${Math.round(noAudioTimeoutMs / 1000)} seconds, asking to repeat...`);
+        askToRepeat();
+      }
+    }, noAudioTimeoutMs);
+  }
+  
   /**
    * Resets conversation state to ready
    * 
@@ -378,7 +1103,20 @@ function createConversation(options = {}) {
   function resetState() {
     isTTSPlaying = false;
     isWaitingForResponse = false;
+    isInCooldown = false;
+    clearQuestion();
+  }
+  
+  /**
+   * Empties the question buffer and starts a new endpointer turn
+   * 
+   * @private
+   */
+  function clearQuestion() {
     transcriptBuffer = '';
+    questionTiming.startedAt = null;
+    questionTiming.endedAt = null;
+    endpointer.reset();
   }
   
   /**
@@ -405,6 +1143,18 @@ function createConversation(options = {}) {
     }
   }
   
+  /**
+   * Clears the "nothing heard" timer
+   * 
+   * @private
+   */
+  function clearNoAudioTimer() {
+    if (noAudioTimer) {
+      clearTimeout(noAudioTimer);
+      noAudioTimer = null;
+    }
+  }
+  
   // ============================================================
   // HISTORY MANAGEMENT
   // ============================================================
@@ -415,30 +1165,161 @@ function createConversation(options = {}) {
    * @private
    * @param {'interviewer'|'candidate'} role - Speaker role
    * @param {string} text - Spoken text
+   * @param {TurnDetails} [details={}] - Turn timing and audio
    */
-  function addToHistory(role, text) {
-    history.push({
+  function addToHistory(role, text, details = {}) {
+    const turn = {
       role,
       text,
-      timestamp: Date.now(),
-    });
+      timestamp: details.startedAt || Date.now(),
+      endedAt: details.endedAt || null,
+      audioFile: details.audioFile || null,
+      interrupted: Boolean(details.interrupted),
+    };
+    if (details.usage) {
+      turn.usage = details.usage;
+    }
+    
+    history.push(turn);
+    
+    if (typeof options.onTurn === 'function') {
+      options.onTurn({ ...turn });
+    }
+  }
+  
+  /**
+   * Forwards a live event to the onEvent callback
+   * 
+   * @private
+   * @param {string} type - Event type (see EventType)
+   * @param {Object} [data={}] - Event payload
+   */
+  function emitEvent(type, data = {}) {
+    if (typeof options.onEvent === 'function') {
+      options.onEvent(type, data);
+    }
   }
   
   // ============================================================
   // PUBLIC API
   // ============================================================
   
+  /**
+   * Sets where answer audio is played. The player reports back through
+   * markPlaybackStarted, markPlaybackComplete and markPlaybackFailed.
+   * 
+   * @param {Playback} player - Audio output
+   * 
+   * @example
+   * conversation.attachPlayback({
+   *   play: (base64Audio, sampleRate) => sink.write(Buffer.from(base64Audio, 'base64'), sampleRate),
+   *   stop: () => sink.flush(),
+   * });
+   */
+  function attachPlayback(player) {
+    playback = player;
+  }
+  
+  /**
+   * Signals that answer audio is audible (tts_start, once per answer)
+   * 
+   * @example
+   * sink.onStart = () => conversation.markPlaybackStarted();
+   */
+  function markPlaybackStarted() {
+    if (answerAudioStartedAt && !ttsStartReported) {
+      ttsStartReported = true;
+      emitEvent(EventType.TTS_START, { sampleRate: responseAudio.sampleRate });
+    }
+  }
+  
   /**
    * Signals that TTS playback has completed
-   * This triggers the cooldown period
+   * This triggers the cooldown period, unless more of the answer is still coming
+   * 
+   * @param {number} [durationMs] - How long it played
    * 
    * @example
    * // Called after audio playback finishes
    * conversation.markPlaybackComplete();
    */
-  function markPlaybackComplete() {
+  function markPlaybackComplete(durationMs) {
+    if (!isTTSPlaying) return;
+    
+    // Played everything so far, but the answer is still streaming
+    if (isWaitingForResponse) {
+      playbackDrained = true;
+      return;
+    }
+    
     logger.debug('[conversation] TTS playback complete');
-    startCooldown();
+    finishPlayback(durationMs);
+  }
+  
+  /**
+   * Signals that playback failed: the answer is dropped and new audio is
+   * ignored for PLAYBACK_BACKOFF_MS
+   * 
+   * @param {string} reason - Why it failed
+   * 
+   * @example
+   * sink.onError = reason => conversation.markPlaybackFailed(reason);
+   */
+  function markPlaybackFailed(reason) {
+    logger.warn(`[conversation] ⚠️ TTS audio playback failed (${reason})`);
+    if (!isTTSPlaying) return;
+    
+    isTTSPlaying = false;
+    playbackDrained = false;
+    
+    if (answerAudioStartedAt) {
+      emitEvent(EventType.TTS_END, { durationMs: Date.now() - answerAudioStartedAt, failed: true });
+      answerAudioStartedAt = null;
+    }
+    
+    playbackBackoffUntil = Date.now() + PLAYBACK_BACKOFF_MS;
+    logger.error(`[conversation] Dropping answer audio for ${PLAYBACK_BACKOFF_MS / 1000}s`);
+  }
+  
+  /**
+   * Stops the answer because the interviewer is talking over it: drops the audio not yet
+   * heard, records the answer as cut off and goes back to listening (no cooldown)
+   * 
+   * @returns {boolean} True if an answer was playing
+   * 
+   * @example
+   * if (interviewerTalking) conversation.bargeIn();
+   */
+  function bargeIn() {
+    if (isPaused || isEnded || !isTTSPlaying || !answerAudioStartedAt) {
+      return false;
+    }
+    
+    const playedMs = Date.now() - answerAudioStartedAt;
+    logger.info(`[conversation] ✋ Interviewer barged in after ${playedMs}ms - stopping playback`);
+    
+    // If the answer is still streaming, drop the chunks still to come
+    discardUntilTurnComplete = isWaitingForResponse;
+    isTTSPlaying = false;
+    isWaitingForResponse = false;
+    playbackDrained = false;
+    
+    if (playback) {
+      playback.stop();
+    }
+    
+    emitEvent(EventType.TTS_END, { durationMs: playedMs, interrupted: true });
+    emitEvent(EventType.BARGE_IN, { playedMs });
+    answerAudioStartedAt = null;
+    saveResponseAudio();
+    
+    // The answer only lasted as long as it played
+    if (pendingAnswer) {
+      pendingAnswer.interrupted = true;
+      pendingAnswer.audioMs = Math.min(pendingAnswer.audioMs, playedMs);
+    }
+    finishAnswer();
+    return true;
   }
   
   /**
@@ -455,10 +1336,137 @@ function createConversation(options = {}) {
     clearResponseTimer();
     clearCooldownTimer();
     
-    transcriptBuffer = '';
     resetState();
   }
   
+  /**
+   * Pauses listening: interviewer audio and transcriptions are ignored until resume()
+   * 
+   * @example
+   * conversation.pause();
+   */
+  function pause() {
+    isPaused = true;
+    skipQuestion();
+    clearNoAudioTimer();
+    logger.info('[conversation] ⏸️ Listening paused');
+  }
+  
+  /**
+   * Resumes listening after pause()
+   * 
+   * @example
+   * conversation.resume();
+   */
+  function resume() {
+    isPaused = false;
+    lastHeardAt = Date.now();
+    startNoAudioCheck();
+    logger.info('[conversation] ▶️ Listening resumed');
+  }
+  
+  /**
+   * Drops the buffered question so it is never answered
+   * 
+   * @returns {string} The dropped question text ('' if nothing was buffered)
+   * 
+   * @example
+   * conversation.skipQuestion();
+   */
+  function skipQuestion() {
+    const dropped = transcriptBuffer.trim();
+    clearResponseTimer();
+    clearQuestion();
+    capturedAudio.chunks = [];
+    
+    logger.info('[conversation] ⏭️ Skipped question:', dropped ? dropped.slice(0, 80) : '(nothing buffered)');
+    return dropped;
+  }
+  
+  /**
+   * Speaks arbitrary text as the candidate through the TTS provider,
+   * recorded like any other answer
+   * 
+   * @param {string} text - Text to speak verbatim
+   * @returns {ControlResult} Result
+   * 
+   * @example
+   * conversation.say('Sorry, could you give me a second?');
+   */
+  function say(text) {
+    if (!text || !String(text).trim()) {
+      return { ok: false, error: 'text is required' };
+    }
+    if (isEnded) {
+      return { ok: false, error: 'Interview already ended' };
+    }
+    if (!provider || !provider.isReady()) {
+      return { ok: false, error: 'TTS not ready' };
+    }
+    if (isTTSPlaying || isWaitingForResponse) {
+      return { ok: false, error: 'Already speaking or waiting for a response' };
+    }
+    
+    const line = String(text).trim();
+    logger.info('[conversation] 🗣️ Saying:', line.slice(0, 80));
+    speak(line, true);
+    return { ok: true };
+  }
+  
+  /**
+   * Asks the interviewer to repeat (after a long silence, or when an operator asks)
+   * 
+   * @param {boolean} [force=false] - Ask even if we already asked since they last spoke (operator request)
+   * @returns {ControlResult} Result
+   * 
+   * @example
+   * conversation.askToRepeat(true);
+   */
+  function askToRepeat(force = false) {
+    if (isEnded) {
+      return { ok: false, error: 'Interview already ended' };
+    }
+    if (!provider || !provider.isReady()) {
+      return { ok: false, error: 'TTS not ready' };
+    }
+    if (isTTSPlaying || isWaitingForResponse) {
+      return { ok: false, error: 'Already speaking or waiting for a response' };
+    }
+    if (hasAskedToRepeat && !force) {
+      return { ok: false, error: 'Already asked to repeat' };
+    }
+    
+    logger.info('[conversation] 🎤 Asking to repeat:', NO_AUDIO_REPEAT_TEXT);
+    hasAskedToRepeat = true;
+    emitEvent(EventType.REPEAT_REQUEST, { reason: force ? 'operator' : 'no_audio' });
+    speak(NO_AUDIO_REPEAT_TEXT, false);
+    return { ok: true };
+  }
+  
+  /**
+   * Ends the interview: stops listening and speaking for good
+   * 
+   * @example
+   * conversation.end();
+   */
+  function end() {
+    if (isEnded) return;
+    
+    skipQuestion();
+    finishAnswer();
+    isEnded = true;
+    
+    clearCooldownTimer();
+    clearNoAudioTimer();
+    if (isTTSPlaying && playback) {
+      playback.stop();
+    }
+    isTTSPlaying = false;
+    isWaitingForResponse = false;
+    
+    logger.info('[conversation] 🛑 Interview ended');
+  }
+  
   /**
    * Returns a copy of the conversation history
    * 
@@ -487,7 +1495,12 @@ function createConversation(options = {}) {
       historyLength: history.length,
       isWaitingForResponse,
       isTTSPlaying,
+      isInCooldown,
+      isPaused,
+      isEnded,
       duration: Date.now() - startTime,
+      memory: memory.getStats(),
+      usage: usage.getTotals(),
     };
   }
   
@@ -500,9 +1513,10 @@ function createConversation(options = {}) {
   function destroy() {
     clearResponseTimer();
     clearCooldownTimer();
+    clearNoAudioTimer();
     
-    if (llmClient) {
-      llmClient.close();
+    if (provider) {
+      provider.close();
     }
     
     logger.info('[conversation] Conversation destroyed');
@@ -514,9 +1528,19 @@ function createConversation(options = {}) {
   
   return {
     init,
+    attachPlayback,
     sendAudio,
+    markPlaybackStarted,
     markPlaybackComplete,
+    markPlaybackFailed,
+    bargeIn,
     interrupt,
+    pause,
+    resume,
+    skipQuestion,
+    say,
+    askToRepeat,
+    end,
     getHistory,
     getStats,
     destroy,
@@ -525,5 +1549,6 @@ function createConversation(options = {}) {
 
 module.exports = {
   createConversation,
+  isSameQuestion,
 };
 
@@ -3,7 +3,7 @@
  * 
  * @module llm
  * @description Re-exports all LLM-related modules for convenient importing.
- *              Provides access to the Gemini client and conversation management.
+ *              Provides access to the Gemini client, conversation management and personas.
  * 
  * @example
  * const { createLLMClient, createConversation } = require('./llm');
@@ -16,6 +16,10 @@
 
 const client = require('./client');
 const conversation = require('./conversation');
+const persona = require('./persona');
+const memory = require('./memory');
+const answerScript = require('./answer-script');
+const usage = require('./usage');
 
 module.exports = {
   // From client
@@ -24,4 +28,23 @@ module.exports = {
   
   // From conversation
   createConversation: conversation.createConversation,
+  isSameQuestion: conversation.isSameQuestion,
+  
+  // From persona
+  loadPersona: persona.loadPersona,
+  listPersonas: persona.listPersonas,
+  buildSystemInstruction: persona.buildSystemInstruction,
+  buildTurnPrompt: persona.buildTurnPrompt,
+  
+  // From memory
+  createConversationMemory: memory.createConversationMemory,
+  
+  // From answer-script
+  createAnswerScript: answerScript.createAnswerScript,
+  loadAnswerScript: answerScript.loadAnswerScript,
+  
+  // From usage
+  createUsageTracker: usage.createUsageTracker,
+  loadPriceTable: usage.loadPriceTable,
+  estimateCost: usage.estimateCost,
 };
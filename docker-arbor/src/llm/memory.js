@@ -0,0 +1,298 @@
+/**
+ * Conversation Memory Module
+ * 
+ * @module llm/memory
+ * @description Turns the conversation history into the `clientContent.turns` sent to the LLM.
+ *              Recent interviewer/candidate turns are sent verbatim; once the history no longer
+ *              fits the token budget, the oldest turns are folded into a running summary so the
+ *              candidate stays consistent with what it claimed earlier in the interview.
+ * 
+ * @example
+ * const { createConversationMemory } = require('./llm/memory');
+ * 
+ * const memory = createConversationMemory({ tokenBudget: 2000 });
+ * const turns = memory.buildTurns(history, 'The interviewer said: "Why did you leave?"');
+ * llmClient.sendTurns(turns);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only decides what context is sent with each prompt
+ * - Open/Closed: Summarization strategy can be swapped via options.summarize
+ * - Dependency Inversion: History is passed in; memory does not own conversation state
+ */
+
+'use strict';
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  TOKEN_BUDGET: 2000,
+  SUMMARY_BUDGET_RATIO: 0.25,
+  CHARS_PER_TOKEN: 4,
+  SUMMARY_QUESTION_CHARS: 120,
+  SUMMARY_ANSWER_CHARS: 240,
+};
+
+/**
+ * @typedef {Object} GeminiTurn
+ * @property {'user'|'model'} role - Turn author (interviewer = user, candidate = model)
+ * @property {Array<{text: string}>} parts - Turn content
+ */
+
+/**
+ * @typedef {Object} MemoryOptions
+ * @property {number} [tokenBudget=2000] - Approximate token budget for history + summary + prompt
+ * @property {number} [summaryBudgetRatio=0.25] - Share of the budget the summary may use
+ * @property {Function} [summarize=summarizeTurns] - (previousSummary, turns, maxTokens) => string
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} MemoryStats
+ * @property {number} summarizedTurns - History entries folded into the summary
+ * @property {number} summaryTokens - Estimated size of the summary
+ * @property {number} windowTurns - Verbatim turns sent with the last prompt
+ * @property {number} contextTokens - Estimated size of the last context sent
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Estimates the token count of a string (~4 characters per token)
+ * 
+ * @param {string} text - Text to measure
+ * @returns {number} Approximate token count
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / DEFAULTS.CHARS_PER_TOKEN);
+}
+
+/**
+ * Returns the first sentences of a text, capped at maxChars
+ * 
+ * @private
+ * @param {string} text - Source text
+ * @param {number} maxChars - Maximum length
+ * @returns {string} Shortened text
+ */
+function firstSentences(text, maxChars) {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxChars) return clean;
+  
+  const sentences = clean.match(/[^.!?]+[.!?]+/g) || [];
+  let result = '';
+  for (const sentence of sentences) {
+    if ((result + sentence).length > maxChars) break;
+    result += sentence;
+  }
+  
+  return (result || clean.slice(0, maxChars - 1) + '…').trim();
+}
+
+/**
+ * Default extractive summarizer.
+ * Keeps one line per turn (questions short, answers a little longer). Once the summary
+ * exceeds maxTokens the oldest questions are dropped first, then the oldest answers.
+ * 
+ * @param {string} previousSummary - Summary so far ('' initially)
+ * @param {Array<{role: string, text: string}>} turns - Turns leaving the verbatim window
+ * @param {number} maxTokens - Token cap for the summary
+ * @returns {string} Updated summary
+ */
+function summarizeTurns(previousSummary, turns, maxTokens) {
+  const lines = previousSummary ? previousSummary.split('\n') : [];
+  
+  for (const turn of turns) {
+    if (turn.role === 'interviewer') {
+      lines.push(`- Interviewer asked: ${firstSentences(turn.text, DEFAULTS.SUMMARY_QUESTION_CHARS)}`);
+    } else if (turn.interrupted) {
+      lines.push(`- I started answering (interrupted): ${firstSentences(turn.text, DEFAULTS.SUMMARY_ANSWER_CHARS)}`);
+    } else {
+      lines.push(`- I answered: ${firstSentences(turn.text, DEFAULTS.SUMMARY_ANSWER_CHARS)}`);
+    }
+  }
+  
+  // Over the cap: drop the oldest questions first - the answers hold the claims to stay consistent with
+  while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) {
+    const oldestQuestion = lines.findIndex(line => line.startsWith('- Interviewer asked:'));
+    lines.splice(oldestQuestion >= 0 ? oldestQuestion : 0, 1);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Converts a conversation turn to a Gemini turn
+ * 
+ * @private
+ * @param {{role: string, text: string, interrupted?: boolean}} turn - Conversation turn
+ * @returns {GeminiTurn} Gemini turn
+ */
+function toGeminiTurn(turn) {
+  return {
+    role: turn.role === 'candidate' ? 'model' : 'user',
+    parts: [{ text: turn.interrupted ? `${turn.text} [interrupted by the interviewer]` : turn.text }],
+  };
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Creates a new conversation memory instance
+ * 
+ * @param {MemoryOptions} [options={}] - Memory configuration
+ * @returns {{buildTurns: Function, getSummary: Function, getStats: Function, reset: Function}}
+ * 
+ * @example
+ * const memory = createConversationMemory({ tokenBudget: 4000 });
+ */
+function createConversationMemory(options = {}) {
+  const {
+    tokenBudget = DEFAULTS.TOKEN_BUDGET,
+    summaryBudgetRatio = DEFAULTS.SUMMARY_BUDGET_RATIO,
+    summarize = summarizeTurns,
+    logger = console,
+  } = options;
+  
+  const summaryBudget = Math.floor(tokenBudget * summaryBudgetRatio);
+  
+  /**
+   * Running summary of turns that left the verbatim window
+   * @type {string}
+   */
+  let summary = '';
+  
+  /**
+   * Number of history entries already folded into the summary
+   * @type {number}
+   */
+  let summarizedCount = 0;
+  
+  /** @type {MemoryStats} */
+  const stats = {
+    summarizedTurns: 0,
+    summaryTokens: 0,
+    windowTurns: 0,
+    contextTokens: 0,
+  };
+  
+  /**
+   * Finds where the verbatim window starts for the given token allowance
+   * 
+   * @private
+   * @param {Array<{role: string, text: string}>} history - Conversation history
+   * @param {number} available - Tokens available for verbatim turns
+   * @returns {number} Index of the first verbatim turn
+   */
+  function findWindowStart(history, available) {
+    let start = history.length;
+    let used = 0;
+    
+    while (start > summarizedCount) {
+      const tokens = estimateTokens(history[start - 1].text);
+      if (used + tokens > available) break;
+      used += tokens;
+      start--;
+    }
+    
+    // Start the window on an interviewer turn so it reads as question/answer pairs
+    while (start < history.length && history[start].role === 'candidate') {
+      start++;
+    }
+    
+    return start;
+  }
+  
+  /**
+   * Builds the turns to send for a prompt: summary, recent history, then the prompt.
+   * Turns that no longer fit the budget are folded into the summary.
+   * 
+   * @param {Array<{role: 'interviewer'|'candidate', text: string}>} history - Turns before this prompt
+   * @param {string} prompt - Prompt for the current question
+   * @returns {GeminiTurn[]} Turns for clientContent.turns
+   */
+  function buildTurns(history, prompt) {
+    // History can only grow; a shorter one means the conversation was reset
+    if (history.length < summarizedCount) {
+      reset();
+    }
+    
+    const promptTokens = estimateTokens(prompt);
+    let start = findWindowStart(history, tokenBudget - promptTokens - estimateTokens(summary));
+    
+    // Folding turns grows the summary, which can push more turns out - repeat until stable
+    while (start > summarizedCount) {
+      const evicted = history.slice(summarizedCount, start);
+      summary = summarize(summary, evicted, summaryBudget);
+      summarizedCount = start;
+      logger.debug(`[memory] Summarized ${evicted.length} older turns (${estimateTokens(summary)} tokens)`);
+      
+      start = findWindowStart(history, tokenBudget - promptTokens - estimateTokens(summary));
+    }
+    
+    const window = history.slice(start);
+    const turns = [];
+    
+    if (summary) {
+      turns.push({
+        role: 'user',
+        parts: [{ text: `Summary of the interview so far (stay consistent with it):\n${summary}` }],
+      });
+    }
+    
+    turns.push(...window.map(toGeminiTurn));
+    turns.push({ role: 'user', parts: [{ text: prompt }] });
+    
+    stats.summarizedTurns = summarizedCount;
+    stats.summaryTokens = estimateTokens(summary);
+    stats.windowTurns = window.length;
+    stats.contextTokens = turns.reduce((sum, turn) => sum + estimateTokens(turn.parts[0].text), 0);
+    
+    return turns;
+  }
+  
+  /**
+   * Returns the current summary of older turns
+   * 
+   * @returns {string} Summary ('' until the budget is first exceeded)
+   */
+  function getSummary() {
+    return summary;
+  }
+  
+  /**
+   * Returns memory statistics
+   * 
+   * @returns {MemoryStats} Current statistics
+   */
+  function getStats() {
+    return { ...stats };
+  }
+  
+  /**
+   * Clears the summary (e.g. when a new interview starts)
+   */
+  function reset() {
+    summary = '';
+    summarizedCount = 0;
+  }
+  
+  return {
+    buildTurns,
+    getSummary,
+    getStats,
+    reset,
+  };
+}
+
+module.exports = {
+  createConversationMemory,
+  estimateTokens,
+  summarizeTurns,
+  DEFAULTS,
+};
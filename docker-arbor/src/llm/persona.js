@@ -0,0 +1,306 @@
+/**
+ * Candidate Persona Module
+ * 
+ * @module llm/persona
+ * @description Loads candidate personas (résumé, job history, skills, tone, answer length,
+ *              deliberate weaknesses) and turns them into the system instruction and
+ *              per-turn prompt used when generating answers.
+ * 
+ * Personas live as JSON files in `personas/` and are selected per run with the
+ * PERSONA environment variable (a file name such as `senior-backend`, or a path).
+ * 
+ * @example
+ * const { loadPersona, buildSystemInstruction, buildTurnPrompt } = require('./llm/persona');
+ * 
+ * const persona = loadPersona('senior-backend');
+ * const systemInstruction = buildSystemInstruction(persona);
+ * const prompt = buildTurnPrompt(persona, 'Tell me about yourself.');
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only loads personas and renders them into prompts
+ * - Open/Closed: New candidate types are new JSON files, no code changes
+ * - Dependency Inversion: Consumers receive rendered strings, not file formats
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  PERSONA: 'default',
+  PERSONAS_DIR: path.join(__dirname, '..', '..', 'personas'),
+  ANSWER_LENGTH: 'short',
+  TONE: 'friendly, professional and conversational',
+};
+
+/**
+ * Answer length presets, rendered into the prompt
+ * @constant {Object.<string, string>}
+ */
+const ANSWER_LENGTHS = {
+  short: '1-2 sentences',
+  medium: '3-4 sentences',
+  long: '5-7 sentences',
+};
+
+/**
+ * Placeholder replaced with the interviewer's question in turn prompt templates
+ * @constant {string}
+ */
+const QUESTION_PLACEHOLDER = '{{question}}';
+
+/**
+ * @typedef {Object} PersonaJob
+ * @property {string} title - Job title
+ * @property {string} company - Employer
+ * @property {string} [start] - Start date (free text, e.g. "2019")
+ * @property {string} [end] - End date (free text, e.g. "present")
+ * @property {string[]} [highlights] - Notable achievements
+ */
+
+/**
+ * @typedef {Object} Persona
+ * @property {string} id - Persona identifier (file name without extension)
+ * @property {string} name - Candidate name
+ * @property {string} targetRole - Role being interviewed for
+ * @property {string} resume - Résumé summary
+ * @property {PersonaJob[]} jobHistory - Previous roles, most recent first
+ * @property {string[]} skills - Skills the candidate can talk about
+ * @property {string} tone - How the candidate speaks
+ * @property {'short'|'medium'|'long'} answerLength - Target answer length
+ * @property {string[]} weaknesses - Deliberate weaknesses to surface naturally
+ * @property {string} [notes] - Extra free-form instructions
+ */
+
+// ============================================================
+// LOADING
+// ============================================================
+
+/**
+ * Resolves a persona name or path to a JSON file path
+ * 
+ * @private
+ * @param {string} nameOrPath - Persona name (e.g. "senior-backend") or file path
+ * @param {string} personasDir - Directory containing persona files
+ * @returns {string} Absolute file path
+ */
+function resolvePersonaPath(nameOrPath, personasDir) {
+  if (nameOrPath.endsWith('.json') || nameOrPath.includes(path.sep)) {
+    return path.resolve(nameOrPath);
+  }
+  return path.join(personasDir, `${nameOrPath}.json`);
+}
+
+/**
+ * Validates and fills defaults for a raw persona object
+ * 
+ * @param {Object} raw - Parsed persona JSON
+ * @param {string} [id='custom'] - Persona identifier
+ * @returns {Persona} Normalized persona
+ * @throws {Error} If required fields are missing or invalid
+ */
+function normalizePersona(raw, id = 'custom') {
+  const errors = [];
+  
+  if (!raw || typeof raw !== 'object') {
+    throw new Error(`Persona '${id}' must be a JSON object`);
+  }
+  
+  if (!raw.name) errors.push('name is required');
+  if (!raw.targetRole) errors.push('targetRole is required');
+  if (raw.answerLength && !ANSWER_LENGTHS[raw.answerLength]) {
+    errors.push(`answerLength must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')}`);
+  }
+  if (raw.jobHistory && !Array.isArray(raw.jobHistory)) errors.push('jobHistory must be an array');
+  if (raw.skills && !Array.isArray(raw.skills)) errors.push('skills must be an array');
+  if (raw.weaknesses && !Array.isArray(raw.weaknesses)) errors.push('weaknesses must be an array');
+  
+  if (errors.length > 0) {
+    throw new Error(`Invalid persona '${id}':\n  - ${errors.join('\n  - ')}`);
+  }
+  
+  return {
+    id,
+    name: raw.name,
+    targetRole: raw.targetRole,
+    resume: raw.resume || '',
+    jobHistory: raw.jobHistory || [],
+    skills: raw.skills || [],
+    tone: raw.tone || DEFAULTS.TONE,
+    answerLength: raw.answerLength || DEFAULTS.ANSWER_LENGTH,
+    weaknesses: raw.weaknesses || [],
+    notes: raw.notes || '',
+  };
+}
+
+/**
+ * Loads a persona from disk
+ * 
+ * @param {string} [nameOrPath='default'] - Persona name in personasDir, or a path to a JSON file
+ * @param {Object} [options={}] - Load options
+ * @param {string} [options.personasDir] - Directory containing persona files
+ * @returns {Persona} Loaded persona
+ * @throws {Error} If the file is missing, not valid JSON, or fails validation
+ * 
+ * @example
+ * const persona = loadPersona('junior-nervous');
+ * const custom = loadPersona('/data/personas/alex.json');
+ */
+function loadPersona(nameOrPath = DEFAULTS.PERSONA, options = {}) {
+  const { personasDir = DEFAULTS.PERSONAS_DIR } = options;
+  const filePath = resolvePersonaPath(nameOrPath, personasDir);
+  const id = path.basename(filePath, '.json');
+  
+  if (!fs.existsSync(filePath)) {
+    const available = listPersonas(personasDir);
+    throw new Error(`Persona '${nameOrPath}' not found at ${filePath}` +
+      (available.length ? ` (available: ${available.join(', ')})` : ''));
+  }
+  
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Persona '${id}' is not valid JSON: ${error.message}`);
+  }
+  
+  return normalizePersona(raw, id);
+}
+
+/**
+ * Lists the persona names available in a directory
+ * 
+ * @param {string} [personasDir] - Directory containing persona files
+ * @returns {string[]} Persona names (file names without .json)
+ */
+function listPersonas(personasDir = DEFAULTS.PERSONAS_DIR) {
+  if (!fs.existsSync(personasDir)) return [];
+  
+  return fs.readdirSync(personasDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// ============================================================
+// PROMPT RENDERING
+// ============================================================
+
+/**
+ * Formats one job history entry as a single line
+ * 
+ * @private
+ * @param {PersonaJob} job - Job entry
+ * @returns {string} Formatted line
+ */
+function formatJob(job) {
+  const dates = job.start ? ` (${job.start}-${job.end || 'present'})` : '';
+  const highlights = job.highlights && job.highlights.length ? `: ${job.highlights.join('; ')}` : '';
+  return `- ${job.title} at ${job.company}${dates}${highlights}`;
+}
+
+/**
+ * Renders a persona into the system instruction sent with every session setup
+ * 
+ * @param {Persona} persona - Persona to render
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.language] - Language the interview is held in (e.g. 'Spanish')
+ * @returns {string} System instruction text
+ * 
+ * @example
+ * llmClient = createLLMClient({ apiKey, systemInstruction: buildSystemInstruction(persona, { language: 'Hindi' }) });
+ */
+function buildSystemInstruction(persona, options = {}) {
+  const { language } = options;
+  const sections = [
+    `You are ${persona.name}, a candidate in a live voice job interview for the role of ${persona.targetRole}. ` +
+    `Stay in character for the whole conversation and answer only as ${persona.name}. ` +
+    'Never mention being an AI, a language model or a simulation.',
+  ];
+  
+  if (language) {
+    sections.push(
+      `The interview is held in ${language}. ` +
+      `Always answer in ${language}, even if a question or your résumé is in another language.`
+    );
+  }
+  
+  if (persona.resume) {
+    sections.push(`Résumé:\n${persona.resume}`);
+  }
+  
+  if (persona.jobHistory.length > 0) {
+    sections.push(`Job history (most recent first):\n${persona.jobHistory.map(formatJob).join('\n')}`);
+  }
+  
+  if (persona.skills.length > 0) {
+    sections.push(`Skills: ${persona.skills.join(', ')}`);
+  }
+  
+  sections.push(
+    `Tone: ${persona.tone}.\n` +
+    `Keep each answer to ${ANSWER_LENGTHS[persona.answerLength]}. ` +
+    'Speak in plain sentences as you would out loud - no lists, headings or markdown.'
+  );
+  
+  if (persona.weaknesses.length > 0) {
+    sections.push(
+      'Deliberate weaknesses (let these show naturally when relevant, never announce them):\n' +
+      persona.weaknesses.map(weakness => `- ${weakness}`).join('\n')
+    );
+  }
+  
+  if (persona.notes) {
+    sections.push(persona.notes);
+  }
+  
+  return sections.join('\n\n');
+}
+
+/**
+ * Builds the per-turn prompt template, with QUESTION_PLACEHOLDER where the question goes.
+ * Used by the injected page script, which fills in the question itself.
+ * 
+ * @param {Persona} persona - Persona to answer as
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.language] - Language to answer in
+ * @returns {string} Prompt template
+ */
+function buildTurnPromptTemplate(persona, options = {}) {
+  const { language } = options;
+  return `The interviewer said: "${QUESTION_PLACEHOLDER}"\n` +
+    `Reply as ${persona.name} in ${ANSWER_LENGTHS[persona.answerLength]}` +
+    `${language ? `, in ${language}` : ''}, staying in character.`;
+}
+
+/**
+ * Builds the per-turn prompt for an interviewer question
+ * 
+ * @param {Persona} persona - Persona to answer as
+ * @param {string} question - Interviewer's question
+ * @param {Object} [options={}] - Rendering options (see buildTurnPromptTemplate)
+ * @returns {string} Prompt text
+ * 
+ * @example
+ * llmClient.sendText(buildTurnPrompt(persona, question, { language: 'Spanish' }));
+ */
+function buildTurnPrompt(persona, question, options = {}) {
+  return buildTurnPromptTemplate(persona, options).replace(QUESTION_PLACEHOLDER, question);
+}
+
+module.exports = {
+  loadPersona,
+  listPersonas,
+  normalizePersona,
+  buildSystemInstruction,
+  buildTurnPrompt,
+  buildTurnPromptTemplate,
+  ANSWER_LENGTHS,
+  QUESTION_PLACEHOLDER,
+  DEFAULTS,
+};
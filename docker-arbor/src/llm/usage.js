@@ -0,0 +1,322 @@
+/**
+ * Usage Module
+ * 
+ * @module llm/usage
+ * @description Counts the tokens Gemini reports (Live API `usageMetadata` and
+ *              `generateContent` responses) per turn and per session, and estimates
+ *              their cost from a price table in USD per million tokens, by modality.
+ * 
+ * Price table format (JSON, keyed by model; "default" covers any other model):
+ * {
+ *   "default": {
+ *     "input": { "TEXT": 0.35, "AUDIO": 2.10 },
+ *     "output": { "TEXT": 1.50, "AUDIO": 8.50 }
+ *   },
+ *   "gemini-2.5-flash": { "input": { "TEXT": 0.30 }, "output": { "TEXT": 2.50 } }
+ * }
+ * 
+ * A model entry only needs the prices that differ from "default". Token counts without
+ * a modality breakdown are priced as TEXT.
+ * 
+ * @example
+ * const { createUsageTracker, loadPriceTable } = require('./llm/usage');
+ * 
+ * const usage = createUsageTracker({ prices: loadPriceTable('prices.json') });
+ * client.on('usageMetadata', metadata => usage.record(metadata, { model }));
+ * console.log(usage.getTotals().costUsd);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only counts tokens and prices them
+ * - Open/Closed: New models and prices are price table entries, no code changes
+ * - Dependency Inversion: Usage reports are passed in; knows nothing of sockets
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Default prices in USD per million tokens (Gemini 2.0 Flash Live, paid tier).
+ * Estimates only; set GEMINI_PRICE_TABLE for current or negotiated prices.
+ * @constant {Object}
+ */
+const DEFAULT_PRICES = {
+  default: {
+    input: { TEXT: 0.35, AUDIO: 2.1, IMAGE: 2.1, VIDEO: 2.1 },
+    output: { TEXT: 1.5, AUDIO: 8.5 },
+  },
+};
+
+/**
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Input tokens (text, audio, cached context)
+ * @property {number} responseTokens - Output tokens (including thinking)
+ * @property {number} audioTokens - Audio tokens, in and out
+ * @property {number} totalTokens - All tokens
+ * @property {number} costUsd - Estimated cost
+ * @property {number} reports - Usage reports counted
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Creates an all-zero usage record
+ * 
+ * @private
+ * @returns {TokenUsage} Empty usage
+ */
+function emptyUsage() {
+  return { promptTokens: 0, responseTokens: 0, audioTokens: 0, totalTokens: 0, costUsd: 0, reports: 0 };
+}
+
+/**
+ * Adds one usage record into another
+ * 
+ * @private
+ * @param {TokenUsage} target - Record added to
+ * @param {TokenUsage} usage - Record to add
+ */
+function addUsage(target, usage) {
+  target.promptTokens += usage.promptTokens;
+  target.responseTokens += usage.responseTokens;
+  target.audioTokens += usage.audioTokens;
+  target.totalTokens += usage.totalTokens;
+  target.costUsd += usage.costUsd;
+  target.reports += usage.reports;
+}
+
+/**
+ * Copies a usage record with its cost rounded to micro-dollars
+ * 
+ * @private
+ * @param {TokenUsage} usage - Usage record
+ * @returns {TokenUsage} Rounded copy
+ */
+function roundCost(usage) {
+  return { ...usage, costUsd: Math.round(usage.costUsd * 1e6) / 1e6 };
+}
+
+/**
+ * Strips the "models/" prefix, so Live and REST model names share price entries
+ * 
+ * @private
+ * @param {string} model - Model name
+ * @returns {string} Bare model id
+ */
+function normalizeModel(model) {
+  return String(model || '').replace(/^models\//, '');
+}
+
+/**
+ * Splits a token count by modality, from a details list such as promptTokensDetails
+ * 
+ * @private
+ * @param {number} total - Token count of the whole field
+ * @param {Array<{modality: string, tokenCount: number}>} [details] - Per-modality counts
+ * @returns {Object.<string, number>} Tokens per modality (all TEXT without details)
+ */
+function byModality(total, details) {
+  if (!Array.isArray(details) || details.length === 0) {
+    return total > 0 ? { TEXT: total } : {};
+  }
+  
+  const counts = {};
+  for (const { modality = 'TEXT', tokenCount = 0 } of details) {
+    counts[modality] = (counts[modality] || 0) + tokenCount;
+  }
+  return counts;
+}
+
+/**
+ * Merges one price table entry over another, per direction and modality
+ * 
+ * @private
+ * @param {Object} [base={}] - Entry merged into
+ * @param {Object} [entry={}] - Entry whose prices win
+ * @returns {Object} Merged entry
+ */
+function mergePrices(base = {}, entry = {}) {
+  const merged = { ...base, ...entry };
+  for (const direction of ['input', 'output']) {
+    merged[direction] = { ...(base[direction] || {}), ...(entry[direction] || {}) };
+  }
+  return merged;
+}
+
+// ============================================================
+// PRICE TABLE
+// ============================================================
+
+/**
+ * Loads a price table from a JSON file (see the module description for the format)
+ * 
+ * @param {string} filePath - Path to the price table
+ * @returns {Object} Price table; its "default" entry is merged over the default prices
+ * @throws {Error} If the file cannot be read, is not a JSON object or has an entry that is not an object
+ * 
+ * @example
+ * const prices = loadPriceTable('/app/config/gemini-prices.json');
+ */
+function loadPriceTable(filePath) {
+  const table = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error(`Price table must be a JSON object: ${filePath}`);
+  }
+  
+  for (const [model, entry] of Object.entries(table)) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Price table entry "${model}" must be an object: ${filePath}`);
+    }
+  }
+  return { ...table, default: mergePrices(DEFAULT_PRICES.default, table.default) };
+}
+
+/**
+ * Estimates the cost of a usage report
+ * 
+ * @param {Object} prices - Price table
+ * @param {string} model - Model that reported the usage
+ * @param {{input: Object.<string, number>, output: Object.<string, number>}} tokens - Tokens per direction and modality
+ * @returns {number} Cost in USD
+ */
+function estimateCost(prices, model, tokens) {
+  const rates = mergePrices(prices.default || DEFAULT_PRICES.default, prices[normalizeModel(model)]);
+  let cost = 0;
+  
+  for (const direction of ['input', 'output']) {
+    for (const [modality, count] of Object.entries(tokens[direction])) {
+      cost += count * (rates[direction][modality] ?? rates[direction].TEXT ?? 0) / 1e6;
+    }
+  }
+  return cost;
+}
+
+// ============================================================
+// TRACKER
+// ============================================================
+
+/**
+ * Creates a usage tracker for one session
+ * 
+ * @param {Object} [options={}] - Tracker options
+ * @param {Object} [options.prices] - Price table (see loadPriceTable; defaults to DEFAULT_PRICES)
+ * @param {Object} [options.logger=console] - Logger instance
+ * @returns {{record: Function, takeTurn: Function, getTotals: Function, reset: Function}} Usage tracker
+ * 
+ * @example
+ * const usage = createUsageTracker();
+ * usage.record({ promptTokenCount: 120, responseTokenCount: 40 }, { model: 'gemini-2.0-flash-live-001' });
+ */
+function createUsageTracker(options = {}) {
+  const {
+    prices = DEFAULT_PRICES,
+    logger = console,
+  } = options;
+  
+  /**
+   * Session totals, overall and per model
+   * @type {{total: TokenUsage, byModel: Object.<string, TokenUsage>}}
+   */
+  const session = { total: emptyUsage(), byModel: {} };
+  
+  /**
+   * Usage since the last takeTurn()
+   * @type {TokenUsage}
+   */
+  let turn = emptyUsage();
+  
+  /**
+   * Counts one usage report. Accepts the Live API (responseTokenCount) and
+   * generateContent (candidatesTokenCount) shapes.
+   * 
+   * @param {Object} metadata - usageMetadata as sent by the API
+   * @param {Object} [details={}] - Report details
+   * @param {string} [details.model=''] - Model that served the request
+   * @returns {TokenUsage|null} The counted usage, or null for an empty report
+   */
+  function record(metadata, details = {}) {
+    if (!metadata || typeof metadata !== 'object') return null;
+    
+    const model = normalizeModel(details.model) || 'unknown';
+    const promptTokens = (metadata.promptTokenCount || 0) + (metadata.toolUsePromptTokenCount || 0);
+    const candidateTokens = metadata.responseTokenCount || metadata.candidatesTokenCount || 0;
+    const thoughtsTokens = metadata.thoughtsTokenCount || 0;
+    const responseTokens = candidateTokens + thoughtsTokens;
+    
+    const tokens = {
+      input: byModality(promptTokens, metadata.promptTokensDetails),
+      output: byModality(candidateTokens, metadata.responseTokensDetails || metadata.candidatesTokensDetails),
+    };
+    // Thinking is billed as text output but is not part of the per-modality details
+    if (thoughtsTokens > 0) {
+      tokens.output.TEXT = (tokens.output.TEXT || 0) + thoughtsTokens;
+    }
+    
+    const usage = {
+      promptTokens,
+      responseTokens,
+      audioTokens: (tokens.input.AUDIO || 0) + (tokens.output.AUDIO || 0),
+      totalTokens: metadata.totalTokenCount || promptTokens + responseTokens,
+      costUsd: estimateCost(prices, model, tokens),
+      reports: 1,
+    };
+    if (usage.totalTokens === 0) return null;
+    
+    addUsage(session.total, usage);
+    addUsage(turn, usage);
+    session.byModel[model] = session.byModel[model] || emptyUsage();
+    addUsage(session.byModel[model], usage);
+    
+    logger.debug(`[usage] ${model}: ${promptTokens} in, ${responseTokens} out (${usage.audioTokens} audio), ~$${usage.costUsd.toFixed(5)}`);
+    return usage;
+  }
+  
+  /**
+   * Returns the usage since the previous call and starts counting the next turn
+   * 
+   * @returns {TokenUsage|null} Turn usage, or null if nothing was reported
+   */
+  function takeTurn() {
+    const taken = turn;
+    turn = emptyUsage();
+    return taken.reports > 0 ? roundCost(taken) : null;
+  }
+  
+  /**
+   * Returns the session totals
+   * 
+   * @returns {TokenUsage & {byModel: Object.<string, TokenUsage>}} Totals, overall and per model
+   */
+  function getTotals() {
+    const byModel = {};
+    for (const [model, usage] of Object.entries(session.byModel)) {
+      byModel[model] = roundCost(usage);
+    }
+    return { ...roundCost(session.total), byModel };
+  }
+  
+  /**
+   * Clears all counts
+   */
+  function reset() {
+    session.total = emptyUsage();
+    session.byModel = {};
+    turn = emptyUsage();
+  }
+  
+  return {
+    record,
+    takeTurn,
+    getTotals,
+    reset,
+  };
+}
+
+module.exports = {
+  createUsageTracker,
+  loadPriceTable,
+  estimateCost,
+  DEFAULT_PRICES,
+};
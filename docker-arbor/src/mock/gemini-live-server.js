@@ -0,0 +1,759 @@
+/**
+ * Mock Gemini Live Server Module
+ * 
+ * @module mock/gemini-live-server
+ * @description Local stand-in for the Gemini Live BidiGenerateContent WebSocket API.
+ *              Speaks the same JSON protocol as Google's endpoint so the bot can run
+ *              its full conversation loop offline (CI, no API key, no network).
+ * 
+ * Protocol subset implemented:
+ * - `setup`                 → `setupComplete`
+ * - `realtimeInput` audio   → `serverContent.inputTranscription` (scripted transcripts)
+ * - `clientContent` turns   → `serverContent.modelTurn` audio and/or text parts
+ *                           → `serverContent.outputTranscription` (if requested in setup)
+ *                           → `serverContent.turnComplete` (with estimated `usageMetadata`)
+ * - `setup.session_resumption` → `sessionResumptionUpdate` handles; a known handle resumes
+ * - `sessionLimitMs` (script)  → `goAway`, then the session is closed
+ *  
+ * @example
+ * const { createMockGeminiServer, loadMockScript } = require('./mock/gemini-live-server');
+ * 
+ * const server = createMockGeminiServer({
+ *   port: 8765,
+ *   script: loadMockScript('fixtures/interview-script.json'),
+ * });
+ * await server.start();
+ * // GEMINI_WS_URL=ws://localhost:8765/ws
+ * 
+ * @example
+ * // Standalone
+ * // node src/mock/gemini-live-server.js fixtures/interview-script.json
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only emulates the Live API wire protocol
+ * - Open/Closed: Behaviour is driven by the script file, not code changes
+ * - Dependency Inversion: Logger injected as dependency
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { synthesizeSpeechTone } = require('./speech-tone');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  PORT: 8765,
+  HOST: '0.0.0.0',
+  REPLY_SAMPLE_RATE: 24000,
+  AUDIO_MS_PER_TRANSCRIPT: 3000,
+  WORDS_PER_TRANSCRIPT_CHUNK: 3,
+  TRANSCRIPT_CHUNK_INTERVAL_MS: 150,
+  REPLY_CHUNK_MS: 200,
+  GO_AWAY_NOTICE_MS: 2000,
+  CHARS_PER_TOKEN: 4,
+  AUDIO_TOKENS_PER_SECOND: 25,
+  FALLBACK_REPLY: 'Thanks, that is a great question. I would approach it step by step.',
+};
+
+/**
+ * @typedef {Object} MockReply
+ * @property {string} [match] - Case-insensitive regex tested against the latest user turn
+ * @property {string} text - Reply text (sent as a text part and/or output transcription)
+ * @property {string} [audioFile] - Raw s16le PCM (or .wav) file to stream instead of a synthesized tone
+ * @property {RegExp} [pattern] - Compiled match (set by loadMockScript)
+ * @property {string} [audioPath] - Absolute audioFile path (set by loadMockScript)
+ */
+
+/**
+ * @typedef {Object} MockScript
+ * @property {string[]} [transcripts=[]] - Interviewer lines emitted as input transcriptions, in order
+ * @property {MockReply[]} [replies=[]] - Canned model replies
+ * @property {number} [audioMsPerTranscript=3000] - Input audio (ms) consumed before the next transcript is emitted
+ * @property {number} [replySampleRate=24000] - Sample rate of reply audio
+ * @property {number} [sessionLimitMs] - Close each session after this long, with a goAway notice first (tests reconnects)
+ * @property {string} [baseDir] - Directory used to resolve relative audioFile paths
+ */
+
+/**
+ * @typedef {Object} MockServerOptions
+ * @property {number} [port=8765] - Port to listen on
+ * @property {string} [host='0.0.0.0'] - Interface to bind
+ * @property {MockScript} [script={}] - Scripted transcripts and replies
+ * @property {boolean} [realtime=true] - Pace reply audio chunks at playback speed
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} MockServer
+ * @property {Function} start - Start listening
+ * @property {Function} stop - Close all sessions and stop listening
+ * @property {Function} getUrl - WebSocket URL clients should connect to
+ * @property {Function} getStats - Counters for assertions in tests
+ */
+
+// ============================================================
+// SCRIPT LOADING
+// ============================================================
+
+/**
+ * Loads a mock script from a JSON file
+ * 
+ * @param {string} filePath - Path to the script file
+ * @returns {MockScript} Parsed script with baseDir set to the file's directory
+ * @throws {Error} If the file cannot be read or parsed, a match is not a valid regex or an audioFile is missing
+ * 
+ * @example
+ * const script = loadMockScript('./fixtures/interview-script.json');
+ */
+function loadMockScript(filePath) {
+  const resolved = path.resolve(filePath);
+  const script = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const baseDir = path.dirname(resolved);
+  
+  return { ...script, baseDir, replies: prepareReplies(script.replies || [], baseDir) };
+}
+
+/**
+ * Compiles reply patterns and resolves reply audio up front, so a bad script fails
+ * at startup instead of in the middle of a session
+ * 
+ * @private
+ * @param {MockReply[]} replies - Replies as written in the script
+ * @param {string} baseDir - Directory relative audioFile paths are resolved against
+ * @returns {MockReply[]} Replies with pattern and audioPath set
+ * @throws {Error} If a reply has no text, an invalid match or a missing audioFile
+ */
+function prepareReplies(replies, baseDir) {
+  if (!Array.isArray(replies)) {
+    throw new Error('Mock script "replies" must be an array');
+  }
+  
+  return replies.map((reply, index) => {
+    const label = `Mock script reply ${index + 1}`;
+    const prepared = { ...reply };
+    
+    if (!reply || typeof reply.text !== 'string') {
+      throw new Error(`${label} needs a "text" string`);
+    }
+    if (reply.match) {
+      try {
+        prepared.pattern = new RegExp(reply.match, 'i');
+      } catch (error) {
+        throw new Error(`${label} has an invalid match pattern: ${error.message}`);
+      }
+    }
+    if (reply.audioFile) {
+      prepared.audioPath = path.resolve(baseDir, reply.audioFile);
+      if (!fs.existsSync(prepared.audioPath)) {
+        throw new Error(`${label} audioFile not found: ${prepared.audioPath}`);
+      }
+    }
+    
+    return prepared;
+  });
+}
+
+// ============================================================
+// AUDIO HELPERS
+// ============================================================
+
+/**
+ * Parses the sample rate from a Live API mime type (audio/pcm;rate=16000)
+ * 
+ * @private
+ * @param {string} mimeType - Mime type string
+ * @returns {number} Sample rate in Hz (16000 if absent)
+ */
+function parseRate(mimeType) {
+  const match = /rate=(\d+)/.exec(mimeType || '');
+  return match ? parseInt(match[1], 10) : 16000;
+}
+
+/**
+ * Loads canned reply audio from disk
+ * WAV files have their 44-byte header stripped; anything else is treated as raw PCM
+ * 
+ * @private
+ * @param {string} filePath - Absolute path to the audio file
+ * @returns {Buffer} Int16 little-endian PCM
+ */
+function loadReplyAudio(filePath) {
+  const data = fs.readFileSync(filePath);
+  return filePath.toLowerCase().endsWith('.wav') ? data.subarray(44) : data;
+}
+
+// ============================================================
+// SERVER
+// ============================================================
+
+/**
+ * Creates a new mock Gemini Live server instance
+ * 
+ * @param {MockServerOptions} [options={}] - Server configuration
+ * @returns {MockServer} Mock server instance
+ * 
+ * @example
+ * const server = createMockGeminiServer({ port: 0, realtime: false });
+ * await server.start();
+ * const client = createLLMClient({ apiKey: 'test', wsUrl: server.getUrl() });
+ */
+function createMockGeminiServer(options = {}) {
+  const {
+    port = DEFAULTS.PORT,
+    host = DEFAULTS.HOST,
+    script = {},
+    realtime = true,
+    logger = console,
+  } = options;
+  
+  const transcripts = script.transcripts || [];
+  const replies = script.replies || [];
+  const audioMsPerTranscript = script.audioMsPerTranscript || DEFAULTS.AUDIO_MS_PER_TRANSCRIPT;
+  const replySampleRate = script.replySampleRate || DEFAULTS.REPLY_SAMPLE_RATE;
+  
+  /** @type {WebSocket.Server|null} */
+  let wss = null;
+  
+  /**
+   * Position in the transcript list, shared across sessions so the STT
+   * socket keeps its place when the bot reconnects
+   * @type {number}
+   */
+  let transcriptIndex = 0;
+  
+  /**
+   * Position among the unmatched (sequential) replies
+   * @type {number}
+   */
+  let sequentialReplyIndex = 0;
+  
+  /**
+   * Resumption handles given out, shared across sessions
+   * @type {Set<string>}
+   */
+  const resumptionHandles = new Set();
+  
+  /**
+   * Counters exposed through getStats()
+   * @type {Object}
+   */
+  const stats = {
+    connections: 0,
+    setups: 0,
+    resumedSessions: 0,
+    goAways: 0,
+    audioMsReceived: 0,
+    transcriptsSent: 0,
+    turns: 0,
+    lastSystemInstruction: '',
+  };
+  
+  // ============================================================
+  // REPLY SELECTION
+  // ============================================================
+  
+  /**
+   * Extracts the text of the last user turn from a clientContent message
+   * 
+   * @private
+   * @param {Object} clientContent - clientContent payload
+   * @returns {string} Concatenated text parts
+   */
+  function lastUserText(clientContent) {
+    const turns = clientContent.turns || [];
+    const userTurns = turns.filter(t => (t.role || 'user') === 'user');
+    const last = userTurns[userTurns.length - 1];
+    if (!last) return '';
+    return (last.parts || []).map(p => p.text || '').join(' ');
+  }
+  
+  /**
+   * Estimates the usageMetadata Gemini would report for a reply
+   * (about 4 characters per text token, 25 tokens per second of audio)
+   * 
+   * @private
+   * @param {Object} clientContent - clientContent payload
+   * @param {string} replyText - Text part sent, or '' for audio-only replies
+   * @param {number} replyAudioBytes - Int16 PCM bytes sent
+   * @returns {Object} usageMetadata
+   */
+  function estimateUsage(clientContent, replyText, replyAudioBytes) {
+    const promptText = (clientContent.turns || [])
+      .flatMap(turn => turn.parts || [])
+      .map(part => part.text || '')
+      .join(' ');
+    const promptTokenCount = Math.ceil(promptText.length / DEFAULTS.CHARS_PER_TOKEN);
+    const textTokens = Math.ceil(replyText.length / DEFAULTS.CHARS_PER_TOKEN);
+    const audioTokens = Math.ceil((replyAudioBytes / 2 / replySampleRate) * DEFAULTS.AUDIO_TOKENS_PER_SECOND);
+    const responseTokensDetails = [
+      ...(textTokens > 0 ? [{ modality: 'TEXT', tokenCount: textTokens }] : []),
+      ...(audioTokens > 0 ? [{ modality: 'AUDIO', tokenCount: audioTokens }] : []),
+    ];
+    
+    return {
+      promptTokenCount,
+      responseTokenCount: textTokens + audioTokens,
+      totalTokenCount: promptTokenCount + textTokens + audioTokens,
+      promptTokensDetails: [{ modality: 'TEXT', tokenCount: promptTokenCount }],
+      responseTokensDetails,
+    };
+  }
+  
+  /**
+   * Picks the scripted reply for a user turn
+   * Matching replies win; otherwise unmatched replies are used in order
+   * 
+   * @private
+   * @param {string} userText - Latest user turn text
+   * @returns {MockReply} Selected reply
+   */
+  function selectReply(userText) {
+    const matched = replies.find(r => r.match && (r.pattern || new RegExp(r.match, 'i')).test(userText));
+    if (matched) return matched;
+    
+    const sequential = replies.filter(r => !r.match);
+    if (sequential.length === 0) {
+      return { text: DEFAULTS.FALLBACK_REPLY };
+    }
+    
+    const reply = sequential[sequentialReplyIndex % sequential.length];
+    sequentialReplyIndex++;
+    return reply;
+  }
+  
+  // ============================================================
+  // SESSION HANDLING
+  // ============================================================
+  
+  /**
+   * Handles a single client connection
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   */
+  function handleConnection(ws) {
+    stats.connections++;
+    
+    /** Per-session state */
+    const session = {
+      modalities: ['AUDIO'],
+      outputTranscription: false,
+      sessionResumption: false,
+      audioMsSinceTranscript: 0,
+      timers: new Set(),
+      onClose: new Set(),  // Settle replies waiting on cleared timers
+      replying: Promise.resolve(),
+    };
+    
+    logger.info('[mock-gemini] Client connected');
+    
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        logger.warn('[mock-gemini] Ignoring non-JSON message');
+        return;
+      }
+      
+      if (message.setup) {
+        handleSetup(ws, session, message.setup);
+      } else if (message.realtimeInput) {
+        handleRealtimeInput(ws, session, message.realtimeInput);
+      } else if (message.clientContent) {
+        // Serialize replies so overlapping turns don't interleave audio
+        session.replying = session.replying
+          .then(() => handleClientContent(ws, session, message.clientContent))
+          .catch(error => handleReplyError(ws, error));
+      }
+    });
+    
+    ws.on('close', () => {
+      session.timers.forEach(clearTimeout);
+      session.timers.clear();
+      session.onClose.forEach(settle => settle());
+      logger.info('[mock-gemini] Client disconnected');
+    });
+  }
+  
+  /**
+   * Reports a reply that failed (e.g. unreadable audio) and ends the turn, so the chain
+   * stays usable and the client does not wait forever for turnComplete
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Error} error - Reply error
+   */
+  function handleReplyError(ws, error) {
+    logger.error('[mock-gemini] Reply failed:', error.message);
+    send(ws, { error: { code: 500, status: 'INTERNAL', message: error.message } });
+    send(ws, { serverContent: { turnComplete: true } });
+  }
+  
+  /**
+   * Sends a JSON message if the socket is still open
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} message - Message to send
+   */
+  function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+  
+  /**
+   * Schedules a callback tied to the session lifetime
+   * 
+   * @private
+   * @param {Object} session - Session state
+   * @param {Function} fn - Callback
+   * @param {number} delayMs - Delay in ms
+   */
+  function schedule(session, fn, delayMs) {
+    const timer = setTimeout(() => {
+      session.timers.delete(timer);
+      fn();
+    }, delayMs);
+    session.timers.add(timer);
+  }
+  
+  /**
+   * Handles the setup message
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   * @param {Object} setup - Setup payload
+   */
+  function handleSetup(ws, session, setup) {
+    const generationConfig = setup.generation_config || setup.generationConfig || {};
+    const modalities = generationConfig.response_modalities || generationConfig.responseModalities;
+    
+    if (Array.isArray(modalities) && modalities.length > 0) {
+      session.modalities = modalities.map(m => String(m).toUpperCase());
+    }
+    session.outputTranscription = Boolean(setup.output_audio_transcription || setup.outputAudioTranscription);
+    
+    // Kept so tests can check which persona the client configured
+    const systemInstruction = setup.system_instruction || setup.systemInstruction;
+    if (systemInstruction && Array.isArray(systemInstruction.parts)) {
+      stats.lastSystemInstruction = systemInstruction.parts.map(part => part.text || '').join('');
+    }
+    
+    // Resuming needs a handle this server gave out; the real API refuses unknown ones too
+    const resumption = setup.session_resumption || setup.sessionResumption;
+    session.sessionResumption = Boolean(resumption);
+    if (resumption && resumption.handle) {
+      if (!resumptionHandles.has(resumption.handle)) {
+        logger.warn('[mock-gemini] Unknown resumption handle, closing');
+        ws.close(1008, 'Invalid session handle');
+        return;
+      }
+      stats.resumedSessions++;
+    }
+    
+    stats.setups++;
+    logger.info(`[mock-gemini] Setup for ${setup.model || 'unknown model'} (${session.modalities.join('+')})${resumption && resumption.handle ? ' - resumed' : ''}`);
+    send(ws, { setupComplete: {} });
+    sendResumptionHandle(ws, session);
+    
+    if (script.sessionLimitMs > 0) {
+      scheduleSessionEnd(ws, session);
+    }
+  }
+  
+  /**
+   * Gives the client a new resumption handle (if it asked for them)
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   */
+  function sendResumptionHandle(ws, session) {
+    if (!session.sessionResumption) return;
+    
+    const handle = `mock-session-${resumptionHandles.size + 1}`;
+    resumptionHandles.add(handle);
+    send(ws, { sessionResumptionUpdate: { newHandle: handle, resumable: true } });
+  }
+  
+  /**
+   * Sends goAway before the session limit and closes the socket when it is reached
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   */
+  function scheduleSessionEnd(ws, session) {
+    const noticeMs = Math.min(DEFAULTS.GO_AWAY_NOTICE_MS, script.sessionLimitMs / 2);
+    
+    schedule(session, () => {
+      stats.goAways++;
+      logger.info('[mock-gemini] Session limit close, sending goAway');
+      send(ws, { goAway: { timeLeft: `${noticeMs / 1000}s` } });
+    }, script.sessionLimitMs - noticeMs);
+    
+    schedule(session, () => ws.close(1000, 'Session limit reached'), script.sessionLimitMs);
+  }
+  
+  /**
+   * Handles streamed input audio
+   * Emits the next scripted transcript once enough audio has arrived
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   * @param {Object} realtimeInput - realtimeInput payload
+   */
+  function handleRealtimeInput(ws, session, realtimeInput) {
+    const chunks = realtimeInput.mediaChunks || (realtimeInput.audio ? [realtimeInput.audio] : []);
+    
+    for (const chunk of chunks) {
+      if (!chunk.data || !String(chunk.mimeType || '').startsWith('audio/')) continue;
+      
+      const bytes = Buffer.from(chunk.data, 'base64').length;
+      const ms = (bytes / 2) / parseRate(chunk.mimeType) * 1000;
+      session.audioMsSinceTranscript += ms;
+      stats.audioMsReceived += ms;
+    }
+    
+    if (session.audioMsSinceTranscript >= audioMsPerTranscript && transcriptIndex < transcripts.length) {
+      session.audioMsSinceTranscript = 0;
+      emitTranscript(ws, session, transcripts[transcriptIndex++]);
+    }
+  }
+  
+  /**
+   * Streams a transcript line as several inputTranscription chunks
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   * @param {string} line - Transcript line
+   */
+  function emitTranscript(ws, session, line) {
+    const words = line.split(/\s+/).filter(Boolean);
+    stats.transcriptsSent++;
+    logger.info('[mock-gemini] 📝 Transcript:', line);
+    
+    for (let i = 0; i < words.length; i += DEFAULTS.WORDS_PER_TRANSCRIPT_CHUNK) {
+      const text = words.slice(i, i + DEFAULTS.WORDS_PER_TRANSCRIPT_CHUNK).join(' ');
+      const delay = (i / DEFAULTS.WORDS_PER_TRANSCRIPT_CHUNK) * DEFAULTS.TRANSCRIPT_CHUNK_INTERVAL_MS;
+      schedule(session, () => {
+        send(ws, { serverContent: { inputTranscription: { text } } });
+      }, delay);
+    }
+  }
+  
+  /**
+   * Handles a clientContent turn by streaming the scripted reply
+   * 
+   * @private
+   * @async
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   * @param {Object} clientContent - clientContent payload
+   * @returns {Promise<void>} Resolves once turnComplete has been sent
+   */
+  async function handleClientContent(ws, session, clientContent) {
+    if (clientContent.turnComplete === false) {
+      // Context-only turns (history priming) don't get a reply
+      return;
+    }
+    
+    const userText = lastUserText(clientContent);
+    const reply = selectReply(userText);
+    stats.turns++;
+    logger.info('[mock-gemini] 💬 Reply:', reply.text.slice(0, 80));
+    
+    const sentText = session.modalities.includes('TEXT') ? reply.text : '';
+    let sentAudioBytes = 0;
+    
+    if (sentText) {
+      send(ws, { serverContent: { modelTurn: { parts: [{ text: reply.text }] } } });
+    }
+    
+    if (session.modalities.includes('AUDIO')) {
+      const pcm = reply.audioFile
+        ? loadReplyAudio(reply.audioPath || path.resolve(script.baseDir || process.cwd(), reply.audioFile))
+        : Buffer.from(synthesizeSpeechTone(reply.text, replySampleRate).buffer);
+      await streamAudio(ws, session, pcm);
+      sentAudioBytes = pcm.length;
+      
+      if (session.outputTranscription) {
+        send(ws, { serverContent: { outputTranscription: { text: reply.text } } });
+      }
+    }
+    
+    send(ws, {
+      serverContent: { turnComplete: true },
+      usageMetadata: estimateUsage(clientContent, sentText, sentAudioBytes),
+    });
+    sendResumptionHandle(ws, session);
+  }
+  
+  /**
+   * Streams reply audio as modelTurn inlineData chunks
+   * 
+   * @private
+   * @param {WebSocket} ws - Client socket
+   * @param {Object} session - Session state
+   * @param {Buffer} pcm - Int16 PCM audio
+   * @returns {Promise<void>} Resolves after the last chunk is sent, or when the socket closes
+   */
+  function streamAudio(ws, session, pcm) {
+    const bytesPerChunk = Math.floor(replySampleRate * DEFAULTS.REPLY_CHUNK_MS / 1000) * 2;
+    const paceMs = realtime ? DEFAULTS.REPLY_CHUNK_MS : 0;
+    let offset = 0;
+    
+    return new Promise((resolve) => {
+      // The close handler clears the pacing timer, so it settles the stream itself
+      const finish = () => {
+        session.onClose.delete(finish);
+        resolve();
+      };
+      session.onClose.add(finish);
+      
+      const sendNext = () => {
+        if (offset >= pcm.length || ws.readyState !== WebSocket.OPEN) {
+          finish();
+          return;
+        }
+        
+        const chunk = pcm.subarray(offset, offset + bytesPerChunk);
+        offset += bytesPerChunk;
+        send(ws, {
+          serverContent: {
+            modelTurn: {
+              parts: [{
+                inlineData: {
+                  mimeType: `audio/pcm;rate=${replySampleRate}`,
+                  data: chunk.toString('base64'),
+                },
+              }],
+            },
+          },
+        });
+        schedule(session, sendNext, paceMs);
+      };
+      
+      sendNext();
+    });
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Starts the mock server
+   * 
+   * @returns {Promise<void>} Resolves when listening
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      if (wss) {
+        resolve();
+        return;
+      }
+      
+      wss = new WebSocket.Server({ port, host });
+      wss.on('connection', handleConnection);
+      wss.on('error', (error) => {
+        logger.error('[mock-gemini] Server error:', error.message);
+        reject(error);
+      });
+      wss.on('listening', () => {
+        logger.info(`[mock-gemini] Listening on ${getUrl()}`);
+        logger.info(`[mock-gemini] ${transcripts.length} transcripts, ${replies.length} replies scripted`);
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Stops the mock server and closes all client sockets
+   * 
+   * @returns {Promise<void>} Resolves when closed
+   */
+  function stop() {
+    return new Promise((resolve) => {
+      if (!wss) {
+        resolve();
+        return;
+      }
+      
+      wss.clients.forEach(client => client.terminate());
+      wss.close(() => {
+        wss = null;
+        logger.info('[mock-gemini] Stopped');
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Returns the WebSocket URL for GEMINI_WS_URL
+   * 
+   * @returns {string} URL such as ws://localhost:8765/ws
+   */
+  function getUrl() {
+    const address = wss && wss.address();
+    const boundPort = address && typeof address === 'object' ? address.port : port;
+    return `ws://localhost:${boundPort}/ws`;
+  }
+  
+  /**
+   * Returns a snapshot of server counters
+   * 
+   * @returns {Object} Stats copy
+   */
+  function getStats() {
+    return { ...stats, transcriptIndex };
+  }
+  
+  return {
+    start,
+    stop,
+    getUrl,
+    getStats,
+  };
+}
+
+// ============================================================
+// STANDALONE ENTRY POINT
+// ============================================================
+
+if (require.main === module) {
+  const { createLogger } = require('../utils/logger');
+  const logger = createLogger({ level: process.env.LOG_LEVEL || 'info', prefix: '[Mock]' });
+  const scriptPath = process.argv[2] || process.env.MOCK_GEMINI_SCRIPT ||
+    path.join(__dirname, '..', '..', 'fixtures', 'interview-script.json');
+  
+  const server = createMockGeminiServer({
+    port: parseInt(process.env.MOCK_GEMINI_PORT, 10) || DEFAULTS.PORT,
+    script: loadMockScript(scriptPath),
+    logger,
+  });
+  
+  server.start().catch((error) => {
+    logger.error('Failed to start mock server:', error.message);
+    process.exit(1);
+  });
+  
+  process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => server.stop().then(() => process.exit(0)));
+}
+
+module.exports = {
+  createMockGeminiServer,
+  loadMockScript,
+  DEFAULTS,
+};
@@ -0,0 +1,23 @@
+/**
+ * Mock Module Index
+ * 
+ * @module mock
+ * @description Re-exports local stand-ins for external services used in offline runs.
+ * 
+ * @example
+ * const { createMockGeminiServer, createMockInterviewSite } = require('./mock');
+ */
+
+'use strict';
+
+const geminiLiveServer = require('./gemini-live-server');
+const interviewSite = require('./interview-site');
+
+module.exports = {
+  // From gemini-live-server
+  createMockGeminiServer: geminiLiveServer.createMockGeminiServer,
+  loadMockScript: geminiLiveServer.loadMockScript,
+
+  // From interview-site
+  createMockInterviewSite: interviewSite.createMockInterviewSite,
+};
@@ -0,0 +1,386 @@
+/**
+ * Mock Interview Site Module
+ * 
+ * @module mock/interview-site
+ * @description Local fixture site that mimics the Arbor/Umi candidate flow so the
+ *              auto-progress and question-detection logic can be regression tested
+ *              without the live staging site.
+ * 
+ * Screens (in order):
+ * 1. Password gate            - input[type=password] + "Continue"
+ * 2. Language select          - native <select>, custom combobox or radio group (?lang=native|custom|radio)
+ * 3. Instructions             - "Let's get started" / "Get Started"
+ * 4. Device check             - "Start voice interview" (+ "Skip")
+ * 5. Live interview           - WebRTC-free interviewer: questions play as audio and
+ *                               appear in an aria-live region; keyboard toggle reveals a textarea
+ * 6. Completion               - "Thank you" screen
+ * 
+ * The page reports what happened (screens, questions, answers) to POST /api/events,
+ * which tests can read back through getEvents() or GET /api/events.
+ * 
+ * @example
+ * const { createMockInterviewSite } = require('./mock/interview-site');
+ * 
+ * const site = createMockInterviewSite({ port: 8080, password: 'letmein' });
+ * await site.start();
+ * // INTERVIEW_URL=http://localhost:8080/session/demo?lang=custom
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only serves the fixture site and records page events
+ * - Open/Closed: Questions and variants come from options/query string
+ * - Dependency Inversion: Logger injected as dependency
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { encodeWAV } = require('../audio/wav-encoder');
+const { synthesizeSpeechTone } = require('./speech-tone');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  PORT: 8080,
+  HOST: '0.0.0.0',
+  QUESTION_SAMPLE_RATE: 24000,
+  ANSWER_SILENCE_MS: 2500,
+  ANSWER_TIMEOUT_MS: 45000,
+  LANGUAGES: ['English', 'Español', 'हिन्दी', 'Français', 'Deutsch'],
+  QUESTIONS: [
+    'Hi, I am Umi and I will be running your interview today. Can you tell me a little about yourself?',
+    'What was the most challenging project you worked on recently?',
+    'Do you have any questions for me?',
+  ],
+};
+
+/**
+ * Static assets served from ./site
+ * @constant {Object.<string, {file: string, type: string}>}
+ */
+const STATIC_FILES = {
+  '/static/app.js': { file: 'app.js', type: 'application/javascript' },
+  '/static/styles.css': { file: 'styles.css', type: 'text/css' },
+};
+
+/**
+ * @typedef {Object} MockSiteOptions
+ * @property {number} [port=8080] - Port to listen on
+ * @property {string} [host='0.0.0.0'] - Interface to bind
+ * @property {string} [password=''] - Interview password (empty skips the gate)
+ * @property {string[]} [questions] - Interviewer questions, in order
+ * @property {number} [answerSilenceMs=2500] - Candidate silence that ends an answer
+ * @property {number} [answerTimeoutMs=45000] - Move on if the candidate never answers
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} MockSiteEvent
+ * @property {string} type - Event type (screen, question, answer-start, answer, typed-answer, ...)
+ * @property {Object} [data] - Event payload
+ * @property {number} timestamp - Server receive time (ms since epoch)
+ */
+
+/**
+ * Creates a new mock interview site instance
+ * 
+ * @param {MockSiteOptions} [options={}] - Site configuration
+ * @returns {{start: Function, stop: Function, getUrl: Function, getEvents: Function, clearEvents: Function}}
+ * 
+ * @example
+ * const site = createMockInterviewSite({ port: 0 });
+ * await site.start();
+ * await page.goto(site.getUrl('/session/demo?lang=native'));
+ */
+function createMockInterviewSite(options = {}) {
+  const {
+    port = DEFAULTS.PORT,
+    host = DEFAULTS.HOST,
+    password = '',
+    questions = DEFAULTS.QUESTIONS,
+    answerSilenceMs = DEFAULTS.ANSWER_SILENCE_MS,
+    answerTimeoutMs = DEFAULTS.ANSWER_TIMEOUT_MS,
+    logger = console,
+  } = options;
+  
+  /** @type {http.Server|null} */
+  let server = null;
+  
+  /**
+   * Events reported by the page
+   * @type {MockSiteEvent[]}
+   */
+  const events = [];
+  
+  /**
+   * Cache of synthesized question audio, keyed by question index
+   * @type {Map<number, Buffer>}
+   */
+  const audioCache = new Map();
+  
+  const siteDir = path.join(__dirname, 'site');
+  
+  // ============================================================
+  // RESPONSE HELPERS
+  // ============================================================
+  
+  /**
+   * Sends a JSON response
+   * 
+   * @private
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {number} statusCode - HTTP status
+   * @param {Object} body - Response body
+   */
+  function sendJSON(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+  
+  /**
+   * Reads and parses a JSON request body
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @returns {Promise<Object>} Parsed body ({} when empty or invalid)
+   */
+  function readJSONBody(req) {
+    return new Promise((resolve) => {
+      let raw = '';
+      req.on('data', (chunk) => {
+        raw += chunk;
+      });
+      req.on('end', () => {
+        try {
+          resolve(raw ? JSON.parse(raw) : {});
+        } catch (error) {
+          resolve({});
+        }
+      });
+    });
+  }
+  
+  /**
+   * Returns (and caches) the WAV audio for a question
+   * 
+   * @private
+   * @param {number} index - Question index
+   * @returns {Buffer} WAV file contents
+   */
+  function getQuestionAudio(index) {
+    if (!audioCache.has(index)) {
+      const pcm = synthesizeSpeechTone(questions[index], DEFAULTS.QUESTION_SAMPLE_RATE, { pitches: [140, 170] });
+      audioCache.set(index, encodeWAV(pcm, DEFAULTS.QUESTION_SAMPLE_RATE));
+    }
+    return audioCache.get(index);
+  }
+  
+  // ============================================================
+  // ROUTING
+  // ============================================================
+  
+  /**
+   * Handles incoming HTTP requests
+   * 
+   * @private
+   * @async
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = url.pathname;
+    
+    try {
+      if (req.method === 'GET' && (route === '/' || route.startsWith('/session/'))) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(fs.readFileSync(path.join(siteDir, 'index.html')));
+        return;
+      }
+      
+      if (req.method === 'GET' && STATIC_FILES[route]) {
+        const { file, type } = STATIC_FILES[route];
+        res.writeHead(200, { 'Content-Type': type });
+        res.end(fs.readFileSync(path.join(siteDir, file)));
+        return;
+      }
+      
+      if (req.method === 'GET' && route === '/api/session') {
+        sendJSON(res, 200, {
+          passwordRequired: Boolean(password),
+          languages: DEFAULTS.LANGUAGES,
+          questionCount: questions.length,
+          answerSilenceMs,
+          answerTimeoutMs,
+        });
+        return;
+      }
+      
+      if (req.method === 'POST' && route === '/api/password') {
+        const body = await readJSONBody(req);
+        const ok = !password || body.password === password;
+        sendJSON(res, ok ? 200 : 401, { ok });
+        return;
+      }
+      
+      const questionMatch = /^\/api\/questions\/(\d+)$/.exec(route);
+      if (req.method === 'GET' && questionMatch) {
+        const index = parseInt(questionMatch[1], 10);
+        if (index >= questions.length) {
+          sendJSON(res, 404, { error: 'No more questions' });
+          return;
+        }
+        sendJSON(res, 200, { index, text: questions[index], audio: `/audio/question-${index}.wav` });
+        return;
+      }
+      
+      const audioMatch = /^\/audio\/question-(\d+)\.wav$/.exec(route);
+      if (req.method === 'GET' && audioMatch && parseInt(audioMatch[1], 10) < questions.length) {
+        res.writeHead(200, { 'Content-Type': 'audio/wav' });
+        res.end(getQuestionAudio(parseInt(audioMatch[1], 10)));
+        return;
+      }
+      
+      if (route === '/api/events') {
+        if (req.method === 'POST') {
+          const body = await readJSONBody(req);
+          const event = { type: String(body.type || 'unknown'), data: body.data || {}, timestamp: Date.now() };
+          events.push(event);
+          logger.info(`[mock-site] ${event.type}`, Object.keys(event.data).length ? JSON.stringify(event.data) : '');
+          sendJSON(res, 200, { ok: true });
+        } else {
+          sendJSON(res, 200, { events });
+        }
+        return;
+      }
+      
+      sendJSON(res, 404, { error: 'Not Found', path: route });
+    } catch (error) {
+      logger.error('[mock-site] Request error:', error.message);
+      sendJSON(res, 500, { error: error.message });
+    }
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Starts the mock site
+   * 
+   * @returns {Promise<void>} Resolves when listening
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      if (server) {
+        resolve();
+        return;
+      }
+      
+      server = http.createServer(handleRequest);
+      server.on('error', (error) => {
+        logger.error('[mock-site] Server error:', error.message);
+        reject(error);
+      });
+      server.listen(port, host, () => {
+        logger.info(`[mock-site] Listening on ${getUrl('/session/demo')}`);
+        logger.info(`[mock-site] ${questions.length} questions, password ${password ? 'required' : 'not required'}`);
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Stops the mock site
+   * 
+   * @returns {Promise<void>} Resolves when closed
+   */
+  function stop() {
+    return new Promise((resolve) => {
+      if (!server) {
+        resolve();
+        return;
+      }
+      
+      server.close(() => {
+        server = null;
+        logger.info('[mock-site] Stopped');
+        resolve();
+      });
+    });
+  }
+  
+  /**
+   * Returns a URL on the mock site
+   * 
+   * @param {string} [pathname='/session/demo'] - Path (and optional query string)
+   * @returns {string} Absolute URL
+   */
+  function getUrl(pathname = '/session/demo') {
+    const address = server && server.address();
+    const boundPort = address && typeof address === 'object' ? address.port : port;
+    return `http://localhost:${boundPort}${pathname}`;
+  }
+  
+  /**
+   * Returns a copy of the events reported by the page
+   * 
+   * @returns {MockSiteEvent[]} Recorded events
+   */
+  function getEvents() {
+    return [...events];
+  }
+  
+  /**
+   * Clears recorded events (between test cases)
+   */
+  function clearEvents() {
+    events.length = 0;
+  }
+  
+  return {
+    start,
+    stop,
+    getUrl,
+    getEvents,
+    clearEvents,
+  };
+}
+
+// ============================================================
+// STANDALONE ENTRY POINT
+// ============================================================
+
+if (require.main === module) {
+  const { createLogger } = require('../utils/logger');
+  const { loadMockScript } = require('./gemini-live-server');
+  const logger = createLogger({ level: process.env.LOG_LEVEL || 'info', prefix: '[Mock]' });
+  const scriptPath = process.argv[2] || process.env.MOCK_GEMINI_SCRIPT ||
+    path.join(__dirname, '..', '..', 'fixtures', 'interview-script.json');
+  
+  // Share the interviewer lines with the mock Gemini server so transcripts line up
+  const script = loadMockScript(scriptPath);
+  
+  const site = createMockInterviewSite({
+    port: parseInt(process.env.MOCK_SITE_PORT, 10) || DEFAULTS.PORT,
+    password: process.env.MOCK_SITE_PASSWORD || '',
+    questions: script.transcripts && script.transcripts.length ? script.transcripts : DEFAULTS.QUESTIONS,
+    logger,
+  });
+  
+  site.start().catch((error) => {
+    logger.error('Failed to start mock site:', error.message);
+    process.exit(1);
+  });
+  
+  process.on('SIGINT', () => site.stop().then(() => process.exit(0)));
+  process.on('SIGTERM', () => site.stop().then(() => process.exit(0)));
+}
+
+module.exports = {
+  createMockInterviewSite,
+  DEFAULTS,
+};
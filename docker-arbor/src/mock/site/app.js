@@ -0,0 +1,360 @@
+/**
+ * Mock Interview Site - Page Script
+ * 
+ * Drives the candidate flow screens and the WebRTC-free interviewer.
+ * Every meaningful step is reported to POST /api/events so tests can
+ * assert on what the bot did.
+ */
+
+(function() {
+  'use strict';
+  
+  // ============================================================
+  // STATE
+  // ============================================================
+  
+  const params = new URLSearchParams(window.location.search);
+  const languageVariant = params.get('lang') || 'native';
+  
+  let session = null;
+  let selectedLanguage = '';
+  let micStream = null;
+  let micAnalyser = null;
+  let typedAnswerResolver = null;
+  
+  // ============================================================
+  // HELPERS
+  // ============================================================
+  
+  function $(id) {
+    return document.getElementById(id);
+  }
+  
+  function report(type, data) {
+    fetch('/api/events', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: type, data: data || {} }),
+    }).catch(function() {});
+  }
+  
+  function showScreen(name) {
+    document.querySelectorAll('.screen').forEach(function(el) {
+      el.hidden = el.id !== 'screen-' + name;
+    });
+    report('screen', { name: name });
+  }
+  
+  function wait(ms) {
+    return new Promise(function(resolve) { setTimeout(resolve, ms); });
+  }
+  
+  async function fetchJSON(url, init) {
+    const res = await fetch(url, init);
+    return { status: res.status, body: await res.json() };
+  }
+  
+  // ============================================================
+  // MICROPHONE
+  // ============================================================
+  
+  async function ensureMic() {
+    if (micAnalyser) return true;
+    
+    try {
+      micStream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+      const ctx = new (window.AudioContext || window.webkitAudioContext)();
+      const source = ctx.createMediaStreamSource(micStream);
+      micAnalyser = ctx.createAnalyser();
+      micAnalyser.fftSize = 2048;
+      source.connect(micAnalyser);
+      report('mic', { ok: true });
+      return true;
+    } catch (e) {
+      report('mic', { ok: false, error: e.message });
+      return false;
+    }
+  }
+  
+  function micLevel() {
+    if (!micAnalyser) return 0;
+    const data = new Float32Array(micAnalyser.fftSize);
+    micAnalyser.getFloatTimeDomainData(data);
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    return Math.sqrt(sum / data.length);
+  }
+  
+  // ============================================================
+  // SCREEN 1: PASSWORD
+  // ============================================================
+  
+  function setupPassword() {
+    $('password-form').addEventListener('submit', async function(event) {
+      event.preventDefault();
+      const result = await fetchJSON('/api/password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: $('password').value }),
+      });
+      
+      if (result.body.ok) {
+        report('password', { ok: true });
+        showScreen('language');
+      } else {
+        $('password-error').hidden = false;
+        report('password', { ok: false });
+      }
+    });
+  }
+  
+  // ============================================================
+  // SCREEN 2: LANGUAGE
+  // ============================================================
+  
+  function chooseLanguage(language) {
+    selectedLanguage = language;
+    $('language-continue').disabled = !language;
+    report('language', { language: language, variant: languageVariant });
+  }
+  
+  function setupLanguage() {
+    const languages = session.languages;
+    
+    if (languageVariant === 'custom') {
+      const trigger = $('language-trigger');
+      const menu = $('language-options');
+      $('language-custom').hidden = false;
+      
+      languages.forEach(function(language) {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        li.textContent = language;
+        li.addEventListener('click', function() {
+          trigger.textContent = language;
+          menu.hidden = true;
+          trigger.setAttribute('aria-expanded', 'false');
+          chooseLanguage(language);
+        });
+        menu.appendChild(li);
+      });
+      
+      trigger.addEventListener('click', function() {
+        menu.hidden = !menu.hidden;
+        trigger.setAttribute('aria-expanded', String(!menu.hidden));
+      });
+    } else if (languageVariant === 'radio') {
+      const fieldset = $('language-radio');
+      fieldset.hidden = false;
+      
+      languages.forEach(function(language) {
+        const label = document.createElement('label');
+        const input = document.createElement('input');
+        input.type = 'radio';
+        input.name = 'language-radio';
+        input.value = language;
+        input.addEventListener('change', function() { chooseLanguage(language); });
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(' ' + language));
+        fieldset.appendChild(label);
+      });
+    } else {
+      const select = $('language-select');
+      $('language-native').hidden = false;
+      
+      languages.forEach(function(language) {
+        const option = document.createElement('option');
+        option.value = language.toLowerCase();
+        option.textContent = language;
+        select.appendChild(option);
+      });
+      
+      select.addEventListener('change', function() {
+        const option = select.options[select.selectedIndex];
+        chooseLanguage(select.value ? option.textContent : '');
+      });
+    }
+    
+    $('language-continue').addEventListener('click', function() {
+      if (!selectedLanguage) return;
+      showScreen('instructions');
+    });
+  }
+  
+  // ============================================================
+  // SCREENS 3-4: INSTRUCTIONS + DEVICE CHECK
+  // ============================================================
+  
+  function setupInstructions() {
+    $('instructions-start').addEventListener('click', async function() {
+      showScreen('device');
+      
+      if (!(await ensureMic())) {
+        $('device-error').textContent = 'Microphone unavailable - you can still continue.';
+        $('device-error').hidden = false;
+        return;
+      }
+      
+      const meter = $('device-meter');
+      const tick = setInterval(function() {
+        if ($('screen-device').hidden) {
+          clearInterval(tick);
+          return;
+        }
+        meter.style.width = Math.min(100, micLevel() * 1000) + '%';
+      }, 100);
+    });
+    
+    $('device-start').addEventListener('click', function() { startInterview('start'); });
+    $('device-skip').addEventListener('click', function() { startInterview('skip'); });
+  }
+  
+  // ============================================================
+  // SCREEN 5: LIVE INTERVIEW (WebRTC-free interviewer)
+  // ============================================================
+  
+  function setStatus(text) {
+    $('live-status').textContent = text;
+  }
+  
+  function showQuestion(text) {
+    const caption = $('interviewer-caption');
+    caption.innerHTML = '';
+    const p = document.createElement('p');
+    p.textContent = text;
+    caption.appendChild(p);
+  }
+  
+  function playQuestionAudio(url, text) {
+    return new Promise(function(resolve) {
+      const audio = new Audio(url);
+      // Fallback if autoplay is blocked: wait roughly as long as the audio would take
+      const fallbackMs = text.split(/\s+/).length * 300 + 500;
+      let done = false;
+      const finish = function(how) {
+        if (done) return;
+        done = true;
+        resolve(how);
+      };
+      
+      audio.addEventListener('ended', function() { finish('played'); });
+      audio.addEventListener('error', function() { setTimeout(function() { finish('error'); }, fallbackMs); });
+      audio.play().catch(function() { setTimeout(function() { finish('blocked'); }, fallbackMs); });
+    });
+  }
+  
+  function waitForAnswer() {
+    return new Promise(function(resolve) {
+      const startedAt = Date.now();
+      const threshold = 0.01;
+      let firstVoiceAt = 0;
+      let lastVoiceAt = 0;
+      let finished = false;
+      
+      const finish = function(method, extra) {
+        if (finished) return;
+        finished = true;
+        clearInterval(poll);
+        typedAnswerResolver = null;
+        resolve(Object.assign({
+          method: method,
+          latencyMs: firstVoiceAt ? firstVoiceAt - startedAt : null,
+          durationMs: firstVoiceAt ? lastVoiceAt - firstVoiceAt : 0,
+        }, extra || {}));
+      };
+      
+      typedAnswerResolver = function(text) { finish('typed', { text: text }); };
+      
+      const poll = setInterval(function() {
+        const now = Date.now();
+        const speaking = micLevel() > threshold;
+        
+        if (speaking) {
+          if (!firstVoiceAt) {
+            firstVoiceAt = now;
+            report('answer-start', { latencyMs: now - startedAt });
+          }
+          lastVoiceAt = now;
+          $('mic-indicator').classList.add('active');
+        } else {
+          $('mic-indicator').classList.remove('active');
+        }
+        
+        if (firstVoiceAt && now - lastVoiceAt >= session.answerSilenceMs) {
+          finish('voice');
+        } else if (now - startedAt >= session.answerTimeoutMs) {
+          finish('timeout');
+        }
+      }, 100);
+    });
+  }
+  
+  function setupLive() {
+    $('keyboard-toggle').addEventListener('click', function() {
+      $('typed-answer').hidden = !$('typed-answer').hidden;
+      report('keyboard', { visible: !$('typed-answer').hidden });
+    });
+    
+    $('typed-answer').addEventListener('submit', function(event) {
+      event.preventDefault();
+      const text = $('typed-answer-input').value.trim();
+      if (!text) return;
+      $('typed-answer-input').value = '';
+      report('typed-answer', { text: text });
+      if (typedAnswerResolver) typedAnswerResolver(text);
+    });
+    
+    $('exit-interview').addEventListener('click', function() {
+      report('exit', {});
+      showScreen('complete');
+    });
+  }
+  
+  async function startInterview(via) {
+    showScreen('live');
+    report('interview-start', { via: via });
+    await ensureMic();
+    
+    for (let i = 0; i < session.questionCount; i++) {
+      if ($('screen-live').hidden) return; // exited
+      
+      const question = (await fetchJSON('/api/questions/' + i)).body;
+      showQuestion(question.text);
+      setStatus('Umi is speaking');
+      report('question', { index: i, text: question.text });
+      
+      const playback = await playQuestionAudio(question.audio, question.text);
+      report('question-audio-end', { index: i, playback: playback });
+      
+      setStatus('Listening…');
+      const answer = await waitForAnswer();
+      report('answer', Object.assign({ index: i }, answer));
+      
+      await wait(500);
+    }
+    
+    report('complete', {});
+    showScreen('complete');
+  }
+  
+  // ============================================================
+  // INITIALIZATION
+  // ============================================================
+  
+  async function init() {
+    session = (await fetchJSON('/api/session')).body;
+    
+    setupPassword();
+    setupLanguage();
+    setupInstructions();
+    setupLive();
+    
+    showScreen(session.passwordRequired ? 'password' : 'language');
+  }
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,58 @@
+/**
+ * Speech Tone Module
+ * 
+ * @module mock/speech-tone
+ * @description Synthesizes speech-like tone bursts for the mock services.
+ *              One voiced syllable per word keeps VAD, silence timers and
+ *              playback durations behaving like real speech without a TTS engine.
+ */
+
+'use strict';
+
+const { float32ToInt16 } = require('../audio/processor');
+
+/**
+ * Duration of one synthesized word in milliseconds
+ * @constant {number}
+ */
+const MS_PER_WORD = 300;
+
+/**
+ * Synthesizes a speech-like tone burst for a line of text
+ * 
+ * @param {string} text - Text to "speak" (only the word count matters)
+ * @param {number} sampleRate - Output sample rate in Hz
+ * @param {Object} [options={}] - Synthesis options
+ * @param {number[]} [options.pitches=[180, 220]] - Alternating syllable pitches in Hz
+ * @param {number} [options.amplitude=0.3] - Peak amplitude (0-1)
+ * @returns {Int16Array} Mono Int16 PCM
+ * 
+ * @example
+ * const pcm = synthesizeSpeechTone('Tell me about yourself', 24000);
+ */
+function synthesizeSpeechTone(text, sampleRate, options = {}) {
+  const {
+    pitches = [180, 220],
+    amplitude = 0.3,
+  } = options;
+  
+  const words = Math.max(1, String(text || '').split(/\s+/).filter(Boolean).length);
+  const samplesPerWord = Math.floor(sampleRate * MS_PER_WORD / 1000);
+  const voiced = Math.floor(samplesPerWord * 0.75);
+  const float32 = new Float32Array(words * samplesPerWord);
+  
+  for (let w = 0; w < words; w++) {
+    const freq = pitches[w % pitches.length];
+    for (let i = 0; i < voiced; i++) {
+      const envelope = Math.sin(Math.PI * i / voiced);
+      float32[w * samplesPerWord + i] = amplitude * envelope * Math.sin(2 * Math.PI * freq * i / sampleRate);
+    }
+  }
+  
+  return float32ToInt16(float32);
+}
+
+module.exports = {
+  synthesizeSpeechTone,
+  MS_PER_WORD,
+};
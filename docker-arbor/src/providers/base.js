@@ -0,0 +1,239 @@
+/**
+ * Provider Base Module
+ * 
+ * @module providers/base
+ * @description The contract every speech/LLM provider implements, plus the pieces the
+ *              implementations share: a multi-listener event registry and a helper that
+ *              runs a local process with a timeout. A provider serves one or more roles:
+ *              'stt' (transcribe a stream of interviewer audio), 'llm' (generate a reply
+ *              to conversation turns) and 'tts' (synthesize speech).
+ * 
+ * @example
+ * const { createProviderEvents, ProviderEvent } = require('./providers/base');
+ * 
+ * const events = createProviderEvents({ tag: 'whisper' });
+ * events.on(ProviderEvent.TRANSCRIPTION, (text, type) => console.log(type, text));
+ * events.emit(ProviderEvent.TRANSCRIPTION, 'Tell me about yourself', 'input');
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only defines the provider contract and shared plumbing
+ * - Liskov Substitution: Gemini and local providers are interchangeable behind Provider
+ * - Interface Segregation: Providers implement only the methods of the roles they serve
+ */
+
+'use strict';
+
+const { spawn } = require('child_process');
+
+/**
+ * Roles a provider can serve
+ * @readonly
+ * @enum {string}
+ */
+const ProviderRole = {
+  /** Speech-to-text: interviewer audio in, input transcriptions out */
+  STT: 'stt',
+  /** Reply generation: conversation turns in, answer text out */
+  LLM: 'llm',
+  /** Text-to-speech: answer text in, audio out */
+  TTS: 'tts',
+};
+
+/**
+ * Events providers emit (the same names and arguments as the Gemini LLM client)
+ * @readonly
+ * @enum {string}
+ */
+const ProviderEvent = {
+  /** (text, 'input'|'output') - interviewer speech, or what the candidate said */
+  TRANSCRIPTION: 'transcription',
+  /** (base64Pcm, sampleRate) - synthesized answer audio, 16-bit mono */
+  AUDIO: 'audio',
+  /** (text) - answer text */
+  TEXT: 'text',
+  /** (error) - a request failed */
+  ERROR: 'error',
+  /** () - connected and ready */
+  READY: 'ready',
+  /** () - the interviewer's turn is over (STT signal) */
+  TURN_END: 'turnEnd',
+  /** () - a reply or synthesis finished; always follows generateReply/synthesize, even when it failed */
+  TURN_COMPLETE: 'turnComplete',
+  /** ({roles, resumed}) - a dropped backend connection is back; a request in flight on it was lost unless resumed */
+  RECONNECTED: 'reconnected',
+  /** ({roles}) - a backend connection (e.g. a Live session) is open; again after every reconnect */
+  CONNECTED: 'connected',
+  /** ({roles, code, reconnecting}) - a backend connection closed */
+  DISCONNECTED: 'disconnected',
+  /** ({roles, model, usage}) - token counts reported by a hosted model (Gemini usageMetadata) */
+  USAGE: 'usage',
+};
+
+/**
+ * Prefix of a turn that asks for text to be spoken verbatim. Used by llm/client speak()
+ * for the repeat requests and operator-typed lines.
+ * @constant {string}
+ */
+const SPEAK_PROMPT = 'Say exactly the following out loud, word for word, and nothing else: ';
+
+/**
+ * @typedef {Object} Provider
+ * @property {string} name - Provider name ('gemini', 'whisper', 'command', 'piper', 'stack')
+ * @property {string[]} roles - Roles it serves (see ProviderRole)
+ * @property {Function} connect - Connect or check the backend (async)
+ * @property {Function} close - Release connections and processes
+ * @property {Function} isReady - Whether requests can be sent
+ * @property {Function} on - Register an event handler (see ProviderEvent)
+ * @property {Function} [transcribe] - STT: (base64Pcm, sampleRate) => boolean, streamed
+ * @property {Function} [generateReply] - LLM: (turns) => boolean, answers the last turn
+ * @property {Function} [synthesize] - TTS: (text) => boolean, speaks text verbatim
+ */
+
+/**
+ * Creates a multi-listener event registry for a provider
+ * 
+ * @param {Object} [options={}] - Registry options
+ * @param {string} [options.tag='provider'] - Log tag
+ * @param {Object} [options.logger=console] - Logger instance
+ * @returns {{on: Function, off: Function, once: Function, emit: Function}} Event registry
+ * 
+ * @example
+ * const events = createProviderEvents({ tag: 'piper', logger });
+ */
+function createProviderEvents(options = {}) {
+  const { tag = 'provider', logger = console } = options;
+  
+  /** @type {Map<string, Set<Function>>} */
+  const handlers = new Map();
+  
+  /**
+   * Registers an event handler
+   * 
+   * @param {string} event - Event name (see ProviderEvent)
+   * @param {Function} handler - Event handler
+   */
+  function on(event, handler) {
+    if (!handlers.has(event)) handlers.set(event, new Set());
+    handlers.get(event).add(handler);
+  }
+  
+  /**
+   * Removes an event handler (also one registered with once)
+   * 
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler passed to on or once
+   */
+  function off(event, handler) {
+    const registered = handlers.get(event);
+    if (!registered) return;
+    
+    for (const candidate of registered) {
+      if (candidate === handler || candidate.listener === handler) {
+        registered.delete(candidate);
+      }
+    }
+  }
+  
+  /**
+   * Registers an event handler that is removed after its first call
+   * 
+   * @param {string} event - Event name
+   * @param {Function} handler - Event handler
+   */
+  function once(event, handler) {
+    const wrapper = (...args) => {
+      off(event, wrapper);
+      handler(...args);
+    };
+    wrapper.listener = handler;
+    on(event, wrapper);
+  }
+  
+  /**
+   * Calls every handler of an event; a failing handler is logged and skipped
+   * 
+   * @param {string} event - Event name
+   * @param {...any} args - Handler arguments
+   */
+  function emit(event, ...args) {
+    for (const handler of handlers.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        logger.error(`[${tag}] Event handler error for '${event}':`, error.message);
+      }
+    }
+  }
+  
+  return { on, off, once, emit };
+}
+
+/**
+ * Runs a local process, writes input to its stdin and collects stdout
+ * 
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {Object} [options={}] - Run options
+ * @param {string|Buffer} [options.input=''] - Written to stdin, which is then closed
+ * @param {number} [options.timeoutMs=60000] - The process is killed after this long
+ * @param {Function} [options.onStdout] - Receives stdout chunks as they arrive (they are then not collected)
+ * @returns {Promise<string>} Collected stdout
+ * @throws {Error} If the process cannot start, exits non-zero or times out
+ * 
+ * @example
+ * const text = await runProcess('whisper-cli', ['-m', model, '-f', file]);
+ */
+function runProcess(command, args, options = {}) {
+  const { input = '', timeoutMs = 60000, onStdout } = options;
+  
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutMs);
+    
+    child.stdout.on('data', (data) => {
+      if (onStdout) {
+        onStdout(data);
+      } else {
+        stdout += data.toString();
+      }
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.stdin.on('error', () => {});  // The process may exit without reading its input
+    
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`${command} failed to start: ${error.message}`));
+    });
+    
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(new Error(`${command} timed out after ${timeoutMs}ms`));
+      } else if (code !== 0) {
+        const details = stderr.trim().split('\n').slice(-3).join(' ');
+        reject(new Error(`${command} exited with code ${code}${details ? ': ' + details : ''}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+    
+    child.stdin.end(input);
+  });
+}
+
+module.exports = {
+  ProviderRole,
+  ProviderEvent,
+  SPEAK_PROMPT,
+  createProviderEvents,
+  runProcess,
+};
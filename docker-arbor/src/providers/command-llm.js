@@ -0,0 +1,166 @@
+/**
+ * Command LLM Provider Module
+ * 
+ * @module providers/command-llm
+ * @description Offline reply generation through any local program that reads a prompt on
+ *              stdin and prints the reply on stdout (e.g. `ollama run llama3.2`, llama.cpp's
+ *              llama-cli, or a script that returns canned answers). The persona and the
+ *              conversation turns are rendered into one plain-text prompt per question.
+ * 
+ * @example
+ * const { createCommandLLMProvider } = require('./providers/command-llm');
+ * 
+ * const llm = createCommandLLMProvider({ command: 'ollama run llama3.2', systemInstruction });
+ * llm.on('text', (text) => speak(text));
+ * llm.generateReply(memory.buildTurns(history, 'The interviewer said: "Why are you leaving?"'));
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only turns conversation turns into answer text
+ * - Open/Closed: The model is whatever the command runs
+ * - Dependency Inversion: Emits provider events; knows nothing of audio
+ */
+
+'use strict';
+
+const { ProviderRole, ProviderEvent, createProviderEvents, runProcess } = require('./base');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  TIMEOUT_MS: 60000,
+};
+
+/**
+ * @typedef {Object} CommandLLMProviderOptions
+ * @property {string} command - Shell command line; gets the prompt on stdin, prints the reply
+ * @property {string} [systemInstruction=''] - Persona, put at the top of every prompt
+ * @property {number} [timeoutMs=60000] - A reply taking longer is abandoned
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Renders conversation turns as a plain-text prompt
+ * 
+ * @param {Array<{role: string, parts: Array<{text: string}>}>} turns - Turns, oldest first; the last one is answered
+ * @param {string} [systemInstruction=''] - Persona
+ * @returns {string} Prompt
+ * 
+ * @example
+ * renderPrompt([{ role: 'user', parts: [{ text: 'Hi' }] }], 'You are Alex.');
+ * // 'You are Alex.\n\nUser: Hi\n\nAssistant:'
+ */
+function renderPrompt(turns, systemInstruction = '') {
+  const lines = turns.map((turn) => {
+    const text = (turn.parts || []).map(part => part.text || '').join('').trim();
+    return `${turn.role === 'model' ? 'Assistant' : 'User'}: ${text}`;
+  });
+  
+  return [systemInstruction.trim(), ...lines, 'Assistant:'].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Creates a provider that generates replies with a local command
+ * 
+ * @param {CommandLLMProviderOptions} options - Provider configuration
+ * @returns {import('./base').Provider} Provider serving llm
+ * @throws {Error} If command is missing
+ * 
+ * @example
+ * const llm = createCommandLLMProvider({ command: './answer.sh' });
+ */
+function createCommandLLMProvider(options = {}) {
+  const {
+    command,
+    systemInstruction = '',
+    timeoutMs = DEFAULTS.TIMEOUT_MS,
+    logger = console,
+  } = options;
+  
+  if (!command) {
+    throw new Error('CommandLLMProvider: command is required');
+  }
+  
+  const events = createProviderEvents({ tag: 'command-llm', logger });
+  
+  /** Replies are generated one at a time, in order */
+  let replying = Promise.resolve();
+  let closed = false;
+  
+  /**
+   * Runs the command for one reply and emits the text
+   * 
+   * @private
+   * @async
+   * @param {string} prompt - Rendered prompt
+   * @returns {Promise<void>}
+   */
+  async function runReply(prompt) {
+    const startedAt = Date.now();
+    
+    try {
+      const output = await runProcess('sh', ['-c', command], { input: prompt, timeoutMs });
+      const text = output.trim();
+      logger.debug(`[command-llm] Reply in ${Date.now() - startedAt}ms (${text.length} chars)`);
+      
+      if (!text) {
+        throw new Error('command printed no reply');
+      }
+      if (!closed) events.emit(ProviderEvent.TEXT, text);
+    } catch (error) {
+      logger.error('[command-llm] Reply failed:', error.message);
+      events.emit(ProviderEvent.ERROR, error);
+    }
+    
+    if (!closed) events.emit(ProviderEvent.TURN_COMPLETE);
+  }
+  
+  /**
+   * Generates a reply to the last turn; it arrives as a 'text' event, then 'turnComplete'
+   * 
+   * @param {Array<{role: string, parts: Array<{text: string}>}>} turns - Turns, oldest first
+   * @returns {boolean} True if accepted
+   */
+  function generateReply(turns) {
+    if (closed || !Array.isArray(turns) || turns.length === 0) return false;
+    
+    const prompt = renderPrompt(turns, systemInstruction);
+    replying = replying.then(() => runReply(prompt));
+    return true;
+  }
+  
+  /**
+   * Nothing to connect to; reports ready
+   * 
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    logger.info(`[command-llm] Ready (${command})`);
+    events.emit(ProviderEvent.READY);
+  }
+  
+  /**
+   * Stops emitting; a running command finishes on its own
+   */
+  function close() {
+    closed = true;
+  }
+  
+  return {
+    name: 'command',
+    roles: [ProviderRole.LLM],
+    connect,
+    close,
+    isReady: () => !closed,
+    on: events.on,
+    generateReply,
+  };
+}
+
+module.exports = {
+  createCommandLLMProvider,
+  renderPrompt,
+  DEFAULTS,
+};
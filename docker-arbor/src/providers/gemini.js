@@ -0,0 +1,168 @@
+/**
+ * Gemini Provider Module
+ * 
+ * @module providers/gemini
+ * @description Gemini Live as a provider for all three roles, over two Live sessions
+ *              (llm/client): a listening session that transcribes the interviewer
+ *              (TEXT replies, which are ignored, plus input transcription) and a speaking
+ *              session that answers with voice (the persona is its system instruction).
+ *              Keeping them apart stops the model from answering the interviewer on its
+ *              own while audio streams in. Only the sessions for the roles Gemini fills
+ *              are opened.
+ * 
+ * @example
+ * const { createGeminiProvider } = require('./providers/gemini');
+ * 
+ * const gemini = createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY });
+ * gemini.on('audio', (base64Audio, sampleRate) => play(base64Audio, sampleRate));
+ * await gemini.connect();
+ * gemini.generateReply(turns);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only maps the provider contract onto the Live API client
+ * - Liskov Substitution: Usable wherever a local provider is
+ * - Dependency Inversion: The Live API client factory can be injected
+ */
+
+'use strict';
+
+const { createLLMClient, EventType: ClientEvent, DEFAULTS: CLIENT_DEFAULTS } = require('../llm/client');
+const { ProviderRole, ProviderEvent, createProviderEvents } = require('./base');
+
+/**
+ * @typedef {Object} GeminiProviderOptions
+ * @property {string} [apiKey] - Gemini API key (optional for a local wsUrl)
+ * @property {string} [model] - Live model identifier
+ * @property {string} [voiceName] - Prebuilt voice
+ * @property {string} [languageCode] - BCP-47 code of the language the speaking session answers in
+ * @property {string} [wsUrl] - BidiGenerateContent endpoint (e.g. the mock server)
+ * @property {string} [systemInstruction] - Persona, sent with the speaking session's setup
+ * @property {string[]} [roles=['stt', 'llm', 'tts']] - Roles to serve (decides which sessions are opened)
+ * @property {Function} [createClient] - Live API client factory (defaults to createLLMClient)
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Creates a Gemini Live provider
+ * 
+ * @param {GeminiProviderOptions} options - Provider configuration
+ * @returns {import('./base').Provider} Provider serving the requested roles
+ * @throws {Error} If apiKey is missing and wsUrl is not a local endpoint
+ * 
+ * @example
+ * const provider = createGeminiProvider({ apiKey, systemInstruction });
+ */
+function createGeminiProvider(options = {}) {
+  const {
+    apiKey,
+    model,
+    voiceName,
+    languageCode,
+    wsUrl,
+    systemInstruction,
+    roles = [ProviderRole.STT, ProviderRole.LLM, ProviderRole.TTS],
+    createClient = createLLMClient,
+    logger = console,
+  } = options;
+  
+  const events = createProviderEvents({ tag: 'gemini', logger });
+  
+  // Listening session: its own replies are never used, only the input transcription
+  const listener = roles.includes(ProviderRole.STT)
+    ? createClient({
+      apiKey,
+      model,
+      wsUrl,
+      responseModalities: ['TEXT'],
+      inputTranscription: true,
+      outputTranscription: false,
+      logger,
+    })
+    : null;
+  
+  // Speaking session: answers turns (or speaks text verbatim) as the persona
+  const speaker = roles.includes(ProviderRole.LLM) || roles.includes(ProviderRole.TTS)
+    ? createClient({
+      apiKey,
+      model,
+      voiceName,
+      languageCode,
+      wsUrl,
+      systemInstruction,
+      responseModalities: ['AUDIO'],
+      inputTranscription: false,
+      outputTranscription: true,
+      logger,
+    })
+    : null;
+  
+  const clients = [listener, speaker].filter(Boolean);
+  
+  /**
+   * Passes a session's connection and usage events on, tagged with the roles it serves
+   * 
+   * @param {Object} client - Live API client
+   * @param {string[]} sessionRoles - Roles served by the session
+   */
+  function forwardSessionEvents(client, sessionRoles) {
+    client.on(ClientEvent.USAGE_METADATA, (usage) => {
+      events.emit(ProviderEvent.USAGE, { roles: sessionRoles, model: model || CLIENT_DEFAULTS.MODEL, usage });
+    });
+    client.on(ClientEvent.READY, () => events.emit(ProviderEvent.CONNECTED, { roles: sessionRoles }));
+    client.on(ClientEvent.CLOSE, ({ code, reconnecting }) => {
+      events.emit(ProviderEvent.DISCONNECTED, { roles: sessionRoles, code, reconnecting });
+    });
+    client.on(ClientEvent.RECONNECTED, ({ resumed }) => {
+      events.emit(ProviderEvent.RECONNECTED, { roles: sessionRoles, resumed });
+    });
+  }
+  
+  if (listener) {
+    listener.on(ProviderEvent.TRANSCRIPTION, (text, type) => {
+      if (type === 'input') events.emit(ProviderEvent.TRANSCRIPTION, text, 'input');
+    });
+    // The listening session finishing its (ignored) reply is a turn signal too
+    listener.on(ProviderEvent.TURN_END, () => events.emit(ProviderEvent.TURN_END));
+    listener.on(ProviderEvent.TURN_COMPLETE, () => events.emit(ProviderEvent.TURN_END));
+    listener.on(ProviderEvent.ERROR, error => events.emit(ProviderEvent.ERROR, error));
+    forwardSessionEvents(listener, [ProviderRole.STT]);
+  }
+  
+  if (speaker) {
+    speaker.on(ProviderEvent.TRANSCRIPTION, (text, type) => {
+      if (type === 'output') events.emit(ProviderEvent.TRANSCRIPTION, text, 'output');
+    });
+    speaker.on(ProviderEvent.AUDIO, (base64Audio, sampleRate) => events.emit(ProviderEvent.AUDIO, base64Audio, sampleRate));
+    speaker.on(ProviderEvent.TEXT, text => events.emit(ProviderEvent.TEXT, text));
+    speaker.on(ProviderEvent.TURN_COMPLETE, () => events.emit(ProviderEvent.TURN_COMPLETE));
+    speaker.on(ProviderEvent.ERROR, error => events.emit(ProviderEvent.ERROR, error));
+    forwardSessionEvents(speaker, roles.filter(role => role !== ProviderRole.STT));
+  }
+  
+  /**
+   * Opens the sessions
+   * 
+   * @async
+   * @returns {Promise<void>}
+   */
+  async function connect() {
+    await Promise.all(clients.map(client => client.connect()));
+    events.emit(ProviderEvent.READY);
+  }
+  
+  return {
+    name: 'gemini',
+    roles: [...roles],
+    connect,
+    close: () => clients.forEach(client => client.close()),
+    isReady: () => clients.every(client => client.isReady()),
+    on: events.on,
+    transcribe: (base64Audio, sampleRate) => Boolean(listener) && listener.sendAudio(base64Audio, sampleRate),
+    generateReply: turns => Boolean(speaker) && speaker.sendTurns(turns),
+    synthesize: text => Boolean(speaker) && speaker.speak(text),
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,47 @@
+/**
+ * Providers Module Index
+ * 
+ * @module providers
+ * @description Re-exports the speech and LLM providers (Gemini Live, and the local
+ *              whisper.cpp, command LLM and Piper providers) and the stack that combines
+ *              one per role.
+ * 
+ * @example
+ * const { createProviderFromConfig } = require('./providers');
+ * 
+ * const provider = createProviderFromConfig(config, { systemInstruction });
+ * await provider.connect();
+ */
+
+'use strict';
+
+const base = require('./base');
+const gemini = require('./gemini');
+const whisper = require('./whisper');
+const commandLLM = require('./command-llm');
+const piper = require('./piper');
+const stack = require('./stack');
+
+module.exports = {
+  // From base
+  ProviderRole: base.ProviderRole,
+  ProviderEvent: base.ProviderEvent,
+  SPEAK_PROMPT: base.SPEAK_PROMPT,
+  
+  // From gemini
+  createGeminiProvider: gemini.createGeminiProvider,
+  
+  // From whisper
+  createWhisperProvider: whisper.createWhisperProvider,
+  
+  // From command-llm
+  createCommandLLMProvider: commandLLM.createCommandLLMProvider,
+  renderPrompt: commandLLM.renderPrompt,
+  
+  // From piper
+  createPiperProvider: piper.createPiperProvider,
+  
+  // From stack
+  createProviderStack: stack.createProviderStack,
+  createProviderFromConfig: stack.createProviderFromConfig,
+};
@@ -0,0 +1,167 @@
+/**
+ * Piper Provider Module
+ * 
+ * @module providers/piper
+ * @description Offline text-to-speech with Piper. Each answer runs `piper --output_raw` as a
+ *              local process; its raw 16-bit PCM is emitted as audio chunks while it is being
+ *              synthesized, so playback can start before the whole answer is rendered.
+ * 
+ * @example
+ * const { createPiperProvider } = require('./providers/piper');
+ * 
+ * const tts = createPiperProvider({ model: '/voices/en_US-lessac-medium.onnx' });
+ * tts.on('audio', (base64Audio, sampleRate) => sink.write(Buffer.from(base64Audio, 'base64'), sampleRate));
+ * tts.synthesize('I led the payments migration.');
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only turns answer text into audio
+ * - Open/Closed: Voice, speaker and executable are options
+ * - Dependency Inversion: Emits provider events; knows nothing of playback
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ProviderRole, ProviderEvent, createProviderEvents, runProcess } = require('./base');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  COMMAND: 'piper',
+  SAMPLE_RATE: 22050,
+  TIMEOUT_MS: 60000,
+};
+
+/**
+ * @typedef {Object} PiperProviderOptions
+ * @property {string} model - Path to a Piper voice (.onnx, with its .onnx.json next to it)
+ * @property {string} [command='piper'] - Piper executable
+ * @property {number} [sampleRate=22050] - The voice's sample rate (audio.sample_rate in its .onnx.json)
+ * @property {number} [speaker] - Speaker id for multi-speaker voices
+ * @property {number} [timeoutMs=60000] - Synthesis taking longer is abandoned
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Creates a Piper text-to-speech provider
+ * 
+ * @param {PiperProviderOptions} options - Provider configuration
+ * @returns {import('./base').Provider} Provider serving tts
+ * @throws {Error} If model is missing
+ * 
+ * @example
+ * const tts = createPiperProvider({ model, sampleRate: 16000 });
+ */
+function createPiperProvider(options = {}) {
+  const {
+    model,
+    command = DEFAULTS.COMMAND,
+    sampleRate = DEFAULTS.SAMPLE_RATE,
+    speaker,
+    timeoutMs = DEFAULTS.TIMEOUT_MS,
+    logger = console,
+  } = options;
+  
+  if (!model) {
+    throw new Error('PiperProvider: model is required');
+  }
+  
+  const events = createProviderEvents({ tag: 'piper', logger });
+  
+  /** Answers are spoken one at a time, in order */
+  let speaking = Promise.resolve();
+  let closed = false;
+  
+  /**
+   * Runs Piper for one answer, streaming its audio
+   * 
+   * @private
+   * @async
+   * @param {string} text - Text to speak
+   * @returns {Promise<void>}
+   */
+  async function runSynthesis(text) {
+    const args = ['--model', model, '--output_raw'];
+    if (typeof speaker === 'number') args.push('--speaker', String(speaker));
+    
+    // Samples can straddle stdout chunks; the odd byte waits for the next chunk
+    let carry = Buffer.alloc(0);
+    const startedAt = Date.now();
+    
+    try {
+      await runProcess(command, args, {
+        input: `${text.replace(/\s+/g, ' ').trim()}\n`,
+        timeoutMs,
+        onStdout: (data) => {
+          const bytes = carry.length > 0 ? Buffer.concat([carry, data]) : data;
+          const usable = bytes.length - (bytes.length % 2);
+          carry = bytes.subarray(usable);
+          if (usable > 0 && !closed) {
+            events.emit(ProviderEvent.AUDIO, bytes.subarray(0, usable).toString('base64'), sampleRate);
+          }
+        },
+      });
+      
+      logger.debug(`[piper] Synthesized ${text.length} chars in ${Date.now() - startedAt}ms`);
+      if (!closed) events.emit(ProviderEvent.TRANSCRIPTION, text, 'output');
+    } catch (error) {
+      logger.error('[piper] Synthesis failed:', error.message);
+      events.emit(ProviderEvent.ERROR, error);
+    }
+    
+    if (!closed) events.emit(ProviderEvent.TURN_COMPLETE);
+  }
+  
+  /**
+   * Speaks text verbatim; audio arrives as 'audio' events, then 'turnComplete'
+   * 
+   * @param {string} text - Text to speak
+   * @returns {boolean} True if accepted
+   */
+  function synthesize(text) {
+    if (closed || !text || !text.trim()) return false;
+    
+    speaking = speaking.then(() => runSynthesis(text));
+    return true;
+  }
+  
+  /**
+   * Checks the voice is there
+   * 
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If the voice file does not exist
+   */
+  async function connect() {
+    if (!fs.existsSync(model)) {
+      throw new Error(`Piper voice not found: ${model}`);
+    }
+    logger.info(`[piper] Ready (${command}, ${path.basename(model)}, ${sampleRate} Hz)`);
+    events.emit(ProviderEvent.READY);
+  }
+  
+  /**
+   * Stops emitting; a running synthesis finishes on its own
+   */
+  function close() {
+    closed = true;
+  }
+  
+  return {
+    name: 'piper',
+    roles: [ProviderRole.TTS],
+    connect,
+    close,
+    isReady: () => !closed,
+    on: events.on,
+    synthesize,
+  };
+}
+
+module.exports = {
+  createPiperProvider,
+  DEFAULTS,
+};
@@ -0,0 +1,305 @@
+/**
+ * Provider Stack Module
+ * 
+ * @module providers/stack
+ * @description Combines an STT, an LLM and a TTS provider into one provider that the
+ *              conversation talks to. Interviewer transcriptions come from the STT
+ *              provider, answer text from the LLM provider, and audio from
+ *              the TTS provider; when the LLM does not speak its own answers (it is not also
+ *              the TTS provider), the finished answer is handed to the TTS provider.
+ *              Which provider fills each role is chosen per run in config (STT_PROVIDER,
+ *              LLM_PROVIDER, TTS_PROVIDER).
+ * 
+ * @example
+ * const { createProviderFromConfig } = require('./providers/stack');
+ * 
+ * const provider = createProviderFromConfig(config, { systemInstruction, logger });
+ * provider.on('audio', (base64Audio, sampleRate) => play(base64Audio, sampleRate));
+ * await provider.connect();
+ * provider.generateReply(turns);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only routes requests and events between role providers
+ * - Open/Closed: New backends register in PROVIDER_FACTORIES; callers stay unchanged
+ * - Dependency Inversion: The conversation depends on the Provider contract, not on Gemini
+ */
+
+'use strict';
+
+const { ProviderRole, ProviderEvent, createProviderEvents } = require('./base');
+const { createGeminiProvider } = require('./gemini');
+const { createWhisperProvider } = require('./whisper');
+const { createCommandLLMProvider } = require('./command-llm');
+const { createPiperProvider } = require('./piper');
+const { resolveLanguage } = require('../utils/language');
+
+/**
+ * Provider names accepted in config, and what builds each role
+ * @constant {Object.<string, Object.<string, Function>>}
+ */
+const PROVIDER_FACTORIES = {
+  gemini: {
+    [ProviderRole.STT]: (config, shared) => createGeminiProvider(shared.gemini),
+    [ProviderRole.LLM]: (config, shared) => createGeminiProvider(shared.gemini),
+    [ProviderRole.TTS]: (config, shared) => createGeminiProvider(shared.gemini),
+  },
+  local: {
+    [ProviderRole.STT]: (config, shared) => createWhisperProvider({
+      command: config.local.whisperCommand,
+      model: config.local.whisperModel,
+      language: config.local.whisperLanguage || shared.language.whisper,
+      logger: shared.logger,
+    }),
+    [ProviderRole.LLM]: (config, shared) => createCommandLLMProvider({
+      command: config.local.llmCommand,
+      timeoutMs: config.local.llmTimeoutMs,
+      systemInstruction: shared.systemInstruction,
+      logger: shared.logger,
+    }),
+    [ProviderRole.TTS]: (config, shared) => createPiperProvider({
+      command: config.local.piperCommand,
+      model: config.local.piperModel,
+      sampleRate: config.local.piperSampleRate,
+      logger: shared.logger,
+    }),
+  },
+};
+
+/**
+ * @typedef {Object} ProviderStackOptions
+ * @property {import('./base').Provider} stt - Transcribes interviewer audio
+ * @property {import('./base').Provider} llm - Generates answers
+ * @property {import('./base').Provider} tts - Speaks answers (may be the same object as llm)
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Combines role providers into one provider. The same provider object may fill several
+ * roles (Gemini usually fills all three); it is connected and closed once.
+ * 
+ * @param {ProviderStackOptions} options - Role providers
+ * @returns {import('./base').Provider} Provider serving stt, llm and tts
+ * @throws {Error} If a role is missing or filled by a provider that cannot serve it
+ * 
+ * @example
+ * const stack = createProviderStack({ stt: whisper, llm: gemini, tts: gemini });
+ */
+function createProviderStack(options = {}) {
+  const { stt, llm, tts, logger = console } = options;
+  
+  for (const [role, provider] of Object.entries({ stt, llm, tts })) {
+    if (!provider || !provider.roles.includes(role)) {
+      throw new Error(`ProviderStack: no provider for role '${role}'`);
+    }
+  }
+  
+  const events = createProviderEvents({ tag: 'providers', logger });
+  const members = [...new Set([stt, llm, tts])];
+  
+  /** The LLM speaks its own answers (e.g. Gemini Live with audio output) */
+  const voicedReplies = llm === tts;
+  
+  /** Answer being collected from a text-only LLM for the TTS provider */
+  let pendingReply = null;
+  
+  // ============================================================
+  // EVENT ROUTING
+  // ============================================================
+  
+  /**
+   * Forwards the events a provider produces for the roles it fills
+   * 
+   * @private
+   * @param {import('./base').Provider} provider - Stack member
+   */
+  function attach(provider) {
+    provider.on(ProviderEvent.TRANSCRIPTION, (text, type) => {
+      if (type === 'input') {
+        if (provider === stt) events.emit(ProviderEvent.TRANSCRIPTION, text, 'input');
+        return;
+      }
+      // A text-only Gemini reply arrives as the transcription of its (unused) audio
+      if (provider === llm && pendingReply) pendingReply.transcript += text;
+      if (provider === tts) events.emit(ProviderEvent.TRANSCRIPTION, text, 'output');
+    });
+    
+    provider.on(ProviderEvent.TURN_END, () => {
+      if (provider === stt) events.emit(ProviderEvent.TURN_END);
+    });
+    
+    provider.on(ProviderEvent.TEXT, (text) => {
+      if (provider !== llm) return;
+      if (pendingReply) pendingReply.text += text;
+      events.emit(ProviderEvent.TEXT, text);
+    });
+    
+    provider.on(ProviderEvent.AUDIO, (base64Audio, sampleRate) => {
+      if (provider === tts) events.emit(ProviderEvent.AUDIO, base64Audio, sampleRate);
+    });
+    
+    provider.on(ProviderEvent.TURN_COMPLETE, () => {
+      if (provider === llm && pendingReply) {
+        const answer = (pendingReply.text || pendingReply.transcript).replace(/\s+/g, ' ').trim();
+        pendingReply = null;
+        if (answer && tts.synthesize(answer)) return;
+        events.emit(ProviderEvent.TURN_COMPLETE);
+        return;
+      }
+      if (provider === tts) events.emit(ProviderEvent.TURN_COMPLETE);
+    });
+    
+    provider.on(ProviderEvent.ERROR, (error) => events.emit(ProviderEvent.ERROR, error));
+    
+    // Connection and usage events only count for the roles the provider fills in this stack
+    const byRole = { [ProviderRole.STT]: stt, [ProviderRole.LLM]: llm, [ProviderRole.TTS]: tts };
+    for (const event of [ProviderEvent.CONNECTED, ProviderEvent.DISCONNECTED, ProviderEvent.RECONNECTED, ProviderEvent.USAGE]) {
+      provider.on(event, ({ roles = [], ...details }) => {
+        const filled = roles.filter(role => byRole[role] === provider);
+        if (filled.length > 0) events.emit(event, { roles: filled, ...details });
+      });
+    }
+  }
+  
+  members.forEach(attach);
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Connects every member
+   * 
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If a member cannot connect
+   */
+  async function connect() {
+    await Promise.all(members.map(provider => provider.connect()));
+    logger.info(`[providers] Ready (stt: ${stt.name}, llm: ${llm.name}, tts: ${tts.name})`);
+    events.emit(ProviderEvent.READY);
+  }
+  
+  /**
+   * Closes every member
+   */
+  function close() {
+    pendingReply = null;
+    members.forEach(provider => provider.close());
+  }
+  
+  /**
+   * Whether every member can take requests
+   * 
+   * @returns {boolean} True when ready
+   */
+  function isReady() {
+    return members.every(provider => provider.isReady());
+  }
+  
+  /**
+   * Streams interviewer audio to the STT provider
+   * 
+   * @param {string} base64Audio - Base64 16-bit mono PCM
+   * @param {number} sampleRate - Chunk sample rate
+   * @returns {boolean} True if accepted
+   */
+  function transcribe(base64Audio, sampleRate) {
+    return stt.transcribe(base64Audio, sampleRate);
+  }
+  
+  /**
+   * Asks the LLM for an answer to the last turn; it is spoken by the TTS provider
+   * 
+   * @param {Array<{role: string, parts: Array<{text: string}>}>} turns - Turns, oldest first
+   * @returns {boolean} True if accepted
+   */
+  function generateReply(turns) {
+    if (!voicedReplies) pendingReply = { text: '', transcript: '' };
+    return llm.generateReply(turns);
+  }
+  
+  /**
+   * Speaks text verbatim through the TTS provider
+   * 
+   * @param {string} text - Text to speak
+   * @returns {boolean} True if accepted
+   */
+  function synthesize(text) {
+    return tts.synthesize(text);
+  }
+  
+  return {
+    name: 'stack',
+    roles: [ProviderRole.STT, ProviderRole.LLM, ProviderRole.TTS],
+    connect,
+    close,
+    isReady,
+    on: events.on,
+    transcribe,
+    generateReply,
+    synthesize,
+  };
+}
+
+/**
+ * Builds the provider stack selected in config. Roles given the same provider name share
+ * one instance when that provider serves several roles (one Gemini provider).
+ * 
+ * @param {import('../config').AppConfig} config - Application config
+ * @param {Object} [options={}] - Per-run settings
+ * @param {string} [options.systemInstruction=''] - Candidate persona
+ * @param {Object} [options.logger=console] - Logger instance
+ * @returns {import('./base').Provider} Provider stack
+ * @throws {Error} If a provider name or the interview language is unknown
+ * 
+ * @example
+ * const provider = createProviderFromConfig(config, { systemInstruction: buildSystemInstruction(persona) });
+ */
+function createProviderFromConfig(config, options = {}) {
+  const { systemInstruction = '', logger = console } = options;
+  
+  const language = resolveLanguage(config.interview.language);
+  
+  const shared = {
+    systemInstruction,
+    language,
+    logger,
+    gemini: {
+      apiKey: config.gemini.apiKey,
+      model: config.gemini.model,
+      voiceName: config.gemini.voiceName,
+      languageCode: language.code,
+      wsUrl: config.gemini.wsUrl,
+      systemInstruction,
+      roles: Object.keys(config.providers).filter(role => config.providers[role] === 'gemini'),
+      logger,
+    },
+  };
+  
+  const instances = new Map();
+  const roles = {};
+  
+  for (const role of [ProviderRole.STT, ProviderRole.LLM, ProviderRole.TTS]) {
+    const name = config.providers[role];
+    const factories = PROVIDER_FACTORIES[name];
+    if (!factories) {
+      throw new Error(`Unknown ${role} provider '${name}' (expected ${Object.keys(PROVIDER_FACTORIES).join(' or ')})`);
+    }
+    
+    const existing = instances.get(name);
+    if (existing && existing.roles.includes(role)) {
+      roles[role] = existing;
+    } else {
+      roles[role] = factories[role](config, shared);
+      instances.set(name, roles[role]);
+    }
+  }
+  
+  return createProviderStack({ ...roles, logger });
+}
+
+module.exports = {
+  createProviderStack,
+  createProviderFromConfig,
+  PROVIDER_FACTORIES,
+};
@@ -0,0 +1,291 @@
+/**
+ * Whisper Provider Module
+ * 
+ * @module providers/whisper
+ * @description Offline speech-to-text with whisper.cpp. Streamed audio is resampled to
+ *              16 kHz and cut into utterances (the VAD closing a segment, a pause in the
+ *              stream, or a length cap); each utterance is written to a temporary WAV file
+ *              and transcribed by running the whisper.cpp CLI as a local process.
+ * 
+ * @example
+ * const { createWhisperProvider } = require('./providers/whisper');
+ * 
+ * const stt = createWhisperProvider({ model: '/models/ggml-base.en.bin' });
+ * stt.on('transcription', (text) => console.log('Interviewer:', text));
+ * stt.transcribe(base64Pcm, 16000);
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only turns interviewer audio into text
+ * - Open/Closed: Any CLI with whisper.cpp's flags works (command option)
+ * - Dependency Inversion: Emits provider events; knows nothing of pages or conversations
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createResampler,
+  createVoiceActivityDetector,
+  decodeBase64,
+  int16ToFloat32,
+} = require('../audio/processor');
+const { encodeWAV } = require('../audio/wav-encoder');
+const { ProviderRole, ProviderEvent, createProviderEvents, runProcess } = require('./base');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  COMMAND: 'whisper-cli',
+  LANGUAGE: 'en',
+  SAMPLE_RATE: 16000,
+  IDLE_FLUSH_MS: 400,
+  MAX_UTTERANCE_MS: 15000,
+  TIMEOUT_MS: 30000,
+};
+
+/**
+ * @typedef {Object} WhisperProviderOptions
+ * @property {string} model - Path to a ggml Whisper model
+ * @property {string} [command='whisper-cli'] - whisper.cpp CLI executable
+ * @property {string} [language='en'] - Spoken language ('auto' to detect)
+ * @property {number} [idleFlushMs=400] - A pause in the audio stream this long ends the utterance
+ * @property {number} [maxUtteranceMs=15000] - Longer speech is transcribed in pieces
+ * @property {number} [timeoutMs=30000] - A transcription taking longer is abandoned
+ * @property {string} [tempDir=os.tmpdir()] - Where utterance WAV files are written
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * Strips whisper.cpp's non-speech markers ([BLANK_AUDIO], (music), ...) from its output
+ * 
+ * @private
+ * @param {string} output - CLI stdout
+ * @returns {string} Transcribed text
+ */
+function cleanTranscript(output) {
+  return output
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Creates a whisper.cpp speech-to-text provider
+ * 
+ * @param {WhisperProviderOptions} options - Provider configuration
+ * @returns {import('./base').Provider} Provider serving stt
+ * @throws {Error} If model is missing
+ * 
+ * @example
+ * const stt = createWhisperProvider({ model, language: 'de' });
+ */
+function createWhisperProvider(options = {}) {
+  const {
+    model,
+    command = DEFAULTS.COMMAND,
+    language = DEFAULTS.LANGUAGE,
+    idleFlushMs = DEFAULTS.IDLE_FLUSH_MS,
+    maxUtteranceMs = DEFAULTS.MAX_UTTERANCE_MS,
+    timeoutMs = DEFAULTS.TIMEOUT_MS,
+    tempDir = os.tmpdir(),
+    logger = console,
+  } = options;
+  
+  if (!model) {
+    throw new Error('WhisperProvider: model is required');
+  }
+  
+  const events = createProviderEvents({ tag: 'whisper', logger });
+  const vad = createVoiceActivityDetector();
+  
+  /** @type {Map<number, Object>} Resamplers to 16 kHz, by input rate */
+  const resamplers = new Map();
+  
+  /** @type {Float32Array[]} Audio of the current utterance at 16 kHz */
+  let utterance = [];
+  let utteranceSamples = 0;
+  let heardSpeech = false;
+  
+  /** @type {NodeJS.Timeout|null} */
+  let idleTimer = null;
+  
+  /** Transcriptions run one at a time, in order */
+  let transcribing = Promise.resolve();
+  let fileCounter = 0;
+  let closed = false;
+  
+  // ============================================================
+  // UTTERANCES
+  // ============================================================
+  
+  /**
+   * Converts a chunk to Float32 at 16 kHz
+   * 
+   * @private
+   * @param {string} base64Audio - 16-bit PCM
+   * @param {number} sampleRate - Chunk rate
+   * @returns {Float32Array} Samples at 16 kHz
+   */
+  function toWhisperRate(base64Audio, sampleRate) {
+    const pcm = decodeBase64(base64Audio);
+    if (sampleRate === DEFAULTS.SAMPLE_RATE) return int16ToFloat32(pcm);
+    
+    if (!resamplers.has(sampleRate)) {
+      resamplers.set(sampleRate, createResampler(sampleRate, DEFAULTS.SAMPLE_RATE));
+    }
+    return resamplers.get(sampleRate).process(pcm);
+  }
+  
+  /**
+   * Sends the buffered utterance to whisper.cpp (if it contained speech) and starts a new one
+   * 
+   * @private
+   */
+  function flushUtterance() {
+    clearIdleTimer();
+    
+    const chunks = utterance;
+    const length = utteranceSamples;
+    const hasSpeech = heardSpeech || vad.isSpeaking();
+    utterance = [];
+    utteranceSamples = 0;
+    heardSpeech = false;
+    
+    if (!hasSpeech || length === 0 || closed) return;
+    
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      samples.set(chunk, offset);
+      offset += chunk.length;
+    }
+    
+    transcribing = transcribing.then(() => transcribeUtterance(samples));
+  }
+  
+  /**
+   * Runs whisper.cpp on one utterance and emits the text
+   * 
+   * @private
+   * @async
+   * @param {Float32Array} samples - Utterance at 16 kHz
+   * @returns {Promise<void>}
+   */
+  async function transcribeUtterance(samples) {
+    const file = path.join(tempDir, `arbor-stt-${process.pid}-${++fileCounter}.wav`);
+    const startedAt = Date.now();
+    
+    try {
+      await fs.promises.writeFile(file, encodeWAV(samples, DEFAULTS.SAMPLE_RATE));
+      const output = await runProcess(command, [
+        '-m', model,
+        '-f', file,
+        '-l', language,
+        '-nt',
+        '-np',
+      ], { timeoutMs });
+      
+      const text = cleanTranscript(output);
+      logger.debug(`[whisper] ${Math.round(samples.length / 16)}ms transcribed in ${Date.now() - startedAt}ms`);
+      if (text && !closed) {
+        events.emit(ProviderEvent.TRANSCRIPTION, text, 'input');
+      }
+    } catch (error) {
+      logger.error('[whisper] Transcription failed:', error.message);
+      events.emit(ProviderEvent.ERROR, error);
+    } finally {
+      fs.promises.unlink(file).catch(() => {});
+    }
+  }
+  
+  /**
+   * Clears the pause timer
+   * 
+   * @private
+   */
+  function clearIdleTimer() {
+    if (idleTimer) {
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Streams interviewer audio; text is emitted as 'transcription' events once
+   * each utterance ends
+   * 
+   * @param {string} base64Audio - Base64 16-bit mono PCM
+   * @param {number} [sampleRate=16000] - Chunk sample rate
+   * @returns {boolean} True if accepted
+   */
+  function transcribe(base64Audio, sampleRate = DEFAULTS.SAMPLE_RATE) {
+    if (closed || !base64Audio) return false;
+    
+    const samples = toWhisperRate(base64Audio, sampleRate);
+    utterance.push(samples);
+    utteranceSamples += samples.length;
+    
+    // The stream may carry silence (VAD closes the segment) or only speech (the pause ends it)
+    const activity = vad.process(samples, DEFAULTS.SAMPLE_RATE);
+    if (activity.speaking || activity.segments.length > 0) heardSpeech = true;
+    
+    const utteranceMs = utteranceSamples / DEFAULTS.SAMPLE_RATE * 1000;
+    if ((activity.segments.length > 0 && !activity.speaking) || utteranceMs >= maxUtteranceMs) {
+      flushUtterance();
+      return true;
+    }
+    
+    clearIdleTimer();
+    idleTimer = setTimeout(flushUtterance, idleFlushMs);
+    return true;
+  }
+  
+  /**
+   * Checks the executable and model are there
+   * 
+   * @async
+   * @returns {Promise<void>}
+   * @throws {Error} If the model file does not exist
+   */
+  async function connect() {
+    if (!fs.existsSync(model)) {
+      throw new Error(`Whisper model not found: ${model}`);
+    }
+    logger.info(`[whisper] Ready (${command}, ${path.basename(model)}, language: ${language})`);
+    events.emit(ProviderEvent.READY);
+  }
+  
+  /**
+   * Drops buffered audio; running transcriptions finish but are not emitted
+   */
+  function close() {
+    closed = true;
+    clearIdleTimer();
+    utterance = [];
+    utteranceSamples = 0;
+  }
+  
+  return {
+    name: 'whisper',
+    roles: [ProviderRole.STT],
+    connect,
+    close,
+    isReady: () => !closed,
+    on: events.on,
+    transcribe,
+  };
+}
+
+module.exports = {
+  createWhisperProvider,
+  DEFAULTS,
+};
@@ -0,0 +1,190 @@
+/**
+ * Event Bus Module
+ * 
+ * @module services/event-bus
+ * @description Collects structured interview events (transcription chunks, finalized
+ *              questions, responses, TTS and cooldown transitions, barge-ins, screen changes
+ *              and auto-clicks, WebSocket reconnects, playback failures, token usage) and
+ *              fans them out to live subscribers such as the health server's /events stream.
+ *              Keeps a short history so late subscribers can catch up.
+ * 
+ * @example
+ * const { createEventBus, EventType } = require('./services/event-bus');
+ * 
+ * const events = createEventBus();
+ * const unsubscribe = events.subscribe(event => console.log(event.type, event.data));
+ * events.emit(EventType.QUESTION, { text: 'Tell me about yourself' });
+ * unsubscribe();
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only stores and dispatches events
+ * - Open/Closed: New event types need no changes here
+ * - Dependency Inversion: Producers and consumers only share the bus
+ */
+
+'use strict';
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  HISTORY_SIZE: 500,
+};
+
+/**
+ * Event types emitted during an interview
+ * @constant {Object.<string, string>}
+ */
+const EventType = {
+  TRANSCRIPTION: 'transcription',
+  QUESTION: 'question',
+  RESPONSE: 'response',
+  REPEAT_REQUEST: 'repeat_request',
+  TTS_START: 'tts_start',
+  TTS_END: 'tts_end',
+  COOLDOWN_START: 'cooldown_start',
+  COOLDOWN_END: 'cooldown_end',
+  AUTO_CLICK: 'auto_click',
+  SCREEN: 'screen',
+  FLOW_ERROR: 'flow_error',
+  WS_CONNECTED: 'ws_connected',
+  WS_CLOSED: 'ws_closed',
+  PLAYBACK_ERROR: 'playback_error',
+  BARGE_IN: 'barge_in',
+  CONTROL: 'control',
+  USAGE: 'usage',
+  ARTIFACTS: 'artifacts',
+};
+
+/**
+ * @typedef {Object} InterviewEvent
+ * @property {number} id - Sequence number (increasing, starts at 1)
+ * @property {string} type - Event type (see EventType)
+ * @property {string} timestamp - ISO timestamp
+ * @property {Object} data - Event payload
+ */
+
+/**
+ * @typedef {Object} EventBusOptions
+ * @property {number} [historySize=500] - Events kept for late subscribers
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+/**
+ * @typedef {Object} EventBus
+ * @property {Function} emit - Publish an event
+ * @property {Function} subscribe - Register a listener, returns an unsubscribe function
+ * @property {Function} getRecent - Events emitted after a given id
+ * @property {Function} getSubscriberCount - Number of live subscribers
+ */
+
+/**
+ * Creates a new event bus
+ * 
+ * @param {EventBusOptions} [options={}] - Bus configuration
+ * @returns {EventBus} Event bus instance
+ * 
+ * @example
+ * const events = createEventBus({ historySize: 100 });
+ */
+function createEventBus(options = {}) {
+  const {
+    historySize = DEFAULTS.HISTORY_SIZE,
+    logger = console,
+  } = options;
+  
+  /**
+   * Recent events, oldest first
+   * @type {InterviewEvent[]}
+   */
+  const history = [];
+  
+  /**
+   * Live subscribers
+   * @type {Set<function(InterviewEvent): void>}
+   */
+  const subscribers = new Set();
+  
+  /** @type {number} */
+  let lastId = 0;
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Publishes an event to every subscriber.
+   * A failing subscriber is logged and never affects the others or the producer.
+   * 
+   * @param {string} type - Event type (see EventType)
+   * @param {Object} [data={}] - Event payload
+   * @returns {InterviewEvent} The published event
+   */
+  function emit(type, data = {}) {
+    const event = {
+      id: ++lastId,
+      type,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+    
+    history.push(event);
+    if (history.length > historySize) {
+      history.shift();
+    }
+    
+    for (const listener of subscribers) {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.debug('[events] Subscriber error:', error.message);
+      }
+    }
+    
+    return event;
+  }
+  
+  /**
+   * Registers a listener for every future event
+   * 
+   * @param {function(InterviewEvent): void} listener - Called with each event
+   * @returns {Function} Unsubscribe function
+   */
+  function subscribe(listener) {
+    subscribers.add(listener);
+    return () => subscribers.delete(listener);
+  }
+  
+  /**
+   * Returns the buffered events emitted after the given id
+   * 
+   * @param {number} [afterId=0] - Last event id the caller has seen
+   * @returns {InterviewEvent[]} Events, oldest first
+   */
+  function getRecent(afterId = 0) {
+    return history.filter(event => event.id > afterId);
+  }
+  
+  /**
+   * Returns the number of live subscribers
+   * 
+   * @returns {number} Subscriber count
+   */
+  function getSubscriberCount() {
+    return subscribers.size;
+  }
+  
+  return {
+    emit,
+    subscribe,
+    getRecent,
+    getSubscriberCount,
+  };
+}
+
+module.exports = {
+  createEventBus,
+  EventType,
+  DEFAULTS,
+};
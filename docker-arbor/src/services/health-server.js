@@ -4,6 +4,9 @@
  * @module services/health-server
  * @description Provides a lightweight HTTP server for health checks and readiness probes.
  *              Used by container orchestrators (Docker, Kubernetes) to monitor service status.
+ *              Optionally serves an authenticated control API (POST /control/<action>)
+ *              so an operator can steer a running interview, a live /events stream
+ *              (Server-Sent Events or WebSocket) to watch it, and Prometheus /metrics.
  * 
  * @example
  * const { createHealthServer } = require('./services/health-server');
@@ -17,6 +20,14 @@
  * // Shutdown
  * healthServer.stop();
  * 
+ * // With the control API
+ * const server = createHealthServer({
+ *   port: 3000,
+ *   control: { token: process.env.CONTROL_TOKEN, handlers: { pause: async () => ({ paused: true }) } },
+ *   events: createEventBus(),
+ *   metrics: createSessionMetrics({ events }),
+ * });
+ * 
  * SOLID Principles Applied:
  * - Single Responsibility: Only handles health check endpoints
  * - Open/Closed: Can add new endpoints without modifying existing code
@@ -25,13 +36,53 @@
 
 'use strict';
 
+const crypto = require('crypto');
 const http = require('http');
+const WebSocket = require('ws');
+
+/**
+ * Largest accepted control request body, in bytes
+ * @constant {number}
+ */
+const MAX_CONTROL_BODY_BYTES = 64 * 1024;
+
+/**
+ * Interval between keep-alive comments on Server-Sent Events streams
+ * @constant {number}
+ */
+const SSE_KEEPALIVE_MS = 15000;
+
+/**
+ * Error with an HTTP status code, thrown by control handlers to pick the response status
+ */
+class ControlError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {number} [statusCode=409] - HTTP status code
+   */
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'ControlError';
+    this.statusCode = statusCode;
+  }
+}
 
 /**
  * @typedef {Object} HealthServerOptions
  * @property {number} [port=3000] - Port to listen on
  * @property {Object} [logger=console] - Logger instance
  * @property {Object} [metadata={}] - Additional metadata to include in health response
+ * @property {ControlOptions} [control] - Control API configuration (disabled without a token)
+ * @property {Object} [events] - Event bus streamed on /events (see services/event-bus)
+ * @property {{render: Function, contentType: string}} [metrics] - Metrics served on /metrics (see services/session-metrics)
+ * @property {function(): Object} [usage] - Returns the session token usage shown on /health (see llm/usage getTotals)
+ */
+
+/**
+ * @typedef {Object} ControlOptions
+ * @property {string} [token] - Bearer token required on every control request
+ * @property {Object.<string, function(Object): Promise<Object>>} [handlers={}] - Handlers keyed
+ *           by action name; each receives the parsed JSON body and resolves to the response data
  */
 
 /**
@@ -40,6 +91,7 @@ const http = require('http');
  * @property {string} timestamp - ISO timestamp
  * @property {number} uptime - Server uptime in seconds
  * @property {Object} [metadata] - Additional metadata
+ * @property {Object} [usage] - Session token totals and estimated cost
  */
 
 /**
@@ -65,8 +117,26 @@ function createHealthServer(options = {}) {
     port = 3000,
     logger = console,
     metadata = {},
+    control = {},
+    events = null,
+    metrics = null,
+    usage = null,
   } = options;
   
+  const controlHandlers = control.handlers || {};
+  
+  /**
+   * Closers for open /events streams, run on stop()
+   * @type {Set<Function>}
+   */
+  const eventStreams = new Set();
+  
+  /**
+   * WebSocket server for /events upgrades (no listening socket of its own)
+   * @type {WebSocket.Server|null}
+   */
+  const eventSocketServer = events ? new WebSocket.Server({ noServer: true }) : null;
+  
   /**
    * Server ready state
    * @type {boolean}
@@ -97,6 +167,7 @@ function createHealthServer(options = {}) {
       timestamp: new Date().toISOString(),
       uptime: Math.floor((Date.now() - startTime) / 1000),
       ...(Object.keys(metadata).length > 0 && { metadata }),
+      ...(typeof usage === 'function' && { usage: usage() }),
     };
   }
   
@@ -108,9 +179,21 @@ function createHealthServer(options = {}) {
    * @param {http.ServerResponse} res - HTTP response
    */
   function handleRequest(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+    
+    // Handled before the CORS header: other origins must not read live transcripts
+    if (events && (req.url === '/events' || req.url.startsWith('/events?'))) {
+      handleEventStream(req, res);
+      return;
+    }
+    
     // Set CORS headers for flexibility
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Content-Type', 'application/json');
+    
+    if (req.url.startsWith('/control/')) {
+      handleControl(req, res);
+      return;
+    }
     
     switch (req.url) {
       case '/health':
@@ -128,6 +211,14 @@ function createHealthServer(options = {}) {
         handleLivenessCheck(req, res);
         break;
         
+      case '/metrics':
+        if (metrics) {
+          handleMetrics(req, res);
+        } else {
+          handleNotFound(req, res);
+        }
+        break;
+        
       default:
         handleNotFound(req, res);
     }
@@ -182,6 +273,275 @@ function createHealthServer(options = {}) {
     }));
   }
   
+  /**
+   * Handles the Prometheus metrics endpoint
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  function handleMetrics(req, res) {
+    res.setHeader('Content-Type', metrics.contentType);
+    res.writeHead(200);
+    res.end(metrics.render());
+  }
+  
+  /**
+   * Checks the request's bearer token against the configured control token
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {string|null} [queryToken=null] - Token from the query string (for clients that cannot set headers)
+   * @returns {boolean} True if the token matches
+   */
+  function isAuthorized(req, queryToken = null) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const token = match ? match[1].trim() : queryToken;
+    if (!token) return false;
+    
+    const expected = Buffer.from(control.token);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+  
+  /**
+   * Parses the /events query: ?types=a,b filters event types, ?since=<id> replays
+   * buffered events after that id (a Last-Event-ID header does the same)
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @returns {{token: string|null, types: Set<string>|null, since: number}} Stream options
+   */
+  function parseEventQuery(req) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const types = (query.get('types') || '').split(',').map(type => type.trim()).filter(Boolean);
+    const since = parseInt(query.get('since') || req.headers['last-event-id'] || '0', 10);
+    
+    return {
+      token: query.get('token'),
+      types: types.length > 0 ? new Set(types) : null,
+      since: isNaN(since) ? 0 : since,
+    };
+  }
+  
+  /**
+   * Subscribes a stream to the event bus, replaying buffered events first
+   * 
+   * @private
+   * @param {{types: Set<string>|null, since: number}} query - Stream options
+   * @param {Function} send - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  function streamEvents(query, send) {
+    const matches = event => !query.types || query.types.has(event.type);
+    
+    events.getRecent(query.since).filter(matches).forEach(send);
+    return events.subscribe((event) => {
+      if (matches(event)) send(event);
+    });
+  }
+  
+  /**
+   * Handles the live event stream as Server-Sent Events
+   * Like the control API: 403 when no token is configured, 401 on a bad token
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  function handleEventStream(req, res) {
+    const query = parseEventQuery(req);
+    
+    if (!control.token) {
+      sendJson(res, 403, { error: 'Event stream disabled (set CONTROL_TOKEN)' });
+      return;
+    }
+    
+    if (!isAuthorized(req, query.token)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    
+    const unsubscribe = streamEvents(query, (event) => {
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_MS);
+    
+    const close = () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+      eventStreams.delete(close);
+      res.end();
+    };
+    eventStreams.add(close);
+    req.on('close', close);
+  }
+  
+  /**
+   * Handles WebSocket upgrades on /events; each event is sent as one JSON message
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {import('net').Socket} socket - Network socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  function handleUpgrade(req, socket, head) {
+    const pathname = req.url.split('?')[0];
+    const query = parseEventQuery(req);
+    
+    if (!eventSocketServer || pathname !== '/events') {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    
+    if (!control.token) {
+      socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      return;
+    }
+    
+    if (!isAuthorized(req, query.token)) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    
+    eventSocketServer.handleUpgrade(req, socket, head, (ws) => {
+      const unsubscribe = streamEvents(query, (event) => {
+        if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(event));
+      });
+      
+      const close = () => {
+        unsubscribe();
+        eventStreams.delete(close);
+        ws.terminate();
+      };
+      eventStreams.add(close);
+      ws.on('close', close);
+      ws.on('error', close);
+    });
+  }
+  
+  /**
+   * Reads and parses a JSON request body (an empty body is an empty object)
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @returns {Promise<Object>} Parsed body
+   * @throws {ControlError} 400 if the body is not a JSON object, 413 if it is too large
+   */
+  function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_CONTROL_BODY_BYTES) {
+          reject(new ControlError('Request body too large', 413));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8').trim();
+        if (!raw) {
+          resolve({});
+          return;
+        }
+        
+        let body;
+        try {
+          body = JSON.parse(raw);
+        } catch (error) {
+          reject(new ControlError('Invalid JSON body', 400));
+          return;
+        }
+        
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(new ControlError('JSON body must be an object', 400));
+          return;
+        }
+        resolve(body);
+      });
+      
+      req.on('error', reject);
+    });
+  }
+  
+  /**
+   * Writes a JSON response
+   * 
+   * @private
+   * @param {http.ServerResponse} res - HTTP response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - Response body
+   */
+  function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode);
+    res.end(JSON.stringify(body));
+  }
+  
+  /**
+   * Handles control API requests (POST /control/<action>)
+   * Returns 403 when no token is configured, 401 on a bad token,
+   * 404 for unknown actions and 405 for anything but POST
+   * 
+   * @private
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {http.ServerResponse} res - HTTP response
+   */
+  async function handleControl(req, res) {
+    const action = req.url.slice('/control/'.length).split('?')[0];
+    
+    if (!control.token) {
+      sendJson(res, 403, { error: 'Control API disabled (set CONTROL_TOKEN)' });
+      return;
+    }
+    
+    if (!isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      sendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+    
+    if (!Object.prototype.hasOwnProperty.call(controlHandlers, action)) {
+      sendJson(res, 404, {
+        error: 'Unknown control action',
+        action,
+        availableActions: Object.keys(controlHandlers),
+      });
+      return;
+    }
+    
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      sendJson(res, 405, { error: 'Method Not Allowed' });
+      return;
+    }
+    
+    try {
+      const body = await readJsonBody(req);
+      const result = await controlHandlers[action](body);
+      
+      logger.info(`[health] Control action: ${action}`);
+      sendJson(res, 200, { ok: true, action, ...result });
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      logger.warn(`[health] Control action ${action} failed:`, error.message);
+      sendJson(res, statusCode, { ok: false, action, error: error.message });
+    }
+  }
+  
   /**
    * Handles 404 Not Found
    * 
@@ -194,7 +554,14 @@ function createHealthServer(options = {}) {
     res.end(JSON.stringify({
       error: 'Not Found',
       path: req.url,
-      availableEndpoints: ['/health', '/ready', '/live'],
+      availableEndpoints: [
+        '/health',
+        '/ready',
+        '/live',
+        ...(events && control.token ? ['/events'] : []),
+        ...(metrics ? ['/metrics'] : []),
+        ...(control.token ? Object.keys(controlHandlers).map(action => `/control/${action}`) : []),
+      ],
     }));
   }
   
@@ -220,6 +587,7 @@ function createHealthServer(options = {}) {
       }
       
       server = http.createServer(handleRequest);
+      server.on('upgrade', handleUpgrade);
       
       server.on('error', (error) => {
         logger.error('[health] Server error:', error.message);
@@ -228,7 +596,10 @@ function createHealthServer(options = {}) {
       
       server.listen(port, () => {
         logger.info(`[health] Health check server listening on port ${port}`);
-        logger.info(`[health] Endpoints: /health, /ready, /live`);
+        logger.info(`[health] Endpoints: /health, /ready, /live${events && control.token ? ', /events' : ''}${metrics ? ', /metrics' : ''}`);
+        if (control.token) {
+          logger.info(`[health] Control API: ${Object.keys(controlHandlers).map(action => `/control/${action}`).join(', ')}`);
+        }
         resolve();
       });
     });
@@ -250,6 +621,9 @@ function createHealthServer(options = {}) {
         return;
       }
       
+      // Open event streams would keep the server from closing
+      eventStreams.forEach(close => close());
+      
       server.close((error) => {
         if (error) {
           logger.debug('[health] Error closing server:', error.message);
@@ -307,5 +681,6 @@ function createHealthServer(options = {}) {
 
 module.exports = {
   createHealthServer,
+  ControlError,
 };
 
@@ -5,14 +5,27 @@
  * @description Re-exports all service modules for convenient importing.
  * 
  * @example
- * const { createHealthServer } = require('./services');
+ * const { createHealthServer, createEventBus } = require('./services');
  */
 
 'use strict';
 
 const healthServer = require('./health-server');
+const eventBus = require('./event-bus');
+const metrics = require('./metrics');
+const sessionMetrics = require('./session-metrics');
 
 module.exports = {
   ...healthServer,
+  
+  // From event-bus
+  createEventBus: eventBus.createEventBus,
+  EventType: eventBus.EventType,
+  
+  // From metrics
+  createMetricsRegistry: metrics.createMetricsRegistry,
+  
+  // From session-metrics
+  createSessionMetrics: sessionMetrics.createSessionMetrics,
 };
 
@@ -0,0 +1,265 @@
+/**
+ * Metrics Registry Module
+ * 
+ * @module services/metrics
+ * @description Minimal Prometheus metrics registry (counters, gauges, histograms) rendered
+ *              in the text exposition format for the health server's /metrics endpoint.
+ *              Written in-house to keep the image free of extra dependencies.
+ * 
+ * @example
+ * const { createMetricsRegistry } = require('./services/metrics');
+ * 
+ * const registry = createMetricsRegistry();
+ * const questions = registry.counter({ name: 'questions_total', help: 'Questions detected' });
+ * const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.5, 1, 2] });
+ * 
+ * questions.inc();
+ * latency.observe(1.3);
+ * console.log(registry.render());
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only stores metric values and renders them
+ * - Open/Closed: New metrics are registered, not coded in
+ * - Dependency Inversion: Knows nothing about interviews (see services/session-metrics)
+ */
+
+'use strict';
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  PREFIX: 'arbor_',
+  BUCKETS: [0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+};
+
+/**
+ * Content type of the Prometheus text exposition format
+ * @constant {string}
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @typedef {Object} MetricOptions
+ * @property {string} name - Metric name (the registry prefix is prepended)
+ * @property {string} help - Help text
+ * @property {string[]} [labelNames=[]] - Label names, in output order
+ * @property {number[]} [buckets] - Histogram upper bounds (histograms only)
+ * @property {Function} [collect] - Called before rendering to refresh the value (gauges only)
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Escapes a label value for the exposition format
+ * 
+ * @private
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set as {a="1",b="2"} (empty string when there are no labels)
+ * 
+ * @private
+ * @param {Object.<string, string>} labels - Label values
+ * @returns {string} Formatted labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Formats a sample value (Prometheus spells infinities +Inf/-Inf)
+ * 
+ * @private
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Creates a new metrics registry
+ * 
+ * @param {Object} [options={}] - Registry configuration
+ * @param {string} [options.prefix='arbor_'] - Prepended to every metric name
+ * @returns {{counter: Function, gauge: Function, histogram: Function, render: Function}} Registry
+ * 
+ * @example
+ * const registry = createMetricsRegistry({ prefix: 'bot_' });
+ */
+function createMetricsRegistry(options = {}) {
+  const { prefix = DEFAULTS.PREFIX } = options;
+  
+  /**
+   * Registered metrics, in registration order
+   * @type {Array<{name: string, help: string, type: string, series: Map, render: Function, collect?: Function}>}
+   */
+  const metrics = [];
+  
+  /**
+   * Registers a metric and returns its series store
+   * 
+   * @private
+   * @param {string} type - counter, gauge or histogram
+   * @param {MetricOptions} metricOptions - Metric options
+   * @returns {{name: string, labelNames: string[], series: Map, getSeries: Function, metric: Object}} Metric internals
+   */
+  function register(type, metricOptions) {
+    const name = `${prefix}${metricOptions.name}`;
+    if (metrics.some(metric => metric.name === name)) {
+      throw new Error(`Metric already registered: ${name}`);
+    }
+    
+    const labelNames = metricOptions.labelNames || [];
+    const series = new Map();
+    
+    /**
+     * Returns the series for a label set, creating it on first use
+     * 
+     * @param {Object.<string, string>} labels - Label values
+     * @param {Function} create - Creates the initial series value
+     * @returns {Object} Series entry ({labels, ...values})
+     */
+    const getSeries = (labels, create) => {
+      const values = {};
+      labelNames.forEach((label) => { values[label] = labels[label] === undefined ? '' : labels[label]; });
+      
+      const key = JSON.stringify(labelNames.map(label => values[label]));
+      if (!series.has(key)) {
+        series.set(key, { labels: values, ...create() });
+      }
+      return series.get(key);
+    };
+    
+    const metric = { name, help: metricOptions.help, type, series, collect: metricOptions.collect };
+    metrics.push(metric);
+    return { name, labelNames, series, getSeries, metric };
+  }
+  
+  /**
+   * Registers a counter (only goes up)
+   * 
+   * @param {MetricOptions} metricOptions - Metric options
+   * @returns {{inc: function(Object=, number=): void}} Counter
+   */
+  function counter(metricOptions) {
+    const { getSeries, metric, name } = register('counter', metricOptions);
+    metric.render = entry => [`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`];
+    
+    if (!metricOptions.labelNames || metricOptions.labelNames.length === 0) {
+      getSeries({}, () => ({ value: 0 }));
+    }
+    
+    return {
+      inc(labels = {}, value = 1) {
+        getSeries(labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+  
+  /**
+   * Registers a gauge (set to any value, or computed on render via collect)
+   * 
+   * @param {MetricOptions} metricOptions - Metric options
+   * @returns {{set: function(Object, number): void}} Gauge
+   */
+  function gauge(metricOptions) {
+    const { getSeries, metric, name } = register('gauge', metricOptions);
+    metric.render = entry => [`${name}${formatLabels(entry.labels)} ${formatValue(entry.value)}`];
+    
+    return {
+      set(labels, value) {
+        getSeries(labels || {}, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+  
+  /**
+   * Registers a histogram (cumulative buckets, sum and count)
+   * 
+   * @param {MetricOptions} metricOptions - Metric options
+   * @returns {{observe: function(number, Object=): void}} Histogram
+   */
+  function histogram(metricOptions) {
+    const { getSeries, metric, name } = register('histogram', metricOptions);
+    const buckets = [...(metricOptions.buckets || DEFAULTS.BUCKETS)].sort((a, b) => a - b);
+    const create = () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 });
+    
+    metric.render = (entry) => {
+      const lines = buckets.map((bound, index) => (
+        `${name}_bucket${formatLabels({ ...entry.labels, le: formatValue(bound) })} ${entry.counts[index]}`
+      ));
+      lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(entry.labels)} ${formatValue(entry.sum)}`);
+      lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+      return lines;
+    };
+    
+    if (!metricOptions.labelNames || metricOptions.labelNames.length === 0) {
+      getSeries({}, create);
+    }
+    
+    return {
+      observe(value, labels = {}) {
+        const entry = getSeries(labels, create);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  }
+  
+  /**
+   * Renders every metric in the Prometheus text exposition format
+   * 
+   * @returns {string} Exposition text
+   */
+  function render() {
+    const lines = [];
+    
+    for (const metric of metrics) {
+      if (typeof metric.collect === 'function') {
+        metric.collect();
+      }
+      
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const entry of metric.series.values()) {
+        lines.push(...metric.render(entry));
+      }
+    }
+    
+    return `${lines.join('\n')}\n`;
+  }
+  
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  CONTENT_TYPE,
+  DEFAULTS,
+};
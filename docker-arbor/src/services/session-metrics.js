@@ -0,0 +1,250 @@
+/**
+ * Session Metrics Module
+ * 
+ * @module services/session-metrics
+ * @description Turns the live interview events into Prometheus metrics: questions,
+ *              responses, repeat requests, barge-ins, STT/TTS reconnects, playback failures,
+ *              end-of-question to first-audio latency, TTS duration, session duration,
+ *              and Gemini token usage with its estimated cost.
+ *              Every bot exposes the same series, so dashboards can aggregate across bots.
+ * 
+ * @example
+ * const { createEventBus } = require('./services/event-bus');
+ * const { createSessionMetrics } = require('./services/session-metrics');
+ * 
+ * const events = createEventBus();
+ * const metrics = createSessionMetrics({ events, sessionId: 'demo', persona: 'default' });
+ * healthServer = createHealthServer({ metrics });
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only maps interview events to metrics
+ * - Open/Closed: New metrics are new event handlers
+ * - Dependency Inversion: Depends on the event bus, not on the page or conversation
+ */
+
+'use strict';
+
+const { createMetricsRegistry, CONTENT_TYPE } = require('./metrics');
+const { EventType } = require('./event-bus');
+
+/**
+ * Histogram buckets (seconds)
+ * @constant {Object.<string, number[]>}
+ */
+const BUCKETS = {
+  RESPONSE_LATENCY: [0.5, 1, 1.5, 2, 3, 4, 5, 7.5, 10, 15, 20, 30],
+  TTS_DURATION: [1, 2, 5, 10, 15, 20, 30, 45, 60, 90, 120],
+};
+
+/**
+ * @typedef {Object} SessionMetricsOptions
+ * @property {Object} events - Event bus to observe (see services/event-bus)
+ * @property {number} [startedAt=Date.now()] - Session start (epoch ms)
+ * @property {string} [sessionId=''] - Session id, exposed on arbor_session_info
+ * @property {string} [persona=''] - Persona id, exposed on arbor_session_info
+ */
+
+/**
+ * Creates the session metrics and subscribes them to the event bus
+ * 
+ * @param {SessionMetricsOptions} options - Metrics configuration
+ * @returns {{render: Function, contentType: string, stop: Function}} Session metrics
+ * 
+ * @example
+ * const metrics = createSessionMetrics({ events, startedAt: transcript.startedAt });
+ * res.end(metrics.render());
+ */
+function createSessionMetrics(options) {
+  const {
+    events,
+    startedAt = Date.now(),
+    sessionId = '',
+    persona = '',
+  } = options;
+  
+  const registry = createMetricsRegistry();
+  
+  // ============================================================
+  // METRICS
+  // ============================================================
+  
+  registry.gauge({
+    name: 'session_info',
+    help: 'Session details (always 1)',
+    labelNames: ['session_id', 'persona'],
+  }).set({ session_id: sessionId, persona }, 1);
+  
+  registry.gauge({
+    name: 'session_start_time_seconds',
+    help: 'Session start time since the Unix epoch',
+  }).set({}, startedAt / 1000);
+  
+  const sessionDuration = registry.gauge({
+    name: 'session_duration_seconds',
+    help: 'Time since the session started',
+    collect: () => sessionDuration.set({}, (Date.now() - startedAt) / 1000),
+  });
+  
+  const questions = registry.counter({
+    name: 'questions_total',
+    help: 'Interviewer questions detected',
+  });
+  
+  const responses = registry.counter({
+    name: 'responses_total',
+    help: 'Candidate responses generated',
+  });
+  
+  const repeatRequests = registry.counter({
+    name: 'repeat_requests_total',
+    help: 'Times the bot asked the interviewer to repeat',
+    labelNames: ['reason'],
+  });
+  
+  const reconnects = registry.counter({
+    name: 'ws_reconnects_total',
+    help: 'Gemini WebSocket reconnects',
+    labelNames: ['socket'],
+  });
+  
+  const disconnects = registry.counter({
+    name: 'ws_disconnects_total',
+    help: 'Gemini WebSocket closes',
+    labelNames: ['socket'],
+  });
+  
+  const playbackFailures = registry.counter({
+    name: 'playback_failures_total',
+    help: 'PulseAudio (pacat) playback failures',
+    labelNames: ['reason'],
+  });
+  
+  const bargeIns = registry.counter({
+    name: 'barge_ins_total',
+    help: 'Candidate answers cut off because the interviewer talked over them',
+  });
+  
+  const tokens = registry.counter({
+    name: 'llm_tokens_total',
+    help: 'Gemini tokens reported by usageMetadata (kind: prompt, response or audio)',
+    labelNames: ['model', 'kind'],
+  });
+  
+  const cost = registry.counter({
+    name: 'llm_cost_usd_total',
+    help: 'Estimated Gemini cost in USD (from the price table)',
+    labelNames: ['model'],
+  });
+  
+  const responseLatency = registry.histogram({
+    name: 'response_latency_seconds',
+    help: 'End of the interviewer question to the first candidate audio',
+    buckets: BUCKETS.RESPONSE_LATENCY,
+  });
+  
+  const ttsDuration = registry.histogram({
+    name: 'tts_duration_seconds',
+    help: 'Candidate audio playback duration',
+    buckets: BUCKETS.TTS_DURATION,
+  });
+  
+  // ============================================================
+  // EVENT HANDLING
+  // ============================================================
+  
+  /**
+   * End of the question waiting for its first audio (epoch ms)
+   * @type {number|null}
+   */
+  let questionEndedAt = null;
+  
+  /**
+   * Sockets that connected at least once
+   * @type {Set<string>}
+   */
+  const connectedSockets = new Set();
+  
+  /**
+   * Updates the metrics for one event
+   * 
+   * @private
+   * @param {import('./event-bus').InterviewEvent} event - Interview event
+   */
+  function handleEvent(event) {
+    const data = event.data || {};
+    
+    switch (event.type) {
+      case EventType.QUESTION:
+        if (data.repeated) {
+          questionEndedAt = null;
+          break;
+        }
+        questions.inc();
+        questionEndedAt = data.endedAt || Date.parse(event.timestamp);
+        break;
+      
+      case EventType.RESPONSE:
+        responses.inc();
+        break;
+      
+      case EventType.REPEAT_REQUEST:
+        repeatRequests.inc({ reason: data.reason || 'unknown' });
+        break;
+      
+      case EventType.TTS_START:
+        if (questionEndedAt) {
+          responseLatency.observe(Math.max(0, Date.parse(event.timestamp) - questionEndedAt) / 1000);
+          questionEndedAt = null;
+        }
+        break;
+      
+      case EventType.TTS_END:
+        if (typeof data.durationMs === 'number') {
+          ttsDuration.observe(data.durationMs / 1000);
+        }
+        break;
+      
+      case EventType.WS_CONNECTED:
+        if (connectedSockets.has(data.socket)) {
+          reconnects.inc({ socket: data.socket });
+        }
+        connectedSockets.add(data.socket);
+        break;
+      
+      case EventType.WS_CLOSED:
+        disconnects.inc({ socket: data.socket || 'unknown' });
+        break;
+      
+      case EventType.PLAYBACK_ERROR:
+        playbackFailures.inc({ reason: data.reason || 'unknown' });
+        break;
+      
+      case EventType.BARGE_IN:
+        bargeIns.inc();
+        break;
+      
+      case EventType.USAGE:
+        for (const kind of ['prompt', 'response', 'audio']) {
+          tokens.inc({ model: data.model || 'unknown', kind }, data[`${kind}Tokens`] || 0);
+        }
+        cost.inc({ model: data.model || 'unknown' }, data.costUsd || 0);
+        break;
+      
+      default:
+        break;
+    }
+  }
+  
+  const unsubscribe = events.subscribe(handleEvent);
+  
+  return {
+    render: registry.render,
+    contentType: CONTENT_TYPE,
+    stop: unsubscribe,
+  };
+}
+
+module.exports = {
+  createSessionMetrics,
+  BUCKETS,
+};
@@ -0,0 +1,441 @@
+/**
+ * Failure Artifacts Module
+ * 
+ * @module session/artifacts
+ * @description Captures what the page looked like when a run went wrong, so unattended
+ *              runs can be diagnosed afterwards. While the run goes on, the collector keeps
+ *              the page's console output and network requests (for a HAR file); capture()
+ *              then writes them together with a full-page screenshot, the serialized DOM
+ *              and the last seconds of session audio.
+ * 
+ * Layout (one directory per capture, next to the session transcript; <time> is UTC to the millisecond):
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/screenshot.png
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/dom.html
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/console.log
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/network.har      - HAR 1.2, headers only (no bodies)
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/audio-tail.wav   - stereo, L = interviewer, R = candidate
+ *   <logsDir>/<sessionId>/artifacts/<time>-<reason>/info.json        - reason, page URL/title, details, files
+ * 
+ * Every part is captured on its own: a page that cannot be screenshotted (crashed, closed)
+ * still gets its console log, HAR and audio, and the failures are listed in info.json.
+ * 
+ * @example
+ * const { createArtifactCollector } = require('./session/artifacts');
+ * 
+ * const artifacts = createArtifactCollector({ dir: path.join(transcript.getDirectory(), 'artifacts'), recorder });
+ * artifacts.attach(page);
+ * await artifacts.capture('flow_stuck', { diagnostic: error.diagnostic });
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only records and writes diagnostic artifacts
+ * - Open/Closed: Callers decide when to capture; the collector decides what
+ * - Dependency Inversion: The page and recorder are passed in
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EventType } = require('../services/event-bus');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  AUDIO_TAIL_MS: 30000,
+  MAX_CONSOLE_LINES: 2000,
+  MAX_HAR_ENTRIES: 1000,
+  MIN_INTERVAL_MS: 30000,
+  STEP_TIMEOUT_MS: 15000,
+};
+
+/**
+ * Files written per capture
+ * @readonly
+ * @enum {string}
+ */
+const ArtifactFile = {
+  SCREENSHOT: 'screenshot.png',
+  DOM: 'dom.html',
+  CONSOLE: 'console.log',
+  HAR: 'network.har',
+  AUDIO: 'audio-tail.wav',
+  INFO: 'info.json',
+};
+
+/**
+ * @typedef {Object} ArtifactCollectorOptions
+ * @property {string} dir - Directory the capture folders are created in (e.g. <sessionDir>/artifacts)
+ * @property {Object} [recorder] - Session recorder (audio/recorder); no audio artifact without one
+ * @property {number} [audioTailMs=30000] - Audio kept per capture, counted back from the latest sample
+ * @property {number} [maxConsoleLines=2000] - Console lines kept (oldest dropped)
+ * @property {number} [maxHarEntries=1000] - Network requests kept (oldest dropped)
+ * @property {number} [minIntervalMs=30000] - Captures for the same reason closer together are skipped (unless forced)
+ * @property {number} [stepTimeoutMs=15000] - Longest wait for the screenshot or DOM of an unresponsive page
+ * @property {Object} [logger=console] - Logger instance
+ * @property {Function} [onEvent] - Callback with (type, data) for live events (see services/event-bus)
+ */
+
+/**
+ * @typedef {Object} ArtifactCapture
+ * @property {string} reason - Why the artifacts were captured
+ * @property {string} dir - Capture directory
+ * @property {string[]} files - Files written (names within dir)
+ * @property {Object.<string, string>} errors - Parts that could not be captured, by file name
+ */
+
+/**
+ * Turns a reason into a file-name-safe slug
+ * 
+ * @private
+ * @param {string} reason - Capture reason
+ * @returns {string} Slug
+ */
+function slugify(reason) {
+  return String(reason || 'manual').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'manual';
+}
+
+/**
+ * Converts a header object to HAR name/value pairs
+ * 
+ * @private
+ * @param {Object.<string, string>} headers - Headers
+ * @returns {Array<{name: string, value: string}>} HAR headers
+ */
+function toHarHeaders(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * Lists the query string of a URL as HAR name/value pairs
+ * 
+ * @private
+ * @param {string} url - Request URL
+ * @returns {Array<{name: string, value: string}>} HAR query string
+ */
+function toHarQuery(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Rejects if a promise takes longer than timeoutMs
+ * 
+ * @private
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeoutMs - Time limit
+ * @param {string} label - What is being waited for (for the error)
+ * @returns {Promise} The work's result
+ */
+function withTimeout(promise, timeoutMs, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Creates an artifact collector
+ * 
+ * @param {ArtifactCollectorOptions} options - Collector configuration
+ * @returns {{attach: Function, capture: Function, getDirectory: Function}} Artifact collector
+ * @throws {Error} If dir is missing
+ * 
+ * @example
+ * const artifacts = createArtifactCollector({ dir: '/app/logs/20250101-120000-ab12/artifacts' });
+ */
+function createArtifactCollector(options = {}) {
+  const {
+    dir,
+    recorder = null,
+    audioTailMs = DEFAULTS.AUDIO_TAIL_MS,
+    maxConsoleLines = DEFAULTS.MAX_CONSOLE_LINES,
+    maxHarEntries = DEFAULTS.MAX_HAR_ENTRIES,
+    minIntervalMs = DEFAULTS.MIN_INTERVAL_MS,
+    stepTimeoutMs = DEFAULTS.STEP_TIMEOUT_MS,
+    logger = console,
+    onEvent = null,
+  } = options;
+  
+  if (!dir) {
+    throw new Error('Artifact collector requires a dir');
+  }
+  
+  /** @type {import('puppeteer').Page|null} */
+  let page = null;
+  
+  /** @type {string[]} */
+  const consoleLines = [];
+  
+  /**
+   * Finished requests as HAR entries
+   * @type {Object[]}
+   */
+  const harEntries = [];
+  
+  /**
+   * Requests still in flight, with when they started
+   * @type {Map<Object, number>}
+   */
+  const pending = new Map();
+  
+  /**
+   * When each reason was last captured
+   * @type {Map<string, number>}
+   */
+  const lastCaptured = new Map();
+  
+  /** @type {Promise} */
+  let queue = Promise.resolve();
+  
+  // ============================================================
+  // RECORDING
+  // ============================================================
+  
+  /**
+   * Adds a line to the console log
+   * 
+   * @private
+   * @param {string} type - Message type (log, warning, error, pageerror...)
+   * @param {string} text - Message text
+   */
+  function addConsoleLine(type, text) {
+    consoleLines.push(`${new Date().toISOString()} [${type}] ${text}`);
+    if (consoleLines.length > maxConsoleLines) consoleLines.shift();
+  }
+  
+  /**
+   * Turns a finished (or failed) request into a HAR entry
+   * 
+   * @private
+   * @param {Object} request - Puppeteer HTTPRequest
+   * @param {string|null} failure - Failure text for failed requests
+   */
+  function addHarEntry(request, failure) {
+    const startedAt = pending.get(request) || Date.now();
+    pending.delete(request);
+    
+    const response = request.response();
+    const responseHeaders = response ? response.headers() : {};
+    const postData = request.postData();
+    const time = Date.now() - startedAt;
+    
+    harEntries.push({
+      startedDateTime: new Date(startedAt).toISOString(),
+      time,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(request.headers()),
+        queryString: toHarQuery(request.url()),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0,
+      },
+      response: {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : (failure || ''),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: toHarHeaders(responseHeaders),
+        content: {
+          size: Number(responseHeaders['content-length']) || 0,
+          mimeType: responseHeaders['content-type'] || '',
+        },
+        redirectURL: responseHeaders.location || '',
+        headersSize: -1,
+        bodySize: -1,
+      },
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 },
+      _resourceType: request.resourceType(),
+      ...(failure ? { _failure: failure } : {}),
+    });
+    if (harEntries.length > maxHarEntries) harEntries.shift();
+  }
+  
+  /**
+   * Builds the HAR document from the recorded requests
+   * 
+   * @private
+   * @returns {Object} HAR 1.2 log
+   */
+  function buildHar() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'interview-bot', version: '1.0' },
+        pages: [],
+        entries: [...harEntries],
+      },
+    };
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Starts recording a page's console and network traffic (call before navigating, so the
+   * HAR starts with the page load)
+   * 
+   * @param {import('puppeteer').Page} target - Interview page
+   */
+  function attach(target) {
+    page = target;
+    
+    page.on('console', msg => addConsoleLine(msg.type(), msg.text()));
+    page.on('pageerror', error => addConsoleLine('pageerror', error.message));
+    page.on('request', request => pending.set(request, Date.now()));
+    page.on('requestfinished', request => addHarEntry(request, null));
+    page.on('requestfailed', (request) => {
+      const failure = request.failure();
+      addConsoleLine('requestfailed', `${request.url()} ${failure ? failure.errorText : ''}`.trim());
+      addHarEntry(request, failure ? failure.errorText : 'failed');
+    });
+  }
+  
+  /**
+   * Writes one capture
+   * 
+   * @private
+   * @async
+   * @param {string} reason - Why the artifacts are captured
+   * @param {Object} details - Extra information for info.json
+   * @returns {Promise<ArtifactCapture>} What was written
+   */
+  async function writeCapture(reason, details) {
+    // UTC time to the millisecond (20261019-144413-123), plus a suffix if that still collides
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+    const name = `${stamp}-${slugify(reason)}`;
+    let captureDir = path.join(dir, name);
+    for (let n = 2; fs.existsSync(captureDir); n++) {
+      captureDir = path.join(dir, `${name}-${n}`);
+    }
+    const files = [];
+    const errors = {};
+    
+    fs.mkdirSync(captureDir, { recursive: true });
+    
+    // Each part on its own, so one failure does not lose the rest
+    async function step(file, run) {
+      try {
+        if (await run(path.join(captureDir, file)) !== false) files.push(file);
+      } catch (error) {
+        errors[file] = error.message;
+        logger.warn(`[artifacts] ${file} not captured: ${error.message}`);
+      }
+    }
+    
+    const pageOpen = Boolean(page) && !page.isClosed();
+    
+    await step(ArtifactFile.SCREENSHOT, async (file) => {
+      if (!pageOpen) throw new Error('No open page');
+      await withTimeout(page.screenshot({ path: file, fullPage: true }), stepTimeoutMs, 'Screenshot');
+    });
+    
+    await step(ArtifactFile.DOM, async (file) => {
+      if (!pageOpen) throw new Error('No open page');
+      fs.writeFileSync(file, await withTimeout(page.content(), stepTimeoutMs, 'DOM snapshot'));
+    });
+    
+    await step(ArtifactFile.CONSOLE, (file) => {
+      fs.writeFileSync(file, consoleLines.join('\n') + '\n');
+    });
+    
+    await step(ArtifactFile.HAR, (file) => {
+      fs.writeFileSync(file, JSON.stringify(buildHar(), null, 2));
+    });
+    
+    await step(ArtifactFile.AUDIO, (file) => {
+      if (!recorder) return false;
+      if (!recorder.writeTail(file, audioTailMs)) throw new Error('No audio recorded');
+      return true;
+    });
+    
+    let url = '';
+    let title = '';
+    if (pageOpen) {
+      url = page.url();
+      title = await withTimeout(page.title(), stepTimeoutMs, 'Page title').catch(() => '');
+    }
+    
+    fs.writeFileSync(path.join(captureDir, ArtifactFile.INFO), JSON.stringify({
+      reason,
+      capturedAt: new Date().toISOString(),
+      url,
+      title,
+      details,
+      files,
+      errors,
+      pendingRequests: [...pending.keys()].map(request => request.url()),
+    }, null, 2));
+    files.push(ArtifactFile.INFO);
+    
+    logger.info(`[artifacts] Captured ${reason} artifacts to ${captureDir}`);
+    if (typeof onEvent === 'function') {
+      onEvent(EventType.ARTIFACTS, { reason, dir: captureDir, files });
+    }
+    
+    return { reason, dir: captureDir, files, errors };
+  }
+  
+  /**
+   * Captures artifacts. Captures run one at a time; one for a reason captured less than
+   * minIntervalMs ago is skipped unless forced (page errors tend to come in bursts).
+   * 
+   * @async
+   * @param {string} reason - Why (e.g. 'flow_stuck', 'page_error', 'fatal', 'manual')
+   * @param {Object} [details={}] - Extra information for info.json (error message, diagnostic)
+   * @param {Object} [captureOptions={}] - Capture options
+   * @param {boolean} [captureOptions.force=false] - Capture even if the reason was just captured
+   * @returns {Promise<ArtifactCapture|null>} What was written, or null if skipped or failed
+   * 
+   * @example
+   * await artifacts.capture('fatal', { error: error.message });
+   */
+  function capture(reason, details = {}, captureOptions = {}) {
+    const { force = false } = captureOptions;
+    const now = Date.now();
+    
+    if (!force && now - (lastCaptured.get(reason) || 0) < minIntervalMs) {
+      logger.debug(`[artifacts] Skipped ${reason} capture (captured less than ${minIntervalMs}ms ago)`);
+      return Promise.resolve(null);
+    }
+    lastCaptured.set(reason, now);
+    
+    const result = queue.then(() => writeCapture(reason, details)).catch((error) => {
+      logger.error(`[artifacts] Capture failed: ${error.message}`);
+      return null;
+    });
+    queue = result;
+    return result;
+  }
+  
+  /**
+   * Returns the directory captures are written to
+   * 
+   * @returns {string} Absolute path
+   */
+  function getDirectory() {
+    return dir;
+  }
+  
+  return {
+    attach,
+    capture,
+    getDirectory,
+  };
+}
+
+module.exports = {
+  createArtifactCollector,
+  ArtifactFile,
+  DEFAULTS,
+};
@@ -0,0 +1,218 @@
+/**
+ * Transcript Exporters Module
+ * 
+ * @module session/exporters
+ * @description Renders a session transcript as Markdown (for reading) and as SRT/WebVTT
+ *              subtitles (for scrubbing alongside the recording). Cue times are offsets
+ *              from the session start, the same zero the recordings use.
+ * 
+ * @example
+ * const { toMarkdown, toWebVTT } = require('./session/exporters');
+ * 
+ * fs.writeFileSync('transcript.md', toMarkdown(transcript));
+ * fs.writeFileSync('transcript.vtt', toWebVTT(transcript));
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only formats transcripts, never reads or writes files
+ * - Open/Closed: New formats are new entries in EXPORTERS
+ * - Dependency Inversion: Works on the plain transcript object, not the conversation
+ */
+
+'use strict';
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  MS_PER_WORD: 400,
+  MIN_CUE_MS: 1000,
+};
+
+/**
+ * Display names for transcript speakers
+ * @constant {Object.<string, string>}
+ */
+const SPEAKER_LABELS = {
+  interviewer: 'Interviewer',
+  candidate: 'Candidate',
+};
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Formats an offset as a subtitle timestamp (HH:MM:SS,mmm for SRT, HH:MM:SS.mmm for VTT)
+ * 
+ * @param {number} ms - Offset from session start in milliseconds
+ * @param {string} [separator=','] - Separator before the milliseconds
+ * @returns {string} Formatted timestamp
+ */
+function formatTimestamp(ms, separator = ',') {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(millis, 3)}`;
+}
+
+/**
+ * Formats an offset as a short clock (MM:SS, or H:MM:SS past an hour)
+ * 
+ * @private
+ * @param {number} ms - Offset in milliseconds
+ * @returns {string} Formatted clock
+ */
+function formatClock(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, '0');
+  const seconds = String(total % 60).padStart(2, '0');
+  
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Formats token usage, e.g. "12,345 tokens (9,870 audio), ~$0.0421"
+ * 
+ * @private
+ * @param {Object} usage - Token usage (see llm/usage)
+ * @returns {string} Usage summary
+ */
+function formatUsage(usage) {
+  const count = value => (value || 0).toLocaleString('en-US');
+  return `${count(usage.totalTokens)} tokens (${count(usage.audioTokens)} audio), ~$${(usage.costUsd || 0).toFixed(4)}`;
+}
+
+/**
+ * Computes subtitle cues from the transcript turns.
+ * A turn without a usable end time is given a duration estimated from its word count,
+ * and no cue runs past the start of the next one.
+ * 
+ * @private
+ * @param {Object} transcript - Session transcript
+ * @returns {Array<{startMs: number, endMs: number, speaker: string, text: string}>} Cues
+ */
+function buildCues(transcript) {
+  const turns = transcript.turns.filter(turn => turn.text);
+  
+  return turns.map((turn, index) => {
+    const next = turns[index + 1];
+    const estimate = Math.max(DEFAULTS.MIN_CUE_MS, turn.text.split(/\s+/).length * DEFAULTS.MS_PER_WORD);
+    let endMs = turn.endMs > turn.startMs ? turn.endMs : turn.startMs + estimate;
+    
+    if (next && next.startMs > turn.startMs) {
+      endMs = Math.min(endMs, next.startMs);
+    }
+    
+    return {
+      startMs: turn.startMs,
+      endMs,
+      speaker: SPEAKER_LABELS[turn.speaker] || turn.speaker,
+      text: turn.text.replace(/\s+/g, ' ').trim(),
+    };
+  });
+}
+
+// ============================================================
+// EXPORTERS
+// ============================================================
+
+/**
+ * Renders the transcript as Markdown
+ * 
+ * @param {Object} transcript - Session transcript (see session/transcript)
+ * @returns {string} Markdown document
+ */
+function toMarkdown(transcript) {
+  const lines = [
+    `# Interview transcript: ${transcript.sessionId}`,
+    '',
+    `- **Started:** ${transcript.startedAt}`,
+  ];
+  
+  if (transcript.endedAt) {
+    lines.push(`- **Ended:** ${transcript.endedAt} (${formatClock(transcript.durationMs)}${transcript.endReason ? `, ${transcript.endReason}` : ''})`);
+  }
+  
+  for (const [key, value] of Object.entries(transcript.metadata || {})) {
+    if (value) lines.push(`- **${key}:** ${value}`);
+  }
+  
+  if (transcript.usage && transcript.usage.totalTokens > 0) {
+    lines.push(`- **Gemini usage:** ${formatUsage(transcript.usage)}`);
+  }
+  
+  lines.push('', '---', '');
+  
+  for (const turn of transcript.turns) {
+    const speaker = SPEAKER_LABELS[turn.speaker] || turn.speaker;
+    lines.push(`**[${formatClock(turn.startMs)}] ${speaker}:** ${turn.text}${turn.interrupted ? ' *(interrupted)*' : ''}`);
+    
+    if (turn.audio) {
+      lines.push('', `<sub>Audio: [${turn.audio.file}](${turn.audio.file})</sub>`);
+    }
+    
+    lines.push('');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Renders the transcript as SRT subtitles
+ * 
+ * @param {Object} transcript - Session transcript (see session/transcript)
+ * @returns {string} SRT document
+ */
+function toSRT(transcript) {
+  return buildCues(transcript)
+    .map((cue, index) => [
+      String(index + 1),
+      `${formatTimestamp(cue.startMs)} --> ${formatTimestamp(cue.endMs)}`,
+      `${cue.speaker}: ${cue.text}`,
+      '',
+    ].join('\n'))
+    .join('\n');
+}
+
+/**
+ * Renders the transcript as WebVTT subtitles, with speakers as voice spans
+ * 
+ * @param {Object} transcript - Session transcript (see session/transcript)
+ * @returns {string} WebVTT document
+ */
+function toWebVTT(transcript) {
+  const cues = buildCues(transcript).map(cue => [
+    `${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}`,
+    `<v ${cue.speaker}>${cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}`,
+    '',
+  ].join('\n'));
+  
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Available export formats, keyed by the name used in TRANSCRIPT_FORMATS
+ * @constant {Object.<string, {extension: string, render: Function}>}
+ */
+const EXPORTERS = {
+  json: { extension: 'json', render: transcript => JSON.stringify(transcript, null, 2) },
+  md: { extension: 'md', render: toMarkdown },
+  srt: { extension: 'srt', render: toSRT },
+  vtt: { extension: 'vtt', render: toWebVTT },
+};
+
+module.exports = {
+  toMarkdown,
+  toSRT,
+  toWebVTT,
+  formatTimestamp,
+  EXPORTERS,
+  SPEAKER_LABELS,
+  DEFAULTS,
+};
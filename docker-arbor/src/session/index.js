@@ -0,0 +1,32 @@
+/**
+ * Session Module Index
+ * 
+ * @module session
+ * @description Re-exports the session transcript, its exporters and the failure artifact
+ *              collector for convenient importing.
+ * 
+ * @example
+ * const { createSessionTranscript, toWebVTT } = require('./session');
+ */
+
+'use strict';
+
+const transcript = require('./transcript');
+const exporters = require('./exporters');
+const artifacts = require('./artifacts');
+
+module.exports = {
+  // From transcript
+  createSessionTranscript: transcript.createSessionTranscript,
+  createSessionId: transcript.createSessionId,
+  
+  // From exporters
+  toMarkdown: exporters.toMarkdown,
+  toSRT: exporters.toSRT,
+  toWebVTT: exporters.toWebVTT,
+  formatTimestamp: exporters.formatTimestamp,
+  
+  // From artifacts
+  createArtifactCollector: artifacts.createArtifactCollector,
+  ArtifactFile: artifacts.ArtifactFile,
+};
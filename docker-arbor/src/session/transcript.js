@@ -0,0 +1,343 @@
+/**
+ * Session Transcript Module
+ * 
+ * @module session/transcript
+ * @description Persists every interview session to the logs volume: a structured JSON
+ *              transcript (per-turn timestamps, speaker, text, audio file references and
+ *              token usage) plus Markdown and SRT/WebVTT exports for reviewers.
+ * 
+ * Layout (one directory per session):
+ *   <logsDir>/<sessionId>/transcript.json
+ *   <logsDir>/<sessionId>/transcript.md
+ *   <logsDir>/<sessionId>/transcript.srt
+ *   <logsDir>/<sessionId>/transcript.vtt
+ *   <logsDir>/<sessionId>/audio/*.pcm     - per-turn audio saved by the conversation
+ * 
+ * Turn times are stored both as ISO timestamps and as offsets from the session start,
+ * so the subtitle exports line up with recordings that start with the session.
+ * 
+ * @example
+ * const { createSessionTranscript } = require('./session/transcript');
+ * 
+ * const transcript = createSessionTranscript({ logsDir: '/app/logs', metadata: { persona: 'default' } });
+ * transcript.save(conversation.getHistory());
+ * transcript.save(conversation.getHistory(), { endReason: 'completed' });
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only builds and writes session transcripts
+ * - Open/Closed: Output formats come from session/exporters
+ * - Dependency Inversion: Turns are passed in; the transcript does not own conversation state
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EXPORTERS } = require('./exporters');
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  LOGS_DIR: path.join(__dirname, '..', '..', 'logs'),
+  FORMATS: ['json', 'md', 'srt', 'vtt'],
+  FILE_BASENAME: 'transcript',
+  AUDIO_SUBDIR: 'audio',
+  VERSION: 1,
+};
+
+/**
+ * @typedef {Object} TranscriptAudio
+ * @property {string} file - Path relative to the session directory
+ * @property {number|null} sampleRate - Sample rate (Hz) of the raw PCM
+ * @property {string} format - Sample format ('s16le' mono)
+ * @property {number|null} durationMs - Audio length, when known
+ */
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {number} index - Turn number (0-based)
+ * @property {'interviewer'|'candidate'} speaker - Who spoke
+ * @property {string} text - What was said
+ * @property {string} startedAt - ISO timestamp of the start of the turn
+ * @property {string|null} endedAt - ISO timestamp of the end of the turn, when known
+ * @property {number} startMs - Start offset from the session start
+ * @property {number|null} endMs - End offset from the session start, when known
+ * @property {TranscriptAudio|null} audio - Audio for this turn, when saved
+ * @property {boolean} [interrupted] - Candidate answer cut off by the interviewer (barge-in)
+ * @property {import('../llm/usage').TokenUsage} [usage] - Tokens spent on this answer, when reported
+ */
+
+/**
+ * @typedef {Object} SessionTranscript
+ * @property {number} version - Transcript format version
+ * @property {string} sessionId - Session identifier
+ * @property {string} startedAt - ISO timestamp of the session start (offset zero)
+ * @property {string|null} endedAt - ISO timestamp of the session end
+ * @property {number} durationMs - Session length so far
+ * @property {string|null} endReason - Why the session ended (completed, ended, timeout, signal, error)
+ * @property {Object.<string, string>} metadata - Run details (persona, model, ...)
+ * @property {Object|null} usage - Session token totals and estimated cost (see llm/usage getTotals)
+ * @property {TranscriptTurn[]} turns - Conversation turns, in order
+ */
+
+/**
+ * @typedef {Object} SessionTranscriptOptions
+ * @property {string} [sessionId] - Session identifier (generated when omitted)
+ * @property {string} [logsDir] - Root directory for session folders
+ * @property {number} [startedAt=Date.now()] - Session start (offset zero)
+ * @property {string[]} [formats=['json','md','srt','vtt']] - Files written on save
+ * @property {Object.<string, string>} [metadata={}] - Run details included in every export
+ * @property {Object} [logger=console] - Logger instance
+ */
+
+// ============================================================
+// HELPERS
+// ============================================================
+
+/**
+ * Creates a sortable, unique session identifier, e.g. "20261019-143005-a1b2"
+ * 
+ * @param {Date} [date=new Date()] - Session start
+ * @returns {string} Session identifier
+ */
+function createSessionId(date = new Date()) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Writes a file via a temporary file and rename, so a crash never leaves half a transcript
+ * 
+ * @private
+ * @param {string} filePath - Destination path
+ * @param {string} content - File contents
+ */
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// ============================================================
+// FACTORY
+// ============================================================
+
+/**
+ * Creates a new session transcript
+ * 
+ * @param {SessionTranscriptOptions} [options={}] - Transcript configuration
+ * @returns {{sessionId: string, startedAt: number, getDirectory: Function, getAudioDirectory: Function, addAudioFile: Function, saveAudioFile: Function, build: Function, save: Function}}
+ * @throws {Error} If an unknown format is requested
+ * 
+ * @example
+ * const transcript = createSessionTranscript({ sessionId: 'demo', formats: ['json', 'vtt'] });
+ */
+function createSessionTranscript(options = {}) {
+  const {
+    startedAt = Date.now(),
+    sessionId = createSessionId(new Date(startedAt)),
+    logsDir = DEFAULTS.LOGS_DIR,
+    formats = DEFAULTS.FORMATS,
+    metadata = {},
+    logger = console,
+  } = options;
+  
+  const unknown = formats.filter(format => !EXPORTERS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown transcript format(s): ${unknown.join(', ')} (available: ${Object.keys(EXPORTERS).join(', ')})`);
+  }
+  
+  const sessionDir = path.join(logsDir, sessionId);
+  const audioDir = path.join(sessionDir, DEFAULTS.AUDIO_SUBDIR);
+  
+  /**
+   * Audio files saved for this session, keyed by file name
+   * @type {Map<string, {sampleRate: number|null, bytes: number}>}
+   */
+  const audioFiles = new Map();
+  
+  /** @type {boolean} */
+  let hasLoggedLocation = false;
+  
+  /**
+   * Converts an epoch timestamp to an offset from the session start
+   * 
+   * @private
+   * @param {number|null} timestamp - Epoch milliseconds
+   * @returns {number|null} Offset in milliseconds
+   */
+  function toOffset(timestamp) {
+    return timestamp ? Math.max(0, timestamp - startedAt) : null;
+  }
+  
+  /**
+   * Describes the audio file referenced by a turn
+   * 
+   * @private
+   * @param {string|null} filename - Audio file name recorded with the turn
+   * @returns {TranscriptAudio|null} Audio reference, or null if it was never saved
+   */
+  function describeAudio(filename) {
+    const saved = filename && audioFiles.get(path.basename(filename));
+    if (!saved) return null;
+    
+    return {
+      file: `${DEFAULTS.AUDIO_SUBDIR}/${path.basename(filename)}`,
+      sampleRate: saved.sampleRate,
+      format: 's16le',
+      durationMs: saved.sampleRate ? Math.round((saved.bytes / 2 / saved.sampleRate) * 1000) : null,
+    };
+  }
+  
+  // ============================================================
+  // PUBLIC API
+  // ============================================================
+  
+  /**
+   * Records an audio file saved into the session's audio directory
+   * 
+   * @param {string} filename - File name (relative to the audio directory)
+   * @param {Object} [details={}] - File details
+   * @param {number} [details.sampleRate] - Sample rate of the raw PCM
+   * @param {number} [details.bytes=0] - File size
+   */
+  function addAudioFile(filename, details = {}) {
+    audioFiles.set(path.basename(filename), {
+      sampleRate: details.sampleRate || null,
+      bytes: details.bytes || 0,
+    });
+  }
+  
+  /**
+   * Writes raw PCM into the session's audio directory and records it.
+   * Errors are logged, never thrown, like save().
+   * 
+   * @param {string} filename - File name (relative to the audio directory)
+   * @param {Buffer} pcm - Raw s16le mono audio
+   * @param {Object} [details={}] - File details
+   * @param {number} [details.sampleRate] - Sample rate of the raw PCM
+   * @returns {string|null} Written file path, or null on failure
+   */
+  function saveAudioFile(filename, pcm, details = {}) {
+    try {
+      fs.mkdirSync(audioDir, { recursive: true });
+      const filePath = path.join(audioDir, path.basename(filename));
+      fs.writeFileSync(filePath, pcm);
+      
+      logger.info(`[transcript] Saved audio: ${path.basename(filename)} (${pcm.length} bytes, ${details.sampleRate || 'unknown'}Hz)`);
+      addAudioFile(filename, { sampleRate: details.sampleRate, bytes: pcm.length });
+      return filePath;
+    } catch (error) {
+      logger.error('[transcript] Audio save error:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Builds the transcript object from conversation turns
+   * 
+   * @param {Array<{role: string, text: string, timestamp: number, endedAt?: number, audioFile?: string, interrupted?: boolean, usage?: Object}>} history - Conversation history
+   * @param {Object} [end={}] - Set when the session is over
+   * @param {number} [end.endedAt] - Session end (epoch ms)
+   * @param {string} [end.endReason] - Why the session ended
+   * @param {Object} [end.usage] - Session token totals (see llm/usage getTotals)
+   * @returns {SessionTranscript} Transcript
+   */
+  function build(history, end = {}) {
+    const endedAt = end.endedAt || null;
+    
+    return {
+      version: DEFAULTS.VERSION,
+      sessionId,
+      startedAt: new Date(startedAt).toISOString(),
+      endedAt: endedAt ? new Date(endedAt).toISOString() : null,
+      durationMs: (endedAt || Date.now()) - startedAt,
+      endReason: end.endReason || null,
+      metadata: { ...metadata },
+      usage: end.usage || null,
+      turns: history.map((turn, index) => ({
+        index,
+        speaker: turn.role,
+        text: turn.text,
+        startedAt: new Date(turn.timestamp).toISOString(),
+        endedAt: turn.endedAt ? new Date(turn.endedAt).toISOString() : null,
+        startMs: toOffset(turn.timestamp),
+        endMs: toOffset(turn.endedAt),
+        audio: describeAudio(turn.audioFile),
+        ...(turn.interrupted ? { interrupted: true } : {}),
+        ...(turn.usage ? { usage: turn.usage } : {}),
+      })),
+    };
+  }
+  
+  /**
+   * Writes the transcript and its exports to the session directory.
+   * Safe to call after every turn; errors are logged, never thrown, so a full disk
+   * cannot end the interview.
+   * 
+   * @param {Array<Object>} history - Conversation history (see build)
+   * @param {Object} [end={}] - Session end details and usage (see build)
+   * @returns {string[]|null} Written file paths, or null on failure
+   */
+  function save(history, end = {}) {
+    try {
+      fs.mkdirSync(sessionDir, { recursive: true });
+      const transcript = build(history, end);
+      
+      const written = formats.map((format) => {
+        const { extension, render } = EXPORTERS[format];
+        const filePath = path.join(sessionDir, `${DEFAULTS.FILE_BASENAME}.${extension}`);
+        writeFileAtomic(filePath, render(transcript));
+        return filePath;
+      });
+      
+      if (!hasLoggedLocation || end.endReason) {
+        logger.info(`[transcript] Saved ${transcript.turns.length} turns to ${sessionDir}`);
+        hasLoggedLocation = true;
+      }
+      
+      return written;
+    } catch (error) {
+      logger.error('[transcript] Save error:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Returns the session directory
+   * 
+   * @returns {string} Absolute path
+   */
+  function getDirectory() {
+    return sessionDir;
+  }
+  
+  /**
+   * Returns the directory per-turn audio files should be saved to
+   * 
+   * @returns {string} Absolute path
+   */
+  function getAudioDirectory() {
+    return audioDir;
+  }
+  
+  return {
+    sessionId,
+    startedAt,
+    getDirectory,
+    getAudioDirectory,
+    addAudioFile,
+    saveAudioFile,
+    build,
+    save,
+  };
+}
+
+module.exports = {
+  createSessionTranscript,
+  createSessionId,
+  DEFAULTS,
+};
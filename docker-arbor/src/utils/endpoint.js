@@ -0,0 +1,54 @@
+/**
+ * Endpoint Module
+ * 
+ * @module utils/endpoint
+ * @description Tells local service endpoints (the mock Gemini server on this machine or in
+ *              a sibling container, addressed by its single-label service name) from remote ones. Local endpoints are offline stand-ins,
+ *              so they need no API key.
+ * 
+ * @example
+ * const { isLocalEndpoint } = require('./utils/endpoint');
+ * 
+ * isLocalEndpoint('ws://localhost:8765/ws');             // true
+ * isLocalEndpoint('ws://mock-gemini:8765/ws');           // true
+ * isLocalEndpoint('wss://mock.example.com/ws');          // false
+ * isLocalEndpoint('wss://generativelanguage.googleapis.com/ws/...'); // false
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only classifies endpoint URLs
+ */
+
+'use strict';
+
+/**
+ * Host names of this machine (or, from a container, of its host)
+ * @constant {string[]}
+ */
+const LOCAL_HOSTS = ['localhost', '0.0.0.0', '::1', '[::1]', 'host.docker.internal'];
+
+/**
+ * Checks whether a URL points at a local or mock service
+ * Loopback addresses, localhost and single-label hosts without a dot (e.g. a "mock-gemini" compose
+ * service) count as local; any dotted name may be a remote host and does not.
+ * 
+ * @param {string} url - Endpoint URL
+ * @returns {boolean} True for local or mock endpoints, false otherwise (including invalid URLs)
+ */
+function isLocalEndpoint(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+  
+  return LOCAL_HOSTS.includes(hostname) ||
+    hostname.endsWith('.localhost') ||
+    /^127\.\d+\.\d+\.\d+$/.test(hostname) ||
+    /^[a-z0-9_-]+$/.test(hostname);
+}
+
+module.exports = {
+  isLocalEndpoint,
+  LOCAL_HOSTS,
+};
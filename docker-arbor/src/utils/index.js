@@ -5,14 +5,23 @@
  * @description Re-exports all utility modules for convenient importing.
  * 
  * @example
- * const { createLogger, defaultLogger } = require('./utils');
+ * const { createLogger, defaultLogger, resolveLanguage } = require('./utils');
  */
 
 'use strict';
 
 const logger = require('./logger');
+const language = require('./language');
+const endpoint = require('./endpoint');
 
 module.exports = {
   ...logger,
+  
+  // From language
+  resolveLanguage: language.resolveLanguage,
+  LANGUAGES: language.LANGUAGES,
+  
+  // From endpoint
+  isLocalEndpoint: endpoint.isLocalEndpoint,
 };
 
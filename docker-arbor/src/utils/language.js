@@ -0,0 +1,132 @@
+/**
+ * Language Module
+ * 
+ * @module utils/language
+ * @description Resolves the interview language (INTERVIEW_LANGUAGE) into the forms each
+ *              part of the run needs: the English name for prompts, the BCP-47 code for
+ *              Gemini's speech config, the Whisper language code, and the labels a
+ *              language dropdown may list it under (sites often show native names such
+ *              as "Español" or "हिन्दी"). A language can be given by name, native name
+ *              or code ('Spanish', 'español', 'es', 'es-MX').
+ * 
+ * @example
+ * const { resolveLanguage } = require('./utils/language');
+ * 
+ * const language = resolveLanguage(process.env.INTERVIEW_LANGUAGE);
+ * // { name: 'Spanish', code: 'es-ES', whisper: 'es', labels: ['spanish', 'español', 'espanol', 'es'] }
+ * 
+ * SOLID Principles Applied:
+ * - Single Responsibility: Only maps language names and codes
+ * - Open/Closed: New languages are new LANGUAGES entries
+ */
+
+'use strict';
+
+/**
+ * Default configuration values
+ * @constant {Object}
+ */
+const DEFAULTS = {
+  LANGUAGE: 'English',
+};
+
+/**
+ * @typedef {Object} LanguageEntry
+ * @property {string} name - English name, used in prompts
+ * @property {string} code - BCP-47 code for Gemini speech_config.language_code
+ * @property {string} [whisper] - Whisper language code (defaults to the code's primary subtag)
+ * @property {string[]} [native] - Native names a site may list the language under
+ */
+
+/**
+ * Languages Gemini Live can speak, with their native names
+ * @constant {LanguageEntry[]}
+ */
+const LANGUAGES = [
+  { name: 'English', code: 'en-US' },
+  { name: 'Spanish', code: 'es-ES', native: ['español', 'espanol'] },
+  { name: 'Hindi', code: 'hi-IN', native: ['हिन्दी', 'हिंदी'] },
+  { name: 'French', code: 'fr-FR', native: ['français', 'francais'] },
+  { name: 'German', code: 'de-DE', native: ['deutsch'] },
+  { name: 'Portuguese', code: 'pt-BR', native: ['português', 'portugues'] },
+  { name: 'Italian', code: 'it-IT', native: ['italiano'] },
+  { name: 'Dutch', code: 'nl-NL', native: ['nederlands'] },
+  { name: 'Polish', code: 'pl-PL', native: ['polski'] },
+  { name: 'Russian', code: 'ru-RU', native: ['русский'] },
+  { name: 'Turkish', code: 'tr-TR', native: ['türkçe', 'turkce'] },
+  { name: 'Arabic', code: 'ar-XA', native: ['العربية'] },
+  { name: 'Japanese', code: 'ja-JP', native: ['日本語'] },
+  { name: 'Korean', code: 'ko-KR', native: ['한국어'] },
+  { name: 'Chinese', code: 'cmn-CN', whisper: 'zh', native: ['中文', '普通话', 'mandarin'] },
+  { name: 'Indonesian', code: 'id-ID', native: ['bahasa indonesia'] },
+  { name: 'Vietnamese', code: 'vi-VN', native: ['tiếng việt'] },
+  { name: 'Thai', code: 'th-TH', native: ['ไทย'] },
+  { name: 'Bengali', code: 'bn-IN', native: ['বাংলা'] },
+  { name: 'Tamil', code: 'ta-IN', native: ['தமிழ்'] },
+  { name: 'Telugu', code: 'te-IN', native: ['తెలుగు'] },
+  { name: 'Marathi', code: 'mr-IN', native: ['मराठी'] },
+];
+
+/**
+ * @typedef {Object} Language
+ * @property {string} name - English name (e.g. 'Spanish')
+ * @property {string} code - BCP-47 code (e.g. 'es-ES', or the code that was asked for)
+ * @property {string} whisper - Whisper language code (e.g. 'es')
+ * @property {string[]} labels - Lowercase names and code a language control may show it as
+ */
+
+/**
+ * Finds the LANGUAGES entry for a name, native name or code
+ * 
+ * @private
+ * @param {string} value - Lowercase name, native name or code
+ * @returns {LanguageEntry|undefined} Matching entry
+ */
+function findEntry(value) {
+  const primary = value.split(/[-_]/)[0];
+  
+  return LANGUAGES.find(entry => entry.name.toLowerCase() === value || (entry.native || []).includes(value)) ||
+    LANGUAGES.find(entry => entry.code.toLowerCase() === value) ||
+    LANGUAGES.find(entry => entry.code.split('-')[0] === primary || entry.whisper === primary);
+}
+
+/**
+ * Resolves a language name, native name or code
+ * 
+ * @param {string} [value='English'] - Language as configured (case-insensitive)
+ * @returns {Language} Resolved language
+ * @throws {Error} If the language is not known
+ * 
+ * @example
+ * resolveLanguage('hi').code;           // 'hi-IN'
+ * resolveLanguage('es-MX').code;        // 'es-MX' (a full code is kept as given)
+ * resolveLanguage('Deutsch').name;      // 'German'
+ */
+function resolveLanguage(value = DEFAULTS.LANGUAGE) {
+  const wanted = String(value || DEFAULTS.LANGUAGE).trim().toLowerCase();
+  const entry = findEntry(wanted);
+  
+  if (!entry) {
+    throw new Error(`Unknown language '${value}' (known: ${LANGUAGES.map(language => language.name).join(', ')})`);
+  }
+  
+  // A full regional code the table does not list (es-MX, en-GB) is passed on as given
+  const regional = /^[a-z]{2,3}[-_][a-z]{2}$/.test(wanted) && wanted !== entry.code.toLowerCase();
+  const code = regional
+    ? `${wanted.slice(0, wanted.search(/[-_]/))}-${wanted.slice(-2).toUpperCase()}`
+    : entry.code;
+  const whisper = entry.whisper || entry.code.split('-')[0];
+  
+  return {
+    name: entry.name,
+    code,
+    whisper,
+    labels: [...new Set([entry.name.toLowerCase(), ...(entry.native || []), whisper])],
+  };
+}
+
+module.exports = {
+  resolveLanguage,
+  LANGUAGES,
+  DEFAULTS,
+};
@@ -5,6 +5,11 @@
 const { app, BrowserWindow, ipcMain, desktopCapturer } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { resolveProfile } = require('./docker-arbor/src/browser/profiles');
+const { createScreenFlow } = require('./docker-arbor/src/browser/screen-flow');
+const { loadScreens } = require('./docker-arbor/src/browser/screens');
+const { createUsageTracker, loadPriceTable } = require('./docker-arbor/src/llm/usage');
+const { createCommandLLMProvider } = require('./docker-arbor/src/providers/command-llm');
 
 // Load secrets
 function loadSecrets() {
@@ -22,6 +27,79 @@ loadSecrets();
 let mainWindow;
 let interviewUrl = process.argv[2] || process.env.INTERVIEW_URL || '';
 
+// Gemini token counts and estimated cost for this app session (GEMINI_PRICE_TABLE overrides the built-in prices)
+const geminiUsage = createUsageTracker({
+  prices: process.env.GEMINI_PRICE_TABLE ? loadPriceTable(process.env.GEMINI_PRICE_TABLE) : undefined,
+  logger: { ...console, debug: () => {} }, // recordGeminiUsage logs each request
+});
+
+function recordGeminiUsage(usageMetadata, modelId) {
+  const usage = geminiUsage.record(usageMetadata, { model: modelId });
+  if (!usage) return;
+  const totals = geminiUsage.getTotals();
+  console.log(`[main] Gemini usage (${modelId}): ${usage.promptTokens} in, ${usage.responseTokens} out, ~$${usage.costUsd.toFixed(5)}; session total ${totals.totalTokens} tokens over ${totals.reports} requests, ~$${totals.costUsd.toFixed(4)}`);
+}
+
+// One reply from LOCAL_LLM_COMMAND through the Docker bot's command LLM provider (same prompt layout and process handling)
+function generateLocalReply({ systemPrompt, userPrompt }) {
+  const llm = createCommandLLMProvider({
+    command: process.env.LOCAL_LLM_COMMAND || '',
+    systemInstruction: systemPrompt,
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || undefined,
+  });
+  
+  return new Promise((resolve, reject) => {
+    llm.on('text', resolve);
+    llm.on('error', reject);
+    llm.on('turnComplete', () => reject(new Error('Local LLM returned no reply')));
+    llm.generateReply([{ role: 'user', parts: [{ text: userPrompt }] }]);
+  }).finally(() => llm.close());
+}
+
+// Screen flow (docker-arbor/src/browser/screen-flow) walking the intro screens; one per app run
+let screenFlow = null;
+
+// Lets the screen flow drive a window like a Puppeteer page: its in-page functions are
+// self-contained, so they run the same through executeJavaScript
+function createWebContentsPage(webContents) {
+  return {
+    evaluate: (fn, ...args) => webContents.executeJavaScript(`(${fn.toString()})(${args.map((arg) => JSON.stringify(arg)).join(', ')})`, true),
+    isClosed: () => webContents.isDestroyed(),
+  };
+}
+
+// Walks the password, language, instructions and device-check screens from their definitions,
+// and stops with a diagnostic when a screen does not go away (AUTO_PROGRESS=0 turns it off)
+function startScreenFlow(webContents) {
+  if (screenFlow || process.env.AUTO_PROGRESS === '0') return;
+  
+  const profile = resolveProfile(process.env.SELECTOR_PROFILE || 'auto', interviewUrl,
+    process.env.PROFILES_DIR ? { profilesDir: process.env.PROFILES_DIR } : {});
+  const screenTimeoutMs = Number(process.env.FLOW_SCREEN_TIMEOUT_SECONDS || 60) * 1000;
+  
+  screenFlow = createScreenFlow({
+    page: createWebContentsPage(webContents),
+    screens: process.env.FLOW_SCREENS ? loadScreens(process.env.FLOW_SCREENS) : profile.screens || undefined,
+    selectors: profile.selectors,
+    password: process.env.INTERVIEW_PASSWORD || 'test',
+    language: process.env.INTERVIEW_LANGUAGE || 'English',
+    screenTimeoutMs,
+    unknownTimeoutMs: screenTimeoutMs,
+    maxAttempts: Number(process.env.FLOW_MAX_ATTEMPTS || 8),
+    logger: console,
+  });
+  
+  console.log(`[main] Selector profile: ${profile.id}`);
+  screenFlow.run()
+    .then((screen) => {
+      if (screen) console.log(`[flow] Finished on ${screen}`);
+    })
+    .catch((err) => {
+      console.error(`[flow] ${err.message}; continue by hand in the window`);
+      if (err.diagnostic) console.error('[flow] Diagnostic:', JSON.stringify(err.diagnostic, null, 2));
+    });
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1400,
@@ -90,6 +168,7 @@ function createWindow() {
 
   mainWindow.on('closed', () => {
     console.log('Window closed');
+    if (screenFlow) screenFlow.stop();
     mainWindow = null;
   });
 
@@ -105,7 +184,9 @@ function createWindow() {
     // Wait a bit for page to settle
     await new Promise((r) => setTimeout(r, 1500));
     
-    const password = (process.env.INTERVIEW_PASSWORD || 'test').replace(/'/g, "\\'");
+    // Started once; it keeps following the page across reloads
+    startScreenFlow(mainWindow.webContents);
+    
     const geminiKey = (process.env.GEMINI_API_KEY || '').replace(/'/g, "\\'");
     const openaiKey = (process.env.OPENAI_API_KEY || '').replace(/'/g, "\\'");
     const enableSTT = process.env.ENABLE_STT === '1';
@@ -241,47 +322,11 @@ function createWindow() {
     }
   })();
   
-  var PASSWORD = '${password}';
   var OPENAI_API_KEY = '${openaiKey}';
   var ENABLE_STT = ${enableSTT};
   
-  var tickCounter = 0;
-  var intervalId = setInterval(function() {
-    try {
-      tickCounter++;
-      console.log('[auto-tick] #' + tickCounter);
-      
-      var pwd = document.querySelector('input[type="password"]');
-      if (pwd && !pwd.value) {
-        pwd.focus();
-        pwd.value = PASSWORD;
-        pwd.dispatchEvent(new Event('input', { bubbles: true }));
-        console.log('[auto] Filled password');
-      }
-      
-      var btns = document.querySelectorAll('button, [role="button"]');
-      for (var i = 0; i < btns.length; i++) {
-        var btn = btns[i];
-        var txt = (btn.innerText || '').toLowerCase();
-        if (txt.includes('get started') || txt.includes('start voice') || txt.includes('skip') || txt.includes('continue')) {
-          var style = window.getComputedStyle(btn);
-          if (style.display !== 'none' && style.visibility !== 'hidden') {
-            btn.click();
-            console.log('[auto] Clicked: ' + txt.slice(0, 30));
-            break;
-          }
-        }
-      }
-      
-      // TEXT SCRAPING DISABLED - Using audio transcription only
-      // All Umi messages will appear as [🔊 UMI VOICE] from Gemini Live API transcription
-    } catch (e) {
-      console.error('[auto] Error:', e);
-    }
-  }, 2000);
-  
-  console.log('[electron] ✓ Automation active, interval ID:', intervalId);
-  console.log('[electron] Will log [auto-tick] every 2s');
+  // Intro screens (password, buttons) are walked by the screen flow in the main process
+  console.log('[electron] ✓ Automation active');
   
   // Dual capture: speaker (Umi via BlackHole) and mic (User) -> Gemini STT
   setTimeout(function() {
@@ -937,9 +982,16 @@ if (ipcMain && typeof ipcMain.handle === 'function') {
   console.warn('[main] ipcMain.handle unavailable; desktop source IPC disabled');
 }
 
-// Handle Gemini API calls from renderer
+// Handle reply generation calls from renderer (LLM_PROVIDER=local runs LOCAL_LLM_COMMAND instead of Gemini)
 if (ipcMain && typeof ipcMain.handle === 'function') {
   ipcMain.handle('call-gemini', async (event, { userPrompt, systemPrompt, model }) => {
+    const provider = process.env.LLM_PROVIDER || process.env.PROVIDER || 'gemini';
+    const resolvedSystemPrompt = systemPrompt || process.env.GEMINI_SYSTEM_PROMPT || 'Reply as the interview candidate. Keep it concise and friendly.';
+    
+    if (provider === 'local') {
+      return await generateLocalReply({ systemPrompt: resolvedSystemPrompt, userPrompt });
+    }
+    
     const { generateGeminiReply } = require('./gemini');
     const apiKey = process.env.GEMINI_API_KEY || '';
     
@@ -950,8 +1002,9 @@ if (ipcMain && typeof ipcMain.handle === 'function') {
     return await generateGeminiReply({
       apiKey,
       model: model || process.env.GEMINI_MODEL || 'auto',
-      systemPrompt: systemPrompt || process.env.GEMINI_SYSTEM_PROMPT || 'Reply as the interview candidate. Keep it concise and friendly.',
-      userPrompt
+      systemPrompt: resolvedSystemPrompt,
+      userPrompt,
+      onUsage: recordGeminiUsage
     });
   });
 } else {
@@ -2,11 +2,17 @@
  * Electron renderer script - runs in the browser context
  * Handles audio capture, automation, STT, Gemini, and typing
  * 
- * Note: CONFIG is injected by main process wrapper
+ * Note: CONFIG is injected by main process wrapper, including CONFIG.profile: the
+ * selectors and button texts of a selector profile (docker-arbor/profiles, loaded
+ * with loadProfile() from docker-arbor/src/browser/profiles). The intro screens
+ * (password, language, instructions) are walked by the main process with the screen
+ * flow from docker-arbor/src/browser/screen-flow, not from here
  */
 
 console.log('[electron] Automation starting with config:', CONFIG);
 
+const PROFILE = CONFIG.profile;
+
 let audioContext;
 let audioStream;
 let isRecording = false;
@@ -119,84 +125,6 @@ async function findVisibleElement(selector) {
   return null;
 }
 
-async function fillPassword(password) {
-  const input = await findVisibleElement('input[type="password"]');
-  if (!input) return false;
-  
-  const current = input.value || '';
-  if (current.trim()) return false;
-  
-  input.focus();
-  input.click();
-  
-  for (const char of password) {
-    input.value += char;
-    input.dispatchEvent(new Event('input', { bubbles: true }));
-    await wait(60 + Math.random() * 40);
-  }
-  
-  console.log('[auto] ✓ Filled password');
-  return true;
-}
-
-async function selectLanguage() {
-  // Try dropdown
-  const select = await findVisibleElement('select');
-  if (select) {
-    const label = (select.getAttribute('aria-label') || select.labels?.[0]?.innerText || '').toLowerCase();
-    if (label.includes('language')) {
-      select.focus();
-      select.click();
-      
-      const options = Array.from(select.options);
-      const english = options.find((o) => o.text.toLowerCase().includes('english'));
-      if (english) {
-        select.value = english.value;
-        select.dispatchEvent(new Event('change', { bubbles: true }));
-        console.log('[auto] ✓ Selected English from dropdown');
-        return true;
-      }
-    }
-  }
-  
-  // Try custom dropdown (click container, wait, click English)
-  const divs = document.querySelectorAll('div, button');
-  for (const div of divs) {
-    const txt = (div.innerText || '').trim();
-    if (txt.toLowerCase().includes('language') && txt.toLowerCase().includes('english')) {
-      div.click();
-      await wait(500);
-      
-      const options = document.querySelectorAll('li, [role="option"]');
-      for (const opt of options) {
-        if ((opt.innerText || '').toLowerCase() === 'english') {
-          opt.click();
-          console.log('[auto] ✓ Selected English from custom dropdown');
-          return true;
-        }
-      }
-    }
-  }
-  
-  return false;
-}
-
-async function clickButton(texts) {
-  const buttons = document.querySelectorAll('button, [role="button"], a');
-  for (const btn of buttons) {
-    const txt = (btn.innerText || btn.textContent || '').trim().toLowerCase();
-    if (texts.some((t) => txt.includes(t))) {
-      const style = window.getComputedStyle(btn);
-      if (style.display !== 'none' && style.visibility !== 'hidden') {
-        btn.click();
-        console.log(`[auto] ✓ Clicked: "${txt}"`);
-        return true;
-      }
-    }
-  }
-  return false;
-}
-
 async function showKeyboard() {
   // Click bottom icon buttons (keyboard toggle)
   const allEls = document.querySelectorAll('button, div, [role="button"]');
@@ -226,8 +154,12 @@ async function typeAndSubmit(text) {
   // Show keyboard if needed
   await showKeyboard();
   
-  // Find input
-  const input = await findVisibleElement('textarea, input[type="text"], [contenteditable="true"], [role="textbox"]');
+  // Find input (profile selectors are most specific first)
+  let input = null;
+  for (const selector of PROFILE.selectors.responseInput) {
+    input = await findVisibleElement(selector);
+    if (input) break;
+  }
   if (!input) {
     console.log('[auto] No input found');
     return false;
@@ -275,7 +207,7 @@ function detectUmiMessage() {
   const questions = lines.filter((l) => l.includes('?'));
   const candidate = questions.length ? questions[questions.length - 1] : lines[lines.length - 1];
   
-  if (candidate && candidate !== lastUmiMessage && !candidate.toLowerCase().includes('exit') && !candidate.toLowerCase().includes('powered by')) {
+  if (candidate && candidate !== lastUmiMessage && !PROFILE.text.ignore.some((t) => candidate.toLowerCase().includes(t))) {
     lastUmiMessage = candidate;
     console.log('[umi]', candidate);
     
@@ -344,23 +276,6 @@ async function tryTypePending() {
   }
 }
 
-// ===== AUTO-PROGRESS =====
-
-async function autoProgressTick() {
-  if (!CONFIG.autoProgress) return;
-  
-  // Fill password
-  if (CONFIG.interviewPassword) {
-    await fillPassword(CONFIG.interviewPassword);
-  }
-  
-  // Select language
-  await selectLanguage();
-  
-  // Click progress buttons
-  await clickButton(['get started', 'start voice interview', 'start interview', 'continue', 'next', 'skip', 'begin', 'proceed']);
-}
-
 // ===== MAIN LOOP =====
 
 function init() {
@@ -374,9 +289,6 @@ function init() {
   // Monitor Umi messages
   setInterval(detectUmiMessage, 500);
   
-  // Auto-progress
-  setInterval(autoProgressTick, 2000);
-  
   console.log('[electron] ✓ Automation active');
 }
 
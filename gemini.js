@@ -43,7 +43,8 @@ async function generateGeminiReply({
   apiKey,
   model = DEFAULT_MODEL,
   systemPrompt = 'Write a short, helpful reply.',
-  userPrompt
+  userPrompt,
+  onUsage
 }) {
   if (!apiKey) throw new Error('Missing GEMINI_API_KEY');
   if (!userPrompt) throw new Error('Missing userPrompt');
@@ -98,6 +99,10 @@ async function generateGeminiReply({
     }
 
     const json = await res.json();
+    // Token counts for this request (promptTokenCount, candidatesTokenCount, totalTokenCount)
+    if (json?.usageMetadata && typeof onUsage === 'function') {
+      onUsage(json.usageMetadata, modelId);
+    }
     const text = extractTextFromResponse(json);
     if (!text) throw new Error('Gemini returned empty text');
     return text;
@@ -115,7 +120,8 @@ async function generateGeminiReply({
         apiKey,
         model: 'auto',
         systemPrompt,
-        userPrompt
+        userPrompt,
+        onUsage
       });
       return autoModel;
     }
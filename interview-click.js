@@ -2,8 +2,18 @@
  * Click automation for interview flow:
  * - Auto-click "Get Started" / "Start" buttons
  * - Auto-click Submit button after typing a draft
+ * 
+ * Selectors and button texts come from a selector profile (docker-arbor/profiles),
+ * arbor-v2 unless one is passed in. The language picked on the language screen is
+ * English unless one is passed in (name, native name or code, see docker-arbor/src/utils/language).
  */
 
+const { loadProfile } = require('./docker-arbor/src/browser/profiles');
+const { resolveLanguage } = require('./docker-arbor/src/utils/language');
+
+const DEFAULT_PROFILE = loadProfile();
+const DEFAULT_LANGUAGE = 'English';
+
 async function isVisible(handle) {
   if (!handle) return false;
   try {
@@ -36,28 +46,15 @@ async function findVisibleElement(page, selectors) {
  * @param {Page} page
  * @param {object} options
  * @param {Set<string>} options.blockedButtons - Set of button texts to skip
+ * @param {object} options.profile - Selector profile (buttons, progress button texts)
  */
-async function clickGetStarted(page, { blockedButtons = new Set() } = {}) {
+async function clickGetStarted(page, { blockedButtons = new Set(), profile = DEFAULT_PROFILE } = {}) {
   try {
     const blockedArray = Array.from(blockedButtons);
     
     // Try text-based click first
-    const result = await page.evaluate((blocked) => {
-      const texts = [
-        'get started',
-        'start voice interview',
-        'start interview',
-        'voice interview',
-        'continue',
-        'proceed',
-        'next',
-        'skip',
-        'begin',
-        'start',
-        'go',
-        'ok'
-      ];
-      const candidates = Array.from(document.querySelectorAll('button, [role="button"], a'));
+    const result = await page.evaluate((blocked, texts, buttonSelector) => {
+      const candidates = Array.from(document.querySelectorAll(buttonSelector));
       for (const el of candidates) {
         const txt = (el.innerText || el.textContent || '').trim().toLowerCase();
         if (texts.some((t) => txt.includes(t))) {
@@ -74,7 +71,7 @@ async function clickGetStarted(page, { blockedButtons = new Set() } = {}) {
         }
       }
       return { clicked: false, buttonText: '' };
-    }, blockedArray);
+    }, blockedArray, profile.text.progressButtons, profile.selectors.buttons.join(', '));
     
     if (result.clicked) {
       console.log(`[click] ✓ Clicked button with text: "${result.buttonText}"`);
@@ -90,18 +87,14 @@ async function clickGetStarted(page, { blockedButtons = new Set() } = {}) {
  * Click Submit button (for sending typed response)
  * Returns true if clicked, false otherwise
  */
-async function clickSubmit(page) {
+async function clickSubmit(page, { profile = DEFAULT_PROFILE } = {}) {
   try {
     console.log('[click] Looking for Submit/Send button...');
     
     // Try specific send button selectors (avoid generic SVG buttons)
-    const clicked = await page.evaluate(() => {
-      const excludeText = ['exit', 'cancel', 'close', 'back'];
-      
+    const clicked = await page.evaluate((submitSelector, submitTexts, excludeText) => {
       // 1) Try buttons with explicit send/submit attributes
-      const explicitButtons = Array.from(document.querySelectorAll(
-        'button[type="submit"], button[aria-label*="send" i], button[aria-label*="submit" i], [data-testid*="send" i], [data-testid*="submit" i]'
-      ));
+      const explicitButtons = Array.from(document.querySelectorAll(submitSelector));
       
       for (const btn of explicitButtons) {
         const txt = (btn.innerText || btn.textContent || '').trim().toLowerCase();
@@ -118,7 +111,7 @@ async function clickSubmit(page) {
       const textButtons = Array.from(document.querySelectorAll('button, [role="button"]'));
       for (const btn of textButtons) {
         const txt = (btn.innerText || btn.textContent || '').trim().toLowerCase();
-        if (txt.includes('send') || txt.includes('submit')) {
+        if (submitTexts.some((t) => txt.includes(t))) {
           if (excludeText.some((ex) => txt.includes(ex))) continue;
           
           const style = window.getComputedStyle(btn);
@@ -149,7 +142,7 @@ async function clickSubmit(page) {
       }
       
       return { clicked: false, method: '' };
-    });
+    }, profile.selectors.submit.join(', '), profile.text.submitButtons, profile.text.excludeButtons);
     
     if (clicked.clicked) {
       console.log(`[click] ✓ Clicked Submit (${clicked.method})`);
@@ -171,21 +164,13 @@ async function clickSubmit(page) {
  * Fill password field if present
  * Returns true if password was filled, false otherwise
  */
-async function fillPassword(page, password) {
+async function fillPassword(page, password, { profile = DEFAULT_PROFILE } = {}) {
   if (!password) return false;
   
   try {
     console.log('[click] Looking for password field...');
     
-    const passwordSelectors = [
-      'input[type="password"]',
-      'input[placeholder*="password" i]',
-      'input[aria-label*="password" i]',
-      'input[name*="password" i]',
-      'input[id*="password" i]'
-    ];
-    
-    for (const selector of passwordSelectors) {
+    for (const selector of profile.selectors.password) {
       const handles = await page.$$(selector);
       for (const h of handles) {
         if (await isVisible(h)) {
@@ -215,13 +200,18 @@ async function fillPassword(page, password) {
 }
 
 /**
- * Select English (or first option) in language dropdown/radio/text input if present
+ * Select the interview language (or first option) in language dropdown/radio/text input if present
  * Returns true if interacted, false otherwise
  */
-async function selectLanguage(page) {
+async function selectLanguage(page, { profile = DEFAULT_PROFILE, language = DEFAULT_LANGUAGE } = {}) {
+  const { languageSelect, languageTrigger, languageOption } = profile.selectors;
+  // Lowercase names/code the option may be listed under ("Español", "es")
+  const { name, labels } = resolveLanguage(language);
+  const matches = (text) => labels.some((label) => text === label || (label.length > 3 && text.includes(label)));
+  
   try {
     // Strategy 1: Native select dropdown - use Puppeteer API with aggressive event firing
-    const selects = await page.$$('select');
+    const selects = await page.$$(languageSelect.join(', '));
     for (const sel of selects) {
       const visible = await isVisible(sel);
       if (!visible) continue;
@@ -234,14 +224,14 @@ async function selectLanguage(page) {
       });
       
       if (info.label.includes('language') || info.label.includes('lang') || info.parent.includes('language')) {
-        const englishOption = info.options.find((o) => o.text.toLowerCase().includes('english') || o.value.toLowerCase().includes('english'));
+        const wantedOption = info.options.find((o) => matches(o.text.trim().toLowerCase()) || matches(o.value.toLowerCase()));
         
         await sel.focus();
         await sel.click(); // open
         await new Promise((r) => setTimeout(r, 400));
         
-        if (englishOption) {
-          await sel.select(englishOption.value);
+        if (wantedOption) {
+          await sel.select(wantedOption.value);
         } else if (info.options.length > 0) {
           await sel.select(info.options[0].value);
         }
@@ -256,15 +246,29 @@ async function selectLanguage(page) {
         
         await sel.press('Enter').catch(() => {}); // submit if needed
         
-        console.log('[click] ✓ Language native dropdown: opened and selected English');
+        console.log(`[click] ✓ Language native dropdown: opened and selected ${wantedOption ? wantedOption.text : 'first option'}`);
         return true;
       }
     }
     
-    // Strategy 2: Custom dropdown (click container with "English" text, wait, then click option)
-    const customDropdownResult = await page.evaluate(() => {
-      // Find containers that show "English" and have language-related context
-      const containers = Array.from(document.querySelectorAll('div, button, [role="button"], [role="combobox"]'));
+    // Strategy 2: Custom dropdown (click the language trigger, wait, then click option)
+    const customDropdownResult = await page.evaluate((triggerSelectors, labels) => {
+      const matches = (text) => labels.some((label) => text === label || (label.length > 3 && text.includes(label)));
+      
+      // Language dropdown triggers of the profile are opened unless they already show the language
+      for (const trigger of document.querySelectorAll(triggerSelectors.join(', '))) {
+        const style = window.getComputedStyle(trigger);
+        if (style.display === 'none' || style.visibility === 'hidden') continue;
+        const context = `${trigger.getAttribute('aria-label') || ''} ${trigger.parentElement?.innerText || ''}`.toLowerCase();
+        if (!context.includes('language')) continue;
+        const txt = (trigger.innerText || trigger.textContent || '').trim();
+        if (matches(txt.toLowerCase())) return { opened: false, containerText: txt };
+        trigger.click(); // open dropdown
+        return { opened: true, containerText: txt };
+      }
+      
+      // Otherwise find containers that show the language and have language-related context
+      const containers = Array.from(document.querySelectorAll([...triggerSelectors, 'div', 'button', '[role="button"]'].join(', ')));
       for (const container of containers) {
         const txt = (container.innerText || container.textContent || '').trim();
         const ariaLabel = (container.getAttribute('aria-label') || '').toLowerCase();
@@ -273,7 +277,7 @@ async function selectLanguage(page) {
         
         // Check if this is a language dropdown trigger
         if ((parentText.includes('language') || ariaLabel.includes('language') || txt.toLowerCase().includes('select')) 
-            && txt.toLowerCase().includes('english')) {
+            && matches(txt.toLowerCase())) {
           const style = window.getComputedStyle(container);
           if (style.display !== 'none' && style.visibility !== 'hidden') {
             container.click(); // open dropdown
@@ -282,18 +286,18 @@ async function selectLanguage(page) {
         }
       }
       return { opened: false, containerText: '' };
-    });
+    }, languageTrigger, labels);
     
     if (customDropdownResult.opened) {
       console.log(`[click] ✓ Language opened custom dropdown`);
       await new Promise((r) => setTimeout(r, 600)); // wait for dropdown options to appear
       
-      // Now click the English option from the list
-      const optionClicked = await page.evaluate(() => {
-        const options = Array.from(document.querySelectorAll('li, [role="option"], div[class*="option"], [class*="menu"] div, [class*="dropdown"] div, [class*="item"]'));
+      // Now click the language's option from the list
+      const optionClicked = await page.evaluate((optionSelector, labels) => {
+        const options = Array.from(document.querySelectorAll(optionSelector));
         for (const opt of options) {
           const optText = (opt.innerText || opt.textContent || '').trim().toLowerCase();
-          if (optText === 'english' || optText === 'en') {
+          if (labels.includes(optText)) {
             const style = window.getComputedStyle(opt);
             if (style.display !== 'none' && style.visibility !== 'hidden' && opt.offsetParent !== null) {
               opt.click();
@@ -306,10 +310,10 @@ async function selectLanguage(page) {
           }
         }
         return false;
-      });
+      }, languageOption.join(', '), labels);
       
       if (optionClicked) {
-        console.log('[click] ✓ Language selected English from custom dropdown');
+        console.log(`[click] ✓ Language selected ${name} from custom dropdown`);
         await new Promise((r) => setTimeout(r, 300));
         // Press Enter to confirm selection
         await page.keyboard.press('Enter').catch(() => {});
@@ -333,19 +337,20 @@ async function selectLanguage(page) {
         const currentValue = await input.evaluate((el) => el.value || '');
         if (!currentValue.trim()) {
           await input.click();
-          for (const char of 'English') {
+          for (const char of name) {
             await page.keyboard.type(char, { delay: 0 });
             await new Promise((r) => setTimeout(r, 60 + Math.random() * 40));
           }
-          console.log('[click] ✓ Language typed "English" into text field');
+          console.log(`[click] ✓ Language typed "${name}" into text field`);
           return true;
         }
       }
     }
     
     // Strategy 4: Last resort - evaluated click on native select
-    const selected = await page.evaluate(() => {
-      const selects = Array.from(document.querySelectorAll('select'));
+    const selected = await page.evaluate((selectSelector, labels, name) => {
+      const matches = (text) => labels.some((label) => text === label || (label.length > 3 && text.includes(label)));
+      const selects = Array.from(document.querySelectorAll(selectSelector));
       for (const sel of selects) {
         const style = window.getComputedStyle(sel);
         if (style.display === 'none' || style.visibility === 'hidden') continue;
@@ -355,15 +360,15 @@ async function selectLanguage(page) {
         
         if (label.includes('language') || label.includes('lang') || parentText.includes('language') || parentText.includes('preferred language')) {
           const options = Array.from(sel.options);
-          const english = options.find((o) => (o.text || o.value || '').toLowerCase().includes('english'));
+          const wanted = options.find((o) => matches((o.text || o.value || '').trim().toLowerCase()));
           
           // Always physically interact: focus, click to open, select, blur
           sel.focus();
           sel.click(); // open dropdown
           
-          if (english) {
-            sel.value = english.value;
-            sel.selectedIndex = Array.from(sel.options).indexOf(english);
+          if (wanted) {
+            sel.value = wanted.value;
+            sel.selectedIndex = Array.from(sel.options).indexOf(wanted);
           } else if (options.length > 0) {
             sel.selectedIndex = 0;
           }
@@ -372,7 +377,7 @@ async function selectLanguage(page) {
           sel.dispatchEvent(new Event('input', { bubbles: true }));
           sel.blur();
           
-          return english ? `dropdown: opened and selected ${english.text}` : `dropdown: opened and selected first option`;
+          return wanted ? `dropdown: opened and selected ${wanted.text}` : `dropdown: opened and selected first option`;
         }
       }
       
@@ -380,29 +385,29 @@ async function selectLanguage(page) {
       const radios = Array.from(document.querySelectorAll('input[type="radio"]'));
       for (const radio of radios) {
         const label = radio.labels?.[0]?.innerText || radio.getAttribute('aria-label') || '';
-        if (label.toLowerCase().includes('english')) {
+        if (matches(label.trim().toLowerCase())) {
           if (!radio.checked) {
             radio.click();
-            return `radio: selected English`;
+            return `radio: selected ${name}`;
           }
         }
       }
       
-      // Try clicking visible "English" text
+      // Try clicking visible text of the language
       const clickables = Array.from(document.querySelectorAll('div, span, label, [role="button"]'));
       for (const el of clickables) {
         const txt = (el.innerText || el.textContent || '').trim().toLowerCase();
-        if (txt === 'english' || txt === 'en') {
+        if (labels.includes(txt)) {
           const style = window.getComputedStyle(el);
           if (style.display !== 'none' && style.visibility !== 'hidden') {
             el.click();
-            return `clicked English option`;
+            return `clicked ${name} option`;
           }
         }
       }
       
       return null;
-    });
+    }, languageSelect.join(', '), labels, name);
     
     if (selected) {
       console.log(`[click] ✓ Language ${selected}`);
@@ -417,10 +422,12 @@ async function selectLanguage(page) {
 
 /**
  * Log current page snapshot for debugging stuck states
+ * With an artifact collector (docker-arbor/src/session/artifacts), also saves failure artifacts
  */
-async function logPageSnapshot(page, label = 'snapshot') {
+async function logPageSnapshot(page, label = 'snapshot', { artifacts = null } = {}) {
+  let info = null;
   try {
-    const info = await page.evaluate(() => {
+    info = await page.evaluate(() => {
       return {
         title: document.title,
         url: window.location.href,
@@ -472,17 +479,21 @@ async function logPageSnapshot(page, label = 'snapshot') {
   } catch (e) {
     console.error(`[snapshot] failed: ${e?.message || e}`);
   }
+  
+  // Screenshot, DOM, console log and HAR for diagnosing the stall afterwards
+  if (artifacts) {
+    await artifacts.capture(label, info ? { snapshot: info } : {});
+  }
 }
 
 /**
  * Click confirmation buttons after language/password (OK, Confirm, checkmark, etc.)
  * Returns true if clicked
  */
-async function clickConfirmation(page, { blockedButtons = new Set() } = {}) {
+async function clickConfirmation(page, { blockedButtons = new Set(), profile = DEFAULT_PROFILE } = {}) {
   try {
-    const result = await page.evaluate((blocked) => {
-      const confirmTexts = ['ok', 'confirm', 'submit', 'done', '✓', '✔'];
-      const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
+    const result = await page.evaluate((blocked, confirmTexts, buttonSelector) => {
+      const buttons = Array.from(document.querySelectorAll(buttonSelector));
       for (const btn of buttons) {
         const txt = (btn.innerText || btn.textContent || '').trim().toLowerCase();
         if (confirmTexts.some((t) => txt === t || txt.includes(t))) {
@@ -496,7 +507,7 @@ async function clickConfirmation(page, { blockedButtons = new Set() } = {}) {
         }
       }
       return { clicked: false, text: '' };
-    }, Array.from(blockedButtons));
+    }, Array.from(blockedButtons), profile.text.confirmButtons, profile.selectors.buttons.join(', '));
     
     if (result.clicked) {
       console.log(`[click] ✓ Clicked confirmation button: "${result.text}"`);
@@ -513,24 +524,24 @@ async function clickConfirmation(page, { blockedButtons = new Set() } = {}) {
  * Try all methods to progress through the interview intro
  * Returns { progressed: boolean, buttonClicked: string }
  */
-async function tryProgress(page, { password = '', blockedButtons = new Set() } = {}) {
+async function tryProgress(page, { password = '', language = DEFAULT_LANGUAGE, blockedButtons = new Set(), profile = DEFAULT_PROFILE } = {}) {
   let progressed = false;
   let buttonClicked = '';
   
   // 1) Fill password
-  if (password && await fillPassword(page, password)) progressed = true;
+  if (password && await fillPassword(page, password, { profile })) progressed = true;
   
   // 2) Select language
-  const langSelected = await selectLanguage(page);
+  const langSelected = await selectLanguage(page, { profile, language });
   if (langSelected) {
     progressed = true;
     // After selecting language, try to click confirmation button
     await new Promise((r) => setTimeout(r, 300));
-    if (await clickConfirmation(page, { blockedButtons })) progressed = true;
+    if (await clickConfirmation(page, { blockedButtons, profile })) progressed = true;
   }
   
   // 3) Click start/continue buttons (with known text patterns)
-  const clickResult = await clickGetStarted(page, { blockedButtons });
+  const clickResult = await clickGetStarted(page, { blockedButtons, profile });
   if (clickResult.clicked) {
     progressed = true;
     buttonClicked = clickResult.buttonText;
@@ -1,12 +1,8 @@
-const DEFAULT_IGNORE = [
-  'exit interview',
-  'powered by',
-  'about 5 minutes',
-  'type your response',
-  'listening',
-  'skip',
-  'start voice interview'
-];
+const { loadProfile } = require('./docker-arbor/src/browser/profiles');
+
+// Where the interviewer's text shows up and what to ignore come from a selector profile (docker-arbor/profiles)
+const DEFAULT_PROFILE = loadProfile();
+const DEFAULT_IGNORE = DEFAULT_PROFILE.text.ignore;
 
 function normalizeText(s) {
   return String(s || '').replace(/\s+/g, ' ').trim();
@@ -32,7 +28,7 @@ function pickAgentCandidate(texts, ignore = DEFAULT_IGNORE) {
   return pool.reduce((a, b) => (b.length > a.length ? b : a), pool[0]);
 }
 
-async function extractTexts(page, { includeDrafts = true } = {}) {
+async function extractTexts(page, { includeDrafts = true, selectors = DEFAULT_PROFILE.selectors } = {}) {
   return page.evaluate((opts) => {
     const out = new Set();
 
@@ -50,14 +46,14 @@ async function extractTexts(page, { includeDrafts = true } = {}) {
     };
 
     // Likely prompt text
-    document.querySelectorAll('h1,h2,h3,p').forEach((el) => {
+    document.querySelectorAll(opts.agentText).forEach((el) => {
       if (!isVisible(el)) return;
       const t = (el.innerText || el.textContent || '').trim();
       if (t.length >= 10 && t.length <= 800) add(t);
     });
 
     // Dynamic agent text often lives here
-    document.querySelectorAll('[aria-live], [role="status"], [role="alert"]').forEach((el) => {
+    document.querySelectorAll(opts.liveRegions).forEach((el) => {
       if (!isVisible(el)) return;
       const t = (el.innerText || el.textContent || '').trim();
       if (t.length >= 3 && t.length <= 800) add(t);
@@ -66,8 +62,9 @@ async function extractTexts(page, { includeDrafts = true } = {}) {
     // Optional: capture drafts for debugging/visibility
     if (opts.includeDrafts) {
       document
-        .querySelectorAll('textarea, input[type="text"], input[type="search"], [role="textbox"], [contenteditable="true"]')
+        .querySelectorAll(opts.responseInput)
         .forEach((el) => {
+          if (el.type === 'password') return;
           let raw = '';
           // eslint-disable-next-line no-prototype-builtins
           if (Object.prototype.hasOwnProperty.call(el, 'value')) raw = el.value || '';
@@ -78,7 +75,12 @@ async function extractTexts(page, { includeDrafts = true } = {}) {
     }
 
     return Array.from(out);
-  }, { includeDrafts });
+  }, {
+    includeDrafts,
+    agentText: selectors.agentText.join(', '),
+    liveRegions: selectors.liveRegions.join(', '),
+    responseInput: selectors.responseInput.join(', ')
+  });
 }
 
 function createInterviewMonitor(
@@ -87,7 +89,8 @@ function createInterviewMonitor(
     pollIntervalMs = 500,
     debounceMs = 800,
     includeDrafts = true,
-    ignore = DEFAULT_IGNORE,
+    profile = DEFAULT_PROFILE,
+    ignore = profile.text.ignore,
     onAgentMessage,
     onError
   } = {}
@@ -112,7 +115,7 @@ function createInterviewMonitor(
   const poll = async () => {
     if (stopped) return;
     try {
-      const texts = await extractTexts(page, { includeDrafts });
+      const texts = await extractTexts(page, { includeDrafts, selectors: profile.selectors });
       const candidate = pickAgentCandidate(texts, ignore);
       if (!candidate || candidate === lastCandidate) return;
       lastCandidate = candidate;
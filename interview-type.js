@@ -1,11 +1,7 @@
-const DEFAULT_INPUT_SELECTORS = [
-  'textarea',
-  'input[type="text"]',
-  'input[type="search"]',
-  '[role="textbox"]',
-  '[contenteditable="true"]',
-  'input'
-];
+const { loadProfile } = require('./docker-arbor/src/browser/profiles');
+
+// Selectors and texts come from a selector profile (docker-arbor/profiles); arbor-v2 unless one is passed in
+const DEFAULT_PROFILE = loadProfile();
 
 async function isVisible(handle) {
   if (!handle) return false;
@@ -18,7 +14,7 @@ async function isVisible(handle) {
   return style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity || '1') > 0;
 }
 
-async function findVisibleInput(page, selectors = DEFAULT_INPUT_SELECTORS) {
+async function findVisibleInput(page, selectors = DEFAULT_PROFILE.selectors.responseInput) {
   for (const selector of selectors) {
     const handles = await page.$$(selector);
     for (const h of handles) {
@@ -50,15 +46,16 @@ const { clickSubmit } = require('./interview-click');
  * @param {boolean} options.clear - Clear existing text before typing
  * @param {boolean} options.onlyIfEmpty - Only type if input is currently empty
  * @param {boolean} options.submit - Click submit button after typing
+ * @param {object} options.profile - Selector profile (response input, keyboard toggle, submit button)
  */
 /**
  * Click keyboard icon/toggle to show text input keyboard if present
  * Tries multiple aggressive strategies to find and click the keyboard toggle
  */
-async function showKeyboard(page) {
+async function showKeyboard(page, { profile = DEFAULT_PROFILE } = {}) {
   try {
     // Strategy 1: Try clicking via attribute-based selectors first
-    const clicked = await page.evaluate(() => {
+    const clicked = await page.evaluate((keyboardWords) => {
       const iconElements = Array.from(document.querySelectorAll('button, div, [role="button"]'));
       
       // Check for explicit keyboard attributes
@@ -68,10 +65,7 @@ async function showKeyboard(page) {
         const testId = btn.getAttribute('data-testid') || '';
         
         if (
-          ariaLabel.toLowerCase().includes('keyboard') ||
-          ariaLabel.toLowerCase().includes('type') ||
-          title.toLowerCase().includes('keyboard') ||
-          title.toLowerCase().includes('type') ||
+          keyboardWords.some((w) => ariaLabel.toLowerCase().includes(w) || title.toLowerCase().includes(w)) ||
           testId.toLowerCase().includes('keyboard')
         ) {
           const style = window.getComputedStyle(btn);
@@ -185,7 +179,7 @@ async function showKeyboard(page) {
       if (clickedAny) return 'clicked bottom icon buttons (multi)';
       
       return null;
-    });
+    }, profile.text.keyboardToggle);
     
     if (clicked) {
       console.log(`[type] ✓ Clicked ${clicked} to show keyboard`);
@@ -234,14 +228,14 @@ async function showKeyboard(page) {
   }
 }
 
-async function typeIntoInterview(page, text, { clear = true, onlyIfEmpty = true, submit = false, retries = 10 } = {}) {
+async function typeIntoInterview(page, text, { clear = true, onlyIfEmpty = true, submit = false, retries = 10, profile = DEFAULT_PROFILE } = {}) {
   if (!text || !text.trim()) return false;
 
   // Retry loop to wait for input/keyboard to appear
   for (let attempt = 0; attempt < retries; attempt++) {
     // CRITICAL: Try to show keyboard BEFORE looking for input
     console.log(`[type] Attempt ${attempt + 1}/${retries}: Attempting to show keyboard...`);
-    const keyboardShown = await showKeyboard(page);
+    const keyboardShown = await showKeyboard(page, { profile });
     if (keyboardShown) {
       await new Promise((r) => setTimeout(r, 1000)); // give keyboard UI time to fully appear
     }
@@ -252,7 +246,7 @@ async function typeIntoInterview(page, text, { clear = true, onlyIfEmpty = true,
       await new Promise((r) => setTimeout(r, 500));
     }
 
-    const input = await findVisibleInput(page);
+    const input = await findVisibleInput(page, profile.selectors.responseInput);
     if (input) {
       // Found input, proceed with typing
       console.log('[type] Input found, ready to type');
@@ -268,7 +262,7 @@ async function typeIntoInterview(page, text, { clear = true, onlyIfEmpty = true,
     }
   }
   
-  const input = await findVisibleInput(page);
+  const input = await findVisibleInput(page, profile.selectors.responseInput);
   if (!input) {
     console.log('[type] No visible input found');
     return false;
@@ -300,7 +294,7 @@ async function typeIntoInterview(page, text, { clear = true, onlyIfEmpty = true,
   if (submit) {
     await new Promise((r) => setTimeout(r, 500)); // pause before submit
     console.log('[type] Submitting...');
-    await clickSubmit(page);
+    await clickSubmit(page, { profile });
   }
   
   return true;
@@ -1,45 +1,14 @@
 /**
  * Simple WAV encoder for Float32 PCM audio
  * Used for sending audio chunks to STT APIs (Whisper, Deepgram, etc.)
+ * The header and PCM conversion live in docker-arbor/src/audio/wav-encoder.js;
+ * this wrapper only returns the result as a Blob.
  */
 
-function encodeWAV(samples, sampleRate = 16000) {
-  const buffer = new ArrayBuffer(44 + samples.length * 2);
-  const view = new DataView(buffer);
-
-  // WAV header
-  writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + samples.length * 2, true);
-  writeString(view, 8, 'WAVE');
-  writeString(view, 12, 'fmt ');
-  view.setUint32(16, 16, true); // fmt chunk size
-  view.setUint16(20, 1, true); // PCM format
-  view.setUint16(22, 1, true); // mono
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, sampleRate * 2, true); // byte rate
-  view.setUint16(32, 2, true); // block align
-  view.setUint16(34, 16, true); // bits per sample
-  writeString(view, 36, 'data');
-  view.setUint32(40, samples.length * 2, true);
-
-  // Convert float32 samples to int16
-  floatTo16BitPCM(view, 44, samples);
-
-  return new Blob([buffer], { type: 'audio/wav' });
-}
+const { encodeWAV: encodeWAVBuffer } = require('./docker-arbor/src/audio/wav-encoder');
 
-function writeString(view, offset, string) {
-  for (let i = 0; i < string.length; i++) {
-    view.setUint8(offset + i, string.charCodeAt(i));
-  }
-}
-
-function floatTo16BitPCM(output, offset, input) {
-  for (let i = 0; i < input.length; i++, offset += 2) {
-    const s = Math.max(-1, Math.min(1, input[i]));
-    output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
-  }
+function encodeWAV(samples, sampleRate = 16000) {
+  return new Blob([encodeWAVBuffer(samples, sampleRate)], { type: 'audio/wav' });
 }
 
 module.exports = { encodeWAV };
-